@@ -0,0 +1,152 @@
+// scripts/evaluateClassifier.js
+// Measures the classifier and location extractor against a labelled corpus
+// — `npm run evaluate:classifier`
+//
+// Options:
+//   --rules <spec>     Rules to evaluate (default: builtin)
+//   --compare <spec>   Also evaluate these rules and show what changed
+//   --corpus <path>    Labelled corpus (default: scripts/fixtures/evaluationCorpus.json)
+//   --json             Print the full results as JSON
+//
+// A rules spec is "builtin" (src/data/classifierRules.js), "active" (the
+// stored active ruleset), a stored version number, or a path to a JSON file
+// holding a ruleset ({ departments, civicKeywords, ... } or { rules: {...} }).
+// Stored rulesets are read from the configured STORAGE_BACKEND.
+//
+// Only the keyword rules are evaluated — no trained model is loaded.
+
+require("dotenv").config()
+const fs = require("fs")
+const path = require("path")
+const { evaluateCorpus, compareEvaluations } = require("../src/services/evaluationService")
+const { validateRules, getRuleset } = require("../src/services/classifierRulesService")
+const { getActiveClassifierRuleset } = require("../src/services/databaseService")
+
+const DEFAULT_CORPUS = path.join(__dirname, "fixtures", "evaluationCorpus.json")
+
+function readOption(name) {
+  const index = process.argv.indexOf(name)
+  return index === -1 ? null : process.argv[index + 1] || null
+}
+
+/**
+ * Turns a --rules / --compare spec into { label, ruleset } (ruleset null = built-in).
+ */
+async function loadRuleset(spec) {
+  if (!spec || spec === "builtin") return { label: "built-in rules", ruleset: null }
+
+  if (spec === "active") {
+    const active = await getActiveClassifierRuleset()
+    if (!active) throw new Error("No ruleset has been stored yet — start the server once, or use --rules builtin")
+    return { label: `active ruleset v${active.version}`, ruleset: active }
+  }
+
+  if (/^\d+$/.test(spec)) {
+    const stored = await getRuleset(parseInt(spec, 10))
+    if (!stored) throw new Error(`Ruleset v${spec} not found`)
+    return { label: `ruleset v${stored.version}`, ruleset: stored }
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(path.resolve(spec), "utf8"))
+  const { rules, errors } = validateRules(parsed.rules || parsed)
+  if (errors.length) throw new Error(`${spec}: ${errors.join("; ")}`)
+  return { label: path.basename(spec), ruleset: { version: null, rules } }
+}
+
+function percent(value) {
+  return value === null ? "n/a" : `${(value * 100).toFixed(1)}%`
+}
+
+function signedPercent(value) {
+  if (value === null) return "n/a"
+  return `${value > 0 ? "+" : ""}${(value * 100).toFixed(1)}%`
+}
+
+function printEvaluation(label, evaluation) {
+  const { civicGate, department, issueType, urgency, locality } = evaluation
+
+  console.log(`\n📊 ${label} — ${evaluation.examples} examples`)
+  console.log(`   Civic gate:  ${percent(civicGate.accuracy)} accuracy, ${percent(civicGate.precision)} precision, ${percent(civicGate.recall)} recall`)
+  console.log(`      False positives (${civicGate.falsePositives.length}): ${civicGate.falsePositives.join(", ") || "none"}`)
+  console.log(`      False negatives (${civicGate.falseNegatives.length}): ${civicGate.falseNegatives.join(", ") || "none"}`)
+  console.log(`   Department:  ${percent(department.accuracy)} accuracy`)
+  console.log(`   Issue type:  ${percent(issueType.accuracy)} accuracy (${issueType.examples} labelled posts)`)
+  console.log(`   Urgency:     ${percent(urgency.accuracy)} accuracy (${urgency.examples} civic posts)`)
+  console.log(`   Locality:    ${percent(locality.accuracy)} accuracy`)
+
+  console.log("\n   Department      Support  Precision  Recall  F1")
+  for (const [name, stats] of Object.entries(department.perDepartment)) {
+    console.log(
+      `   ${name.padEnd(15)} ${String(stats.support).padStart(7)}  ${percent(stats.precision).padStart(9)}  ` +
+      `${percent(stats.recall).padStart(6)}  ${percent(stats.f1).padStart(6)}`
+    )
+  }
+
+  // Rows are expected, columns predicted — headed by the first 5 letters
+  const { labels, confusionMatrix } = department
+  console.log("\n   Confusion matrix (rows: expected, columns: predicted)")
+  console.log(`   ${"".padEnd(15)} ${labels.map(l => l.slice(0, 5).padStart(5)).join(" ")}`)
+  for (const expected of labels) {
+    const row = labels.map(predicted => String(confusionMatrix[expected][predicted] || ".").padStart(5))
+    console.log(`   ${expected.padEnd(15)} ${row.join(" ")}`)
+  }
+
+  const misses = evaluation.results.filter(r => !r.correct.department)
+  if (misses.length) {
+    console.log("\n   Department misses:")
+    for (const { id, expected, predicted } of misses) {
+      console.log(`      ${id}: expected ${expected.department}, got ${predicted.department}`)
+    }
+  }
+}
+
+function printComparison(baselineLabel, candidateLabel, { deltas, changes }) {
+  console.log(`\n🔀 ${candidateLabel} vs ${baselineLabel}`)
+  console.log(`   Civic gate accuracy:  ${signedPercent(deltas.civicGateAccuracy)}`)
+  console.log(`   Department accuracy:  ${signedPercent(deltas.departmentAccuracy)}`)
+  console.log(`   Issue type accuracy:  ${signedPercent(deltas.issueTypeAccuracy)}`)
+  console.log(`   Urgency accuracy:     ${signedPercent(deltas.urgencyAccuracy)}`)
+  console.log(`   Locality accuracy:    ${signedPercent(deltas.localityAccuracy)}`)
+  for (const [name, delta] of Object.entries(deltas.perDepartmentF1)) {
+    if (delta) console.log(`   ${name} F1: ${signedPercent(delta)}`)
+  }
+  for (const [metric, { fixed, broken }] of Object.entries(changes)) {
+    if (fixed.length) console.log(`   ✅ ${metric} fixed: ${fixed.join(", ")}`)
+    if (broken.length) console.log(`   ❌ ${metric} broken: ${broken.join(", ")}`)
+  }
+}
+
+async function main() {
+  const corpusPath = readOption("--corpus") || DEFAULT_CORPUS
+  const corpus = JSON.parse(fs.readFileSync(corpusPath, "utf8"))
+  const asJson = process.argv.includes("--json")
+
+  const baseline = await loadRuleset(readOption("--rules"))
+  const baselineEvaluation = evaluateCorpus(corpus, baseline.ruleset)
+
+  const compareSpec = readOption("--compare")
+  const candidate = compareSpec ? await loadRuleset(compareSpec) : null
+  const candidateEvaluation = candidate ? evaluateCorpus(corpus, candidate.ruleset) : null
+  const comparison = candidate ? compareEvaluations(baselineEvaluation, candidateEvaluation) : null
+
+  if (asJson) {
+    console.log(JSON.stringify({
+      corpus: corpusPath,
+      baseline: { label: baseline.label, ...baselineEvaluation },
+      candidate: candidate && { label: candidate.label, ...candidateEvaluation },
+      comparison,
+    }, null, 2))
+    return
+  }
+
+  printEvaluation(baseline.label, baselineEvaluation)
+  if (candidate) {
+    printEvaluation(candidate.label, candidateEvaluation)
+    printComparison(baseline.label, candidate.label, comparison)
+  }
+}
+
+main().catch(err => {
+  console.error("❌ Evaluation failed:", err.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,33 @@
+// scripts/retrainClassifier.js
+// Trains a new department classifier model from the stored complaints and
+// corrections, and activates it — `npm run retrain:classifier`
+//
+// With STORAGE_BACKEND=file, stop the server first: it keeps the JSON file in
+// memory and would overwrite the new model on its next write. A running
+// server can retrain itself instead: POST /api/classifier/retrain.
+// Pass --no-activate to store the new version without switching to it.
+
+require("dotenv").config()
+const { retrainClassifier } = require("../src/services/classifierModelService")
+
+async function main() {
+  const activate = !process.argv.includes("--no-activate")
+  const result = await retrainClassifier({ trainedBy: "cli", activate })
+
+  if (!result.trained) {
+    console.error(`❌ Not trained: ${result.reason}`)
+    process.exitCode = 1
+    return
+  }
+
+  const { version, metrics } = result.model
+  console.log(`✅ Model v${version}${activate ? " (active)" : ""}`)
+  console.log(`   Examples: ${metrics.examples} (${metrics.corrected} corrected)`)
+  console.log(`   Holdout accuracy: ${metrics.holdoutAccuracy ?? "n/a"}`)
+  console.log(`   Per department: ${JSON.stringify(metrics.labels)}`)
+}
+
+main().catch(err => {
+  console.error("❌ Retrain failed:", err.message)
+  process.exitCode = 1
+})
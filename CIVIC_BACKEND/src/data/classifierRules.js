@@ -0,0 +1,178 @@
+// src/data/classifierRules.js
+// Built-in keyword rules for the complaint classifier (services/classifierService.js)
+//
+// These are only the starting point. The rules in use are stored as
+// versioned rulesets and edited through the admin API
+// (/api/classifier/rules, see services/classifierRulesService.js) — on first
+// start this file is saved as ruleset version 1.
+
+// ─── DEPARTMENT KEYWORD DICTIONARIES ─────────────────────────────────────────
+// Each array has the keywords that strongly indicate this department.
+// Hindi transliterations are included because Delhi Reddit posts mix languages.
+//
+// issueTypes is the second level of the taxonomy — what kind of problem it is
+// within the department (pothole vs. broken footpath vs. bridge damage). Once
+// the department is picked, the issue type whose keywords score highest wins;
+// none matching leaves the issue type empty. name is stored on the complaint
+// and used in SLA policies (data/slaPolicies.js), label is shown to people.
+
+const DEPARTMENT_RULES = [
+  {
+    name: "PWD",           // Public Works Department
+    fullName: "Public Works Department",
+    keywords: [
+      "pothole", "road", "street", "pavement", "asphalt", "highway", "lane",
+      "footpath", "sidewalk", "divider", "median", "crack", "bump", "broken road",
+      "sadak", "gutter filled", "road repair", "overpass", "underpass", "bridge",
+      "road damage", "road condition", "construction", "debris on road", "gravel"
+    ],
+    issueTypes: [
+      { name: "pothole", label: "Pothole", keywords: ["pothole", "potholes", "crater", "caved in", "road caved", "sunk", "sinkhole"] },
+      { name: "road_damage", label: "Damaged road", keywords: ["broken road", "road damage", "crack", "asphalt", "road repair", "road condition", "sadak", "gravel", "uneven road"] },
+      { name: "footpath", label: "Broken footpath", keywords: ["footpath", "sidewalk", "pavement", "tiles", "kerb"] },
+      { name: "bridge_damage", label: "Bridge / flyover damage", keywords: ["bridge", "flyover", "overpass", "underpass", "pillar"] },
+      { name: "divider", label: "Divider / median damage", keywords: ["divider", "median", "railing", "grill"] },
+      { name: "construction_debris", label: "Construction debris", keywords: ["debris", "debris on road", "malba", "rubble", "construction material"] },
+      { name: "speed_bump", label: "Speed bump", keywords: ["bump", "speed breaker", "hump"] },
+    ],
+  },
+  {
+    name: "Jal Board",     // Delhi Jal Board — handles water supply and sewage
+    fullName: "Delhi Jal Board",
+    keywords: [
+      "water", "pipe", "leak", "main", "supply", "tap", "drinkable", "contaminated",
+      "sewage", "drain", "sewer", "waterlogging", "flood", "flooding", "burst pipe",
+      "paani", "nali", "drainage", "storm drain", "puddle", "overflow", "water supply",
+      "no water", "water cut", "dirty water", "water tank", "borewell", "groundwater"
+    ],
+    issueTypes: [
+      { name: "no_water", label: "No water supply", keywords: ["no water", "water supply", "water cut", "supply", "tanker", "dry taps"] },
+      { name: "pipe_leak", label: "Leaking / burst pipe", keywords: ["burst pipe", "pipe burst", "leak", "leaking", "pipeline", "pipe"] },
+      { name: "contaminated_water", label: "Dirty water", keywords: ["dirty water", "contaminated", "brown water", "smelly water", "drinkable"] },
+      { name: "sewer_overflow", label: "Sewer overflow", keywords: ["sewage", "sewer", "overflow", "manhole", "nali"] },
+      { name: "waterlogging", label: "Waterlogging", keywords: ["waterlogging", "flood", "flooding", "flooded", "storm drain", "puddle", "drainage"] },
+    ],
+  },
+  {
+    name: "Sanitation",    // MCD Sanitation — garbage, waste management
+    fullName: "MCD Sanitation Department",
+    keywords: [
+      "garbage", "trash", "waste", "dump", "litter", "bin", "collection", "pickup",
+      "smell", "odor", "rat", "pest", "rodent", "cockroach", "filth", "dirty",
+      "kachra", "safai", "sweeper", "overflowing bin", "dumping", "illegal dump",
+      "hygiene", "open garbage", "waste disposal", "solid waste", "sanitation worker"
+    ],
+    issueTypes: [
+      { name: "garbage_collection", label: "Garbage not collected", keywords: ["collection", "pickup", "picked up", "not collected", "garbage", "kachra"] },
+      { name: "overflowing_bin", label: "Overflowing bin", keywords: ["bin", "bins", "dustbin", "overflowing bin"] },
+      { name: "illegal_dumping", label: "Illegal dumping", keywords: ["dumping", "illegal dump", "dump", "empty plot"] },
+      { name: "dead_animal", label: "Dead animal", keywords: ["dead animal", "dead dog", "dead cow", "dead cat", "carcass"] },
+      { name: "street_sweeping", label: "Street not swept", keywords: ["sweeper", "sweeping", "swept", "safai", "litter"] },
+      { name: "pests", label: "Rats / pests", keywords: ["rat", "rats", "rodent", "rodents", "cockroach", "cockroaches", "pest"] },
+    ],
+  },
+  {
+    name: "Electricity",   // BSES / TPDDL — power supply
+    fullName: "Delhi Electricity Supply Board",
+    keywords: [
+      "electricity", "power", "light", "streetlight", "transformer", "wire", "cable",
+      "electric", "bijli", "current", "voltage", "outage", "power cut", "tripping",
+      "sparking", "electric shock", "loose wire", "fallen wire", "no electricity",
+      "power failure", "load shedding", "meter", "short circuit"
+    ],
+    issueTypes: [
+      { name: "streetlight", label: "Streetlight not working", keywords: ["streetlight", "street light", "lamp", "dark"] },
+      { name: "live_wire", label: "Live / loose wire", keywords: ["loose wire", "fallen wire", "live wire", "hanging wire", "wire", "electric shock", "cable"] },
+      { name: "power_outage", label: "Power cut", keywords: ["power cut", "outage", "no electricity", "power failure", "load shedding", "bijli", "tripping", "voltage"] },
+      { name: "transformer", label: "Transformer fault", keywords: ["transformer", "sparking", "short circuit"] },
+      { name: "billing_meter", label: "Meter / billing", keywords: ["meter", "bill", "billing", "reading"] },
+    ],
+  },
+  {
+    name: "Parks",         // DDA / MCD Parks
+    fullName: "Parks and Gardens Department",
+    keywords: [
+      "park", "garden", "playground", "tree", "bush", "grass", "bench", "fountain",
+      "trail", "green", "graffiti", "vandal", "restroom", "swing", "slide",
+      "park equipment", "DDA park", "fallen tree", "dead tree", "overgrown",
+      "recreation", "public space", "plant", "hedge"
+    ],
+    issueTypes: [
+      { name: "fallen_tree", label: "Fallen / dead tree", keywords: ["fallen tree", "dead tree", "tree fell", "branch"] },
+      { name: "play_equipment", label: "Broken play equipment", keywords: ["swing", "slide", "playground", "park equipment"] },
+      { name: "maintenance", label: "Park upkeep", keywords: ["overgrown", "grass", "hedge", "bench", "fountain", "trimmed"] },
+      { name: "vandalism", label: "Vandalism / graffiti", keywords: ["graffiti", "vandal", "vandals", "vandalism"] },
+    ],
+  },
+  {
+    name: "Traffic",       // Delhi Traffic Police
+    fullName: "Delhi Traffic Police",
+    keywords: [
+      "traffic", "signal", "jam", "congestion", "parking", "illegal parking",
+      "double parking", "blocking", "challan", "no parking", "traffic light",
+      "zebra crossing", "divider broken", "one way", "road block", "barricade",
+      "accident", "speeding", "traffic management", "rush hour"
+    ],
+    issueTypes: [
+      { name: "signal_fault", label: "Traffic signal fault", keywords: ["signal", "traffic light", "blinking"] },
+      { name: "illegal_parking", label: "Illegal parking", keywords: ["parking", "illegal parking", "double parking", "no parking"] },
+      { name: "congestion", label: "Traffic jam", keywords: ["jam", "congestion", "rush hour", "road block"] },
+      { name: "road_markings", label: "Road markings / crossings", keywords: ["zebra crossing", "crossing", "marking", "road paint"] },
+      { name: "rule_violations", label: "Traffic violations", keywords: ["wrong side", "wrong way", "one way", "speeding", "challan"] },
+    ],
+  },
+  {
+    name: "Health",        // MCD Health
+    fullName: "MCD Health Department",
+    keywords: [
+      "mosquito", "dengue", "malaria", "stagnant water", "vector", "fogging",
+      "hospital", "clinic", "dispensary", "ambulance", "health hazard",
+      "disease", "epidemic", "fumigation", "health camp", "medicine"
+    ],
+    issueTypes: [
+      { name: "mosquito_breeding", label: "Mosquito breeding", keywords: ["mosquito", "mosquitoes", "stagnant water", "fogging", "dengue", "malaria", "larvae"] },
+      { name: "health_facility", label: "Dispensary / clinic", keywords: ["dispensary", "clinic", "hospital", "medicine", "doctor"] },
+      { name: "disease_outbreak", label: "Disease outbreak", keywords: ["epidemic", "outbreak", "cholera", "typhoid", "diarrhoea", "disease"] },
+    ],
+  },
+]
+
+// ─── URGENCY KEYWORD DICTIONARIES ─────────────────────────────────────────────
+// How long an issue has lasted ("for 3 weeks") and schools/hospitals near a
+// hazard are detected by urgencyService.js, not by words here.
+
+const HIGH_URGENCY_WORDS = [
+  "danger", "dangerous", "urgent", "emergency", "hazard", "hazardous",
+  "accident", "injury", "hurt", "blood", "fire", "burning", "flooding",
+  "collapse", "fallen", "sparking", "electrocution", "gas leak", "toxic",
+  "death", "critical", "immediately", "asap", "severe", "extreme",
+  "no water for days", "ambulance", "child hurt", "kids danger"
+]
+
+const MEDIUM_URGENCY_WORDS = [
+  "problem", "issue", "blocked", "clogged", "overflowing", "damaged",
+  "broken", "missing", "not working", "dirty", "smelly", "pest", "rats",
+  "dark", "unsafe", "repeated", "again", "still", "ongoing", "nobody",
+  "no one", "ignored", "not resolved", "inconvenient"
+]
+
+// ─── CIVIC VALIDATION KEYWORDS ─────────────────────────────────────────────────
+// A post must match at least one of these to be considered a civic complaint.
+// This prevents Reddit memes, news articles, etc. from being imported.
+
+const CIVIC_KEYWORDS = [
+  "pothole", "road", "street", "water", "garbage", "trash", "light",
+  "electricity", "sewer", "drain", "park", "signal", "parking", "tree",
+  "pipe", "leak", "flood", "smell", "waste", "repair", "broken", "fix",
+  "complaint", "paani", "bijli", "sadak", "kachra", "nali", "safai",
+  "government", "authority", "mcd", "dda", "bses", "pwdurban", "municipal"
+]
+
+const DEFAULT_CLASSIFIER_RULES = {
+  departments: DEPARTMENT_RULES,
+  highUrgencyWords: HIGH_URGENCY_WORDS,
+  mediumUrgencyWords: MEDIUM_URGENCY_WORDS,
+  civicKeywords: CIVIC_KEYWORDS,
+}
+
+module.exports = { DEFAULT_CLASSIFIER_RULES }
@@ -0,0 +1,165 @@
+// src/data/delhiGazetteer.js
+// Bundled gazetteer of Delhi places — the offline, first-tier geocoder
+//
+// Every locality extractLocation() knows, plus Dwarka / Rohini sectors,
+// the districts and the landmarks in delhiLandmarks.js, so a complaint gets
+// a real pin without asking Nominatim (or when Nominatim can't be reached).
+//
+// Structure: { name, district, lat, lng, kind?, aliases?, extentKm? }
+//   kind     — "locality" (default), "sector", "landmark" or "district"
+//   aliases  — other names people use ("RK Puram", "Rajiv Chowk")
+//   extentKm — half the width of the place's bounding box; defaults by kind
+//              (see DEFAULT_EXTENT_KM) for the places where it doesn't matter
+//
+// Centroids are approximate (a few hundred metres) — good enough for routing,
+// duplicate detection and the map, not for surveying.
+
+const { DELHI_LANDMARKS } = require("./delhiLandmarks")
+
+// Half the side of the bounding box, in km, when an entry doesn't give one
+const DEFAULT_EXTENT_KM = {
+  landmark: 0.3,
+  sector: 0.6,
+  locality: 1.2,
+  district: 8,
+}
+
+const DELHI_GAZETTEER = [
+
+  // ─── CENTRAL DELHI ──────────────────────────────────────────────────────────
+  { name: "Connaught Place", district: "Central Delhi", lat: 28.6315, lng: 77.2167, aliases: ["CP", "Rajiv Chowk"] },
+  { name: "Karol Bagh", district: "Central Delhi", lat: 28.6519, lng: 77.1909 },
+  { name: "Paharganj", district: "Central Delhi", lat: 28.6448, lng: 77.2129 },
+  { name: "Daryaganj", district: "Central Delhi", lat: 28.6425, lng: 77.2410 },
+  { name: "Chandni Chowk", district: "Central Delhi", lat: 28.6506, lng: 77.2303 },
+  { name: "Lal Kuan", district: "Central Delhi", lat: 28.6519, lng: 77.2269, extentKm: 0.5 },
+  { name: "Kashmere Gate", district: "Central Delhi", lat: 28.6676, lng: 77.2281, aliases: ["Kashmiri Gate"] },
+  { name: "Civil Lines", district: "North Delhi", lat: 28.6806, lng: 77.2226 },
+  { name: "Tis Hazari", district: "Central Delhi", lat: 28.6667, lng: 77.2167, extentKm: 0.6 },
+  { name: "Mori Gate", district: "Central Delhi", lat: 28.6657, lng: 77.2252, extentKm: 0.5 },
+  { name: "Rajendra Nagar", district: "Central Delhi", lat: 28.6394, lng: 77.1866 },
+  { name: "Patel Nagar", district: "Central Delhi", lat: 28.6518, lng: 77.1700 },
+  { name: "Sadar Bazar", district: "Central Delhi", lat: 28.6585, lng: 77.2105 },
+
+  // ─── SOUTH DELHI ────────────────────────────────────────────────────────────
+  { name: "Hauz Khas", district: "South Delhi", lat: 28.5494, lng: 77.2001 },
+  { name: "Green Park", district: "South Delhi", lat: 28.5597, lng: 77.2069 },
+  { name: "South Extension", district: "South Delhi", lat: 28.5684, lng: 77.2204, aliases: ["South Ex"] },
+  { name: "Lajpat Nagar", district: "South Delhi", lat: 28.5677, lng: 77.2433 },
+  { name: "Defence Colony", district: "South Delhi", lat: 28.5740, lng: 77.2315 },
+  { name: "Greater Kailash", district: "South Delhi", lat: 28.5482, lng: 77.2380, extentKm: 1.5, aliases: ["GK"] },
+  { name: "Malviya Nagar", district: "South Delhi", lat: 28.5335, lng: 77.2090 },
+  { name: "Saket", district: "South Delhi", lat: 28.5245, lng: 77.2066 },
+  { name: "Mehrauli", district: "South Delhi", lat: 28.5183, lng: 77.1795 },
+  { name: "Vasant Kunj", district: "South Delhi", lat: 28.5293, lng: 77.1539, extentKm: 2 },
+  { name: "Vasant Vihar", district: "South Delhi", lat: 28.5603, lng: 77.1610 },
+  { name: "R K Puram", district: "South Delhi", lat: 28.5660, lng: 77.1767, aliases: ["RK Puram", "Rama Krishna Puram"] },
+  { name: "Munirka", district: "South Delhi", lat: 28.5571, lng: 77.1740, extentKm: 0.7 },
+  { name: "Safdarjung", district: "South Delhi", lat: 28.5640, lng: 77.1950, aliases: ["Safdarjung Enclave"] },
+  { name: "Andrews Ganj", district: "South Delhi", lat: 28.5650, lng: 77.2260, extentKm: 0.6 },
+  { name: "INA Market", district: "South Delhi", lat: 28.5753, lng: 77.2090, extentKm: 0.5, aliases: ["INA"] },
+  { name: "Kalkaji", district: "South Delhi", lat: 28.5398, lng: 77.2590 },
+  { name: "Nehru Place", district: "South East Delhi", lat: 28.5484, lng: 77.2513, extentKm: 0.5 },
+  { name: "Okhla", district: "South Delhi", lat: 28.5355, lng: 77.2780, extentKm: 2 },
+  { name: "Sangam Vihar", district: "South Delhi", lat: 28.5000, lng: 77.2400, extentKm: 1.5 },
+  { name: "Chhatarpur", district: "South Delhi", lat: 28.4970, lng: 77.1840 },
+  { name: "Badarpur", district: "South Delhi", lat: 28.5030, lng: 77.3020 },
+
+  // ─── WEST DELHI ─────────────────────────────────────────────────────────────
+  { name: "Janakpuri", district: "West Delhi", lat: 28.6219, lng: 77.0878, extentKm: 1.5 },
+  { name: "Vikaspuri", district: "West Delhi", lat: 28.6385, lng: 77.0726 },
+  { name: "Uttam Nagar", district: "West Delhi", lat: 28.6219, lng: 77.0552 },
+  { name: "Tilak Nagar", district: "West Delhi", lat: 28.6396, lng: 77.0966 },
+  { name: "Rajouri Garden", district: "West Delhi", lat: 28.6492, lng: 77.1220 },
+  { name: "Mayapuri", district: "West Delhi", lat: 28.6375, lng: 77.1290 },
+  { name: "Punjabi Bagh", district: "West Delhi", lat: 28.6683, lng: 77.1310 },
+  { name: "Paschim Vihar", district: "West Delhi", lat: 28.6692, lng: 77.1010 },
+  { name: "Subhash Nagar", district: "West Delhi", lat: 28.6404, lng: 77.1087, extentKm: 0.8 },
+  { name: "Kirti Nagar", district: "West Delhi", lat: 28.6552, lng: 77.1420 },
+  { name: "Naraina", district: "West Delhi", lat: 28.6310, lng: 77.1420 },
+
+  // ─── SOUTH WEST DELHI ───────────────────────────────────────────────────────
+  { name: "Dwarka", district: "South West Delhi", lat: 28.5921, lng: 77.0460, extentKm: 4 },
+  { name: "Dwarka Sector 1", district: "South West Delhi", lat: 28.6000, lng: 77.0820, kind: "sector" },
+  { name: "Dwarka Sector 3", district: "South West Delhi", lat: 28.6045, lng: 77.0485, kind: "sector" },
+  { name: "Dwarka Sector 6", district: "South West Delhi", lat: 28.5895, lng: 77.0690, kind: "sector" },
+  { name: "Dwarka Sector 7", district: "South West Delhi", lat: 28.5820, lng: 77.0720, kind: "sector" },
+  { name: "Dwarka Sector 8", district: "South West Delhi", lat: 28.5670, lng: 77.0690, kind: "sector" },
+  { name: "Dwarka Sector 9", district: "South West Delhi", lat: 28.5746, lng: 77.0649, kind: "sector" },
+  { name: "Dwarka Sector 10", district: "South West Delhi", lat: 28.5811, lng: 77.0578, kind: "sector" },
+  { name: "Dwarka Sector 11", district: "South West Delhi", lat: 28.5866, lng: 77.0494, kind: "sector" },
+  { name: "Dwarka Sector 12", district: "South West Delhi", lat: 28.5922, lng: 77.0406, kind: "sector" },
+  { name: "Dwarka Sector 13", district: "South West Delhi", lat: 28.5970, lng: 77.0330, kind: "sector" },
+  { name: "Dwarka Sector 14", district: "South West Delhi", lat: 28.6024, lng: 77.0258, kind: "sector" },
+  { name: "Dwarka Sector 19", district: "South West Delhi", lat: 28.5780, lng: 77.0350, kind: "sector" },
+  { name: "Dwarka Sector 21", district: "South West Delhi", lat: 28.5523, lng: 77.0584, kind: "sector" },
+  { name: "Dwarka Sector 23", district: "South West Delhi", lat: 28.5570, lng: 77.0440, kind: "sector" },
+  { name: "Najafgarh", district: "South West Delhi", lat: 28.6090, lng: 76.9790, extentKm: 2 },
+  { name: "Palam", district: "South West Delhi", lat: 28.5890, lng: 77.0850 },
+
+  // ─── NORTH DELHI ────────────────────────────────────────────────────────────
+  { name: "Model Town", district: "North West Delhi", lat: 28.7158, lng: 77.1910 },
+  { name: "Pitampura", district: "North West Delhi", lat: 28.7034, lng: 77.1320, extentKm: 1.5 },
+  { name: "Rohini", district: "North West Delhi", lat: 28.7383, lng: 77.0822, extentKm: 4 },
+  { name: "Rohini Sector 3", district: "North West Delhi", lat: 28.7050, lng: 77.1010, kind: "sector" },
+  { name: "Rohini Sector 7", district: "North West Delhi", lat: 28.7120, lng: 77.1130, kind: "sector" },
+  { name: "Rohini Sector 9", district: "North West Delhi", lat: 28.7180, lng: 77.1150, kind: "sector" },
+  { name: "Rohini Sector 11", district: "North West Delhi", lat: 28.7330, lng: 77.1150, kind: "sector" },
+  { name: "Rohini Sector 16", district: "North West Delhi", lat: 28.7360, lng: 77.1270, kind: "sector" },
+  { name: "Rohini Sector 24", district: "North West Delhi", lat: 28.7250, lng: 77.0730, kind: "sector" },
+  { name: "Shalimar Bagh", district: "North West Delhi", lat: 28.7165, lng: 77.1640 },
+  { name: "Ashok Vihar", district: "North West Delhi", lat: 28.6950, lng: 77.1780 },
+  { name: "Wazirpur", district: "North West Delhi", lat: 28.6990, lng: 77.1650 },
+  { name: "Shakurpur", district: "North West Delhi", lat: 28.6840, lng: 77.1500, extentKm: 0.8 },
+  { name: "Lawrence Road", district: "North West Delhi", lat: 28.6880, lng: 77.1600, extentKm: 0.8 },
+  { name: "Rani Bagh", district: "North West Delhi", lat: 28.6920, lng: 77.1330, extentKm: 0.8 },
+  { name: "Jahangirpuri", district: "North West Delhi", lat: 28.7260, lng: 77.1620 },
+  { name: "Mukherjee Nagar", district: "North Delhi", lat: 28.7100, lng: 77.2100 },
+  { name: "Kamla Nagar", district: "North Delhi", lat: 28.6815, lng: 77.2050, extentKm: 0.8 },
+  { name: "Burari", district: "North Delhi", lat: 28.7530, lng: 77.2000, extentKm: 2 },
+  { name: "Narela", district: "North Delhi", lat: 28.8527, lng: 77.0929, extentKm: 2.5 },
+
+  // ─── EAST DELHI ─────────────────────────────────────────────────────────────
+  { name: "Laxmi Nagar", district: "East Delhi", lat: 28.6304, lng: 77.2777 },
+  { name: "Preet Vihar", district: "East Delhi", lat: 28.6415, lng: 77.2950 },
+  { name: "Mayur Vihar", district: "East Delhi", lat: 28.6077, lng: 77.2950, extentKm: 2 },
+  { name: "Patparganj", district: "East Delhi", lat: 28.6230, lng: 77.3020 },
+  { name: "Kondli", district: "East Delhi", lat: 28.6120, lng: 77.3250 },
+  { name: "Geeta Colony", district: "East Delhi", lat: 28.6530, lng: 77.2740 },
+  { name: "Shahdara", district: "Shahdara", lat: 28.6730, lng: 77.2890 },
+  { name: "Dilshad Garden", district: "Shahdara", lat: 28.6810, lng: 77.3190 },
+  { name: "Vivek Vihar", district: "Shahdara", lat: 28.6720, lng: 77.3150 },
+
+  // ─── NORTH EAST DELHI ───────────────────────────────────────────────────────
+  { name: "Yamuna Vihar", district: "North East Delhi", lat: 28.6980, lng: 77.2730 },
+  { name: "Bhajanpura", district: "North East Delhi", lat: 28.7030, lng: 77.2650 },
+  { name: "Mustafabad", district: "North East Delhi", lat: 28.7160, lng: 77.2800 },
+  { name: "Seelampur", district: "North East Delhi", lat: 28.6680, lng: 77.2720 },
+
+  // ─── NEW DELHI ──────────────────────────────────────────────────────────────
+  { name: "Sarojini Nagar", district: "New Delhi", lat: 28.5770, lng: 77.1970 },
+  { name: "Moti Bagh", district: "New Delhi", lat: 28.5800, lng: 77.1750 },
+  { name: "Chanakyapuri", district: "New Delhi", lat: 28.5950, lng: 77.1850, extentKm: 1.5 },
+  { name: "Diplomatic Enclave", district: "New Delhi", lat: 28.5970, lng: 77.1880 },
+  { name: "Delhi Cantonment", district: "New Delhi", lat: 28.5960, lng: 77.1350, extentKm: 3, aliases: ["Delhi Cantt", "Delhi Cant"] },
+  { name: "Jangpura", district: "South East Delhi", lat: 28.5820, lng: 77.2420 },
+  { name: "Nizamuddin", district: "South East Delhi", lat: 28.5900, lng: 77.2480, aliases: ["Nizamuddin East", "Nizamuddin West"] },
+
+  // ─── DISTRICTS ──────────────────────────────────────────────────────────────
+  { name: "Central Delhi", district: "Central Delhi", lat: 28.6500, lng: 77.2200, kind: "district", extentKm: 4 },
+  { name: "North Delhi", district: "North Delhi", lat: 28.7200, lng: 77.2000, kind: "district" },
+  { name: "South Delhi", district: "South Delhi", lat: 28.5200, lng: 77.2100, kind: "district" },
+  { name: "East Delhi", district: "East Delhi", lat: 28.6300, lng: 77.2950, kind: "district", extentKm: 5 },
+  { name: "West Delhi", district: "West Delhi", lat: 28.6500, lng: 77.0900, kind: "district" },
+  { name: "New Delhi", district: "New Delhi", lat: 28.6000, lng: 77.2000, kind: "district", extentKm: 5 },
+]
+
+// Landmarks are listed in delhiLandmarks.js; here they take the district of
+// the locality they're in
+const districtOf = Object.fromEntries(DELHI_GAZETTEER.map(entry => [entry.name, entry.district]))
+
+for (const { name, locality, lat, lng, aliases, extentKm } of DELHI_LANDMARKS) {
+  DELHI_GAZETTEER.push({ name, district: districtOf[locality], lat, lng, kind: "landmark", aliases, extentKm })
+}
+
+module.exports = { DELHI_GAZETTEER, DEFAULT_EXTENT_KM }
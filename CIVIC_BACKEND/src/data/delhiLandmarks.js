@@ -0,0 +1,124 @@
+// src/data/delhiLandmarks.js
+// Delhi landmarks people give locations by — "near Rajiv Chowk metro gate 5",
+// "opposite Select Citywalk", "outside AIIMS"
+//
+// Structure: { name, category, locality, lat, lng, aliases?, extentKm? }
+//   category — one of LANDMARK_CATEGORIES
+//   locality — the gazetteer locality the landmark is in; complaints near it
+//              are routed there (landmarkService.js checks it exists)
+//   aliases  — other names people use ("AIIMS" for the full name)
+//   extentKm — as in delhiGazetteer.js; every landmark is also a gazetteer
+//              entry (kind "landmark") so geocodeLocation() finds it too
+//
+// Metro stations are written with metro() so "Rajiv Chowk Metro Station",
+// "Rajiv Chowk Metro" and "Rajiv Chowk Station" all match, but a bare
+// "Rajiv Chowk" stays the locality. Coordinates are approximate, like the
+// gazetteer's.
+
+const LANDMARK_CATEGORIES = ["metro", "hospital", "mall", "market", "monument", "park", "venue", "transport"]
+
+function metro(station, locality, lat, lng) {
+  return {
+    name: `${station} Metro Station`,
+    category: "metro",
+    locality,
+    lat,
+    lng,
+    aliases: [`${station} Metro`, `${station} Station`],
+  }
+}
+
+const DELHI_LANDMARKS = [
+
+  // ─── METRO STATIONS ─────────────────────────────────────────────────────────
+  metro("Rajiv Chowk", "Connaught Place", 28.6328, 77.2197),
+  metro("Barakhamba Road", "Connaught Place", 28.6298, 77.2244),
+  metro("Chandni Chowk", "Chandni Chowk", 28.6579, 77.2300),
+  metro("Kashmere Gate", "Kashmere Gate", 28.6675, 77.2282),
+  metro("Karol Bagh", "Karol Bagh", 28.6440, 77.1885),
+  metro("Central Secretariat", "New Delhi", 28.6150, 77.2119),
+  metro("Vishwavidyalaya", "Kamla Nagar", 28.6950, 77.2148),
+  metro("Model Town", "Model Town", 28.7030, 77.1936),
+  metro("INA", "INA Market", 28.5753, 77.2094),
+  metro("AIIMS", "Safdarjung", 28.5687, 77.2079),
+  metro("Green Park", "Green Park", 28.5597, 77.2066),
+  metro("Hauz Khas", "Hauz Khas", 28.5434, 77.2067),
+  metro("Malviya Nagar", "Malviya Nagar", 28.5283, 77.2057),
+  metro("Saket", "Saket", 28.5206, 77.2014),
+  metro("Qutub Minar", "Mehrauli", 28.5130, 77.1863),
+  metro("Chhatarpur", "Chhatarpur", 28.5068, 77.1751),
+  metro("Lajpat Nagar", "Lajpat Nagar", 28.5707, 77.2365),
+  metro("Nehru Place", "Nehru Place", 28.5513, 77.2519),
+  metro("Kalkaji Mandir", "Kalkaji", 28.5500, 77.2584),
+  metro("Munirka", "Munirka", 28.5579, 77.1740),
+  metro("R K Puram", "R K Puram", 28.5634, 77.1810),
+  metro("Vasant Vihar", "Vasant Vihar", 28.5580, 77.1625),
+  metro("Rajouri Garden", "Rajouri Garden", 28.6492, 77.1230),
+  metro("Tilak Nagar", "Tilak Nagar", 28.6364, 77.0965),
+  metro("Janakpuri East", "Janakpuri", 28.6330, 77.0866),
+  metro("Janakpuri West", "Janakpuri", 28.6296, 77.0779),
+  metro("Uttam Nagar East", "Uttam Nagar", 28.6250, 77.0652),
+  metro("Dwarka Sector 10", "Dwarka Sector 10", 28.5811, 77.0574),
+  metro("Dwarka Sector 21", "Dwarka", 28.5523, 77.0583),
+  metro("Pitampura", "Pitampura", 28.7032, 77.1323),
+  metro("Rohini West", "Rohini", 28.7148, 77.1155),
+  metro("Laxmi Nagar", "Laxmi Nagar", 28.6305, 77.2772),
+  metro("Preet Vihar", "Preet Vihar", 28.6417, 77.2954),
+  metro("Mayur Vihar Phase 1", "Mayur Vihar", 28.6044, 77.2893),
+  metro("Welcome", "Seelampur", 28.6718, 77.2778),
+  metro("Shahdara", "Shahdara", 28.6735, 77.2896),
+  metro("Dilshad Garden", "Dilshad Garden", 28.6759, 77.3213),
+
+  // ─── HOSPITALS ──────────────────────────────────────────────────────────────
+  { name: "AIIMS", category: "hospital", locality: "Safdarjung", lat: 28.5672, lng: 77.2100, aliases: ["All India Institute of Medical Sciences", "AIIMS Hospital"] },
+  { name: "Safdarjung Hospital", category: "hospital", locality: "Safdarjung", lat: 28.5681, lng: 77.2058 },
+  { name: "Ram Manohar Lohia Hospital", category: "hospital", locality: "New Delhi", lat: 28.6262, lng: 77.2010, aliases: ["RML Hospital", "RML"] },
+  { name: "Lok Nayak Hospital", category: "hospital", locality: "Daryaganj", lat: 28.6389, lng: 77.2386, aliases: ["LNJP Hospital", "LNJP"] },
+  { name: "Sir Ganga Ram Hospital", category: "hospital", locality: "Rajendra Nagar", lat: 28.6385, lng: 77.1895, aliases: ["Ganga Ram Hospital"] },
+  { name: "Guru Teg Bahadur Hospital", category: "hospital", locality: "Dilshad Garden", lat: 28.6838, lng: 77.3101, aliases: ["GTB Hospital"] },
+  { name: "Deen Dayal Upadhyay Hospital", category: "hospital", locality: "Subhash Nagar", lat: 28.6276, lng: 77.1150, aliases: ["DDU Hospital"] },
+  { name: "Max Hospital Saket", category: "hospital", locality: "Saket", lat: 28.5275, lng: 77.2115, aliases: ["Max Saket"] },
+  { name: "Apollo Hospital", category: "hospital", locality: "Okhla", lat: 28.5408, lng: 77.2830, aliases: ["Indraprastha Apollo"] },
+
+  // ─── MALLS ──────────────────────────────────────────────────────────────────
+  { name: "Select Citywalk", category: "mall", locality: "Saket", lat: 28.5286, lng: 77.2190, aliases: ["Select City Walk"] },
+  { name: "DLF Promenade", category: "mall", locality: "Vasant Kunj", lat: 28.5420, lng: 77.1562, aliases: ["Promenade Mall"] },
+  { name: "Ambience Mall", category: "mall", locality: "Vasant Kunj", lat: 28.5410, lng: 77.1545 },
+  { name: "Pacific Mall", category: "mall", locality: "Subhash Nagar", lat: 28.6435, lng: 77.1070 },
+  { name: "City Square Mall", category: "mall", locality: "Rajouri Garden", lat: 28.6478, lng: 77.1190 },
+  { name: "Vegas Mall", category: "mall", locality: "Dwarka Sector 14", lat: 28.6030, lng: 77.0290 },
+  { name: "V3S Mall", category: "mall", locality: "Laxmi Nagar", lat: 28.6337, lng: 77.2822 },
+
+  // ─── MARKETS ────────────────────────────────────────────────────────────────
+  { name: "Khan Market", category: "market", locality: "New Delhi", lat: 28.6003, lng: 77.2270 },
+  { name: "Sarojini Nagar Market", category: "market", locality: "Sarojini Nagar", lat: 28.5762, lng: 77.1968 },
+  { name: "Lajpat Nagar Central Market", category: "market", locality: "Lajpat Nagar", lat: 28.5696, lng: 77.2418, aliases: ["Lajpat Nagar Market"] },
+  { name: "Ghaffar Market", category: "market", locality: "Karol Bagh", lat: 28.6506, lng: 77.1897 },
+  { name: "Palika Bazaar", category: "market", locality: "Connaught Place", lat: 28.6316, lng: 77.2186 },
+  { name: "Khari Baoli", category: "market", locality: "Chandni Chowk", lat: 28.6582, lng: 77.2210 },
+  { name: "Kamla Nagar Market", category: "market", locality: "Kamla Nagar", lat: 28.6817, lng: 77.2043 },
+  { name: "Dilli Haat", category: "market", locality: "INA Market", lat: 28.5733, lng: 77.2075, aliases: ["Dilli Haat INA"] },
+  { name: "Janakpuri District Centre", category: "market", locality: "Janakpuri", lat: 28.6300, lng: 77.0810, aliases: ["District Centre Janakpuri"] },
+
+  // ─── MONUMENTS & PARKS ──────────────────────────────────────────────────────
+  { name: "India Gate", category: "monument", locality: "New Delhi", lat: 28.6129, lng: 77.2295, extentKm: 0.5 },
+  { name: "Rashtrapati Bhavan", category: "monument", locality: "New Delhi", lat: 28.6143, lng: 77.1994, extentKm: 0.5 },
+  { name: "Red Fort", category: "monument", locality: "Chandni Chowk", lat: 28.6562, lng: 77.2410, extentKm: 0.5, aliases: ["Lal Qila"] },
+  { name: "Jama Masjid", category: "monument", locality: "Chandni Chowk", lat: 28.6507, lng: 77.2334 },
+  { name: "Raj Ghat", category: "monument", locality: "Daryaganj", lat: 28.6406, lng: 77.2495, aliases: ["Rajghat"] },
+  { name: "Qutub Minar", category: "monument", locality: "Mehrauli", lat: 28.5245, lng: 77.1855, aliases: ["Qutab Minar"] },
+  { name: "Lotus Temple", category: "monument", locality: "Kalkaji", lat: 28.5535, lng: 77.2588 },
+  { name: "Akshardham", category: "monument", locality: "Mayur Vihar", lat: 28.6127, lng: 77.2773, extentKm: 0.5 },
+  { name: "Humayun's Tomb", category: "monument", locality: "Nizamuddin", lat: 28.5933, lng: 77.2507, aliases: ["Humayun Tomb"] },
+  { name: "Lodhi Garden", category: "park", locality: "New Delhi", lat: 28.5933, lng: 77.2197, extentKm: 0.5, aliases: ["Lodi Garden", "Lodhi Gardens"] },
+
+  // ─── VENUES & TRANSPORT ─────────────────────────────────────────────────────
+  { name: "Pragati Maidan", category: "venue", locality: "New Delhi", lat: 28.6186, lng: 77.2455, extentKm: 0.5 },
+  { name: "Jawaharlal Nehru Stadium", category: "venue", locality: "Jangpura", lat: 28.5828, lng: 77.2344, aliases: ["JLN Stadium"] },
+  { name: "New Delhi Railway Station", category: "transport", locality: "Paharganj", lat: 28.6430, lng: 77.2194, aliases: ["NDLS"] },
+  { name: "Hazrat Nizamuddin Railway Station", category: "transport", locality: "Nizamuddin", lat: 28.5880, lng: 77.2530 },
+  { name: "ISBT Kashmere Gate", category: "transport", locality: "Kashmere Gate", lat: 28.6675, lng: 77.2285, aliases: ["ISBT Kashmiri Gate"] },
+  { name: "IGI Airport", category: "transport", locality: "Palam", lat: 28.5562, lng: 77.1000, extentKm: 2, aliases: ["Delhi Airport", "Indira Gandhi International Airport"] },
+]
+
+module.exports = { DELHI_LANDMARKS, LANDMARK_CATEGORIES }
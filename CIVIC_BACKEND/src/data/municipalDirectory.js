@@ -1,13 +1,109 @@
 // src/data/municipalDirectory.js
-// Static directory of Delhi municipal contacts by locality
+// Static directory of Delhi municipal contacts by zone and by locality
 //
 // In production, this would be a database table that admins can update.
 // For now it's a hardcoded map covering major Delhi zones.
 //
-// Structure: locality name → { district, body, email, phone }
+// Complaints are routed by ward (wardService.js finds the ward from the
+// complaint's coordinates) → ZONE_DIRECTORY. Complaints without a ward (no
+// real coordinates, or outside every ward) fall back to matching the
+// locality name against MUNICIPAL_DIRECTORY.
+//
+// Structure: zone / locality name → { district, body, email, phone }
 // NOTE: Emails shown here are illustrative examples.
 // Real MCD zone emails should be verified from mcd.gov.in
 
+// ─── ZONES ────────────────────────────────────────────────────────────────────
+// Keyed by the zone names used in the ward boundaries (delhiWards.geojson).
+// The district comes from the ward.
+const ZONE_DIRECTORY = {
+  "NDMC Zone": {
+    municipalBody: "NDMC (New Delhi Municipal Council)",
+    email: "complaints@ndmc.gov.in",
+    phone: "+91-11-23746000",
+    pwdContact: "pwd_central@delhi.gov.in",
+    waterContact: "djb.central@delhijalboard.in",
+  },
+  "Delhi Cantonment": {
+    municipalBody: "Delhi Cantonment Board",
+    email: "complaints@cbdelhi.gov.in",
+    phone: "+91-11-25693466",
+    pwdContact: null,
+    waterContact: "djb.southwest@delhijalboard.in",
+  },
+  "City SP Zone": {
+    municipalBody: "MCD Central Zone",
+    email: "mcd.central@mcdonline.gov.in",
+    phone: "+91-11-23926060",
+    pwdContact: "pwd_central@delhi.gov.in",
+    waterContact: "djb.central@delhijalboard.in",
+  },
+  "Karol Bagh Zone": {
+    municipalBody: "MCD Central Zone",
+    email: "karolbagh.mcd@mcdonline.gov.in",
+    phone: "+91-11-23581400",
+    pwdContact: "pwd_central@delhi.gov.in",
+    waterContact: "djb.central@delhijalboard.in",
+  },
+  "Civil Lines Zone": {
+    municipalBody: "MCD North Zone",
+    email: "mcd.north@mcdonline.gov.in",
+    phone: "+91-11-23960107",
+    pwdContact: "pwd_north@delhi.gov.in",
+    waterContact: "djb.north@delhijalboard.in",
+  },
+  "North Zone": {
+    municipalBody: "MCD North Zone",
+    email: "mcd.north@mcdonline.gov.in",
+    phone: "+91-11-23960107",
+    pwdContact: "pwd_north@delhi.gov.in",
+    waterContact: "djb.north@delhijalboard.in",
+  },
+  "Rohini Zone": {
+    municipalBody: "MCD Rohini Zone",
+    email: "mcd.rohini@mcdonline.gov.in",
+    phone: "+91-11-27044200",
+    pwdContact: "pwd_northwest@delhi.gov.in",
+    waterContact: "djb.northwest@delhijalboard.in",
+  },
+  "West Zone": {
+    municipalBody: "MCD West Zone",
+    email: "mcd.west@mcdonline.gov.in",
+    phone: "+91-11-25524000",
+    pwdContact: "pwd_west@delhi.gov.in",
+    waterContact: "djb.west@delhijalboard.in",
+  },
+  "Dwarka Zone": {
+    municipalBody: "MCD South West Zone",
+    email: "dwarka.mcd@mcdonline.gov.in",
+    phone: "+91-11-25088400",
+    pwdContact: "pwd_southwest@delhi.gov.in",
+    waterContact: "djb.southwest@delhijalboard.in",
+  },
+  "South Zone": {
+    municipalBody: "MCD South Zone",
+    email: "mcd.south@mcdonline.gov.in",
+    phone: "+91-11-26260101",
+    pwdContact: "pwd_south@delhi.gov.in",
+    waterContact: "djb.south@delhijalboard.in",
+  },
+  "Shahdara South Zone": {
+    municipalBody: "MCD Shahdara South Zone",
+    email: "mcd.shahdarasouth@mcdonline.gov.in",
+    phone: "+91-11-22044700",
+    pwdContact: "pwd_east@delhi.gov.in",
+    waterContact: "djb.east@delhijalboard.in",
+  },
+  "Shahdara North Zone": {
+    municipalBody: "MCD Shahdara North Zone",
+    email: "mcd.shahdaranorth@mcdonline.gov.in",
+    phone: "+91-11-22813377",
+    pwdContact: "pwd_east@delhi.gov.in",
+    waterContact: "djb.east@delhijalboard.in",
+  },
+}
+
+// ─── LOCALITIES ───────────────────────────────────────────────────────────────
 const MUNICIPAL_DIRECTORY = {
 
   // ─── CENTRAL DELHI ──────────────────────────────────────────────────────────
@@ -258,15 +354,66 @@ const DEFAULT_CONTACT = {
   waterContact: "customercare@delhijalboard.in",
 }
 
+// ─── ESCALATION LADDER ────────────────────────────────────────────────────────
+// Used by the SLA checker when a complaint misses a deadline.
+// Level 1 is the zone office the complaint was originally sent to (above).
+// Each missed deadline escalates one level up. Emails are illustrative, like
+// the rest of this file.
+const ESCALATION_CONTACTS = {
+  MCD: [
+    { level: 2, title: "MCD Headquarters — Central Complaints Cell", email: "complaints@mcdonline.gov.in" },
+    { level: 3, title: "Commissioner, Municipal Corporation of Delhi", email: "commissioner@mcdonline.gov.in" },
+  ],
+  NDMC: [
+    { level: 2, title: "NDMC Headquarters — Public Grievance Cell", email: "grievance@ndmc.gov.in" },
+    { level: 3, title: "Chairperson, NDMC", email: "chairperson@ndmc.gov.in" },
+  ],
+  Cantonment: [
+    { level: 2, title: "Chief Executive Officer, Delhi Cantonment Board", email: "ceo@cbdelhi.gov.in" },
+    { level: 3, title: "President, Delhi Cantonment Board", email: "president@cbdelhi.gov.in" },
+  ],
+}
+
+const MAX_ESCALATION_LEVEL = 3
+
+/**
+ * Returns who to escalate to at a given level for a municipal body.
+ *
+ * @param {string} municipalBody - e.g. "MCD West Zone", "NDMC (New Delhi Municipal Council)"
+ *   or "Delhi Cantonment Board"
+ * @param {number} level - 2 or higher (capped at MAX_ESCALATION_LEVEL)
+ * @returns {{ level, title, email }}
+ */
+function getEscalationContact(municipalBody, level) {
+  const body = municipalBody?.startsWith("NDMC") ? "NDMC"
+    : municipalBody?.includes("Cantonment") ? "Cantonment"
+    : "MCD"
+  const capped = Math.min(Math.max(level, 2), MAX_ESCALATION_LEVEL)
+  return ESCALATION_CONTACTS[body].find(contact => contact.level === capped)
+}
+
 /**
- * Looks up municipal contact for a locality.
- * Tries exact match first, then partial match, then returns default.
+ * Looks up municipal contact for a complaint.
+ * Uses the ward's zone when the complaint has a ward; otherwise tries an
+ * exact locality match, then a partial match, then returns default.
  *
  * @param {string} localityName - e.g. "Janakpuri"
  * @param {string} department - e.g. "PWD" or "Jal Board" — for picking right email
- * @returns {object} Contact details
+ * @param {{ ward, zone, municipalBody, district } | null} [ward] - From wardService.findWard()
+ * @returns {object} Contact details (with ward set when routed by ward)
  */
-function getMunicipalContact(localityName, department = null) {
+function getMunicipalContact(localityName, department = null, ward = null) {
+  if (ward?.zone && ZONE_DIRECTORY[ward.zone]) {
+    const contact = {
+      district: ward.district || "Delhi",
+      ...ZONE_DIRECTORY[ward.zone],
+      zone: ward.zone,
+      ward: ward.ward,
+    }
+    contact.primaryEmail = getDepartmentEmail(contact, department)
+    return contact
+  }
+
   if (!localityName) return DEFAULT_CONTACT
 
   // Try exact match
@@ -306,4 +453,19 @@ function getDepartmentEmail(contact, department) {
   return contact.email
 }
 
-module.exports = { getMunicipalContact, MUNICIPAL_DIRECTORY }
+/**
+ * The same authority, addressed for another department (a secondary
+ * department of a multi-department complaint).
+ */
+function contactForDepartment(contact, department) {
+  return { ...contact, primaryEmail: getDepartmentEmail(contact, department) }
+}
+
+module.exports = {
+  getMunicipalContact,
+  contactForDepartment,
+  getEscalationContact,
+  ZONE_DIRECTORY,
+  MUNICIPAL_DIRECTORY,
+  MAX_ESCALATION_LEVEL,
+}
@@ -0,0 +1,60 @@
+// src/data/redditWatches.js
+// Keyword + subreddit pairs the ingestion scheduler polls automatically
+//
+// Override the defaults with REDDIT_WATCHES in .env:
+//   REDDIT_WATCHES=pothole@delhi,water leak@delhi:15,garbage@delhiNCR
+// Format: keyword@subreddit[:intervalMinutes], comma-separated.
+// Pairs without an interval use REDDIT_WATCH_INTERVAL_MINUTES (default 30).
+
+const DEFAULT_WATCHES = [
+  { keyword: "pothole", subreddit: "delhi" },
+  { keyword: "water", subreddit: "delhi" },
+  { keyword: "garbage", subreddit: "delhi" },
+  { keyword: "streetlight", subreddit: "delhi" },
+  { keyword: "waterlogging", subreddit: "delhi" },
+]
+
+/**
+ * Turns a keyword + subreddit into a stable, URL-safe watch ID.
+ * e.g. ("water leak", "delhi") → "delhi-water-leak"
+ */
+function toWatchId(keyword, subreddit) {
+  return `${subreddit}-${keyword}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+}
+
+/**
+ * Returns the configured watches with IDs and intervals filled in.
+ *
+ * @returns {Array<{ id, keyword, subreddit, intervalMinutes }>}
+ */
+function getConfiguredWatches() {
+  const defaultInterval = parseInt(process.env.REDDIT_WATCH_INTERVAL_MINUTES) || 30
+
+  let watches = DEFAULT_WATCHES
+  if (process.env.REDDIT_WATCHES) {
+    watches = process.env.REDDIT_WATCHES.split(",")
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const match = entry.match(/^(.+?)@([A-Za-z0-9_]+)(?::(\d+))?$/)
+        if (!match) {
+          console.warn(`⚠️  Ignoring malformed REDDIT_WATCHES entry: "${entry}"`)
+          return null
+        }
+        return { keyword: match[1].trim(), subreddit: match[2], intervalMinutes: parseInt(match[3]) || undefined }
+      })
+      .filter(Boolean)
+  }
+
+  return watches.map(watch => ({
+    id: toWatchId(watch.keyword, watch.subreddit),
+    keyword: watch.keyword,
+    subreddit: watch.subreddit,
+    intervalMinutes: watch.intervalMinutes || defaultInterval,
+  }))
+}
+
+module.exports = { getConfiguredWatches }
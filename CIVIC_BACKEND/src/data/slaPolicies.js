@@ -0,0 +1,150 @@
+// src/data/slaPolicies.js
+// Service Level Agreement (SLA) policies per department and issue type
+//
+// acknowledgeHours — how long the authority has to acknowledge a complaint
+// resolveDays      — how long they have to resolve it, by urgency
+// issueTypes       — tighter (or looser) policies for some issue types within
+//                    the department (names from data/classifierRules.js);
+//                    anything they leave out comes from the department policy
+//
+// Departments not listed here use DEFAULT_SLA_POLICY, which matches what the
+// authority email has always promised (24h to acknowledge, 3/7/15 days to resolve).
+//
+// To change policies without editing code, point SLA_POLICIES_FILE in .env at
+// a JSON file with the same shape, e.g.
+//   { "Electricity": { "acknowledgeHours": 6, "resolveDays": { "high": 1 },
+//                      "issueTypes": { "streetlight": { "resolveDays": { "low": 3 } } } } }
+// Anything missing from the file falls back to the values below.
+
+const fs = require("fs")
+const path = require("path")
+
+const DEFAULT_SLA_POLICY = {
+  acknowledgeHours: 24,
+  resolveDays: { high: 3, medium: 7, low: 15 },
+}
+
+const DEPARTMENT_SLA_POLICIES = {
+  // Live wires and sparking transformers can kill — tighter deadlines
+  "Electricity": {
+    acknowledgeHours: 12,
+    resolveDays: { high: 1, medium: 3, low: 7 },
+    issueTypes: {
+      live_wire: { acknowledgeHours: 4, resolveDays: { high: 1, medium: 1, low: 2 } },
+      transformer: { acknowledgeHours: 6, resolveDays: { medium: 2, low: 3 } },
+    },
+  },
+  // No water / sewage overflow affects whole colonies at once
+  "Jal Board": {
+    acknowledgeHours: 12,
+    resolveDays: { high: 2, medium: 5, low: 10 },
+    issueTypes: {
+      contaminated_water: { acknowledgeHours: 6, resolveDays: { high: 1, medium: 2, low: 5 } },
+      sewer_overflow: { resolveDays: { high: 1, medium: 3 } },
+    },
+  },
+  // Dead animals are a health risk within a day or two
+  "Sanitation": {
+    issueTypes: {
+      dead_animal: { acknowledgeHours: 12, resolveDays: { high: 1, medium: 1, low: 2 } },
+    },
+  },
+  "Health": {
+    acknowledgeHours: 24,
+    resolveDays: { high: 2, medium: 5, low: 10 },
+    issueTypes: {
+      disease_outbreak: { acknowledgeHours: 6, resolveDays: { high: 1, medium: 2, low: 3 } },
+    },
+  },
+  // Road repair needs tendering / material — longer for low priority
+  "PWD": {
+    acknowledgeHours: 24,
+    resolveDays: { high: 3, medium: 10, low: 30 },
+    issueTypes: {
+      // A damaged bridge or flyover needs an engineer's inspection first
+      bridge_damage: { acknowledgeHours: 12, resolveDays: { high: 2, medium: 15, low: 45 } },
+      pothole: { resolveDays: { medium: 7, low: 15 } },
+    },
+  },
+  "Parks": {
+    acknowledgeHours: 48,
+    resolveDays: { high: 3, medium: 10, low: 21 },
+  },
+}
+
+let overrides = null
+
+/**
+ * Loads SLA_POLICIES_FILE once. A broken file is logged and ignored —
+ * we'd rather run on the built-in policies than refuse to start.
+ */
+function loadOverrides() {
+  if (overrides) return overrides
+  overrides = {}
+
+  const file = process.env.SLA_POLICIES_FILE
+  if (!file) return overrides
+
+  try {
+    overrides = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"))
+    console.log(`⏱️  Loaded SLA policy overrides from ${file}`)
+  } catch (err) {
+    console.warn(`⚠️  Could not read SLA_POLICIES_FILE (${file}):`, err.message)
+  }
+
+  return overrides
+}
+
+/**
+ * Returns the SLA policy for a department, or an issue type within it.
+ * Layers, later ones winning: the default policy, the built-in department
+ * policy, its SLA_POLICIES_FILE override, then the same two for the issue type.
+ *
+ * @param {string} department - e.g. "PWD"
+ * @param {string} [issueType] - e.g. "bridge_damage"
+ * @returns {{ acknowledgeHours: number, resolveDays: { high, medium, low } }}
+ */
+function getSlaPolicy(department, issueType = null) {
+  const base = DEPARTMENT_SLA_POLICIES[department] || {}
+  const override = loadOverrides()[department] || {}
+  const layers = [DEFAULT_SLA_POLICY, base, override]
+  if (issueType) layers.push(base.issueTypes?.[issueType] || {}, override.issueTypes?.[issueType] || {})
+
+  const policy = { acknowledgeHours: DEFAULT_SLA_POLICY.acknowledgeHours, resolveDays: {} }
+  for (const layer of layers) {
+    policy.acknowledgeHours = layer.acknowledgeHours ?? policy.acknowledgeHours
+    policy.resolveDays = { ...policy.resolveDays, ...layer.resolveDays }
+  }
+  return policy
+}
+
+/**
+ * Returns every department's effective policy, with the issue types that have
+ * their own (for GET /api/sla/policies).
+ */
+function getAllSlaPolicies() {
+  const overrides = loadOverrides()
+  const departments = new Set([
+    ...Object.keys(DEPARTMENT_SLA_POLICIES),
+    ...Object.keys(overrides),
+  ])
+
+  const policies = { default: getSlaPolicy(null) }
+  for (const department of departments) {
+    const issueTypes = new Set([
+      ...Object.keys(DEPARTMENT_SLA_POLICIES[department]?.issueTypes || {}),
+      ...Object.keys(overrides[department]?.issueTypes || {}),
+    ])
+
+    policies[department] = getSlaPolicy(department)
+    if (issueTypes.size) {
+      policies[department].issueTypes = {}
+      for (const issueType of issueTypes) {
+        policies[department].issueTypes[issueType] = getSlaPolicy(department, issueType)
+      }
+    }
+  }
+  return policies
+}
+
+module.exports = { DEFAULT_SLA_POLICY, getSlaPolicy, getAllSlaPolicies }
@@ -0,0 +1,82 @@
+// src/geocoders/gazetteerGeocoder.js
+// Offline geocoder — looks places up in the bundled gazetteer (src/data/delhiGazetteer.js)
+//
+// No network, no rate limit, no cache needed. A place matches when its name
+// or an alias is the whole query ("Janakpuri") or appears in it as whole
+// words ("B Block, Janakpuri", "near India Gate"); the longest match wins, so
+// "Dwarka Sector 10" beats "Dwarka". Names are compared by spellingKey(), so
+// "Dvarka", "Lakshmi Nagar" and "जनकपुरी" match too.
+
+const { spellingKey } = require("../services/textNormalizer")
+const { DELHI_GAZETTEER, DEFAULT_EXTENT_KM } = require("../data/delhiGazetteer")
+
+const KM_PER_DEGREE_LAT = 111.32
+
+/**
+ * Bounding box around a centroid, in Nominatim's order: [south, north, west, east].
+ */
+function boundingBox({ lat, lng }, extentKm) {
+  const round = value => Math.round(value * 10000) / 10000
+  const dLat = extentKm / KM_PER_DEGREE_LAT
+  const dLng = extentKm / (KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180))
+  return [round(lat - dLat), round(lat + dLat), round(lng - dLng), round(lng + dLng)]
+}
+
+/**
+ * @param {Array<object>} [entries] - Gazetteer entries (default: the bundled Delhi gazetteer)
+ * @returns {{ name: string, geocode: function(string): Promise<object|null>, getStats: function(): object }}
+ */
+function createGazetteerGeocoder(entries = DELHI_GAZETTEER) {
+  // One comparison form per name and alias, longest first
+  const forms = entries
+    .flatMap(entry => {
+      const kind = entry.kind || "locality"
+      const place = {
+        lat: entry.lat,
+        lng: entry.lng,
+        displayName: `${entry.name}, ${entry.district}, Delhi, India`,
+        boundingBox: boundingBox(entry, entry.extentKm ?? DEFAULT_EXTENT_KM[kind]),
+        placeName: entry.name,
+        kind,
+      }
+      return [entry.name, ...(entry.aliases || [])].map(name => ({ key: spellingKey(name), place }))
+    })
+    .filter(form => form.key)
+    .sort((a, b) => b.key.length - a.key.length)
+
+  const exact = new Map()
+  for (const form of forms) {
+    if (!exact.has(form.key)) exact.set(form.key, form.place)
+  }
+
+  const stats = { lookups: 0, hits: 0, misses: 0 }
+
+  /**
+   * @returns {Promise<{ lat, lng, displayName, boundingBox, placeName, kind } | null>}
+   */
+  async function geocode(placeName) {
+    stats.lookups++
+    const key = spellingKey(placeName)
+
+    let place = exact.get(key)
+    if (!place && key) {
+      const padded = ` ${key} `
+      place = forms.find(form => padded.includes(` ${form.key} `))?.place
+    }
+
+    if (!place) {
+      stats.misses++
+      return null
+    }
+    stats.hits++
+    return { ...place, boundingBox: [...place.boundingBox] }
+  }
+
+  function getStats() {
+    return { places: entries.length, ...stats }
+  }
+
+  return { name: "gazetteer", geocode, getStats }
+}
+
+module.exports = { createGazetteerGeocoder }
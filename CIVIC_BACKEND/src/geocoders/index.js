@@ -0,0 +1,49 @@
+// src/geocoders/index.js
+// Picks the geocoders locationService asks, in order
+//
+// GEOCODERS in .env — comma-separated, tried left to right until one knows
+// the place:
+//   gazetteer — bundled Delhi gazetteer, offline (src/data/delhiGazetteer.js)
+//   nominatim — OpenStreetMap Nominatim, cached and rate limited
+// Default "gazetteer,nominatim". Set GEOCODERS=gazetteer to never go online.
+//
+// A geocoder is { name, geocode(placeName), getStats() }: geocode resolves
+// with { lat, lng, displayName, boundingBox } (boundingBox as Nominatim
+// gives it: [south, north, west, east]) or null when it doesn't know the
+// place, and may throw when it couldn't look. To plug in another one, write
+// a create...Geocoder() like the two below and add it to PROVIDERS.
+
+const { createGazetteerGeocoder } = require("./gazetteerGeocoder")
+const { createNominatimGeocoder } = require("./nominatimGeocoder")
+
+const PROVIDERS = {
+  gazetteer: createGazetteerGeocoder,
+  nominatim: createNominatimGeocoder,
+}
+
+const DEFAULT_GEOCODERS = "gazetteer,nominatim"
+
+let geocoders = null
+
+/**
+ * Gets the configured geocoders, creating them on first call.
+ */
+function getGeocoders() {
+  if (geocoders) return geocoders
+
+  const names = (process.env.GEOCODERS || DEFAULT_GEOCODERS)
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+
+  const unknown = names.filter(name => !PROVIDERS[name])
+  if (unknown.length) {
+    throw new Error(`Unknown GEOCODERS "${unknown.join(", ")}" — use any of: ${Object.keys(PROVIDERS).join(", ")}`)
+  }
+
+  geocoders = [...new Set(names)].map(name => PROVIDERS[name]())
+  console.log(`📍 Geocoders: ${geocoders.map(g => g.name).join(" → ") || "none"}`)
+  return geocoders
+}
+
+module.exports = { getGeocoders }
@@ -0,0 +1,76 @@
+// src/geocoders/nominatimGeocoder.js
+// Online geocoder — OpenStreetMap Nominatim, free with no API key
+//
+// Rate limit: 1 request per second — every call goes through one
+// process-wide token bucket (nominatimLimiter), so concurrent requests and
+// the batch worker queue up instead of all calling at once. Answers are
+// cached (geocodeCacheService.js), so a locality is only looked up once a month.
+
+const axios = require("axios")
+const { cachedGeocode, getGeocodeCacheStats } = require("../services/geocodeCacheService")
+const { createTokenBucket } = require("../services/tokenBucket")
+
+// Nominatim's usage policy: at most one request per second (with a margin)
+const NOMINATIM_INTERVAL_MS = 1100
+
+const nominatimLimiter = createTokenBucket({ capacity: 1, intervalMs: NOMINATIM_INTERVAL_MS })
+
+/**
+ * Asks Nominatim for a place (no cache). Waits for the shared rate limiter first.
+ *
+ * @returns {{ lat, lng, displayName, boundingBox } | null} null when Nominatim has no result
+ * @throws when the request fails (network error, timeout, 5xx)
+ */
+async function queryNominatim(placeName) {
+  // Always append "Delhi, India" to improve geocoding accuracy
+  const query = `${placeName}, Delhi, India`
+
+  const response = await nominatimLimiter.schedule(() =>
+    axios.get("https://nominatim.openstreetmap.org/search", {
+      params: {
+        q: query,
+        format: "json",
+        limit: 1,              // we only need the top result
+        countrycodes: "in",   // restrict to India
+        addressdetails: 1,    // include full address breakdown
+      },
+      headers: {
+        // Nominatim REQUIRES a descriptive User-Agent — required by their ToS
+        "User-Agent": "CivicMirrorApp/1.0 (contact@civicmirror.in)"
+      },
+      timeout: 8000, // 8 second timeout
+    })
+  )
+
+  if (!response.data || response.data.length === 0) {
+    console.warn(`📍 Geocoding failed for "${placeName}" — no results from Nominatim`)
+    return null
+  }
+
+  const result = response.data[0]
+
+  return {
+    lat: parseFloat(result.lat),
+    lng: parseFloat(result.lon),
+    displayName: result.display_name,
+    // Nominatim returns bounding box — useful for map zoom level
+    boundingBox: result.boundingbox,
+  }
+}
+
+/**
+ * @returns {{ name: string, geocode: function(string): Promise<object|null>, getStats: function(): object }}
+ */
+function createNominatimGeocoder() {
+  return {
+    name: "nominatim",
+    // Answers (including "not found") come from the geocode cache when it has them
+    geocode: placeName => cachedGeocode(placeName, queryNominatim),
+    getStats: () => ({
+      cache: getGeocodeCacheStats(),
+      rateLimit: nominatimLimiter.getStats(),
+    }),
+  }
+}
+
+module.exports = { createNominatimGeocoder }
@@ -8,7 +8,18 @@ const rateLimit = require("express-rate-limit")
 
 const redditRoutes = require("./routes/reddit")
 const complaintRoutes = require("./routes/complaint")
+const slaRoutes = require("./routes/sla")
+const ingestionRoutes = require("./routes/ingestion")
+const jobRoutes = require("./routes/jobs")
+const classifierRoutes = require("./routes/classifier")
+const geocodeRoutes = require("./routes/geocode")
+const { startSlaChecker } = require("./services/slaService")
+const { startIngestionScheduler } = require("./services/ingestionScheduler")
+const { resumeInterruptedJobs } = require("./services/jobService")
+const { loadClassifierModel } = require("./services/classifierModelService")
+const { loadClassifierRules } = require("./services/classifierRulesService")
 const { errorHandler } = require("./middleware/errorHandler")
+const { getStorage } = require("./storage")
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -18,7 +29,7 @@ const PORT = process.env.PORT || 3001
 // Allow requests from the React frontend
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:5173",
-  methods: ["GET", "POST"],
+  methods: ["GET", "POST", "PATCH", "PUT", "DELETE"],
   allowedHeaders: ["Content-Type", "Authorization"],
 }))
 
@@ -52,6 +63,21 @@ app.get("/health", (req, res) => {
 app.use("/api/reddit", redditRoutes)
 app.use("/api/complaint", complaintRoutes)
 
+// SLA deadlines, breaches and manual breach check
+app.use("/api/sla", slaRoutes)
+
+// Scheduled Reddit ingestion — watches, run history, pause/resume
+app.use("/api/ingestion", ingestionRoutes)
+
+// Background jobs (batch-process) — progress polling and cancellation
+app.use("/api/jobs", jobRoutes)
+
+// Classifier — explanations, corrections, retraining, keyword rules
+app.use("/api/classifier", classifierRoutes)
+
+// Geocoding — cache and Nominatim rate limiter stats
+app.use("/api/geocode", geocodeRoutes)
+
 // 404 handler for unknown routes
 app.use((req, res) => {
   res.status(404).json({ error: `Route ${req.method} ${req.path} not found` })
@@ -62,11 +88,34 @@ app.use(errorHandler)
 
 // ─── START SERVER ─────────────────────────────────────────────────────────────
 
+// Open the storage backend now, so a bad STORAGE_BACKEND stops the server
+// at startup instead of failing the first request
+getStorage()
+
 app.listen(PORT, () => {
   console.log(`\n🚀 Civic Mirror Backend running on port ${PORT}`)
   console.log(`   Health check: http://localhost:${PORT}/health`)
   console.log(`   Reddit API:   http://localhost:${PORT}/api/reddit/fetch?keyword=pothole`)
   console.log(`   Environment:  ${process.env.NODE_ENV || "development"}\n`)
+
+  // Classify with the stored keyword ruleset (saves the built-in one on first start)
+  loadClassifierRules()
+    .catch(err => console.error("❌ Could not load classifier rules:", err.message))
+
+  // Use the active trained department model, if there is one
+  loadClassifierModel()
+    .catch(err => console.error("❌ Could not load classifier model:", err.message))
+
+  // Periodically flag complaints that miss their SLA deadlines and escalate them
+  startSlaChecker()
+
+  // Poll the configured keyword + subreddit watches for new posts
+  startIngestionScheduler()
+    .catch(err => console.error("❌ Could not start ingestion scheduler:", err.message))
+
+  // Pick up batch jobs that were queued or mid-way when the server stopped
+  resumeInterruptedJobs()
+    .catch(err => console.error("❌ Could not resume background jobs:", err.message))
 })
 
 module.exports = app
@@ -0,0 +1,71 @@
+// src/middleware/adminAuth.js
+// Guards admin endpoints (classifier rule edits, retraining, unredacted text) with a shared key
+//
+// Set ADMIN_API_KEY in .env and send it as `Authorization: Bearer <key>`.
+// Without ADMIN_API_KEY the endpoints stay open, like every other endpoint
+// in local demos — a warning is logged once so it isn't forgotten in production.
+//
+// Endpoints that return citizens' personal data use requirePiiAccess instead,
+// which fails closed: without ADMIN_API_KEY they answer 503, never the data.
+
+const crypto = require("crypto")
+
+let warnedOpen = false
+
+/**
+ * Compares two strings in constant time (so the key can't be guessed
+ * character by character from response times).
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a)
+  const bufB = Buffer.from(b)
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+/**
+ * True if the request carries the configured admin key.
+ */
+function hasAdminKey(req, adminKey) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ")
+  return scheme === "Bearer" && !!token && safeEqual(token, adminKey)
+}
+
+/**
+ * Express middleware: 401 unless the request carries the admin key.
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY
+  if (!adminKey) {
+    if (!warnedOpen) {
+      console.warn("⚠️  ADMIN_API_KEY is not set — admin endpoints are open to anyone")
+      warnedOpen = true
+    }
+    return next()
+  }
+
+  if (!hasAdminKey(req, adminKey)) {
+    return res.status(401).json({ error: "Admin key required (Authorization: Bearer <ADMIN_API_KEY>)" })
+  }
+
+  next()
+}
+
+/**
+ * Express middleware for endpoints that return personal data (unredacted
+ * text, citizen contact details): like requireAdmin, but 503 when
+ * ADMIN_API_KEY isn't set rather than letting everyone through.
+ */
+function requirePiiAccess(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY
+  if (!adminKey) {
+    return res.status(503).json({ error: "Personal data is unavailable until ADMIN_API_KEY is configured" })
+  }
+
+  if (!hasAdminKey(req, adminKey)) {
+    return res.status(401).json({ error: "Admin key required (Authorization: Bearer <ADMIN_API_KEY>)" })
+  }
+
+  next()
+}
+
+module.exports = { requireAdmin, requirePiiAccess }
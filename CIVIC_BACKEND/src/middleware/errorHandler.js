@@ -35,7 +35,7 @@ function errorHandler(err, req, res, next) {
   if (err.message?.startsWith("Database error:")) {
     return res.status(500).json({
       error: "Database error",
-      message: "Could not save to database. Check Supabase configuration.",
+      message: "Could not save to database. Check the storage configuration (STORAGE_BACKEND).",
     })
   }
 
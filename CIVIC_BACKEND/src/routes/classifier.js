@@ -0,0 +1,432 @@
+// src/routes/classifier.js
+// Department classifier — explanations, corrections and model training
+// (services/classifierService.js, services/classifierModelService.js)
+//
+// POST /api/classifier/explain                 — Why a text gets its department/urgency
+// POST /api/classifier/feedback                — Correct a complaint's department
+// GET  /api/classifier/models                  — Trained model versions, newest first
+// POST /api/classifier/retrain                 — Train a new model version now
+// POST /api/classifier/models/:version/activate — Switch to another model version
+//
+// Keyword rules (services/classifierRulesService.js) — every edit is a new version:
+// GET    /api/classifier/rules                          — Rules in use
+// PUT    /api/classifier/rules                          — Replace the whole ruleset
+// POST   /api/classifier/rules/departments              — Add a department
+// PATCH  /api/classifier/rules/departments/:name        — Edit a department's name/keywords/issue types
+// DELETE /api/classifier/rules/departments/:name        — Remove a department
+// PATCH  /api/classifier/rules/words/:list              — Edit civic / urgency word lists
+// GET    /api/classifier/rules/versions                 — Version history
+// GET    /api/classifier/rules/versions/:version        — One version's rules
+// POST   /api/classifier/rules/versions/:version/activate — Roll back / forward
+//
+// Feedback, retraining, model activation and rule edits need the admin key
+// when ADMIN_API_KEY is set (middleware/adminAuth.js).
+
+const express = require("express")
+const {
+  recordFeedback,
+  retrainClassifier,
+  listModels,
+  activateModel,
+} = require("../services/classifierModelService")
+const {
+  classifyComplaint,
+  getDepartmentRule,
+  getDepartmentNames,
+  getActiveModelVersion,
+  getClassifierRules,
+} = require("../services/classifierService")
+const {
+  WORD_LISTS,
+  editClassifierRules,
+  listRulesets,
+  getRuleset,
+  activateRuleset,
+} = require("../services/classifierRulesService")
+const { isValidComplaintId } = require("../services/complaintIdService")
+const { requireAdmin } = require("../middleware/adminAuth")
+
+const router = express.Router()
+
+/**
+ * Shapes a classifier_models row (without its body) for API responses.
+ */
+function toModelView(model) {
+  return {
+    version: model.version,
+    algorithm: model.algorithm,
+    active: !!model.active,
+    metrics: model.metrics,
+    trainedBy: model.trained_by,
+    createdAt: model.created_at,
+  }
+}
+
+/**
+ * Shapes a classifier_rulesets row for API responses (rules only when loaded).
+ */
+function toRulesetView(ruleset) {
+  return {
+    version: ruleset.version,
+    active: !!ruleset.active,
+    basedOn: ruleset.based_on ?? null,
+    createdBy: ruleset.created_by,
+    note: ruleset.note,
+    createdAt: ruleset.created_at,
+    ...(ruleset.rules && { rules: ruleset.rules }),
+  }
+}
+
+/**
+ * Parses a positive integer version from a route param, or null.
+ */
+function parseVersion(value) {
+  const version = parseInt(value)
+  return Number.isInteger(version) && version >= 1 ? version : null
+}
+
+/**
+ * Who is editing the rules and why — both optional in the body.
+ */
+function getEditMeta(body) {
+  return {
+    actor: typeof body?.actor === "string" && body.actor.trim() ? body.actor.trim() : "admin",
+    note: typeof body?.note === "string" && body.note.trim() ? body.note.trim() : null,
+  }
+}
+
+/**
+ * Checks an optional list-of-words body field.
+ */
+function isOptionalWordArray(value) {
+  return value === undefined || (Array.isArray(value) && value.every(word => typeof word === "string"))
+}
+
+/**
+ * Sends the outcome of editClassifierRules(): the new version (200, or
+ * successStatus), 400 with validation errors, or 404.
+ */
+function sendEditResult(res, result, { notFound = null, successStatus = 200 } = {}) {
+  if (result.notFound) return res.status(404).json(notFound)
+  if (result.errors) return res.status(400).json({ error: "Invalid rules", details: result.errors })
+  res.status(successStatus).json({ success: true, ruleset: toRulesetView(result.ruleset) })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/classifier/explain
+// Classifies any text and returns the full breakdown — nothing is saved.
+// Use it to show an official why a complaint was routed where it was.
+//
+// Body: { title, body? }
+//
+// Response:
+// {
+//   success: true,
+//   department: "Jal Board", issueType: "pipe_leak", issueTypeLabel: "Leaking / burst pipe",
+//   urgency: "high", confidence: 85, method: "keywords",
+//   explanation: {
+//     civic: { score: 3, threshold: 2, passed: true, matches: [{ keyword: "pipe", count: 1, points: 1 }, ...] },
+//     departments: [{ department: "Jal Board", score: 3, matches: [...] }, ...],  // every department, best first
+//     issueTypes: [{ issueType: "pipe_leak", label: "Leaking / burst pipe", score: 2, matches: [...] }, ...],
+//     urgency: { high: { score: 2, matches: [...] }, medium: { score: 0, matches: [] } },
+//     model: { version: 2, department: "Jal Board", probability: 0.91, used: true } | null,
+//   },
+// }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/explain", (req, res) => {
+  const { title, body = "" } = req.body
+
+  if (typeof title !== "string" || !title.trim()) {
+    return res.status(400).json({ error: "title is required" })
+  }
+
+  if (typeof body !== "string") {
+    return res.status(400).json({ error: "body must be a string" })
+  }
+
+  res.json({ success: true, ...classifyComplaint(title, body) })
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/classifier/feedback
+// An official says which department a complaint really belongs to.
+// The complaint is re-routed and the label is used by the next retrain,
+// so this is admin only — an open endpoint could poison the training set.
+//
+// Body: { complaintId, department, actor, note? }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/feedback", requireAdmin, async (req, res, next) => {
+  try {
+    const { complaintId, department, actor, note } = req.body
+
+    if (!complaintId || !isValidComplaintId(complaintId)) {
+      return res.status(400).json({ error: "complaintId is required and must be a valid complaint ID" })
+    }
+
+    if (!getDepartmentRule(department)) {
+      return res.status(400).json({
+        error: "department is required and must be a known department",
+        validDepartments: getDepartmentNames(),
+      })
+    }
+
+    if (!actor || typeof actor !== "string" || !actor.trim()) {
+      return res.status(400).json({ error: "actor is required (who is making this correction)" })
+    }
+
+    if (note !== undefined && note !== null && typeof note !== "string") {
+      return res.status(400).json({ error: "note must be a string" })
+    }
+
+    const result = await recordFeedback({
+      complaintId,
+      department,
+      actor: actor.trim(),
+      note: note?.trim() || null,
+    })
+    if (!result) {
+      return res.status(404).json({ error: "Complaint not found", complaintId })
+    }
+
+    res.status(201).json({
+      success: true,
+      complaintId,
+      previousDepartment: result.feedback.previous_department,
+      department: result.complaint.department,
+      departmentFull: result.complaint.department_full,
+      feedbackId: result.feedback.id,
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.get("/models", async (req, res, next) => {
+  try {
+    const models = await listModels()
+
+    res.json({
+      success: true,
+      activeVersion: getActiveModelVersion(),
+      count: models.length,
+      models: models.map(toModelView),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// Body (optional): { trainedBy, activate } — activate defaults to true
+router.post("/retrain", requireAdmin, async (req, res, next) => {
+  try {
+    const { trainedBy, activate } = req.body || {}
+
+    if (activate !== undefined && typeof activate !== "boolean") {
+      return res.status(400).json({ error: "activate must be true or false" })
+    }
+
+    const result = await retrainClassifier({
+      trainedBy: typeof trainedBy === "string" && trainedBy.trim() ? trainedBy.trim() : "api",
+      activate: activate !== false,
+    })
+
+    if (!result.trained) {
+      return res.status(422).json({ error: result.reason })
+    }
+
+    res.status(201).json({ success: true, model: toModelView(result.model) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.post("/models/:version/activate", requireAdmin, async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version)
+    if (!version) {
+      return res.status(400).json({ error: "version must be a positive integer" })
+    }
+
+    const model = await activateModel(version)
+    if (!model) {
+      return res.status(404).json({ error: "Model version not found", version })
+    }
+
+    res.json({ success: true, model: toModelView(model) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// ─── KEYWORD RULES ────────────────────────────────────────────────────────────
+
+router.get("/rules", (req, res) => {
+  const { version, ...rules } = getClassifierRules()
+  res.json({ success: true, version, rules })
+})
+
+// Body: { rules: { departments, highUrgencyWords, mediumUrgencyWords, civicKeywords }, actor?, note? }
+router.put("/rules", requireAdmin, async (req, res, next) => {
+  try {
+    const { rules } = req.body
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      return res.status(400).json({ error: "rules is required (the whole ruleset object)" })
+    }
+
+    const result = await editClassifierRules(() => rules, getEditMeta(req.body))
+    sendEditResult(res, result)
+  } catch (err) {
+    next(err)
+  }
+})
+
+// Body: { name, fullName, keywords: [...], issueTypes?: [{ name, label, keywords }], actor?, note? }
+router.post("/rules/departments", requireAdmin, async (req, res, next) => {
+  try {
+    const { name, fullName, keywords, issueTypes } = req.body
+    if (getDepartmentRule(name)) {
+      return res.status(409).json({ error: `Department "${name}" already exists` })
+    }
+
+    const result = await editClassifierRules(
+      rules => ({ ...rules, departments: [...rules.departments, { name, fullName, keywords, issueTypes }] }),
+      getEditMeta(req.body)
+    )
+    sendEditResult(res, result, { successStatus: 201 })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// Body: { name?, fullName?, keywords?, addKeywords?, removeKeywords?, issueTypes?, actor?, note? }
+// keywords replaces the whole list; addKeywords / removeKeywords change it.
+// issueTypes replaces the department's issue types.
+router.patch("/rules/departments/:name", requireAdmin, async (req, res, next) => {
+  try {
+    const { name, fullName, keywords, addKeywords, removeKeywords, issueTypes } = req.body
+
+    if (![keywords, addKeywords, removeKeywords].every(isOptionalWordArray)) {
+      return res.status(400).json({ error: "keywords, addKeywords and removeKeywords must be arrays of strings" })
+    }
+
+    const wanted = req.params.name.trim().toLowerCase()
+    const result = await editClassifierRules(rules => {
+      const dept = rules.departments.find(d => d.name.toLowerCase() === wanted)
+      if (!dept) return null
+
+      if (name !== undefined) dept.name = name
+      if (fullName !== undefined) dept.fullName = fullName
+      if (issueTypes !== undefined) dept.issueTypes = issueTypes
+      if (keywords) dept.keywords = keywords
+      if (addKeywords) dept.keywords = [...dept.keywords, ...addKeywords]
+      if (removeKeywords) {
+        const removed = removeKeywords.map(word => word.trim().toLowerCase())
+        dept.keywords = dept.keywords.filter(word => !removed.includes(word.toLowerCase()))
+      }
+      return rules
+    }, getEditMeta(req.body))
+
+    sendEditResult(res, result, { notFound: { error: "Department not found", department: req.params.name } })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.delete("/rules/departments/:name", requireAdmin, async (req, res, next) => {
+  try {
+    const wanted = req.params.name.trim().toLowerCase()
+    const result = await editClassifierRules(rules => {
+      const departments = rules.departments.filter(d => d.name.toLowerCase() !== wanted)
+      return departments.length === rules.departments.length ? null : { ...rules, departments }
+    }, getEditMeta(req.body))
+
+    sendEditResult(res, result, { notFound: { error: "Department not found", department: req.params.name } })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// :list is civicKeywords, highUrgencyWords or mediumUrgencyWords
+// Body: { words?, add?, remove?, actor?, note? } — words replaces the list
+router.patch("/rules/words/:list", requireAdmin, async (req, res, next) => {
+  try {
+    const { list } = req.params
+    const { words, add, remove } = req.body
+
+    if (!WORD_LISTS.includes(list)) {
+      return res.status(404).json({ error: "Unknown word list", list, validLists: WORD_LISTS })
+    }
+
+    if (![words, add, remove].every(isOptionalWordArray)) {
+      return res.status(400).json({ error: "words, add and remove must be arrays of strings" })
+    }
+
+    const result = await editClassifierRules(rules => {
+      let updated = words || rules[list]
+      if (add) updated = [...updated, ...add]
+      if (remove) {
+        const removed = remove.map(word => word.trim().toLowerCase())
+        updated = updated.filter(word => !removed.includes(word.toLowerCase()))
+      }
+      return { ...rules, [list]: updated }
+    }, getEditMeta(req.body))
+
+    sendEditResult(res, result)
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.get("/rules/versions", async (req, res, next) => {
+  try {
+    const rulesets = await listRulesets()
+
+    res.json({
+      success: true,
+      activeVersion: getClassifierRules().version,
+      count: rulesets.length,
+      versions: rulesets.map(toRulesetView),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.get("/rules/versions/:version", async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version)
+    if (!version) {
+      return res.status(400).json({ error: "version must be a positive integer" })
+    }
+
+    const ruleset = await getRuleset(version)
+    if (!ruleset) {
+      return res.status(404).json({ error: "Ruleset version not found", version })
+    }
+
+    res.json({ success: true, ruleset: toRulesetView(ruleset) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.post("/rules/versions/:version/activate", requireAdmin, async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version)
+    if (!version) {
+      return res.status(400).json({ error: "version must be a positive integer" })
+    }
+
+    const ruleset = await activateRuleset(version)
+    if (!ruleset) {
+      return res.status(404).json({ error: "Ruleset version not found", version })
+    }
+
+    console.log(`📚 Classifier rules switched to ruleset v${version}`)
+    res.json({ success: true, ruleset: toRulesetView(ruleset) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+module.exports = router
@@ -1,29 +1,184 @@
 // src/routes/complaint.js
 // POST /api/complaint/register — The full pipeline in one route
+// POST /api/complaint/submit — Same pipeline for complaints from our web form
 //
 // This is where everything connects:
-// Reddit post → Classify → Geocode → Save to DB → Email authority → Notify citizen
+// Reddit post / web form → Classify → Geocode → Save to DB → Email authority → Notify citizen
+// (the Save → Notify half lives in services/registrationService.js)
 //
 // GET /api/complaint/all — Returns all complaints from the database
+// PATCH /api/complaint/:complaintId/status — Moves a complaint through its lifecycle (admin only)
+// GET /api/complaint/:complaintId/history — Status timeline for the dashboard (actors hidden)
+// GET /api/complaint/:complaintId/reports — Corroborating reports merged into a complaint
+// GET /api/complaint/:complaintId/raw — Unredacted text + contact details (admin only)
+// GET /api/complaint/track/:complaintId — Public, privacy-safe tracking view
 
 const express = require("express")
+const rateLimit = require("express-rate-limit")
 const { v4: uuidv4 } = require("uuid")
-const { classifyComplaint } = require("../services/classifierService")
-const { extractAndGeocode } = require("../services/locationService")
-const { getMunicipalContact } = require("../data/municipalDirectory")
-const { sendAuthorityEmail, sendCitizenConfirmation } = require("../services/emailService")
-const { sendCitizenSMS } = require("../services/smsService")
-const { insertComplaint, complaintExists, updateComplaint, getAllComplaints } = require("../services/databaseService")
+const { classifyComplaint, classifyIssueType, getDepartmentRule } = require("../services/classifierService")
+const { extractAndGeocode, resolveSubmittedLocation, isInDelhi } = require("../services/locationService")
+const {
+  complaintExists,
+  getComplaintById,
+  queryComplaints,
+  getStatusHistory,
+  getComplaintReports,
+} = require("../services/databaseService")
+const {
+  STATUSES,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  applyTransition,
+} = require("../services/statusService")
+const { validateComplaintIdParam } = require("../services/complaintIdService")
+const { toPublicRecord } = require("../services/redactionService")
+const { requireAdmin, requirePiiAccess } = require("../middleware/adminAuth")
+const { registerComplaint } = require("../services/registrationService")
+const { enqueueBatchJob } = require("../services/jobService")
+const { parseComplaintQuery } = require("../services/complaintQueryService")
+const { getResolutionDueDate } = require("../services/slaService")
 
 const router = express.Router()
 
+// Public tracking is unauthenticated, so it gets its own limits on top of the
+// global one. The second limiter only counts lookups that miss (404/400) —
+// someone guessing IDs burns through it quickly, a citizen refreshing their
+// own complaint never does.
+const trackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many tracking requests. Please try again later." }
+})
+
+const trackMissLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  message: { error: "Too many unknown complaint IDs. Please check your ID and try again later." }
+})
+
+// Web form submissions are unauthenticated and each one emails an authority,
+// so keep the rate low enough to make spamming pointless
+const submitLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many complaints submitted. Please try again later." }
+})
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Builds the public view of a complaint for the tracking page.
+ * This is an allow-list — only the fields named here ever leave the server,
+ * so citizen contact details and internal notes/actors can't leak by accident.
+ *
+ * @param {object} record - DB record (snake_case)
+ * @param {Array} history - Status history entries
+ */
+function toPublicTrackingView(record, history) {
+  return {
+    complaintId: record.complaint_id,
+    title: record.title,
+    status: record.status,
+    department: record.department,
+    departmentFull: record.department_full,
+    issueType: record.issue_type ?? null,
+    issueTypeLabel: record.issue_type_label ?? null,
+    secondaryDepartments: (record.secondary_departments || []).map(({ department, departmentFull }) => ({ department, departmentFull })),
+    urgency: record.urgency,
+    location: record.location,
+    municipalAuthority: record.municipal_body,
+    zone: record.municipal_zone,
+    ward: record.ward ?? null,
+    landmark: record.landmark ?? null,
+    source: record.source,
+    reportCount: record.report_count || 1,
+    registeredAt: record.created_at,
+    slaDueDate: getResolutionDueDate(record),
+    lastUpdated: record.updated_at,
+    timeline: history.map(entry => ({
+      status: entry.to_status,
+      previousStatus: entry.from_status,
+      note: entry.note,
+      at: entry.created_at,
+    })),
+  }
+}
+
 /**
- * Generates a unique Civic Mirror complaint ID.
- * Format: CMR-2026-XXXX where XXXX is a random 4-digit number.
+ * Checks a lat/lng pair from the web form.
  */
-function generateComplaintId() {
-  const num = Math.floor(1000 + Math.random() * 9000)
-  return `CMR-2026-${num}`
+function isValidCoordinate(lat, lng) {
+  const la = Number(lat)
+  const ln = Number(lng)
+  return lat !== null && lng !== null && lat !== "" && lng !== "" &&
+    Number.isFinite(la) && Number.isFinite(ln) &&
+    la >= -90 && la <= 90 && ln >= -180 && ln <= 180
+}
+
+/**
+ * Shapes the registerComplaint() result into the JSON returned by
+ * /register and /submit. When the report was merged into an existing
+ * complaint, complaintId is that complaint's ID.
+ */
+function buildRegistrationResponse(result, locationData) {
+  const { complaint, municipalContact } = result
+
+  return {
+    success: true,
+    complaintId: complaint.complaintId,
+
+    // Near-duplicate merging
+    merged: !!result.merged,
+    reportCount: complaint.reportCount || 1,
+    ...(result.merged && { similarity: result.similarity, distanceMeters: result.distanceMeters }),
+
+    // Classification results
+    department: complaint.department,
+    departmentFull: complaint.departmentFull,
+    issueType: complaint.issueType ?? null,
+    issueTypeLabel: complaint.issueTypeLabel ?? null,
+    secondaryDepartments: complaint.secondaryDepartments || [],
+    urgency: complaint.urgency,
+    priorityScore: complaint.priorityScore ?? null,
+    priorityBreakdown: complaint.priorityBreakdown || null,
+    daysOutstanding: complaint.daysOutstanding ?? null,
+    urgencyReasons: complaint.urgencyReasons || [],
+    aiConfidence: complaint.aiConfidence,
+    rulesetVersion: complaint.rulesetVersion ?? null,
+
+    // Location
+    location: complaint.location,
+    lat: complaint.lat,
+    lng: complaint.lng,
+    geocoded: locationData.geocoded,
+    geocoder: locationData.geocoder || null,
+    ward: complaint.ward ?? null,
+    addressParts: complaint.addressParts || {},
+    landmark: complaint.landmark ?? null,
+
+    // Authority
+    municipalAuthority: municipalContact.municipalBody,
+    municipalZone: municipalContact.zone,
+
+    // Notification status
+    authorityEmailSent: result.authorityEmailSent,
+    citizenEmailSent: result.citizenEmailSent,
+    citizenSMSSent: result.citizenSMSSent,
+
+    // Useful for frontend
+    source: complaint.source,
+    timestamp: complaint.timestamp,
+    trackingUrl: `/track?id=${complaint.complaintId}`,
+  }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -41,6 +196,8 @@ function generateComplaintId() {
  *   author: "delhi_resident_99",
  *   permalink: "https://www.reddit.com/r/delhi/...",
  *   createdAt: "2026-01-15T10:30:00Z",
+ *   score: 120,                           // optional — Reddit upvotes (adds to priority)
+ *   numComments: 34,                      // optional
  *   citizenEmail: "user@gmail.com",      // optional
  *   citizenPhone: "+919876543210",        // optional
  * }
@@ -48,9 +205,12 @@ function generateComplaintId() {
  * Response:
  * {
  *   success: true,
- *   complaintId: "CMR-2026-1234",
+ *   complaintId: "CMR-2026-000042-5",
+ *   merged: false,                         // true = added to an existing complaint (200, not 201)
+ *   reportCount: 1,
  *   department: "PWD",
  *   urgency: "high",
+ *   priorityScore: 72,                     // 0–100, urgency is derived from it
  *   location: "Janakpuri",
  *   lat: 28.6219,
  *   lng: 77.0910,
@@ -68,6 +228,8 @@ router.post("/register", async (req, res, next) => {
       author = "anonymous",
       permalink = "",
       createdAt,
+      score,
+      numComments,
       citizenEmail,
       citizenPhone,
     } = req.body
@@ -91,7 +253,7 @@ router.post("/register", async (req, res, next) => {
     console.log(`\n📋 Registering complaint: "${title.slice(0, 50)}..."`)
 
     // ── STEP 3: AI Classification ──────────────────────────────────────────────
-    console.log("   Step 1/6: Classifying complaint...")
+    console.log("   Step 1/3: Classifying complaint...")
     const classification = classifyComplaint(title, body)
 
     // Block non-civic posts at the API level too
@@ -104,109 +266,177 @@ router.post("/register", async (req, res, next) => {
     }
 
     // ── STEP 4: Location Extraction + Geocoding ────────────────────────────────
-    console.log("   Step 2/6: Extracting and geocoding location...")
+    console.log("   Step 2/3: Extracting and geocoding location...")
     const fullText = `${title} ${body}`
     const locationData = await extractAndGeocode(fullText)
 
-    // ── STEP 5: Build the complaint record ────────────────────────────────────
-    console.log("   Step 3/6: Building complaint record...")
-    const complaintId = generateComplaintId()
-    const complaint = {
-      complaintId,
+    // ── STEP 5: Route, save and notify (shared pipeline) ──────────────────────
+    console.log("   Step 3/3: Saving and notifying authority...")
+    const result = await registerComplaint({
       title: title.trim(),
       description: body.trim() || title.trim(),
-      department: classification.department,
-      departmentFull: classification.departmentFull,
-      urgency: classification.urgency,
-      aiConfidence: classification.confidence,
-      status: "open",
-      location: `${locationData.localityName}, Delhi`,
-      lat: locationData.lat,
-      lng: locationData.lng,
+      classification,
+      locationData,
       source: "reddit",
       sourceHandle: author ? `u/${author}` : null,
-      redditId: redditId || null,
-      redditPermalink: permalink || null,
-      citizenEmail: citizenEmail || null,
-      citizenPhone: citizenPhone || null,
-      timestamp: createdAt || new Date().toISOString(),
+      redditId,
+      redditPermalink: permalink,
+      engagement: { score, numComments },
+      citizenEmail,
+      citizenPhone,
+      timestamp: createdAt,
+    })
+
+    if (result.duplicate) {
+      // Lost a race with another request registering the same Reddit post
+      return res.status(409).json({
+        error: "This Reddit post has already been processed",
+        redditId
+      })
     }
 
-    // ── STEP 6: Save to database ──────────────────────────────────────────────
-    console.log("   Step 4/6: Saving to database...")
-    await insertComplaint(complaint)
-
-    // ── STEP 7: Get municipal authority contact ───────────────────────────────
-    console.log("   Step 5/6: Looking up municipal authority...")
-    const municipalContact = getMunicipalContact(
-      locationData.localityName,
-      classification.department
-    )
-
-    // ── STEP 8: Send emails (in parallel for speed) ───────────────────────────
-    console.log("   Step 6/6: Sending notifications...")
-
-    // Run all notifications concurrently — don't await one before starting next
-    const [authorityEmailResult, citizenEmailResult, citizenSMSResult] = await Promise.allSettled([
-
-      // Email the municipal corporation
-      sendAuthorityEmail(complaint, municipalContact, permalink),
-
-      // Email the citizen (only if they provided email)
-      citizenEmail
-        ? sendCitizenConfirmation(citizenEmail, complaint)
-        : Promise.resolve({ success: false, reason: "No citizen email provided" }),
-
-      // SMS the citizen (only if they provided phone)
-      citizenPhone
-        ? sendCitizenSMS(citizenPhone, complaint)
-        : Promise.resolve({ success: false, reason: "No citizen phone provided" }),
-    ])
-
-    // Extract results (Promise.allSettled never throws — it always resolves)
-    const authorityEmailSent = authorityEmailResult.value?.success || false
-    const citizenEmailSent = citizenEmailResult.value?.success || false
-    const citizenSMSSent = citizenSMSResult.value?.success || false
-
-    // Update DB with notification statuses
-    await updateComplaint(complaintId, {
-      authority_email_sent: authorityEmailSent,
-      citizen_notified: citizenEmailSent || citizenSMSSent,
-    })
+    // ── STEP 6: Return success response ──────────────────────────────────────
+    // 200 when merged into an existing complaint — no new complaint was created
+    console.log(result.merged
+      ? `✅ Report merged into: ${result.complaint.complaintId}\n`
+      : `✅ Complaint registered: ${result.complaint.complaintId}\n`)
 
-    // ── STEP 9: Return success response ──────────────────────────────────────
-    console.log(`✅ Complaint registered: ${complaintId}\n`)
+    res.status(result.merged ? 200 : 201).json(buildRegistrationResponse(result, locationData))
 
-    res.status(201).json({
-      success: true,
-      complaintId,
+  } catch (err) {
+    next(err)
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/complaint/submit
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Registers a complaint typed in directly by a citizen on our web form.
+ * Same classify → geocode → save → email → notify pipeline as /register,
+ * but stored with source "web" and no Reddit fields.
+ *
+ * Request body:
+ * {
+ *   title: "Streetlight not working for a week",
+ *   description: "The streetlight outside B-block park has been off since last Monday...",
+ *   location: "B Block, Janakpuri",       // free text — optional if lat/lng given
+ *   lat: 28.6219, lng: 77.0910,           // optional — e.g. from the browser's GPS
+ *   category: "Electricity",              // optional — overrides the AI department
+ *   citizenName: "Priya Sharma",          // optional
+ *   citizenEmail: "user@gmail.com",       // optional
+ *   citizenPhone: "+919876543210",        // optional
+ * }
+ *
+ * Response: same shape as /register, with source: "web" (and merged: true when
+ * the same issue was already reported nearby).
+ */
+router.post("/submit", submitLimiter, async (req, res, next) => {
+  try {
+    const {
+      title,
+      description = "",
+      location,
+      lat,
+      lng,
+      category,
+      citizenName,
+      citizenEmail,
+      citizenPhone,
+    } = req.body
+
+    // ── STEP 1: Validate input ────────────────────────────────────────────────
+    if (typeof title !== "string" || title.trim().length < 5) {
+      return res.status(400).json({ error: "title is required (min 5 characters)" })
+    }
 
-      // Classification results
-      department: classification.department,
-      departmentFull: classification.departmentFull,
-      urgency: classification.urgency,
-      aiConfidence: classification.confidence,
-
-      // Location
-      location: complaint.location,
-      lat: complaint.lat,
-      lng: complaint.lng,
-      geocoded: locationData.geocoded,
-
-      // Authority
-      municipalAuthority: municipalContact.municipalBody,
-      municipalZone: municipalContact.zone,
-
-      // Notification status
-      authorityEmailSent,
-      citizenEmailSent,
-      citizenSMSSent,
-
-      // Useful for frontend
-      timestamp: complaint.timestamp,
-      trackingUrl: `/track?id=${complaintId}`,
+    if (typeof description !== "string") {
+      return res.status(400).json({ error: "description must be a string" })
+    }
+
+    if (location !== undefined && typeof location !== "string") {
+      return res.status(400).json({ error: "location must be a string" })
+    }
+
+    const hasCoords = lat !== undefined || lng !== undefined
+    if (hasCoords && !isValidCoordinate(lat, lng)) {
+      return res.status(400).json({ error: "lat and lng must both be valid numbers (lat -90..90, lng -180..180)" })
+    }
+
+    if (hasCoords && !isInDelhi(Number(lat), Number(lng))) {
+      return res.status(400).json({ error: "lat and lng must be a point in Delhi" })
+    }
+
+    if (citizenEmail && !EMAIL_PATTERN.test(citizenEmail)) {
+      return res.status(400).json({ error: "citizenEmail is not a valid email address" })
+    }
+
+    if (citizenPhone && String(citizenPhone).replace(/\D/g, "").length < 10) {
+      return res.status(400).json({ error: "citizenPhone must have at least 10 digits" })
+    }
+
+    let categoryRule = null
+    if (category) {
+      categoryRule = getDepartmentRule(category)
+      if (!categoryRule) {
+        return res.status(400).json({ error: `Unknown category "${category}"` })
+      }
+    }
+
+    console.log(`\n📝 Web submission: "${title.slice(0, 50)}..."`)
+
+    // ── STEP 2: AI Classification ──────────────────────────────────────────────
+    console.log("   Step 1/3: Classifying complaint...")
+    const classification = classifyComplaint(title, description)
+
+    // A citizen who picked a category has told us it's civic — only apply the
+    // civic gate when we're guessing the department ourselves
+    if (categoryRule) {
+      classification.isCivic = true
+      classification.department = categoryRule.name
+      classification.departmentFull = categoryRule.fullName
+      classification.departmentKeywords = classification.explanation.departments
+        .find(dept => dept.department === categoryRule.name)?.matches.map(m => m.keyword) || []
+      Object.assign(classification, classifyIssueType(categoryRule.name, title, description))
+    } else if (!classification.isCivic) {
+      return res.status(422).json({
+        error: "This does not appear to be a civic complaint",
+        reason: classification.reason,
+        suggestion: "Describe the problem (pothole, water, electricity, garbage etc.) or pick a category"
+      })
+    }
+
+    // ── STEP 3: Resolve location ──────────────────────────────────────────────
+    console.log("   Step 2/3: Resolving location...")
+    const locationData = await resolveSubmittedLocation({
+      location,
+      lat: hasCoords ? Number(lat) : null,
+      lng: hasCoords ? Number(lng) : null,
+      fallbackText: `${title} ${description}`,
     })
 
+    // ── STEP 4: Route, save and notify (shared pipeline) ──────────────────────
+    console.log("   Step 3/3: Saving and notifying authority...")
+    const result = await registerComplaint({
+      title: title.trim(),
+      description: description.trim() || title.trim(),
+      classification,
+      locationData,
+      source: "web",
+      sourceHandle: citizenName?.trim() || "web form",
+      citizenName: citizenName?.trim(),
+      citizenEmail,
+      citizenPhone: citizenPhone ? String(citizenPhone) : null,
+    })
+
+    console.log(result.merged
+      ? `✅ Web report merged into: ${result.complaint.complaintId}\n`
+      : `✅ Web complaint registered: ${result.complaint.complaintId}\n`)
+
+    res.status(result.merged ? 200 : 201).json({
+      ...buildRegistrationResponse(result, locationData),
+      categoryOverridden: !!categoryRule,
+    })
   } catch (err) {
     next(err)
   }
@@ -214,17 +444,53 @@ router.post("/register", async (req, res, next) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // GET /api/complaint/all
-// Returns all saved complaints (for the frontend dashboard)
 // ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Returns saved complaints for the frontend dashboard — filtered, searchable
+ * and cursor-paginated.
+ *
+ * Query parameters (all optional):
+ *   department, issueType, urgency, status, zone, ward, source - comma-separated values, e.g. urgency=high,medium
+ *   from, to   - date range on created_at (ISO or YYYY-MM-DD, inclusive)
+ *   bbox       - minLng,minLat,maxLng,maxLat — only complaints inside the map view
+ *   q          - keyword search over title + description
+ *   sort       - newest (default) | oldest | urgency | priority
+ *   limit      - page size (default 50, max 200)
+ *   cursor     - nextCursor from the previous page
+ *   facets     - "true" to include facet counts (null otherwise)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   count: 50,                    // complaints on this page
+ *   total: 312,                   // complaints matching the filters
+ *   facets: { department: { PWD: 120, ... }, urgency: { high: 40, ... }, ... },
+ *   pagination: { limit: 50, hasMore: true, nextCursor: "eyJz..." },
+ *   complaints: [ ... ],
+ * }
+ */
 router.get("/all", async (req, res, next) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 50, 200)
-    const complaints = await getAllComplaints(limit)
+    const parsed = parseComplaintQuery(req.query)
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    const { criteria } = parsed
+    const { complaints, total, facets, nextCursor } = await queryComplaints(criteria)
 
     res.json({
       success: true,
       count: complaints.length,
-      complaints,
+      total,
+      facets,
+      pagination: {
+        limit: criteria.limit,
+        sort: criteria.sort,
+        hasMore: !!nextCursor,
+        nextCursor,
+      },
+      complaints: complaints.map(toPublicRecord),
     })
   } catch (err) {
     next(err)
@@ -233,91 +499,280 @@ router.get("/all", async (req, res, next) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/complaint/batch-process
-// Fetches Reddit posts AND registers them all in one call.
+// Fetches Reddit posts AND registers them all — as a background job.
 // This is the "full automation" endpoint — one call does everything.
 // ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Queues a batch job and returns straight away (202) — processing 20 posts
+ * takes far longer than a proxy will hold a request open.
+ * Poll GET /api/jobs/:jobId for per-post progress.
+ *
+ * Request body: { keyword: "pothole", subreddit: "delhi", limit: 10 }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   jobId: "3f6c...",
+ *   status: "queued",
+ *   statusUrl: "/api/jobs/3f6c...",
+ * }
+ */
 router.post("/batch-process", async (req, res, next) => {
   try {
     const { keyword = "pothole", subreddit = "delhi", limit = 10 } = req.body
 
-    const { fetchRedditPosts } = require("../services/redditService")
-    const posts = await fetchRedditPosts(keyword, subreddit, Math.min(limit, 20))
+    if (typeof keyword !== "string" || keyword.trim().length < 2) {
+      return res.status(400).json({ error: "keyword must be at least 2 characters" })
+    }
+    if (typeof subreddit !== "string" || !/^[A-Za-z0-9_]+$/.test(subreddit)) {
+      return res.status(400).json({ error: "subreddit must be a subreddit name, e.g. delhi" })
+    }
+
+    const job = await enqueueBatchJob({
+      keyword: keyword.trim(),
+      subreddit,
+      limit: Math.min(parseInt(limit) || 10, 20),
+    })
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+    })
+
+  } catch (err) {
+    next(err)
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/complaint/track/:complaintId
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Public tracking lookup — this is what the trackingUrl / SMS link points to.
+ * No authentication, so the response never contains citizen_email,
+ * citizen_phone or who changed the status (see toPublicTrackingView).
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   complaint: {
+ *     complaintId: "CMR-2026-000042-5",
+ *     status: "in_progress",
+ *     department: "PWD",
+ *     zone: "West Zone",
+ *     ward: "Janakpuri",
+ *     slaDueDate: "2026-01-18T10:30:00.000Z",
+ *     lastUpdated: "2026-01-16T09:00:00.000Z",
+ *     timeline: [ { status: "open", at: "..." }, ... ],
+ *   }
+ * }
+ */
+router.get("/track/:complaintId", trackLimiter, trackMissLimiter, validateComplaintIdParam, async (req, res, next) => {
+  try {
+    const { complaintId } = req.params
 
-    const results = {
-      processed: 0,
-      registered: 0,
-      rejected: 0,
-      duplicates: 0,
-      complaints: [],
+    const complaint = await getComplaintById(complaintId)
+    if (!complaint) {
+      return res.status(404).json({ error: "Complaint not found", complaintId })
     }
 
-    // Process posts one by one (sequential to respect Nominatim rate limit)
-    for (const post of posts) {
-      results.processed++
+    const history = await getStatusHistory(complaintId)
 
-      // Classify first — skip non-civic immediately without geocoding
-      const classification = classifyComplaint(post.title, post.body)
-      if (!classification.isCivic) {
-        results.rejected++
-        continue
-      }
+    res.json({
+      success: true,
+      complaint: toPublicTrackingView(complaint, history),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
 
-      // Check duplicate
-      if (post.redditId) {
-        const exists = await complaintExists(post.redditId)
-        if (exists) {
-          results.duplicates++
-          continue
-        }
-      }
+// ─────────────────────────────────────────────────────────────────────────────
+// PATCH /api/complaint/:complaintId/status
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Moves a complaint to a new status, enforcing the lifecycle state machine
+ * (see statusService.js) and recording the change in the history table.
+ * Admin only — send "Authorization: Bearer <ADMIN_API_KEY>".
+ *
+ * If another update changes the status between our read and our write,
+ * nothing is written and the response is 409 with the status it now has.
+ *
+ * Request body:
+ * {
+ *   status: "acknowledged",
+ *   actor: "mcd.west@mcdonline.gov.in",   // who is making the change
+ *   note: "Field team assigned",          // optional
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   complaintId: "CMR-2026-000042-5",
+ *   previousStatus: "open",
+ *   status: "acknowledged",
+ *   allowedNext: ["in_progress", "rejected"],
+ *   history: [ ...timeline entries, oldest first... ],
+ * }
+ */
+router.patch("/:complaintId/status", requireAdmin, validateComplaintIdParam, async (req, res, next) => {
+  try {
+    const { complaintId } = req.params
+    const { status, actor, note } = req.body
 
-      // Full pipeline
-      const fullText = `${post.title} ${post.body}`
-      const locationData = await extractAndGeocode(fullText)
-      const complaintId = generateComplaintId()
-      const municipalContact = getMunicipalContact(locationData.localityName, classification.department)
-
-      const complaint = {
-        complaintId,
-        title: post.title,
-        description: post.body || post.title,
-        department: classification.department,
-        departmentFull: classification.departmentFull,
-        urgency: classification.urgency,
-        aiConfidence: classification.confidence,
-        status: "open",
-        location: `${locationData.localityName}, Delhi`,
-        lat: locationData.lat,
-        lng: locationData.lng,
-        source: "reddit",
-        sourceHandle: `u/${post.author}`,
-        redditId: post.redditId,
-        redditPermalink: post.permalink,
-        timestamp: post.createdAt?.toISOString() || new Date().toISOString(),
-      }
+    if (!isValidStatus(status)) {
+      return res.status(400).json({
+        error: "status is required and must be a known status",
+        validStatuses: STATUSES,
+      })
+    }
 
-      await insertComplaint(complaint)
+    if (!actor || typeof actor !== "string" || !actor.trim()) {
+      return res.status(400).json({ error: "actor is required (who is making this change)" })
+    }
 
-      // Send authority email (no citizen contact for batch — no user provided it)
-      const emailResult = await sendAuthorityEmail(complaint, municipalContact, post.permalink)
-      await updateComplaint(complaintId, { authority_email_sent: emailResult.success })
+    if (note !== undefined && note !== null && typeof note !== "string") {
+      return res.status(400).json({ error: "note must be a string" })
+    }
+
+    const complaint = await getComplaintById(complaintId)
+    if (!complaint) {
+      return res.status(404).json({ error: "Complaint not found", complaintId })
+    }
 
-      results.registered++
-      results.complaints.push({
-        complaintId,
-        title: post.title,
-        department: classification.department,
-        urgency: classification.urgency,
-        location: complaint.location,
-        authorityNotified: emailResult.success,
+    if (!canTransition(complaint.status, status)) {
+      return res.status(409).json({
+        error: `Cannot move complaint from "${complaint.status}" to "${status}"`,
+        currentStatus: complaint.status,
+        allowedNext: getAllowedTransitions(complaint.status),
       })
+    }
+
+    try {
+      await applyTransition(complaint, status, {
+        actor: actor.trim(),
+        note: note?.trim() || null,
+      })
+    } catch (err) {
+      if (err.code !== "STATUS_CONFLICT") throw err
+      const current = await getComplaintById(complaintId)
+      return res.status(409).json({
+        error: `Complaint was changed by someone else while moving it to "${status}" — reload and retry`,
+        currentStatus: current?.status ?? null,
+        allowedNext: getAllowedTransitions(current?.status),
+      })
+    }
+
+    console.log(`🔄 ${complaintId}: ${complaint.status} → ${status} (by ${actor.trim()})`)
 
-      // Delay between posts to respect Nominatim rate limit
-      await new Promise(r => setTimeout(r, 1200))
+    const history = await getStatusHistory(complaintId)
+
+    res.json({
+      success: true,
+      complaintId,
+      previousStatus: complaint.status,
+      status,
+      allowedNext: getAllowedTransitions(status),
+      history,
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/complaint/:complaintId/history
+// Full status timeline for one complaint (for the dashboard). This route is
+// public, so each entry's actor (an official's email, or the channel) is
+// dropped — the admin-only PATCH response still includes it.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/:complaintId/history", validateComplaintIdParam, async (req, res, next) => {
+  try {
+    const { complaintId } = req.params
+
+    const complaint = await getComplaintById(complaintId)
+    if (!complaint) {
+      return res.status(404).json({ error: "Complaint not found", complaintId })
+    }
+
+    const history = await getStatusHistory(complaintId)
+
+    res.json({
+      success: true,
+      complaintId,
+      status: complaint.status,
+      allowedNext: getAllowedTransitions(complaint.status),
+      history: history.map(entry => ({ ...entry, actor: undefined })),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/complaint/:complaintId/reports
+// Other reports of the same issue that were merged into this complaint
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/:complaintId/reports", validateComplaintIdParam, async (req, res, next) => {
+  try {
+    const { complaintId } = req.params
+
+    const complaint = await getComplaintById(complaintId)
+    if (!complaint) {
+      return res.status(404).json({ error: "Complaint not found", complaintId })
+    }
+
+    const reports = await getComplaintReports(complaintId)
+
+    res.json({
+      success: true,
+      complaintId,
+      reportCount: complaint.report_count || 1,
+      reports: reports.map(toPublicRecord),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /api/complaint/:complaintId/raw
+// The original, unredacted text of a complaint and its reports, with the
+// citizens' contact details — admin only, and off entirely (503) until
+// ADMIN_API_KEY is set
+// ─────────────────────────────────────────────────────────────────────────────
+router.get("/:complaintId/raw", requirePiiAccess, validateComplaintIdParam, async (req, res, next) => {
+  try {
+    const { complaintId } = req.params
+
+    const complaint = await getComplaintById(complaintId)
+    if (!complaint) {
+      return res.status(404).json({ error: "Complaint not found", complaintId })
     }
 
-    res.json({ success: true, ...results })
+    // raw_* is only stored when something was redacted
+    const toRawView = record => ({
+      title: record.raw_title ?? record.title,
+      description: record.raw_description ?? record.description,
+      redactions: record.redactions || {},
+      contact: {
+        name: record.citizen_name ?? null,
+        email: record.citizen_email ?? null,
+        phone: record.citizen_phone ?? null,
+        sourceHandle: record.source_handle ?? null,
+      },
+    })
+
+    const reports = await getComplaintReports(complaintId)
 
+    res.json({
+      success: true,
+      complaintId,
+      ...toRawView(complaint),
+      reports: reports.map(report => ({ id: report.id, ...toRawView(report) })),
+    })
   } catch (err) {
     next(err)
   }
@@ -0,0 +1,16 @@
+// src/routes/geocode.js
+// GET /api/geocode/stats — Geocoder stats: gazetteer hits, Nominatim cache and rate limiter
+
+const express = require("express")
+const { getGeocodingStats } = require("../services/locationService")
+
+const router = express.Router()
+
+router.get("/stats", (req, res) => {
+  res.json({
+    success: true,
+    ...getGeocodingStats(),
+  })
+})
+
+module.exports = router
@@ -0,0 +1,147 @@
+// src/routes/ingestion.js
+// Controls and history for the scheduled Reddit ingestion (services/ingestionScheduler.js)
+//
+// GET  /api/ingestion/watches                 — every watch with its watermark and last run
+// GET  /api/ingestion/watches/:watchId/runs   — run history for one watch
+// POST /api/ingestion/watches/:watchId/pause  — stop polling this watch (admin only)
+// POST /api/ingestion/watches/:watchId/resume — start polling it again (admin only)
+// POST /api/ingestion/watches/:watchId/run    — start a run right now (admin only, 202)
+
+const express = require("express")
+const {
+  getWatchStatuses,
+  findWatch,
+  pauseWatch,
+  resumeWatch,
+  runWatchNow,
+} = require("../services/ingestionScheduler")
+const { getIngestionRuns } = require("../services/databaseService")
+const { requireAdmin } = require("../middleware/adminAuth")
+
+const router = express.Router()
+
+/**
+ * Shapes a watch record for API responses.
+ */
+function toWatchView(watch) {
+  return {
+    id: watch.id,
+    keyword: watch.keyword,
+    subreddit: watch.subreddit,
+    intervalMinutes: watch.interval_minutes,
+    paused: !!watch.paused,
+    watermark: watch.watermark_created_at
+      ? { createdAt: watch.watermark_created_at, postId: watch.watermark_post_id }
+      : null,
+    lastRunAt: watch.last_run_at,
+    failingPost: watch.failing_post_id
+      ? { postId: watch.failing_post_id, attempts: watch.failing_post_attempts }
+      : null,
+    lastRun: watch.last_run !== undefined ? toRunView(watch.last_run) : undefined,
+  }
+}
+
+/**
+ * Shapes a run record for API responses.
+ */
+function toRunView(run) {
+  if (!run) return null
+  return {
+    id: run.id,
+    trigger: run.trigger,
+    status: run.status,
+    fetched: run.fetched || 0,
+    newPosts: run.new_posts || 0,
+    registered: run.registered || 0,
+    merged: run.merged || 0,
+    rejected: run.rejected || 0,
+    duplicates: run.duplicates || 0,
+    failed: run.failed || 0,
+    error: run.error || null,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at || null,
+  }
+}
+
+/**
+ * Loads the :watchId watch onto req.watch, or responds 404.
+ */
+async function loadWatch(req, res, next) {
+  try {
+    const watch = await findWatch(req.params.watchId)
+    if (!watch) {
+      return res.status(404).json({ error: "Watch not found", watchId: req.params.watchId })
+    }
+    req.watch = watch
+    next()
+  } catch (err) {
+    next(err)
+  }
+}
+
+router.get("/watches", async (req, res, next) => {
+  try {
+    const watches = await getWatchStatuses()
+    res.json({
+      success: true,
+      schedulerEnabled: process.env.INGESTION_ENABLED === "true",
+      count: watches.length,
+      watches: watches.map(toWatchView),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.get("/watches/:watchId/runs", loadWatch, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const runs = await getIngestionRuns(req.watch.id, limit)
+    res.json({
+      success: true,
+      watch: toWatchView(req.watch),
+      runs: runs.map(toRunView),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.post("/watches/:watchId/pause", requireAdmin, loadWatch, async (req, res, next) => {
+  try {
+    const watch = await pauseWatch(req.watch.id)
+    console.log(`⏸️  Ingestion watch paused: ${req.watch.id}`)
+    res.json({ success: true, watch: toWatchView(watch) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.post("/watches/:watchId/resume", requireAdmin, loadWatch, async (req, res, next) => {
+  try {
+    const watch = await resumeWatch(req.watch.id)
+    console.log(`▶️  Ingestion watch resumed: ${req.watch.id}`)
+    res.json({ success: true, watch: toWatchView(watch) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// The run carries on in the background — poll runsUrl for the result
+router.post("/watches/:watchId/run", requireAdmin, loadWatch, async (req, res, next) => {
+  try {
+    const run = await runWatchNow(req.watch)
+    if (!run) {
+      return res.status(409).json({ error: "Another ingestion run is in progress. Try again shortly." })
+    }
+    res.status(202).json({
+      success: true,
+      run: toRunView(run),
+      runsUrl: `/api/ingestion/watches/${encodeURIComponent(req.watch.id)}/runs`,
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,68 @@
+// src/routes/jobs.js
+// GET  /api/jobs             — Recent background jobs (admin only)
+// GET  /api/jobs/:id         — Status + per-post progress of one job (poll this)
+// POST /api/jobs/:id/cancel  — Cancel a queued or running job (admin only)
+//
+// Listing and cancelling need the admin key — otherwise anyone could read
+// every job ID off the list and cancel them all.
+
+const express = require("express")
+const { cancelJob, toJobView } = require("../services/jobService")
+const { getJob, getJobs } = require("../services/databaseService")
+const { requireAdmin } = require("../middleware/adminAuth")
+
+const router = express.Router()
+
+router.get("/", requireAdmin, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const jobs = await getJobs({ limit })
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      // Leave out the per-post items — fetch a single job for those
+      jobs: jobs.map(job => {
+        const { items, ...summary } = toJobView(job)
+        return { ...summary, itemCount: items.length }
+      }),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.get("/:id", async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Job not found", jobId: req.params.id })
+    }
+
+    res.json({ success: true, job: toJobView(job) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.post("/:id/cancel", requireAdmin, async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: "Job not found", jobId: req.params.id })
+    }
+
+    if (!job.cancel_requested) {
+      return res.status(409).json({
+        error: `Job already ${job.status}`,
+        job: toJobView(job),
+      })
+    }
+
+    res.json({ success: true, job: toJobView(job) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+module.exports = router
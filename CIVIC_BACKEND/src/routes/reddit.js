@@ -7,6 +7,7 @@ const express = require("express")
 const rateLimit = require("express-rate-limit")
 const { fetchRedditPosts, fetchFromMultipleSubreddits } = require("../services/redditService")
 const { classifyComplaint } = require("../services/classifierService")
+const { redactText } = require("../services/redactionService")
 const { extractAndGeocode } = require("../services/locationService")
 
 const router = express.Router()
@@ -95,8 +96,8 @@ router.get("/fetch", redditFetchLimiter, async (req, res, next) => {
       results.push({
         // Reddit post data
         redditId: post.redditId,
-        redditTitle: post.title,
-        redditBody: post.body?.slice(0, 500), // truncate long bodies for preview
+        redditTitle: redactText(post.title).text,
+        redditBody: redactText(post.body).text.slice(0, 500), // truncate long bodies for preview
         redditAuthor: post.author,
         redditPermalink: post.permalink,
         redditScore: post.score,
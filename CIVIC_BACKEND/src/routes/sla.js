@@ -0,0 +1,66 @@
+// src/routes/sla.js
+// GET  /api/sla/policies — SLA deadlines in force per department and issue type
+// GET  /api/sla/breaches — Unfinished complaints that have missed a deadline
+// POST /api/sla/check    — Run the breach checker now (it also runs on a timer).
+//                          Admin only — it sends escalation emails
+
+const express = require("express")
+const { getAllSlaPolicies } = require("../data/slaPolicies")
+const { runSlaCheck, getLastSlaCheck } = require("../services/slaService")
+const { getBreachedComplaints } = require("../services/databaseService")
+const { requireAdmin } = require("../middleware/adminAuth")
+
+const router = express.Router()
+
+router.get("/policies", (req, res) => {
+  res.json({
+    success: true,
+    policies: getAllSlaPolicies(),
+  })
+})
+
+router.get("/breaches", async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500)
+    const complaints = await getBreachedComplaints(limit)
+
+    res.json({
+      success: true,
+      count: complaints.length,
+      lastCheck: getLastSlaCheck(),
+      complaints: complaints.map(record => ({
+        complaintId: record.complaint_id,
+        title: record.title,
+        department: record.department,
+        urgency: record.urgency,
+        status: record.status,
+        location: record.location,
+        municipalAuthority: record.municipal_body,
+        ackDueAt: record.ack_due_at,
+        ackBreachedAt: record.ack_breached_at,
+        resolveDueAt: record.resolve_due_at,
+        resolveBreachedAt: record.resolve_breached_at,
+        escalationLevel: record.escalation_level,
+        lastEscalatedAt: record.last_escalated_at,
+      })),
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+router.post("/check", requireAdmin, async (req, res, next) => {
+  try {
+    const result = await runSlaCheck()
+
+    res.json({
+      success: true,
+      ...result,
+      escalatedCount: result.escalations.length,
+    })
+  } catch (err) {
+    next(err)
+  }
+})
+
+module.exports = router
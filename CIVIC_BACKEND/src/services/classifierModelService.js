@@ -0,0 +1,197 @@
+// src/services/classifierModelService.js
+// Teaching the department classifier from officials' corrections
+//
+// 1. An official fixes a misrouted complaint: POST /api/classifier/feedback.
+//    The correction is stored and the complaint's department updated.
+// 2. Retraining (POST /api/classifier/retrain or `npm run retrain:classifier`)
+//    trains a naive Bayes model on every stored complaint — corrected ones
+//    counted CORRECTION_WEIGHT times — and stores it as a new version.
+// 3. The newest trained version becomes active and classifyComplaint uses it.
+//    Older versions stay stored and can be re-activated if a retrain is worse.
+//
+// Until a model exists, classification is keyword-only, exactly as before.
+
+const {
+  getComplaintById,
+  updateComplaint,
+  getTrainingComplaints,
+  insertClassifierFeedback,
+  getClassifierFeedback,
+  insertClassifierModel,
+  getClassifierModels,
+  getClassifierModel,
+  getActiveClassifierModel,
+  activateClassifierModel,
+} = require("./databaseService")
+const { trainNaiveBayes, predictNaiveBayes } = require("./naiveBayes")
+const { getDepartmentRule, classifyIssueType, setClassifierModel } = require("./classifierService")
+
+const ALGORITHM = "naive-bayes"
+
+// A corrected label is worth more than a keyword-assigned one
+const CORRECTION_WEIGHT = 3
+
+const DEFAULT_MIN_EXAMPLES = 20
+
+// Every HOLDOUT_EVERY-th example is kept out of training to measure accuracy
+const HOLDOUT_EVERY = 5
+
+/**
+ * Loads the active model from storage into the classifier. Called at startup.
+ *
+ * @returns {number|null} The loaded version, or null if no model is active
+ */
+async function loadClassifierModel() {
+  const record = await getActiveClassifierModel()
+  setClassifierModel(record)
+
+  if (record) console.log(`🧠 Department classifier: model v${record.version}`)
+  else console.log("🧠 Department classifier: keywords only (no trained model yet)")
+
+  return record?.version ?? null
+}
+
+/**
+ * Records a department correction and re-routes the complaint.
+ *
+ * @param {{ complaintId: string, department: string, actor: string, note?: string }} feedback
+ *   department must be a known department name (any case)
+ * @returns {{ complaint: object, feedback: object } | null} null if the complaint doesn't exist
+ */
+async function recordFeedback({ complaintId, department, actor, note }) {
+  const complaint = await getComplaintById(complaintId)
+  if (!complaint) return null
+
+  const rule = getDepartmentRule(department)
+
+  const feedback = await insertClassifierFeedback({
+    complaintId,
+    previousDepartment: complaint.department,
+    department: rule.name,
+    actor,
+    note,
+  })
+
+  let updated = complaint
+  if (complaint.department !== rule.name) {
+    // The issue type belongs to the old department — pick one in the new one
+    const { issueType, issueTypeLabel } = classifyIssueType(rule.name, complaint.title || "", complaint.description || "")
+    updated = await updateComplaint(complaintId, {
+      department: rule.name,
+      department_full: rule.fullName,
+      issue_type: issueType,
+      issue_type_label: issueTypeLabel,
+    }) || complaint
+    console.log(`🏷️  ${complaintId}: ${complaint.department} → ${rule.name} (by ${actor})`)
+  }
+
+  return { complaint: updated, feedback }
+}
+
+/**
+ * Builds the training examples: every complaint, labelled with its latest
+ * correction if it has one, else the department it was routed to.
+ */
+async function buildTrainingSet() {
+  const complaints = await getTrainingComplaints()
+  const feedback = await getClassifierFeedback()
+
+  // Oldest first, so the latest correction for a complaint wins
+  const corrections = new Map(feedback.map(entry => [entry.complaint_id, entry.department]))
+
+  return complaints
+    .map(complaint => {
+      const corrected = corrections.get(complaint.complaint_id)
+      return {
+        text: `${complaint.title || ""} ${complaint.description || ""}`,
+        label: corrected || complaint.department,
+        weight: corrected ? CORRECTION_WEIGHT : 1,
+      }
+    })
+    // "General" means the keywords found nothing — not a label worth learning
+    .filter(example => getDepartmentRule(example.label))
+}
+
+/**
+ * Trains a new model version from the stored complaints and corrections.
+ *
+ * @param {{ trainedBy?: string, activate?: boolean }} options
+ *   activate (default true) makes the new version the one classifyComplaint uses
+ * @returns {{ trained: boolean, reason?: string, model?: object }}
+ *   trained is false (with a reason) when there isn't enough data yet
+ */
+async function retrainClassifier({ trainedBy = "system", activate = true } = {}) {
+  const minExamples = parseInt(process.env.CLASSIFIER_MIN_EXAMPLES) || DEFAULT_MIN_EXAMPLES
+  const examples = await buildTrainingSet()
+  const labels = [...new Set(examples.map(example => example.label))]
+
+  if (examples.length < minExamples) {
+    return { trained: false, reason: `Need at least ${minExamples} labelled complaints, have ${examples.length}` }
+  }
+  if (labels.length < 2) {
+    return { trained: false, reason: "Need complaints from at least 2 departments" }
+  }
+
+  // Measure accuracy on examples the model hasn't seen...
+  const training = examples.filter((example, i) => i % HOLDOUT_EVERY !== 0)
+  const holdout = examples.filter((example, i) => i % HOLDOUT_EVERY === 0)
+  const holdoutModel = trainNaiveBayes(training)
+  const correct = holdout.filter(example => predictNaiveBayes(holdoutModel, example.text)?.label === example.label).length
+
+  // ...then train the stored model on everything
+  const model = trainNaiveBayes(examples)
+
+  const labelCounts = {}
+  for (const example of examples) labelCounts[example.label] = (labelCounts[example.label] || 0) + 1
+
+  const stored = await insertClassifierModel({
+    algorithm: ALGORITHM,
+    model,
+    metrics: {
+      examples: examples.length,
+      corrected: examples.filter(example => example.weight > 1).length,
+      vocabulary: model.vocabulary,
+      labels: labelCounts,
+      holdoutSize: holdout.length,
+      holdoutAccuracy: holdout.length ? Math.round((correct / holdout.length) * 1000) / 1000 : null,
+    },
+    trainedBy,
+  })
+
+  console.log(`🧠 Trained classifier model v${stored.version} on ${examples.length} complaints`)
+
+  if (activate) await activateModel(stored.version)
+
+  const summary = { ...stored, active: activate }
+  delete summary.model
+  return { trained: true, model: summary }
+}
+
+/**
+ * Lists stored model versions, newest first (without the model bodies).
+ */
+async function listModels() {
+  return getClassifierModels()
+}
+
+/**
+ * Makes a stored model version active and loads it into the classifier.
+ *
+ * @returns {object|null} The activated model summary, or null if the version doesn't exist
+ */
+async function activateModel(version) {
+  const activated = await activateClassifierModel(version)
+  if (!activated) return null
+
+  setClassifierModel(await getClassifierModel(version))
+  console.log(`🧠 Department classifier now using model v${version}`)
+  return activated
+}
+
+module.exports = {
+  loadClassifierModel,
+  recordFeedback,
+  retrainClassifier,
+  listModels,
+  activateModel,
+}
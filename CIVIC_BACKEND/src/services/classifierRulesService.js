@@ -0,0 +1,285 @@
+// src/services/classifierRulesService.js
+// Admin-editable, versioned keyword rules for the classifier
+//
+// A ruleset is { departments, highUrgencyWords, mediumUrgencyWords,
+// civicKeywords } — the lists classifyComplaint scores text against. Each
+// department may list its issue types ({ name, label, keywords }). Every
+// edit made through /api/classifier/rules is validated, saved as a NEW
+// version (old versions are never changed, so history and rollback are free)
+// and loaded into classifierService straight away — no restart.
+//
+// On first start, src/data/classifierRules.js is saved as version 1.
+
+const {
+  insertClassifierRuleset,
+  getClassifierRulesets,
+  getClassifierRuleset,
+  getActiveClassifierRuleset,
+  activateClassifierRuleset,
+} = require("./databaseService")
+const { setClassifierRules, getClassifierRules } = require("./classifierService")
+const { DEFAULT_CLASSIFIER_RULES } = require("../data/classifierRules")
+
+const WORD_LISTS = ["civicKeywords", "highUrgencyWords", "mediumUrgencyWords"]
+
+const MAX_DEPARTMENTS = 50
+const MAX_WORDS = 500
+const MAX_WORD_LENGTH = 60
+const MAX_NAME_LENGTH = 40
+const MAX_FULL_NAME_LENGTH = 100
+const MAX_ISSUE_TYPES = 30
+
+// Issue type names are stored on complaints and used in SLA policy files
+const ISSUE_TYPE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/
+
+// "General" is what classifyComplaint falls back to when nothing matches
+const RESERVED_DEPARTMENT_NAMES = ["general"]
+
+// Edits run one at a time, so two admins editing at once can't both start
+// from the same version and silently drop one change
+let editQueue = Promise.resolve()
+
+/**
+ * Runs a change to the active ruleset after any change already in progress.
+ */
+function queueEdit(run) {
+  const result = editQueue.then(run)
+  // Keep the queue going even when this change fails
+  editQueue = result.catch(() => {})
+  return result
+}
+
+/**
+ * Checks and normalises a list of keywords: trimmed, lowercased, no repeats.
+ *
+ * @returns {{ words: string[], errors: string[] }}
+ */
+function validateWordList(words, label, { allowEmpty = false } = {}) {
+  if (!Array.isArray(words)) return { words: [], errors: [`${label} must be an array of strings`] }
+
+  const errors = []
+  if (!words.length && !allowEmpty) errors.push(`${label} must have at least one word`)
+  if (words.length > MAX_WORDS) errors.push(`${label} can have at most ${MAX_WORDS} words`)
+
+  const cleaned = []
+  for (const word of words) {
+    if (typeof word !== "string" || !word.trim()) {
+      errors.push(`${label} must only contain non-empty strings`)
+      break
+    }
+    const normalised = word.trim().toLowerCase().replace(/\s+/g, " ")
+    if (normalised.length > MAX_WORD_LENGTH) {
+      errors.push(`${label}: "${normalised.slice(0, 20)}..." is longer than ${MAX_WORD_LENGTH} characters`)
+    } else if (!cleaned.includes(normalised)) {
+      cleaned.push(normalised)
+    }
+  }
+
+  return { words: cleaned, errors }
+}
+
+/**
+ * Checks a department's issue types: [{ name, label, keywords }].
+ * Optional — undefined means "use the built-in issue types".
+ *
+ * @returns {{ issueTypes: Array|undefined, errors: string[] }}
+ */
+function validateIssueTypes(issueTypes, label) {
+  if (issueTypes === undefined) return { issueTypes: undefined, errors: [] }
+  if (!Array.isArray(issueTypes)) return { issueTypes: undefined, errors: [`${label}: issueTypes must be an array`] }
+
+  const errors = []
+  if (issueTypes.length > MAX_ISSUE_TYPES) errors.push(`${label}: at most ${MAX_ISSUE_TYPES} issue types are allowed`)
+
+  const cleaned = []
+  const seen = new Set()
+  issueTypes.forEach((type, i) => {
+    const name = typeof type?.name === "string" ? type.name.trim() : ""
+    const typeLabel = `${label} issue type ${name ? `"${name}"` : i}`
+
+    if (!ISSUE_TYPE_NAME_PATTERN.test(name)) {
+      errors.push(`${typeLabel}: name must be lowercase letters, digits and underscores (e.g. "pothole")`)
+    } else if (seen.has(name)) {
+      errors.push(`${typeLabel}: duplicate issue type name`)
+    }
+    seen.add(name)
+
+    const displayLabel = typeof type?.label === "string" ? type.label.trim() : ""
+    if (!displayLabel || displayLabel.length > MAX_FULL_NAME_LENGTH) {
+      errors.push(`${typeLabel}: label is required (max ${MAX_FULL_NAME_LENGTH} characters)`)
+    }
+
+    const keywords = validateWordList(type?.keywords, `${typeLabel} keywords`)
+    errors.push(...keywords.errors)
+
+    cleaned.push({ name, label: displayLabel, keywords: keywords.words })
+  })
+
+  return { issueTypes: cleaned, errors }
+}
+
+/**
+ * Checks a whole ruleset and returns a cleaned copy.
+ *
+ * @param {object} rules - { departments, highUrgencyWords, mediumUrgencyWords, civicKeywords }
+ *   (each department { name, fullName, keywords, issueTypes? })
+ * @returns {{ rules: object|null, errors: string[] }} rules is null when there are errors
+ */
+function validateRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return { rules: null, errors: ["rules must be an object"] }
+  }
+
+  const errors = []
+  const departments = []
+
+  if (!Array.isArray(rules.departments) || !rules.departments.length) {
+    errors.push("departments must be a non-empty array")
+  } else if (rules.departments.length > MAX_DEPARTMENTS) {
+    errors.push(`At most ${MAX_DEPARTMENTS} departments are allowed`)
+  } else {
+    const seen = new Set()
+    rules.departments.forEach((dept, i) => {
+      const name = typeof dept?.name === "string" ? dept.name.trim() : ""
+      const label = name ? `Department "${name}"` : `departments[${i}]`
+
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        errors.push(`${label}: name is required (max ${MAX_NAME_LENGTH} characters)`)
+      } else if (RESERVED_DEPARTMENT_NAMES.includes(name.toLowerCase())) {
+        errors.push(`${label}: "${name}" is reserved for unmatched complaints`)
+      } else if (seen.has(name.toLowerCase())) {
+        errors.push(`${label}: duplicate department name`)
+      }
+      seen.add(name.toLowerCase())
+
+      const fullName = typeof dept?.fullName === "string" ? dept.fullName.trim() : ""
+      if (!fullName || fullName.length > MAX_FULL_NAME_LENGTH) {
+        errors.push(`${label}: fullName is required (max ${MAX_FULL_NAME_LENGTH} characters)`)
+      }
+
+      const keywords = validateWordList(dept?.keywords, `${label} keywords`)
+      errors.push(...keywords.errors)
+
+      const issueTypes = validateIssueTypes(dept?.issueTypes, label)
+      errors.push(...issueTypes.errors)
+
+      departments.push({
+        name,
+        fullName,
+        keywords: keywords.words,
+        // Left out when not given, so the built-in issue types still apply
+        ...(issueTypes.issueTypes && { issueTypes: issueTypes.issueTypes }),
+      })
+    })
+  }
+
+  const cleaned = { departments }
+  for (const list of WORD_LISTS) {
+    // A ruleset with no urgency words just rates everything "low" — allowed.
+    // With no civic keywords nothing would ever be registered — not allowed.
+    const result = validateWordList(rules[list], list, { allowEmpty: list !== "civicKeywords" })
+    errors.push(...result.errors)
+    cleaned[list] = result.words
+  }
+
+  const unknown = Object.keys(rules).filter(key => key !== "departments" && !WORD_LISTS.includes(key))
+  if (unknown.length) errors.push(`Unknown fields: ${unknown.join(", ")}`)
+
+  return errors.length ? { rules: null, errors } : { rules: cleaned, errors: [] }
+}
+
+/**
+ * Loads the active ruleset into the classifier — saving the built-in rules
+ * as version 1 the first time. Called at startup.
+ *
+ * @returns {number} The loaded version
+ */
+async function loadClassifierRules() {
+  let record = await getActiveClassifierRuleset()
+
+  if (!record) {
+    const seeded = await insertClassifierRuleset({
+      rules: DEFAULT_CLASSIFIER_RULES,
+      basedOn: null,
+      createdBy: "system",
+      note: "Built-in rules (src/data/classifierRules.js)",
+    })
+    record = await activateClassifierRuleset(seeded.version)
+    console.log(`📚 Saved built-in classifier rules as ruleset v${record.version}`)
+  }
+
+  setClassifierRules(record)
+  console.log(`📚 Classifier rules: ruleset v${record.version}`)
+  return record.version
+}
+
+/**
+ * Applies an edit to the rules in use, validates the result, saves it as a
+ * new version and switches the classifier to it.
+ *
+ * @param {function(object): object|null} edit - Gets a copy of the current
+ *   rules and returns the edited rules (may modify and return the copy).
+ *   Return null when the edit doesn't apply (e.g. unknown department).
+ * @param {{ actor: string, note?: string }} meta
+ * @returns {{ ruleset: object } | { errors: string[] } | { notFound: true }}
+ */
+function editClassifierRules(edit, { actor, note }) {
+  return queueEdit(async () => {
+    const { version: basedOn, ...current } = getClassifierRules()
+
+    const edited = edit(current)
+    if (!edited) return { notFound: true }
+
+    const { rules, errors } = validateRules(edited)
+    if (errors.length) return { errors }
+
+    const saved = await insertClassifierRuleset({ rules, basedOn, createdBy: actor, note })
+    const ruleset = await switchToRuleset(saved.version)
+    console.log(`📚 Ruleset v${saved.version} saved by ${actor}${note ? ` — ${note}` : ""}`)
+    return { ruleset }
+  })
+}
+
+/**
+ * Lists ruleset versions, newest first (without the rules).
+ */
+async function listRulesets() {
+  return getClassifierRulesets()
+}
+
+/**
+ * Fetches one ruleset version with its rules, or null.
+ */
+async function getRuleset(version) {
+  return getClassifierRuleset(version)
+}
+
+/**
+ * Switches the classifier to a stored ruleset version (e.g. to roll back).
+ *
+ * @returns {object|null} The activated ruleset, or null if the version doesn't exist
+ */
+function activateRuleset(version) {
+  return queueEdit(() => switchToRuleset(version))
+}
+
+/**
+ * Marks a version active in storage and loads it into the classifier.
+ */
+async function switchToRuleset(version) {
+  const activated = await activateClassifierRuleset(version)
+  if (!activated) return null
+
+  setClassifierRules(activated)
+  return activated
+}
+
+module.exports = {
+  WORD_LISTS,
+  validateRules,
+  loadClassifierRules,
+  editClassifierRules,
+  listRulesets,
+  getRuleset,
+  activateRuleset,
+}
@@ -3,135 +3,183 @@
 //
 // This is a keyword-scoring approach — no external AI API needed.
 // Each department has a list of keywords. We score the complaint text
-// against each and pick the highest scorer.
+// against each and pick the highest scorer. The keyword lists are an
+// admin-editable, versioned ruleset (classifierRulesService.js); the
+// built-in defaults live in src/data/classifierRules.js.
 //
 // Why not use OpenAI/HuggingFace here?
 // For a hackathon demo, keyword scoring is:
 // - Instant (no API latency)
 // - Free (no rate limits)
-// - Explainable (you can show the mentor exactly why it picked a department)
+// - Explainable (you can show the mentor exactly why it picked a department —
+//   every result carries an `explanation`, see POST /api/classifier/explain)
 // - Offline (works without internet for AI)
+//
+// Once officials have corrected enough departments, a naive Bayes model
+// trained on those labels (classifierModelService.js) takes over the
+// department pick. The keywords still decide whether a post is civic at all,
+// and are the fallback whenever no model is active or the model isn't sure.
+
+const { predictNaiveBayes } = require("./naiveBayes")
+const { normalizeText, keywordPattern } = require("./textNormalizer")
+const { analyzeUrgency } = require("./urgencyService")
+const { computePriority } = require("./priorityService")
+const { DEFAULT_CLASSIFIER_RULES } = require("../data/classifierRules")
+
+// Below this probability the model's department pick is ignored
+const DEFAULT_MODEL_MIN_PROBABILITY = 0.5
+
+// Civic keyword points a post needs to pass the gate
+const CIVIC_MIN_SCORE = 2
+
+// Another department is also responsible ("burst pipe flooded the road and
+// made a pothole" is Jal Board's and PWD's) when it scores at least this many
+// points and at least this share of the primary department's score
+const SECONDARY_MIN_SCORE = 2
+const SECONDARY_MIN_SHARE = 0.3
+const MAX_SECONDARY_DEPARTMENTS = 2
+
+// The ruleset in use — set by classifierRulesService at startup and after
+// every edit. version is null until the stored ruleset has been loaded.
+let activeRules = { version: null, ...DEFAULT_CLASSIFIER_RULES }
+
+/**
+ * Installs a ruleset (or with null, goes back to the built-in defaults).
+ * Takes effect for the very next classification — no restart needed.
+ *
+ * @param {{ version: number, rules: object } | null} record - A classifier_rulesets row
+ */
+function setClassifierRules(record) {
+  activeRules = record
+    ? { version: record.version, ...record.rules }
+    : { version: null, ...DEFAULT_CLASSIFIER_RULES }
+}
+
+/**
+ * Returns the ruleset in use: { version, departments, highUrgencyWords,
+ * mediumUrgencyWords, civicKeywords }. A copy — edit it and save it through
+ * classifierRulesService, not in place.
+ */
+function getClassifierRules() {
+  return structuredClone(activeRules)
+}
+
+// The active trained model — set by classifierModelService at startup and
+// after every retrain / activation. null = keywords only.
+let activeModel = null
+
+/**
+ * Installs (or with null, removes) the trained department model.
+ *
+ * @param {{ version: number, model: object } | null} record - A classifier_models row
+ */
+function setClassifierModel(record) {
+  activeModel = record ? { version: record.version, model: record.model } : null
+}
 
-// ─── DEPARTMENT KEYWORD DICTIONARIES ─────────────────────────────────────────
-// Each array has the keywords that strongly indicate this department.
-// Hindi transliterations are included because Delhi Reddit posts mix languages.
-
-const DEPARTMENT_RULES = [
-  {
-    name: "PWD",           // Public Works Department
-    fullName: "Public Works Department",
-    keywords: [
-      "pothole", "road", "street", "pavement", "asphalt", "highway", "lane",
-      "footpath", "sidewalk", "divider", "median", "crack", "bump", "broken road",
-      "sadak", "gutter filled", "road repair", "overpass", "underpass", "bridge",
-      "road damage", "road condition", "construction", "debris on road", "gravel"
-    ],
-  },
-  {
-    name: "Jal Board",     // Delhi Jal Board — handles water supply and sewage
-    fullName: "Delhi Jal Board",
-    keywords: [
-      "water", "pipe", "leak", "main", "supply", "tap", "drinkable", "contaminated",
-      "sewage", "drain", "sewer", "waterlogging", "flood", "flooding", "burst pipe",
-      "paani", "nali", "drainage", "storm drain", "puddle", "overflow", "water supply",
-      "no water", "water cut", "dirty water", "water tank", "borewell", "groundwater"
-    ],
-  },
-  {
-    name: "Sanitation",    // MCD Sanitation — garbage, waste management
-    fullName: "MCD Sanitation Department",
-    keywords: [
-      "garbage", "trash", "waste", "dump", "litter", "bin", "collection", "pickup",
-      "smell", "odor", "rat", "pest", "rodent", "cockroach", "filth", "dirty",
-      "kachra", "safai", "sweeper", "overflowing bin", "dumping", "illegal dump",
-      "hygiene", "open garbage", "waste disposal", "solid waste", "sanitation worker"
-    ],
-  },
-  {
-    name: "Electricity",   // BSES / TPDDL — power supply
-    fullName: "Delhi Electricity Supply Board",
-    keywords: [
-      "electricity", "power", "light", "streetlight", "transformer", "wire", "cable",
-      "electric", "bijli", "current", "voltage", "outage", "power cut", "tripping",
-      "sparking", "electric shock", "loose wire", "fallen wire", "no electricity",
-      "power failure", "load shedding", "meter", "short circuit"
-    ],
-  },
-  {
-    name: "Parks",         // DDA / MCD Parks
-    fullName: "Parks and Gardens Department",
-    keywords: [
-      "park", "garden", "playground", "tree", "bush", "grass", "bench", "fountain",
-      "trail", "green", "graffiti", "vandal", "restroom", "swing", "slide",
-      "park equipment", "DDA park", "fallen tree", "dead tree", "overgrown",
-      "recreation", "public space", "plant", "hedge"
-    ],
-  },
-  {
-    name: "Traffic",       // Delhi Traffic Police
-    fullName: "Delhi Traffic Police",
-    keywords: [
-      "traffic", "signal", "jam", "congestion", "parking", "illegal parking",
-      "double parking", "blocking", "challan", "no parking", "traffic light",
-      "zebra crossing", "divider broken", "one way", "road block", "barricade",
-      "accident", "speeding", "traffic management", "rush hour"
-    ],
-  },
-  {
-    name: "Health",        // MCD Health
-    fullName: "MCD Health Department",
-    keywords: [
-      "mosquito", "dengue", "malaria", "stagnant water", "vector", "fogging",
-      "hospital", "clinic", "dispensary", "ambulance", "health hazard",
-      "disease", "epidemic", "fumigation", "health camp", "medicine"
-    ],
-  },
-]
-
-// ─── URGENCY KEYWORD DICTIONARIES ─────────────────────────────────────────────
-
-const HIGH_URGENCY_WORDS = [
-  "danger", "dangerous", "urgent", "emergency", "hazard", "hazardous",
-  "accident", "injury", "hurt", "blood", "fire", "burning", "flooding",
-  "collapse", "fallen", "sparking", "electrocution", "gas leak", "toxic",
-  "death", "critical", "immediately", "asap", "severe", "extreme",
-  "no water for days", "weeks", "4 days", "5 days", "month", "months",
-  "ambulance", "hospital", "child hurt", "kids danger", "school"
-]
-
-const MEDIUM_URGENCY_WORDS = [
-  "problem", "issue", "blocked", "clogged", "overflowing", "damaged",
-  "broken", "missing", "not working", "dirty", "smelly", "pest", "rats",
-  "dark", "unsafe", "repeated", "again", "still", "ongoing", "nobody",
-  "no one", "ignored", "not resolved", "days", "weeks", "inconvenient"
-]
-
-// ─── CIVIC VALIDATION KEYWORDS ─────────────────────────────────────────────────
-// A post must match at least one of these to be considered a civic complaint.
-// This prevents Reddit memes, news articles, etc. from being imported.
-
-const CIVIC_KEYWORDS = [
-  "pothole", "road", "street", "water", "garbage", "trash", "light",
-  "electricity", "sewer", "drain", "park", "signal", "parking", "tree",
-  "pipe", "leak", "flood", "smell", "waste", "repair", "broken", "fix",
-  "complaint", "paani", "bijli", "sadak", "kachra", "nali", "safai",
-  "government", "authority", "mcd", "dda", "bses", "pwdurban", "municipal"
-]
+/**
+ * Returns the version of the model in use, or null when classifying by keywords only.
+ */
+function getActiveModelVersion() {
+  return activeModel?.version ?? null
+}
+
+/**
+ * Asks the active model for a department.
+ *
+ * @returns {{ version, label, probability, probabilities, used, rule } | null}
+ *   null when there is no model or it doesn't recognise any word in the text;
+ *   used is false when the model isn't confident enough (or names a department
+ *   we don't route to) and the keyword pick stands
+ */
+function predictDepartment(text) {
+  if (!activeModel) return null
+
+  const prediction = predictNaiveBayes(activeModel.model, text)
+  if (!prediction) return null
+
+  const minProbability = parseFloat(process.env.CLASSIFIER_MODEL_MIN_PROBABILITY) || DEFAULT_MODEL_MIN_PROBABILITY
+  const rule = getDepartmentRule(prediction.label)
+
+  return {
+    version: activeModel.version,
+    ...prediction,
+    used: !!rule && prediction.probability >= minProbability,
+    rule,
+  }
+}
 
 /**
  * Scores text against a keyword list.
- * Returns count of keyword matches (phrase matches score higher than single words).
+ * Returns the total score and which keywords matched (phrase matches score
+ * higher than single words).
+ *
+ * @returns {{ score: number, matches: Array<{ keyword, count, points }> }}
  */
 function scoreText(text, keywords) {
-  const lower = text.toLowerCase()
-  return keywords.reduce((score, keyword) => {
-    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
-    const regex = new RegExp(`\\b${escaped}\\b`, "gi")
-    const matches = (lower.match(regex) || []).length
+  // Both sides normalised, so "पानी" and "pani" in a post match the keyword
+  // "paani" — and an admin-added keyword "pani" still matches them too
+  const lower = normalizeText(text)
+  const matches = []
+  let score = 0
+
+  for (const keyword of keywords) {
+    const count = (lower.match(keywordPattern(keyword)) || []).length
+    if (!count) continue
+
     // Phrases (multi-word keywords) score double — they're more specific signals
     const weight = keyword.includes(" ") ? 2 : 1
-    return score + (matches * weight)
-  }, 0)
+    matches.push({ keyword, count, points: count * weight })
+    score += count * weight
+  }
+
+  return { score, matches }
+}
+
+/**
+ * Issue types (second taxonomy level) of a department rule. Rulesets stored
+ * before issue types existed have none — those use the built-in issue types
+ * of the department with the same name.
+ */
+function getIssueTypes(dept) {
+  if (Array.isArray(dept.issueTypes)) return dept.issueTypes
+  return DEFAULT_CLASSIFIER_RULES.departments.find(d => d.name === dept.name)?.issueTypes || []
+}
+
+/**
+ * Picks the issue type within a department: the one whose keywords score
+ * highest (the first listed wins a tie).
+ *
+ * @returns {{ issueType: { name, label } | null, scores: Array<{ issueType, label, score, matches }> }}
+ *   issueType is null when no issue type keyword matched
+ */
+function pickIssueType(dept, text) {
+  const scores = getIssueTypes(dept)
+    .map(type => ({ issueType: type.name, label: type.label, ...scoreText(text, type.keywords) }))
+
+  let best = null
+  for (const entry of scores) {
+    if (entry.score > (best?.score || 0)) best = entry
+  }
+
+  return {
+    issueType: best && { name: best.issueType, label: best.label },
+    scores: scores.filter(entry => entry.score > 0).sort((a, b) => b.score - a.score),
+  }
+}
+
+/**
+ * Works out the issue type for a complaint already routed to a department —
+ * used when a citizen or official picks the department instead of the
+ * classifier.
+ *
+ * @param {string} department - Department name (any case)
+ * @returns {{ issueType: string|null, issueTypeLabel: string|null }}
+ */
+function classifyIssueType(department, title, body = "") {
+  const rule = getDepartmentRule(department)
+  const { issueType } = rule ? pickIssueType(rule, `${title} ${body}`) : { issueType: null }
+  return { issueType: issueType?.name || null, issueTypeLabel: issueType?.label || null }
 }
 
 /**
@@ -139,21 +187,70 @@ function scoreText(text, keywords) {
  *
  * @param {string} title - Post title
  * @param {string} body - Post body/description
- * @returns {{ department, departmentFull, urgency, confidence, isCivic }}
+ * @returns {{ department, departmentFull, departmentKeywords, issueType, issueTypeLabel, secondaryDepartments, urgency, priority,
+ *             daysOutstanding, urgencyReasons, confidence, isCivic, method, modelVersion, rulesetVersion, explanation }}
+ *   priority is { score, urgency, components } (priorityService.js) from the text
+ *   alone — also given for non-civic posts, in case a citizen picks a category.
+ *   method is "model" when the trained model picked the department, else "keywords".
+ *   departmentKeywords are the primary department's matched keywords;
+ *   secondaryDepartments ({ department, departmentFull, score, keywords }) are
+ *   other departments that share responsibility, best first.
+ *   issueType / issueTypeLabel are the issue type within the department
+ *   (e.g. "pothole" / "Pothole"), null when none of its keywords matched.
+ *   explanation shows why: the civic gate score, every department's matched
+ *   keywords and score, the primary department's issue type scores, the urgency analysis (trigger words, negations,
+ *   duration, vulnerable-group hazards) and the model's prediction.
  */
 function classifyComplaint(title, body = "") {
   const fullText = `${title} ${body}`
 
+  // Score everything up front — the explanation shows all of it, even for
+  // posts that fail the civic gate
+  const rules = activeRules
+  const civic = scoreText(fullText, rules.civicKeywords)
+  const departmentScores = rules.departments.map(dept => ({ dept, ...scoreText(fullText, dept.keywords) }))
+  const urgencyAnalysis = analyzeUrgency(fullText, rules)
+  const priority = computePriority(urgencyAnalysis)
+  const modelPrediction = predictDepartment(fullText)
+
+  const explanation = {
+    civic: { score: civic.score, threshold: CIVIC_MIN_SCORE, passed: civic.score >= CIVIC_MIN_SCORE, matches: civic.matches },
+    departments: departmentScores
+      .map(({ dept, score, matches }) => ({ department: dept.name, score, matches }))
+      .sort((a, b) => b.score - a.score),
+    // Filled in once the department is known (step 3c)
+    issueTypes: [],
+    urgency: {
+      high: urgencyAnalysis.high,
+      medium: urgencyAnalysis.medium,
+      negated: urgencyAnalysis.negated,
+      duration: urgencyAnalysis.duration,
+      hazards: urgencyAnalysis.hazards,
+      vulnerable: urgencyAnalysis.vulnerable,
+      reasons: urgencyAnalysis.reasons,
+    },
+    model: modelPrediction && {
+      version: modelPrediction.version,
+      department: modelPrediction.label,
+      probability: Math.round(modelPrediction.probability * 1000) / 1000,
+      used: modelPrediction.used,
+    },
+  }
+
   // Step 1: Is this even a civic complaint?
-  const civicScore = scoreText(fullText, CIVIC_KEYWORDS)
-  if (civicScore < 2) {
+  if (!explanation.civic.passed) {
     return {
       isCivic: false,
       department: null,
       departmentFull: null,
+      issueType: null,
+      issueTypeLabel: null,
       urgency: null,
+      priority,
       confidence: 0,
       reason: "No civic keywords detected in post",
+      rulesetVersion: rules.version,
+      explanation,
     }
   }
 
@@ -161,14 +258,16 @@ function classifyComplaint(title, body = "") {
   let bestDept = null
   let bestScore = 0
 
-  for (const dept of DEPARTMENT_RULES) {
-    const score = scoreText(fullText, dept.keywords)
+  for (const { dept, score } of departmentScores) {
     if (score > bestScore) {
       bestScore = score
       bestDept = dept
     }
   }
 
+  // Step 2b: A confident trained model overrides the keyword pick
+  const modelPick = modelPrediction?.used ? modelPrediction : null
+
   // Step 3: Calculate confidence based on how many keywords matched
   // Score 0 = 0%, score 1 = 60%, score 2 = 75%, score 3+ = 85-95%
   let confidence = 0
@@ -178,22 +277,90 @@ function classifyComplaint(title, body = "") {
   else if (bestScore === 1) confidence = 60
   else confidence = 40 // matched civic keywords but not department
 
-  // Step 4: Detect urgency
-  const highScore = scoreText(fullText, HIGH_URGENCY_WORDS)
-  const medScore = scoreText(fullText, MEDIUM_URGENCY_WORDS)
+  if (modelPick) {
+    bestDept = modelPick.rule
+    confidence = Math.round(modelPick.probability * 100)
+  }
+
+  // Step 3b: Other departments the complaint clearly involves too
+  const primaryName = bestDept?.name
+  const primaryScore = departmentScores.find(({ dept }) => dept.name === primaryName)?.score || 0
+  const secondaryDepartments = departmentScores
+    .filter(({ dept, score }) =>
+      dept.name !== primaryName &&
+      score >= SECONDARY_MIN_SCORE &&
+      score >= primaryScore * SECONDARY_MIN_SHARE
+    )
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SECONDARY_DEPARTMENTS)
+    .map(({ dept, score, matches }) => ({
+      department: dept.name,
+      departmentFull: dept.fullName,
+      score,
+      keywords: matches.map(m => m.keyword),
+    }))
 
-  let urgency = "low"
-  if (highScore >= 2) urgency = "high"
-  else if (highScore >= 1 || medScore >= 2) urgency = "medium"
+  // Step 3c: Issue type within the primary department
+  const { issueType, scores: issueTypeScores } = bestDept
+    ? pickIssueType(bestDept, fullText)
+    : { issueType: null, scores: [] }
+  explanation.issueTypes = issueTypeScores
+
+  // Step 4: Urgency — from the priority score, built from trigger words (minus
+  // negated ones), how long it's been going on and hazards (urgencyService.js,
+  // priorityService.js). Engagement and reports are added at registration.
+  const { urgency } = priority
+  const { daysOutstanding, reasons: urgencyReasons } = urgencyAnalysis
 
   return {
     isCivic: true,
     department: bestDept?.name || "General",
     departmentFull: bestDept?.fullName || "Municipal Corporation",
+    departmentKeywords: departmentScores
+      .find(({ dept }) => dept.name === primaryName)?.matches.map(m => m.keyword) || [],
+    issueType: issueType?.name || null,
+    issueTypeLabel: issueType?.label || null,
+    secondaryDepartments,
     urgency,
+    priority,
+    daysOutstanding,
+    urgencyReasons,
     confidence,
     keywordScore: bestScore,
+    method: modelPick ? "model" : "keywords",
+    modelVersion: modelPick ? modelPick.version : null,
+    rulesetVersion: rules.version,
+    explanation,
   }
 }
 
-module.exports = { classifyComplaint }
+/**
+ * Finds a department rule by name (case-insensitive), e.g. "jal board".
+ * Used to validate category overrides from the web form.
+ *
+ * @param {string} name - Department name
+ * @returns {{ name, fullName, keywords } | null}
+ */
+function getDepartmentRule(name) {
+  if (!name || typeof name !== "string") return null
+  const wanted = name.trim().toLowerCase()
+  return activeRules.departments.find(dept => dept.name.toLowerCase() === wanted) || null
+}
+
+/**
+ * Names of all departments the classifier can route to.
+ */
+function getDepartmentNames() {
+  return activeRules.departments.map(dept => dept.name)
+}
+
+module.exports = {
+  classifyComplaint,
+  getDepartmentRule,
+  getDepartmentNames,
+  classifyIssueType,
+  setClassifierModel,
+  getActiveModelVersion,
+  setClassifierRules,
+  getClassifierRules,
+}
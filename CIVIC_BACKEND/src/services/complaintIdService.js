@@ -0,0 +1,149 @@
+// src/services/complaintIdService.js
+// Allocates and validates Civic Mirror complaint IDs
+//
+// Format: CMR-<year>-<sequence>-<check digit>
+//   e.g.  CMR-2026-000042-5
+//
+// - The sequence comes from the database (one counter per year), so two
+//   complaints can never be handed the same number — unlike the old random
+//   4-digit IDs, which only had 9,000 possibilities and collided.
+// - The year is the year in India (Asia/Kolkata), so IDs roll over at
+//   midnight IST on Jan 1, not UTC.
+// - The check digit (Luhn) catches most typos when a citizen types their ID
+//   into the tracking page, so we can reject it without a DB lookup.
+
+const { nextComplaintSequence, insertComplaint } = require("./databaseService")
+
+const ID_PATTERN = /^CMR-(\d{4})-(\d{6,})-(\d)$/
+
+// IDs issued before sequence allocation existed (CMR-2026-XXXX, random).
+// Still accepted for lookups so old tracking links keep working.
+const LEGACY_ID_PATTERN = /^CMR-\d{4}-\d{4}$/
+
+const MAX_INSERT_ATTEMPTS = 3
+
+/**
+ * Computes the Luhn check digit for a string of digits.
+ *
+ * @param {string} digits - e.g. "2026000042"
+ * @returns {number} 0-9
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0
+  // Walk right-to-left; double every second digit starting with the rightmost
+  // (the check digit will be appended to the right of it)
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let d = Number(digits[i])
+    if (double) {
+      d *= 2
+      if (d > 9) d -= 9
+    }
+    sum += d
+  }
+  return (10 - (sum % 10)) % 10
+}
+
+/**
+ * Returns the current year in India — complaint IDs roll over on IST Jan 1.
+ */
+function getCurrentYear(now = new Date()) {
+  return Number(now.toLocaleString("en-IN", { timeZone: "Asia/Kolkata", year: "numeric" }))
+}
+
+/**
+ * Formats a year + sequence number into a complaint ID with check digit.
+ *
+ * @param {number} year - e.g. 2026
+ * @param {number} sequence - e.g. 42
+ * @returns {string} e.g. "CMR-2026-000042-5"
+ */
+function formatComplaintId(year, sequence) {
+  const seq = String(sequence).padStart(6, "0")
+  return `CMR-${year}-${seq}-${luhnCheckDigit(`${year}${seq}`)}`
+}
+
+/**
+ * Checks that a complaint ID is well-formed and its check digit matches.
+ *
+ * @param {string} complaintId
+ * @param {{ allowLegacy?: boolean }} options - accept old CMR-YYYY-XXXX IDs (default true)
+ * @returns {boolean}
+ */
+function isValidComplaintId(complaintId, { allowLegacy = true } = {}) {
+  if (typeof complaintId !== "string") return false
+
+  if (allowLegacy && LEGACY_ID_PATTERN.test(complaintId)) return true
+
+  const match = complaintId.match(ID_PATTERN)
+  if (!match) return false
+
+  const [, year, seq, check] = match
+  return luhnCheckDigit(`${year}${seq}`) === Number(check)
+}
+
+/**
+ * Allocates the next complaint ID for the current year from the database.
+ *
+ * @returns {string} e.g. "CMR-2026-000042-5"
+ */
+async function allocateComplaintId() {
+  const year = getCurrentYear()
+  const sequence = await nextComplaintSequence(year)
+  const complaintId = formatComplaintId(year, sequence)
+
+  // Should never happen — but never hand out an ID we'd reject on lookup
+  if (!isValidComplaintId(complaintId, { allowLegacy: false })) {
+    throw new Error(`Allocated malformed complaint ID: ${complaintId}`)
+  }
+
+  return complaintId
+}
+
+/**
+ * Allocates an ID for the complaint and inserts it.
+ * If the ID is already taken (e.g. the sequence table was reset or rows were
+ * imported by hand) a fresh ID is allocated and the insert retried.
+ *
+ * Sets complaint.complaintId on the object passed in.
+ *
+ * @param {object} complaint - Complaint object without a complaintId
+ * @returns {object|null} Whatever insertComplaint returns (null = duplicate Reddit post)
+ */
+async function insertWithAllocatedId(complaint) {
+  for (let attempt = 1; attempt <= MAX_INSERT_ATTEMPTS; attempt++) {
+    complaint.complaintId = await allocateComplaintId()
+
+    try {
+      return await insertComplaint(complaint)
+    } catch (err) {
+      if (err.code !== "COMPLAINT_ID_CONFLICT") throw err
+      console.warn(`⚠️  Complaint ID ${complaint.complaintId} already taken (attempt ${attempt}/${MAX_INSERT_ATTEMPTS})`)
+    }
+  }
+
+  throw new Error(`Could not allocate a free complaint ID after ${MAX_INSERT_ATTEMPTS} attempts`)
+}
+
+/**
+ * Express middleware — rejects requests whose :complaintId param is malformed
+ * before we touch the database.
+ */
+function validateComplaintIdParam(req, res, next) {
+  const { complaintId } = req.params
+  if (!isValidComplaintId(complaintId)) {
+    return res.status(400).json({
+      error: "Malformed complaint ID",
+      complaintId,
+      expectedFormat: "CMR-YYYY-NNNNNN-C (e.g. CMR-2026-000042-5)",
+    })
+  }
+  next()
+}
+
+module.exports = {
+  formatComplaintId,
+  isValidComplaintId,
+  allocateComplaintId,
+  insertWithAllocatedId,
+  validateComplaintIdParam,
+}
@@ -0,0 +1,177 @@
+// src/services/complaintQueryService.js
+// Parses and validates the query string for GET /api/complaint/all
+//
+// Turns ?department=PWD,Traffic&urgency=high&q=pothole&sort=urgency&cursor=...
+// into a plain criteria object that databaseService.queryComplaints() understands.
+//
+// Pagination is cursor-based (keyset), not offset-based: the cursor encodes the
+// sort values of the last row on the page, so new complaints arriving while the
+// dashboard pages through never shift rows between pages.
+
+const MAX_LIMIT = 200
+const DEFAULT_LIMIT = 50
+
+// Multi-value filters: ?department=PWD,Traffic → department IN (...)
+// Key = query param, value = DB column
+const LIST_FILTERS = {
+  department: "department",
+  issueType: "issue_type",
+  urgency: "urgency",
+  status: "status",
+  zone: "municipal_zone",
+  ward: "ward",
+  source: "source",
+}
+
+// Facets we return counts for (with ?facets=true) — same columns as the list filters
+const FACETS = Object.keys(LIST_FILTERS)
+
+// Sort orders. Each is a list of [column, ascending] — the last column must be
+// unique (id) so the cursor always identifies exactly one position.
+const SORTS = {
+  newest: [["created_at", false], ["id", false]],
+  oldest: [["created_at", true], ["id", true]],
+  urgency: [["urgency_rank", false], ["created_at", false], ["id", false]],
+  priority: [["priority_score", false], ["created_at", false], ["id", false]],
+}
+
+// Numeric urgency for sorting — stored in the urgency_rank column
+const URGENCY_RANK = { high: 3, medium: 2, low: 1 }
+
+/**
+ * Encodes the sort values of the last row on a page into an opaque cursor.
+ *
+ * @param {object} row - DB record (snake_case)
+ * @param {string} sort - One of the SORTS keys
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(row, sort) {
+  const values = SORTS[sort].map(([column]) => row[column])
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString("base64url")
+}
+
+/**
+ * Decodes a cursor back into sort values. Returns null if it's garbage
+ * or was issued for a different sort order.
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    if (parsed.s !== sort || !Array.isArray(parsed.v) || parsed.v.length !== SORTS[sort].length) {
+      return null
+    }
+    return parsed.v
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parses an ISO date (or YYYY-MM-DD) query param.
+ * A bare date used as the "to" bound covers the whole day.
+ */
+function parseDateParam(value, endOfDay) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return null
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999)
+  }
+  return date.toISOString()
+}
+
+/**
+ * Validates the /all query string and builds the criteria object.
+ *
+ * @param {object} query - req.query
+ * @returns {{ error: string } | { criteria: {
+ *   filters: object, search: string|null, bbox: object|null,
+ *   from: string|null, to: string|null,
+ *   sort: string, limit: number, after: Array|null, facets: boolean
+ * } }}
+ */
+function parseComplaintQuery(query) {
+  const filters = {}
+
+  for (const [param, column] of Object.entries(LIST_FILTERS)) {
+    if (query[param] === undefined || query[param] === "") continue
+    if (typeof query[param] !== "string") {
+      return { error: `${param} must be a comma-separated list` }
+    }
+    filters[column] = query[param].split(",").map(v => v.trim()).filter(Boolean)
+  }
+
+  // ── Date range ──────────────────────────────────────────────────────────────
+  let from = null
+  let to = null
+  if (query.from) {
+    from = parseDateParam(query.from, false)
+    if (!from) return { error: "from must be a date (e.g. 2026-01-01)" }
+  }
+  if (query.to) {
+    to = parseDateParam(query.to, true)
+    if (!to) return { error: "to must be a date (e.g. 2026-01-31)" }
+  }
+
+  // ── Bounding box: minLng,minLat,maxLng,maxLat (same order as GeoJSON) ──────
+  let bbox = null
+  if (query.bbox) {
+    const parts = String(query.bbox).split(",").map(Number)
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n)) ||
+        parts[0] > parts[2] || parts[1] > parts[3]) {
+      return { error: "bbox must be minLng,minLat,maxLng,maxLat" }
+    }
+    const [minLng, minLat, maxLng, maxLat] = parts
+    bbox = { minLng, minLat, maxLng, maxLat }
+  }
+
+  // ── Keyword search over title + description ────────────────────────────────
+  const search = typeof query.q === "string" && query.q.trim() ? query.q.trim().slice(0, 100) : null
+
+  // ── Sorting + pagination ────────────────────────────────────────────────────
+  const sort = query.sort || "newest"
+  if (!SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(", ")}` }
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT))
+
+  let after = null
+  if (query.cursor) {
+    after = decodeCursor(String(query.cursor), sort)
+    if (!after) return { error: "cursor is invalid or was issued for a different sort" }
+  }
+
+  // Facet counts cover every matching row, so they're only worked out on request
+  const facets = query.facets === "true"
+
+  return { criteria: { filters, search, bbox, from, to, sort, limit, after, facets } }
+}
+
+/**
+ * Counts facet values across a set of matching rows.
+ *
+ * @param {Array} rows - Records with at least the facet columns
+ * @returns {object} e.g. { department: { PWD: 12, Traffic: 3 }, urgency: { high: 4, ... }, ... }
+ */
+function countFacets(rows) {
+  const facets = {}
+  for (const param of FACETS) {
+    const column = LIST_FILTERS[param]
+    facets[param] = {}
+    for (const row of rows) {
+      const value = row[column] ?? "unknown"
+      facets[param][value] = (facets[param][value] || 0) + 1
+    }
+  }
+  return facets
+}
+
+module.exports = {
+  LIST_FILTERS,
+  FACETS,
+  SORTS,
+  URGENCY_RANK,
+  parseComplaintQuery,
+  encodeCursor,
+  countFacets,
+}
@@ -1,124 +1,79 @@
 // src/services/databaseService.js
-// Supabase integration for storing complaints
+// Storage for complaints, corroborating reports, status history, ingestion
+// watches/runs, jobs and the classifier's feedback, models and rulesets
 //
-// Supabase is a free PostgreSQL database with a REST API.
-// Free tier: 500MB storage, unlimited API calls, 2 projects.
-//
-// Setup:
-// 1. Go to app.supabase.com → New Project
-// 2. Go to SQL Editor → run the CREATE TABLE query below
-// 3. Copy your Project URL and Service Role Key to .env
-//
-// ─── RUN THIS IN SUPABASE SQL EDITOR TO CREATE THE TABLE ──────────────────────
-//
-// CREATE TABLE complaints (
-//   id SERIAL PRIMARY KEY,
-//   complaint_id TEXT UNIQUE NOT NULL,
-//   title TEXT NOT NULL,
-//   description TEXT,
-//   department TEXT,
-//   department_full TEXT,
-//   urgency TEXT CHECK (urgency IN ('low', 'medium', 'high')),
-//   status TEXT DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'resolved')),
-//   location TEXT,
-//   lat DOUBLE PRECISION,
-//   lng DOUBLE PRECISION,
-//   source TEXT DEFAULT 'reddit',
-//   source_handle TEXT,
-//   reddit_id TEXT UNIQUE,
-//   reddit_permalink TEXT,
-//   ai_confidence INTEGER,
-//   citizen_email TEXT,
-//   citizen_phone TEXT,
-//   authority_email_sent BOOLEAN DEFAULT false,
-//   citizen_notified BOOLEAN DEFAULT false,
-//   created_at TIMESTAMPTZ DEFAULT NOW(),
-//   updated_at TIMESTAMPTZ DEFAULT NOW()
-// );
-//
-// -- Enable Row Level Security (optional but recommended for production)
-// ALTER TABLE complaints ENABLE ROW LEVEL SECURITY;
-//
-// ─────────────────────────────────────────────────────────────────────────────
-
-const { createClient } = require("@supabase/supabase-js")
+// Everything in the app reads and writes through these functions. They build
+// the rows (snake_case columns, timestamps) and hand them to the configured
+// storage backend — Supabase, a JSON file on disk, or memory. See
+// src/storage/index.js for how the backend is chosen, and
+// src/storage/supabaseStorage.js for the SQL to create the Supabase tables.
 
-let supabase = null
-
-/**
- * Gets the Supabase client, creating it on first call.
- * Uses the Service Role Key (bypasses Row Level Security — safe for backend only).
- */
-function getSupabase() {
-  if (supabase) return supabase
-
-  const url = process.env.SUPABASE_URL
-  const key = process.env.SUPABASE_SERVICE_KEY
-
-  if (!url || !key) {
-    console.warn("⚠️  Supabase not configured. Set SUPABASE_URL and SUPABASE_SERVICE_KEY.")
-    return null
-  }
-
-  supabase = createClient(url, key)
-  return supabase
-}
+const { getStorage } = require("../storage")
+const { URGENCY_RANK } = require("./complaintQueryService")
 
 /**
  * Inserts a new complaint into the database.
- * Returns the inserted record, or null if DB is not configured.
+ * Returns the inserted record, or null if the Reddit post is already stored.
+ * Throws an error with code COMPLAINT_ID_CONFLICT if the complaint ID is taken.
  *
  * @param {object} complaint - Full complaint object
  * @returns {object|null} The inserted complaint record
  */
 async function insertComplaint(complaint) {
-  const db = getSupabase()
-
-  // If no DB configured, log and return the complaint as-is (demo mode)
-  if (!db) {
-    console.log("💾 [DB MOCK] Complaint would be saved:", complaint.complaintId)
-    return complaint
-  }
-
   // Map our JS object to the DB column names (snake_case)
   const record = {
     complaint_id: complaint.complaintId,
     title: complaint.title,
     description: complaint.description,
+    raw_title: complaint.rawTitle ?? null,
+    raw_description: complaint.rawDescription ?? null,
+    redactions: complaint.redactions || {},
     department: complaint.department,
     department_full: complaint.departmentFull,
+    issue_type: complaint.issueType ?? null,
+    issue_type_label: complaint.issueTypeLabel ?? null,
+    secondary_departments: complaint.secondaryDepartments || [],
     urgency: complaint.urgency,
+    urgency_rank: URGENCY_RANK[complaint.urgency] || null,
+    priority_score: complaint.priorityScore ?? null,
+    priority_breakdown: complaint.priorityBreakdown || null,
+    days_outstanding: complaint.daysOutstanding ?? null,
+    urgency_reasons: complaint.urgencyReasons || [],
     status: "open",
     location: complaint.location,
     lat: complaint.lat,
     lng: complaint.lng,
+    geocoded: !!complaint.geocoded,
+    ward: complaint.ward ?? null,
+    address_parts: complaint.addressParts || {},
+    landmark: complaint.landmark ?? null,
+    municipal_body: complaint.municipalBody,
+    municipal_zone: complaint.municipalZone,
     source: complaint.source || "reddit",
     source_handle: complaint.sourceHandle,
     reddit_id: complaint.redditId,
     reddit_permalink: complaint.redditPermalink,
     ai_confidence: complaint.aiConfidence,
+    ruleset_version: complaint.rulesetVersion ?? null,
+    citizen_name: complaint.citizenName,
     citizen_email: complaint.citizenEmail,
     citizen_phone: complaint.citizenPhone,
+    ack_due_at: complaint.ackDueAt,
+    resolve_due_at: complaint.resolveDueAt,
+    escalation_level: 1,
+    report_count: 1,
     authority_email_sent: false,
     citizen_notified: false,
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString(),
   }
 
-  const { data, error } = await db
-    .from("complaints")
-    .insert([record])
-    .select()
-    .single()
-
-  if (error) {
-    // Handle duplicate Reddit post (unique constraint on reddit_id)
-    if (error.code === "23505") {
-      console.log(`ℹ️  Duplicate complaint skipped: ${complaint.redditId}`)
-      return null
-    }
-    console.error("❌ DB insert error:", error.message)
-    throw new Error(`Database error: ${error.message}`)
+  const data = await getStorage().insertComplaint(record)
+
+  if (!data) {
+    // Unique constraint on reddit_id — this post was already registered
+    console.log(`ℹ️  Duplicate complaint skipped: ${complaint.redditId}`)
+    return null
   }
 
   console.log(`💾 Complaint saved to DB: ${complaint.complaintId}`)
@@ -126,29 +81,37 @@ async function insertComplaint(complaint) {
 }
 
 /**
- * Checks if a Reddit post has already been processed.
+ * Returns the next complaint sequence number for a year (1, 2, 3...).
+ * Every backend guarantees concurrent requests never get the same number.
+ *
+ * @param {number} year - e.g. 2026
+ * @returns {number} The newly allocated sequence number
+ */
+async function nextComplaintSequence(year) {
+  return getStorage().nextComplaintSequence(year)
+}
+
+/**
+ * Checks if a Reddit post has already been processed — either as a complaint
+ * or as a corroborating report attached to one.
  * Used to prevent duplicate complaints from the same post.
  *
  * @param {string} redditId - The Reddit post ID
  * @returns {boolean} true if already exists
  */
 async function complaintExists(redditId) {
-  const db = getSupabase()
-  if (!db) return false
-
-  const { data, error } = await db
-    .from("complaints")
-    .select("complaint_id")
-    .eq("reddit_id", redditId)
-    .single()
-
-  if (error && error.code !== "PGRST116") {
-    // PGRST116 = "no rows found" — that's expected when it doesn't exist
-    console.error("DB lookup error:", error.message)
-    return false
-  }
+  return getStorage().complaintExists(redditId)
+}
 
-  return !!data
+/**
+ * Fetches a single complaint by our CMR-XXXX ID.
+ * Returns null if it doesn't exist.
+ *
+ * @param {string} complaintId - Our CMR-XXXX ID
+ * @returns {object|null} The complaint record (snake_case columns)
+ */
+async function getComplaintById(complaintId) {
+  return getStorage().getComplaintById(complaintId)
 }
 
 /**
@@ -156,49 +119,495 @@ async function complaintExists(redditId) {
  *
  * @param {string} complaintId - Our CMR-XXXX ID
  * @param {object} updates - Fields to update
+ * @returns {object|null} The updated record, or null if the update failed
  */
 async function updateComplaint(complaintId, updates) {
-  const db = getSupabase()
-  if (!db) return
-
-  const { error } = await db
-    .from("complaints")
-    .update({ ...updates, updated_at: new Date().toISOString() })
-    .eq("complaint_id", complaintId)
+  return getStorage().updateComplaint(complaintId, { ...updates, updated_at: new Date().toISOString() })
+}
 
-  if (error) {
-    console.error(`DB update error for ${complaintId}:`, error.message)
-  }
+/**
+ * Changes a complaint's status (plus any other fields) only if it is still
+ * in fromStatus — the compare-and-set behind status transitions.
+ *
+ * @param {string} complaintId - Our CMR-XXXX ID
+ * @param {string} fromStatus - The status the caller checked the transition against
+ * @param {object} updates - Fields to update, including status
+ * @returns {object|null} The updated record, or null if the complaint is
+ *   missing or its status has changed since
+ */
+async function updateComplaintStatus(complaintId, fromStatus, updates) {
+  return getStorage().updateComplaintStatus(complaintId, fromStatus, { ...updates, updated_at: new Date().toISOString() })
 }
 
 /**
- * Fetches all complaints (for the frontend to display).
- * Used by the GET /api/complaint/all route.
+ * Fetches all complaints (for the frontend to display), newest first.
  *
  * @param {number} limit - Max number of records to return
  * @returns {Array} Array of complaint records
  */
 async function getAllComplaints(limit = 50) {
-  const db = getSupabase()
-  if (!db) return []
-
-  const { data, error } = await db
-    .from("complaints")
-    .select("*")
-    .order("created_at", { ascending: false })
-    .limit(limit)
-
-  if (error) {
-    console.error("DB fetch error:", error.message)
-    return []
+  return getStorage().getAllComplaints(limit)
+}
+
+/**
+ * Filtered, searchable, cursor-paginated complaint list for the dashboard.
+ * Used by GET /api/complaint/all.
+ *
+ * @param {object} criteria - From parseComplaintQuery() in complaintQueryService.js
+ * @returns {{ complaints: Array, total: number, facets: object|null, nextCursor: string|null }}
+ *   facets is null unless criteria.facets is set
+ */
+async function queryComplaints(criteria) {
+  return getStorage().queryComplaints(criteria)
+}
+
+/**
+ * Finds complaints whose SLA deadlines have passed and haven't been flagged yet.
+ * Used by the periodic SLA checker (slaService.runSlaCheck).
+ *
+ * @param {string} nowIso - Current time as ISO string
+ * @returns {{ ackBreaches: Array, resolveBreaches: Array }}
+ */
+async function findSlaBreachCandidates(nowIso) {
+  return getStorage().findSlaBreachCandidates(nowIso)
+}
+
+/**
+ * Lists unfinished complaints that have breached an SLA deadline
+ * (for GET /api/sla/breaches), most escalated first.
+ */
+async function getBreachedComplaints(limit = 100) {
+  return getStorage().getBreachedComplaints(limit)
+}
+
+/**
+ * Open complaints in a department registered since a given time, inside a
+ * bounding box — the candidates duplicateService compares a new report against.
+ * Only complaints with a real (geocoded) location are returned.
+ *
+ * @param {{ department: string, since: string, bbox: { minLat, maxLat, minLng, maxLng } }} criteria
+ * @returns {Array} Complaint records
+ */
+async function findDuplicateCandidates(criteria) {
+  return getStorage().findDuplicateCandidates(criteria)
+}
+
+/**
+ * Every complaint's ID, text and current department — the training set for
+ * the department classifier (see classifierModelService.js).
+ *
+ * @returns {Array<{ complaint_id, title, description, department }>}
+ */
+async function getTrainingComplaints() {
+  return getStorage().getTrainingComplaints()
+}
+
+// ─── CORROBORATING REPORTS ────────────────────────────────────────────────────
+
+/**
+ * Attaches another report of the same issue to an existing complaint.
+ * Returns null if the Reddit post is already stored (as a report or complaint).
+ *
+ * @param {object} report - camelCase report (title, description, source, redditId, citizen fields...)
+ * @returns {object|null} The stored report
+ */
+async function insertComplaintReport(report) {
+  const record = {
+    complaint_id: report.complaintId,
+    title: report.title,
+    description: report.description,
+    raw_title: report.rawTitle ?? null,
+    raw_description: report.rawDescription ?? null,
+    redactions: report.redactions || {},
+    source: report.source || "reddit",
+    source_handle: report.sourceHandle,
+    reddit_id: report.redditId,
+    reddit_permalink: report.redditPermalink,
+    citizen_name: report.citizenName,
+    citizen_email: report.citizenEmail,
+    citizen_phone: report.citizenPhone,
+    location: report.location,
+    lat: report.lat,
+    lng: report.lng,
+    similarity: report.similarity,
+    distance_m: report.distanceMeters,
+    reported_at: report.timestamp,
+    created_at: new Date().toISOString(),
   }
 
-  return data || []
+  const data = await getStorage().insertComplaintReport(record)
+  if (!data) {
+    console.log(`ℹ️  Duplicate report skipped: ${report.redditId}`)
+    return null
+  }
+
+  console.log(`💾 Corroborating report saved for ${report.complaintId}`)
+  return data
+}
+
+/**
+ * Returns the corroborating reports attached to a complaint, oldest first.
+ *
+ * @param {string} complaintId - Our CMR-XXXX ID
+ * @returns {Array} Report records
+ */
+async function getComplaintReports(complaintId) {
+  return getStorage().getComplaintReports(complaintId)
+}
+
+// ─── STATUS HISTORY ───────────────────────────────────────────────────────────
+
+/**
+ * Writes one status change to the complaint_status_history table.
+ *
+ * @param {{ complaintId, fromStatus, toStatus, actor, note }} entry
+ * @returns {object} The stored history entry
+ */
+async function insertStatusHistory(entry) {
+  return getStorage().insertStatusHistory({
+    complaint_id: entry.complaintId,
+    from_status: entry.fromStatus,
+    to_status: entry.toStatus,
+    actor: entry.actor,
+    note: entry.note || null,
+    created_at: new Date().toISOString(),
+  })
+}
+
+/**
+ * Returns the full status timeline for a complaint, oldest first.
+ *
+ * @param {string} complaintId - Our CMR-XXXX ID
+ * @returns {Array} History entries
+ */
+async function getStatusHistory(complaintId) {
+  return getStorage().getStatusHistory(complaintId)
+}
+
+// ─── INGESTION WATCHES ────────────────────────────────────────────────────────
+
+/**
+ * Adds an ingestion watch if it doesn't exist yet. Existing watches keep
+ * their watermark, paused flag and run state — only the configured
+ * keyword/subreddit/interval are refreshed.
+ *
+ * @param {{ id, keyword, subreddit, intervalMinutes }} watch
+ */
+async function upsertIngestionWatch(watch) {
+  return getStorage().upsertIngestionWatch({
+    id: watch.id,
+    keyword: watch.keyword,
+    subreddit: watch.subreddit,
+    interval_minutes: watch.intervalMinutes,
+    updated_at: new Date().toISOString(),
+  })
+}
+
+/**
+ * Lists all ingestion watches.
+ */
+async function getIngestionWatches() {
+  return getStorage().getIngestionWatches()
+}
+
+/**
+ * Updates an ingestion watch (watermark, paused flag, last run time).
+ *
+ * @returns {object|null} The updated watch, or null if it doesn't exist
+ */
+async function updateIngestionWatch(watchId, updates) {
+  return getStorage().updateIngestionWatch(watchId, { ...updates, updated_at: new Date().toISOString() })
+}
+
+/**
+ * Starts a run record for a watch.
+ *
+ * @returns {object} The run (with its id)
+ */
+async function insertIngestionRun(watchId, trigger) {
+  return getStorage().insertIngestionRun({
+    watch_id: watchId,
+    trigger,
+    status: "running",
+    fetched: 0,
+    new_posts: 0,
+    registered: 0,
+    merged: 0,
+    rejected: 0,
+    duplicates: 0,
+    failed: 0,
+    error: null,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+  })
+}
+
+/**
+ * Records the outcome of a run (counts, status, error).
+ */
+async function updateIngestionRun(runId, updates) {
+  return getStorage().updateIngestionRun(runId, updates)
+}
+
+/**
+ * Returns the most recent runs for a watch, newest first.
+ */
+async function getIngestionRuns(watchId, limit = 20) {
+  return getStorage().getIngestionRuns(watchId, limit)
+}
+
+// ─── JOBS ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Creates a background job record.
+ *
+ * @param {{ id, type, params }} job
+ * @returns {object} The stored job
+ */
+async function insertJob(job) {
+  const now = new Date().toISOString()
+  return getStorage().insertJob({
+    id: job.id,
+    type: job.type,
+    status: "queued",
+    params: job.params,
+    posts: null,
+    items: [],
+    cancel_requested: false,
+    error: null,
+    created_at: now,
+    started_at: null,
+    finished_at: null,
+    updated_at: now,
+  })
+}
+
+/**
+ * Fetches a job by ID, or null.
+ */
+async function getJob(jobId) {
+  return getStorage().getJob(jobId)
+}
+
+/**
+ * Updates a job (status, progress items, cancel flag...).
+ *
+ * @returns {object|null} The updated job
+ */
+async function updateJob(jobId, updates) {
+  return getStorage().updateJob(jobId, { ...updates, updated_at: new Date().toISOString() })
+}
+
+/**
+ * Lists jobs, newest first — optionally only those in the given statuses.
+ *
+ * @param {{ statuses?: string[], limit?: number, oldestFirst?: boolean }} options
+ */
+async function getJobs({ statuses = null, limit = 20, oldestFirst = false } = {}) {
+  return getStorage().getJobs({ statuses, limit, oldestFirst })
+}
+
+// ─── CLASSIFIER FEEDBACK, MODELS + RULESETS ───────────────────────────────────
+
+/**
+ * Records an official's department correction for a complaint.
+ *
+ * @param {{ complaintId, previousDepartment, department, actor, note }} feedback
+ * @returns {object} The stored feedback entry
+ */
+async function insertClassifierFeedback(feedback) {
+  return getStorage().insertClassifierFeedback({
+    complaint_id: feedback.complaintId,
+    previous_department: feedback.previousDepartment,
+    department: feedback.department,
+    actor: feedback.actor,
+    note: feedback.note || null,
+    created_at: new Date().toISOString(),
+  })
+}
+
+/**
+ * Returns every department correction, oldest first.
+ */
+async function getClassifierFeedback() {
+  return getStorage().getClassifierFeedback()
+}
+
+/**
+ * Stores a newly trained (inactive) classifier model.
+ *
+ * @param {{ algorithm, model, metrics, trainedBy }} model
+ * @returns {object} The stored model, with its version number
+ */
+async function insertClassifierModel(model) {
+  return getStorage().insertClassifierModel({
+    algorithm: model.algorithm,
+    model: model.model,
+    metrics: model.metrics,
+    active: false,
+    trained_by: model.trainedBy,
+    created_at: new Date().toISOString(),
+  })
+}
+
+/**
+ * Lists classifier model versions, newest first — without the model bodies.
+ */
+async function getClassifierModels() {
+  return getStorage().getClassifierModels()
+}
+
+/**
+ * Fetches one classifier model version (with its body), or null.
+ */
+async function getClassifierModel(version) {
+  return getStorage().getClassifierModel(version)
+}
+
+/**
+ * Fetches the active classifier model, or null if none has been activated.
+ */
+async function getActiveClassifierModel() {
+  return getStorage().getActiveClassifierModel()
+}
+
+/**
+ * Makes a model version the active one (deactivating the others).
+ *
+ * @returns {object|null} The activated model (without its body), or null if it doesn't exist
+ */
+async function activateClassifierModel(version) {
+  return getStorage().activateClassifierModel(version)
+}
+
+/**
+ * Stores a new (inactive) classifier ruleset version.
+ *
+ * @param {{ rules: object, basedOn: number|null, createdBy: string, note?: string }} ruleset
+ * @returns {object} The stored ruleset, with its version number
+ */
+async function insertClassifierRuleset(ruleset) {
+  return getStorage().insertClassifierRuleset({
+    rules: ruleset.rules,
+    active: false,
+    based_on: ruleset.basedOn ?? null,
+    created_by: ruleset.createdBy,
+    note: ruleset.note || null,
+    created_at: new Date().toISOString(),
+  })
+}
+
+/**
+ * Lists ruleset versions, newest first — without the rules themselves.
+ */
+async function getClassifierRulesets() {
+  return getStorage().getClassifierRulesets()
+}
+
+/**
+ * Fetches one ruleset version (with its rules), or null.
+ */
+async function getClassifierRuleset(version) {
+  return getStorage().getClassifierRuleset(version)
+}
+
+/**
+ * Fetches the active ruleset, or null if none has been stored yet.
+ */
+async function getActiveClassifierRuleset() {
+  return getStorage().getActiveClassifierRuleset()
+}
+
+/**
+ * Makes a ruleset version the active one (deactivating the others).
+ *
+ * @returns {object|null} The activated ruleset, or null if it doesn't exist
+ */
+async function activateClassifierRuleset(version) {
+  return getStorage().activateClassifierRuleset(version)
+}
+
+// ─── GEOCODE CACHE ────────────────────────────────────────────────────────────
+
+/**
+ * Fetches a cached geocoding answer by its key (normalised place name), or
+ * null. Expired entries are returned too — the caller checks expires_at.
+ */
+async function getGeocodeCacheEntry(cacheKey) {
+  return getStorage().getGeocodeCacheEntry(cacheKey)
+}
+
+/**
+ * Stores (or refreshes) a geocoding answer.
+ *
+ * @param {{ cacheKey, query, found: boolean, lat?, lng?, displayName?, boundingBox?, expiresAt: string }} entry
+ *   found is false for a negative entry (Nominatim had no result)
+ */
+async function saveGeocodeCacheEntry(entry) {
+  return getStorage().upsertGeocodeCacheEntry({
+    cache_key: entry.cacheKey,
+    query: entry.query,
+    found: entry.found,
+    lat: entry.lat ?? null,
+    lng: entry.lng ?? null,
+    display_name: entry.displayName ?? null,
+    bounding_box: entry.boundingBox ?? null,
+    expires_at: entry.expiresAt,
+    updated_at: new Date().toISOString(),
+  })
+}
+
+/**
+ * Keeps the geocode cache bounded: drops entries that expired before
+ * staleBefore, then the ones expiring soonest until at most maxEntries remain.
+ *
+ * @param {{ staleBefore: string, maxEntries: number }} limits
+ * @returns {number} How many entries were removed
+ */
+async function pruneGeocodeCache(limits) {
+  return getStorage().pruneGeocodeCache(limits)
 }
 
 module.exports = {
   insertComplaint,
+  nextComplaintSequence,
   complaintExists,
+  getComplaintById,
   updateComplaint,
+  updateComplaintStatus,
   getAllComplaints,
+  queryComplaints,
+  findSlaBreachCandidates,
+  getBreachedComplaints,
+  findDuplicateCandidates,
+  getTrainingComplaints,
+  insertComplaintReport,
+  getComplaintReports,
+  insertStatusHistory,
+  getStatusHistory,
+  upsertIngestionWatch,
+  getIngestionWatches,
+  updateIngestionWatch,
+  insertIngestionRun,
+  updateIngestionRun,
+  getIngestionRuns,
+  insertJob,
+  getJob,
+  updateJob,
+  getJobs,
+  insertClassifierFeedback,
+  getClassifierFeedback,
+  insertClassifierModel,
+  getClassifierModels,
+  getClassifierModel,
+  getActiveClassifierModel,
+  activateClassifierModel,
+  insertClassifierRuleset,
+  getClassifierRulesets,
+  getClassifierRuleset,
+  getActiveClassifierRuleset,
+  activateClassifierRuleset,
+  getGeocodeCacheEntry,
+  saveGeocodeCacheEntry,
+  pruneGeocodeCache,
 }
@@ -0,0 +1,146 @@
+// src/services/duplicateService.js
+// Near-duplicate detection — is this a new issue, or another report of one
+// we already forwarded?
+//
+// Five people posting about the same Janakpuri pothole should be one
+// complaint with five reports, not five emails to MCD. A new report matches an
+// existing complaint when ALL of these hold:
+//   - same department
+//   - the existing complaint is still open (not resolved/closed/rejected)
+//   - it was registered within the time window (DUPLICATE_WINDOW_DAYS)
+//   - both were geocoded and are within DUPLICATE_RADIUS_METERS of each other
+//   - their text is similar enough (DUPLICATE_MIN_SIMILARITY, 0..1)
+// City-level fallback locations ("Delhi" centre) are never matched on —
+// otherwise every unlocated complaint would look like a neighbour.
+
+const { findDuplicateCandidates } = require("./databaseService")
+const { normalizeText } = require("./textNormalizer")
+
+const DEFAULT_RADIUS_METERS = 250
+const DEFAULT_WINDOW_DAYS = 7
+const DEFAULT_MIN_SIMILARITY = 0.3
+
+// Words that say nothing about which issue a report is about
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "this", "that", "from", "have", "has", "had",
+  "are", "was", "were", "been", "our", "your", "their", "there", "here", "near",
+  "very", "since", "still", "again", "please", "delhi", "road", "area", "today",
+  "days", "day", "week", "weeks", "all", "any", "not", "but", "what", "when",
+  "who", "why", "how", "its", "into", "about", "just", "also", "some", "more",
+])
+
+/**
+ * Reads the matching thresholds from .env (falling back to the defaults).
+ */
+function getDuplicateSettings() {
+  return {
+    radiusMeters: parseFloat(process.env.DUPLICATE_RADIUS_METERS) || DEFAULT_RADIUS_METERS,
+    windowDays: parseFloat(process.env.DUPLICATE_WINDOW_DAYS) || DEFAULT_WINDOW_DAYS,
+    minSimilarity: parseFloat(process.env.DUPLICATE_MIN_SIMILARITY) || DEFAULT_MIN_SIMILARITY,
+  }
+}
+
+/**
+ * Splits text into lowercase word tokens, dropping stopwords and short words.
+ * Trailing plural "s" is stripped so "potholes" matches "pothole", and Hindi /
+ * Hinglish is normalised so "पानी" matches "paani".
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word))
+}
+
+/**
+ * Cosine similarity between the word counts of two texts (0 = nothing in
+ * common, 1 = same words in the same proportions).
+ *
+ * @param {Set<string>} ignore - Words to leave out (the place names — two
+ *   reports from the same locality always share those)
+ */
+function textSimilarity(a, b, ignore) {
+  const countWords = text => tokenize(text).reduce((counts, word) => {
+    if (!ignore.has(word)) counts.set(word, (counts.get(word) || 0) + 1)
+    return counts
+  }, new Map())
+
+  const countsA = countWords(a)
+  const countsB = countWords(b)
+  if (!countsA.size || !countsB.size) return 0
+
+  let dot = 0
+  for (const [word, count] of countsA) dot += count * (countsB.get(word) || 0)
+
+  const norm = counts => Math.sqrt([...counts.values()].reduce((sum, c) => sum + c * c, 0))
+  return dot / (norm(countsA) * norm(countsB))
+}
+
+/**
+ * Great-circle distance between two points in metres (haversine formula).
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = deg => (deg * Math.PI) / 180
+  const dLat = toRadians(lat2 - lat1)
+  const dLng = toRadians(lng2 - lng1)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * 6371000 * Math.asin(Math.sqrt(h))
+}
+
+/**
+ * Looks for an open complaint that this new report is another report of.
+ *
+ * @param {object} report
+ * @param {string} report.title
+ * @param {string} report.description
+ * @param {string} report.department - Department the new report was classified as
+ * @param {object} report.locationData - Output of extractAndGeocode / resolveSubmittedLocation
+ * @returns {{ complaint: object, similarity: number, distanceMeters: number } | null}
+ *          The best match (complaint is the DB record), or null if it's a new issue
+ */
+async function findNearDuplicate({ title, description, department, locationData }) {
+  if (!locationData?.geocoded || locationData.lat == null || locationData.lng == null) return null
+
+  const { radiusMeters, windowDays, minSimilarity } = getDuplicateSettings()
+  const { lat, lng } = locationData
+
+  // Cheap bounding box for the DB query — the exact distance is checked below
+  const latDelta = radiusMeters / 111320
+  const lngDelta = radiusMeters / (111320 * Math.cos((lat * Math.PI) / 180))
+
+  const candidates = await findDuplicateCandidates({
+    department,
+    since: new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString(),
+    bbox: { minLat: lat - latDelta, maxLat: lat + latDelta, minLng: lng - lngDelta, maxLng: lng + lngDelta },
+  })
+
+  const reportText = `${title} ${description}`
+  let best = null
+
+  for (const complaint of candidates) {
+    const distance = distanceMeters(lat, lng, complaint.lat, complaint.lng)
+    if (distance > radiusMeters) continue
+
+    const placeWords = new Set(tokenize(`${locationData.localityName} ${complaint.location}`))
+    const similarity = textSimilarity(reportText, `${complaint.title} ${complaint.description}`, placeWords)
+    if (similarity < minSimilarity) continue
+
+    // Text matters most; distance breaks near-ties
+    const score = similarity * 0.7 + (1 - distance / radiusMeters) * 0.3
+    if (!best || score > best.score) {
+      best = { complaint, similarity, distanceMeters: distance, score }
+    }
+  }
+
+  if (!best) return null
+
+  return {
+    complaint: best.complaint,
+    similarity: Math.round(best.similarity * 100) / 100,
+    distanceMeters: Math.round(best.distanceMeters),
+  }
+}
+
+module.exports = { findNearDuplicate }
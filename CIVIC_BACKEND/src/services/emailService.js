@@ -1,14 +1,17 @@
 // src/services/emailService.js
 // Handles all outgoing emails using Nodemailer + Gmail
 //
-// Two types of emails:
+// Types of emails:
 // 1. Authority email — sent to the municipal corporation about the complaint
 // 2. Citizen confirmation — sent to the person who filed the complaint
+// 3. Escalation — sent up the chain when an SLA deadline is missed
+// 4. Corroboration — tells the authority someone else reported the same issue
 //
 // Setup: In your Gmail account → Security → 2-Step Verification → App Passwords
 // Generate a 16-character app password and put it in EMAIL_PASS in .env
 
 const nodemailer = require("nodemailer")
+const { describeLandmark } = require("./landmarkService")
 
 // ─── TRANSPORTER SETUP ────────────────────────────────────────────────────────
 // We create the transporter once and reuse it (connection pooling)
@@ -41,6 +44,69 @@ function getTransporter() {
   return transporter
 }
 
+/**
+ * Formats a timestamp in Indian time for email bodies.
+ */
+function formatIST(timestamp) {
+  return new Date(timestamp).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "medium",
+    timeStyle: "short"
+  })
+}
+
+/**
+ * Describes where a complaint came from, for the "Source" line of emails.
+ * Reddit complaints link back to the post; web form complaints were typed in
+ * directly by a citizen, so there is nothing to link to.
+ *
+ * @param {object} complaint - The complaint record
+ * @param {string} redditPermalink - Link to original Reddit post (Reddit only)
+ * @returns {{ html: string, text: string }}
+ */
+function describeSource(complaint, redditPermalink) {
+  if (complaint.source === "web") {
+    return {
+      html: "Civic Mirror web form — submitted directly by a citizen",
+      text: "Civic Mirror web form (submitted directly by a citizen)",
+    }
+  }
+
+  if (!redditPermalink) {
+    return { html: "Reddit", text: "Reddit" }
+  }
+
+  return {
+    html: `Reddit (r/delhi) — <a href="${redditPermalink}" style="color:#f97316">View Original Post</a>`,
+    text: redditPermalink,
+  }
+}
+
+/**
+ * Describes which part of a multi-department complaint an authority owns.
+ *
+ * @param {object|null} assignment - See sendAuthorityEmail
+ * @returns {{ html: string, text: string } | null} null when only one department is involved
+ */
+function describeResponsibility(assignment) {
+  if (!assignment || !assignment.alsoNotified.length && assignment.responsibilities.length < 2) {
+    return null
+  }
+
+  const parts = assignment.responsibilities.map(({ role, department, departmentFull, keywords }) => {
+    const lead = role === "primary" ? "Primary responsibility" : "Secondary responsibility"
+    const about = keywords.length ? ` — the part about: ${keywords.join(", ")}` : ""
+    return `${lead} (${departmentFull || department})${about}`
+  })
+  const others = assignment.alsoNotified.map(other => `${other.departments.join(", ")} (${other.email})`)
+  const notified = others.length ? `Also notified for their part: ${others.join("; ")}` : null
+
+  return {
+    html: [...parts, notified].filter(Boolean).join("<br>"),
+    text: [...parts, notified].filter(Boolean).join("\n"),
+  }
+}
+
 /**
  * Sends an email to the relevant municipal authority about a new complaint.
  * This is the "forward complaint to government" step.
@@ -48,17 +114,26 @@ function getTransporter() {
  * @param {object} complaint - The full complaint record
  * @param {object} municipalContact - Contact details from directory
  * @param {string} redditPermalink - Link to original Reddit post
+ * @param {object} [assignment] - For complaints involving several departments:
+ *   which part is this authority's, and who else was notified
+ * @param {Array<{ role, department, departmentFull, keywords }>} assignment.responsibilities
+ * @param {Array<{ departments: string[], email: string }>} assignment.alsoNotified
  */
-async function sendAuthorityEmail(complaint, municipalContact, redditPermalink) {
+async function sendAuthorityEmail(complaint, municipalContact, redditPermalink, assignment = null) {
   const transport = getTransporter()
+  const responsibility = describeResponsibility(assignment)
 
   // If email not configured, log and skip (don't crash the whole flow)
   if (!transport) {
     console.log("📧 [MOCK] Authority email would be sent to:", municipalContact.primaryEmail || municipalContact.email)
     console.log("   Complaint ID:", complaint.complaintId)
+    if (complaint.issueTypeLabel) console.log("   Issue type:", complaint.issueTypeLabel)
+    if (responsibility) console.log(`   ${responsibility.text.replace(/\n/g, "\n   ")}`)
     return { success: true, mock: true }
   }
 
+  const source = describeSource(complaint, redditPermalink)
+
   // Determine urgency styling for email
   const urgencyEmoji = {
     high: "🔴 HIGH PRIORITY",
@@ -104,6 +179,7 @@ async function sendAuthorityEmail(complaint, municipalContact, redditPermalink)
     <div class="field">
       <div class="label">Priority</div>
       <span class="badge urgency-${complaint.urgency}">${urgencyEmoji}</span>
+      ${complaint.priorityScore != null ? `<span style="font-size:13px; color:#64748b; margin-left:8px">Priority score ${complaint.priorityScore}/100</span>` : ""}
     </div>
 
     <div class="field">
@@ -118,7 +194,7 @@ async function sendAuthorityEmail(complaint, municipalContact, redditPermalink)
 
     <div class="field">
       <div class="label">Location</div>
-      <div class="value">📍 ${complaint.location}</div>
+      <div class="value">📍 ${complaint.location}${complaint.landmark ? ` — ${describeLandmark(complaint.landmark)}` : ""}${complaint.ward ? ` — Ward: ${complaint.ward}` : ""}</div>
       ${complaint.lat && complaint.lng ? `
       <div style="font-size:13px; color:#64748b; margin-top:4px">
         Coordinates: ${complaint.lat.toFixed(4)}, ${complaint.lng.toFixed(4)} —
@@ -130,12 +206,20 @@ async function sendAuthorityEmail(complaint, municipalContact, redditPermalink)
       <div class="label">Department Assigned</div>
       <div class="value">🏛️ ${complaint.departmentFull || complaint.department}</div>
     </div>
+${complaint.issueTypeLabel ? `
+    <div class="field">
+      <div class="label">Issue Type</div>
+      <div class="value">${complaint.issueTypeLabel}</div>
+    </div>` : ""}
+${responsibility ? `
+    <div class="field">
+      <div class="label">Your Part of This Complaint</div>
+      <div class="value" style="line-height:1.6">${responsibility.html}</div>
+    </div>` : ""}
 
     <div class="field">
       <div class="label">Source</div>
-      <div class="value">
-        Reddit (r/delhi) — <a href="${redditPermalink}" style="color:#f97316">View Original Post</a>
-      </div>
+      <div class="value">${source.html}</div>
     </div>
 
     <div class="field">
@@ -150,8 +234,11 @@ async function sendAuthorityEmail(complaint, municipalContact, redditPermalink)
     <div class="action-box">
       <strong>⏰ Action Required</strong><br>
       <span style="font-size:14px; color:#78350f">
-        As per SLA, this complaint should be acknowledged within 24 hours and resolved within
-        ${complaint.urgency === "high" ? "3 days" : complaint.urgency === "medium" ? "7 days" : "15 days"}.
+        ${complaint.ackDueAt && complaint.resolveDueAt
+          ? `As per SLA, this complaint should be acknowledged by ${formatIST(complaint.ackDueAt)}
+        and resolved by ${formatIST(complaint.resolveDueAt)}. Missed deadlines are escalated automatically.`
+          : `As per SLA, this complaint should be acknowledged within 24 hours and resolved within
+        ${complaint.urgency === "high" ? "3 days" : complaint.urgency === "medium" ? "7 days" : "15 days"}.`}
         Please update the complaint status at: <strong>${complaint.complaintId}</strong>
       </span>
     </div>
@@ -170,8 +257,10 @@ async function sendAuthorityEmail(complaint, municipalContact, redditPermalink)
       from: `"${process.env.EMAIL_FROM_NAME || "Civic Mirror"}" <${process.env.EMAIL_USER}>`,
       to: municipalContact.primaryEmail || municipalContact.email,
       // CC the PWD/Water email too if it's different
+      // (but not anyone getting their own email about this complaint)
       cc: [municipalContact.pwdContact, municipalContact.waterContact]
         .filter(e => e && e !== (municipalContact.primaryEmail || municipalContact.email))
+        .filter(e => !assignment?.alsoNotified.some(other => other.email === e))
         .join(",") || undefined,
       subject: `🚨 New Civic Complaint – ${complaint.complaintId} – ${complaint.location} [${complaint.urgency?.toUpperCase()}]`,
       html: emailBody,
@@ -179,12 +268,12 @@ async function sendAuthorityEmail(complaint, municipalContact, redditPermalink)
       text: `
 Civic Mirror — New Complaint Alert
 Complaint ID: ${complaint.complaintId}
-Priority: ${complaint.urgency?.toUpperCase()}
+Priority: ${complaint.urgency?.toUpperCase()}${complaint.priorityScore != null ? ` (score ${complaint.priorityScore}/100)` : ""}
 Issue: ${complaint.title}
 Description: ${complaint.description}
-Location: ${complaint.location}
-Department: ${complaint.department}
-Source: ${redditPermalink}
+Location: ${complaint.location}${complaint.landmark ? ` — ${describeLandmark(complaint.landmark)}` : ""}${complaint.ward ? ` (Ward: ${complaint.ward})` : ""}
+Department: ${complaint.department}${complaint.issueTypeLabel ? `\nIssue type: ${complaint.issueTypeLabel}` : ""}${responsibility ? `\n${responsibility.text}` : ""}
+Source: ${source.text}
 Reported: ${new Date(complaint.timestamp).toLocaleString("en-IN")}
       `.trim()
     })
@@ -270,7 +359,9 @@ async function sendCitizenConfirmation(citizenEmail, complaint) {
   </div>
 
   <div class="footer">
-    This complaint was automatically registered via the Reddit AI scraper.<br>
+    ${complaint.source === "web"
+      ? "This complaint was submitted through the Civic Mirror web form."
+      : "This complaint was automatically registered via the Reddit AI scraper."}<br>
     Civic Mirror · CODEZEN 2026 · Team DataCrafters · Do not reply to this email.
   </div>
 </body>
@@ -304,7 +395,242 @@ Track your complaint at: https://civicmirror.in/track?id=${complaint.complaintId
   }
 }
 
+/**
+ * Sends an SLA escalation email to the next authority level when a complaint
+ * misses its acknowledgement or resolution deadline.
+ * Called by the SLA checker (slaService.js) — takes the DB record (snake_case).
+ *
+ * @param {object} record - Complaint DB record
+ * @param {{ level, title, email }} escalationContact - From getEscalationContact()
+ * @param {{ type: "acknowledgement"|"resolution", dueAt: string }} breach
+ */
+async function sendEscalationEmail(record, escalationContact, breach) {
+  const transport = getTransporter()
+
+  if (!transport) {
+    console.log(`📧 [MOCK] Escalation email (level ${escalationContact.level}) would be sent to:`, escalationContact.email)
+    console.log(`   Complaint ID: ${record.complaint_id} — missed ${breach.type} deadline`)
+    return { success: true, mock: true }
+  }
+
+  const missed = breach.type === "acknowledgement" ? "acknowledged" : "resolved"
+
+  const emailBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; }
+    .header { background: #991b1b; color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+    .content { padding: 24px; border: 1px solid #e2e8f0; border-top: none; }
+    .field { margin: 12px 0; }
+    .label { font-weight: bold; color: #64748b; font-size: 12px; text-transform: uppercase; }
+    .value { color: #0f172a; font-size: 15px; margin-top: 2px; }
+    .complaint-id { font-family: monospace; font-size: 18px; color: #991b1b; font-weight: bold; }
+    .footer { background: #f8fafc; padding: 16px; border-radius: 0 0 8px 8px; font-size: 12px; color: #94a3b8; }
+    .action-box { background: #fee2e2; border: 1px solid #fecaca; padding: 16px; border-radius: 8px; margin: 16px 0; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2 style="margin:0">⬡ Civic Mirror — SLA Breach Escalation</h2>
+    <p style="margin:4px 0 0; opacity:0.85; font-size:14px">Escalation level ${escalationContact.level}</p>
+  </div>
+
+  <div class="content">
+    <p>Dear ${escalationContact.title},</p>
+    <p>The complaint below was forwarded to <strong>${record.municipal_body || "the municipal authority"}</strong>
+    but was not ${missed} within the SLA period. It is being escalated to you for intervention.</p>
+
+    <div class="field">
+      <div class="label">Complaint ID</div>
+      <div class="complaint-id">${record.complaint_id}</div>
+    </div>
+
+    <div class="field">
+      <div class="label">Issue Title</div>
+      <div class="value">${record.title}</div>
+    </div>
+
+    <div class="field">
+      <div class="label">Location</div>
+      <div class="value">📍 ${record.location}${record.landmark ? ` — ${describeLandmark(record.landmark)}` : ""}${record.municipal_zone ? ` (${record.ward ? `Ward ${record.ward}, ` : ""}${record.municipal_zone})` : ""}</div>
+    </div>
+
+    <div class="field">
+      <div class="label">Department</div>
+      <div class="value">🏛️ ${record.department_full || record.department}${record.issue_type_label ? ` · ${record.issue_type_label}` : ""} · ${record.urgency?.toUpperCase()} priority</div>
+    </div>
+
+    <div class="field">
+      <div class="label">Current Status</div>
+      <div class="value">${record.status}</div>
+    </div>
+
+    <div class="action-box">
+      <strong>⏰ Deadline missed</strong><br>
+      <span style="font-size:14px; color:#7f1d1d">
+        Should have been ${missed} by ${formatIST(breach.dueAt)}.
+        Registered on ${formatIST(record.created_at)}.
+      </span>
+    </div>
+  </div>
+
+  <div class="footer">
+    This is an automated SLA escalation from Civic Mirror — Civic Accountability Platform.<br>
+    Built for CODEZEN 2026 · Team DataCrafters · Do not reply to this email.
+  </div>
+</body>
+</html>
+  `.trim()
+
+  try {
+    const info = await transport.sendMail({
+      from: `"${process.env.EMAIL_FROM_NAME || "Civic Mirror"}" <${process.env.EMAIL_USER}>`,
+      to: escalationContact.email,
+      subject: `⏰ SLA Breach – ${record.complaint_id} not ${missed} – Escalation Level ${escalationContact.level}`,
+      html: emailBody,
+      text: `
+Civic Mirror — SLA Breach Escalation (level ${escalationContact.level})
+Complaint ID: ${record.complaint_id}
+Issue: ${record.title}
+Location: ${record.location}${record.landmark ? ` — ${describeLandmark(record.landmark)}` : ""}
+Department: ${record.department}${record.issue_type_label ? ` (${record.issue_type_label})` : ""}
+Status: ${record.status}
+Should have been ${missed} by: ${formatIST(breach.dueAt)}
+      `.trim()
+    })
+
+    console.log(`✅ Escalation email sent: ${info.messageId} → ${escalationContact.email}`)
+    return { success: true, messageId: info.messageId }
+
+  } catch (err) {
+    console.error("❌ Failed to send escalation email:", err.message)
+    return { success: false, error: err.message }
+  }
+}
+
+/**
+ * Tells the municipal authority that another citizen has reported an issue
+ * they already have — sent instead of a fresh complaint email when
+ * duplicateService merges a report into an existing complaint.
+ * Takes the complaint DB record (snake_case).
+ *
+ * @param {object} record - Existing complaint DB record (report_count already bumped)
+ * @param {object} municipalContact - Contact details from directory
+ * @param {object} report - The new report (camelCase, as passed to insertComplaintReport)
+ */
+async function sendCorroborationEmail(record, municipalContact, report) {
+  const transport = getTransporter()
+  const to = municipalContact.primaryEmail || municipalContact.email
+
+  if (!transport) {
+    console.log("📧 [MOCK] Corroboration email would be sent to:", to)
+    console.log(`   Complaint ID: ${record.complaint_id} — now ${record.report_count} reports`)
+    return { success: true, mock: true }
+  }
+
+  const source = describeSource(report, report.redditPermalink)
+
+  const emailBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; }
+    .header { background: #f97316; color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+    .content { padding: 24px; border: 1px solid #e2e8f0; border-top: none; }
+    .field { margin: 12px 0; }
+    .label { font-weight: bold; color: #64748b; font-size: 12px; text-transform: uppercase; }
+    .value { color: #0f172a; font-size: 15px; margin-top: 2px; }
+    .complaint-id { font-family: monospace; font-size: 18px; color: #f97316; font-weight: bold; }
+    .footer { background: #f8fafc; padding: 16px; border-radius: 0 0 8px 8px; font-size: 12px; color: #94a3b8; }
+    .action-box { background: #fff7ed; border: 1px solid #fed7aa; padding: 16px; border-radius: 8px; margin: 16px 0; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2 style="margin:0">⬡ Civic Mirror — New Corroboration</h2>
+    <p style="margin:4px 0 0; opacity:0.85; font-size:14px">Reported ${record.report_count} times</p>
+  </div>
+
+  <div class="content">
+    <p>Dear ${municipalContact.municipalBody},</p>
+    <p>Another citizen has reported an issue you were already sent. This is <strong>not a new complaint</strong> —
+    it has been added to the existing one below, which has now been reported <strong>${record.report_count} times</strong>.</p>
+
+    <div class="field">
+      <div class="label">Complaint ID</div>
+      <div class="complaint-id">${record.complaint_id}</div>
+    </div>
+
+    <div class="field">
+      <div class="label">Original Issue</div>
+      <div class="value">${record.title}</div>
+    </div>
+
+    <div class="field">
+      <div class="label">Location</div>
+      <div class="value">📍 ${record.location}</div>
+    </div>
+
+    <div class="field">
+      <div class="label">New Report</div>
+      <div class="value"><strong>${report.title}</strong></div>
+      <div class="value" style="line-height:1.6">${report.description}</div>
+      <div style="font-size:13px; color:#64748b; margin-top:4px">
+        ${report.distanceMeters} m from the original location · Source: ${source.html}
+      </div>
+    </div>
+
+    <div class="action-box">
+      <strong>Current status: ${record.status}</strong><br>
+      <span style="font-size:14px; color:#78350f">
+        First reported on ${formatIST(record.created_at)}.
+        ${record.resolve_due_at ? `Due to be resolved by ${formatIST(record.resolve_due_at)}.` : ""}
+        Please update the complaint status at: <strong>${record.complaint_id}</strong>
+      </span>
+    </div>
+  </div>
+
+  <div class="footer">
+    This is an automated message from Civic Mirror — Civic Accountability Platform.<br>
+    Built for CODEZEN 2026 · Team DataCrafters · Do not reply to this email.
+  </div>
+</body>
+</html>
+  `.trim()
+
+  try {
+    const info = await transport.sendMail({
+      from: `"${process.env.EMAIL_FROM_NAME || "Civic Mirror"}" <${process.env.EMAIL_USER}>`,
+      to,
+      subject: `➕ New Corroboration – ${record.complaint_id} – reported ${record.report_count} times`,
+      html: emailBody,
+      text: `
+Civic Mirror — New Corroboration
+Complaint ID: ${record.complaint_id} (now reported ${record.report_count} times)
+Original issue: ${record.title}
+Location: ${record.location}
+New report: ${report.title}
+${report.description}
+Source: ${source.text}
+Current status: ${record.status}
+      `.trim()
+    })
+
+    console.log(`✅ Corroboration email sent: ${info.messageId} → ${to}`)
+    return { success: true, messageId: info.messageId }
+
+  } catch (err) {
+    console.error("❌ Failed to send corroboration email:", err.message)
+    return { success: false, error: err.message }
+  }
+}
+
 module.exports = {
   sendAuthorityEmail,
   sendCitizenConfirmation,
+  sendEscalationEmail,
+  sendCorroborationEmail,
 }
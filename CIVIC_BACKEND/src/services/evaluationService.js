@@ -0,0 +1,260 @@
+// src/services/evaluationService.js
+// Offline evaluation of the classifier and location extractor
+//
+// Runs classifyComplaint() and extractLocation() over a labelled corpus
+// (scripts/fixtures/evaluationCorpus.json) and measures how often they agree
+// with the labels — so a keyword edit can be checked before it goes live
+// instead of after citizens' complaints are misrouted.
+// `npm run evaluate:classifier` (scripts/evaluateClassifier.js) is the CLI.
+//
+// A corpus entry is { id, title, body, civic, department, issueType, urgency,
+// locality }: department, issueType and urgency are null for non-civic posts,
+// issueType is null when none of the department's issue types fits, locality
+// is null when the post names no place.
+//
+// Metrics:
+//   - civic gate: true/false positives and negatives, with the ids of the misses
+//   - department: accuracy, per-department precision/recall/F1, confusion matrix
+//     ("(not civic)" counts as a prediction, so gate misses show up here too)
+//   - issue type: accuracy over the civic posts labelled with one (a wrong
+//     department makes the issue type wrong too)
+//   - urgency: accuracy over the civic posts
+//   - locality: accuracy over every post (null expected = no place found)
+
+const { classifyComplaint, setClassifierRules, getClassifierRules } = require("./classifierService")
+const { extractLocation } = require("./locationService")
+
+// Label used in the confusion matrix for posts that aren't (or weren't
+// classified as) civic complaints
+const NOT_CIVIC = "(not civic)"
+
+/**
+ * Checks that a corpus is a list of well-formed entries.
+ *
+ * @returns {string[]} Problems found (empty when the corpus is usable)
+ */
+function validateCorpus(corpus) {
+  if (!Array.isArray(corpus) || !corpus.length) return ["corpus must be a non-empty array"]
+
+  const errors = []
+  const seen = new Set()
+  corpus.forEach((entry, i) => {
+    const label = entry?.id ? `Entry "${entry.id}"` : `corpus[${i}]`
+    if (!entry?.id) errors.push(`${label}: id is required`)
+    else if (seen.has(entry.id)) errors.push(`${label}: duplicate id`)
+    seen.add(entry?.id)
+
+    if (typeof entry?.title !== "string" || !entry.title.trim()) errors.push(`${label}: title is required`)
+    if (typeof entry?.civic !== "boolean") errors.push(`${label}: civic must be true or false`)
+    if (entry?.civic && !entry.department) errors.push(`${label}: civic entries need a department`)
+    if (entry?.civic && !["high", "medium", "low"].includes(entry.urgency)) {
+      errors.push(`${label}: civic entries need an urgency of high, medium or low`)
+    }
+  })
+  return errors
+}
+
+/**
+ * Rounds a ratio for display; null when there was nothing to measure.
+ */
+function ratio(numerator, denominator) {
+  return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null
+}
+
+function sameLocality(expected, predicted) {
+  if (!expected || !predicted) return !expected && !predicted
+  return expected.trim().toLowerCase() === predicted.trim().toLowerCase()
+}
+
+/**
+ * Classifies one corpus entry with the rules currently installed.
+ */
+function predictEntry(entry) {
+  const classification = classifyComplaint(entry.title, entry.body || "")
+  const locality = extractLocation(`${entry.title} ${entry.body || ""}`)
+
+  const expectedDepartment = entry.civic ? entry.department : NOT_CIVIC
+  const predictedDepartment = classification.isCivic ? classification.department : NOT_CIVIC
+
+  return {
+    id: entry.id,
+    expected: {
+      civic: entry.civic,
+      department: expectedDepartment,
+      issueType: entry.issueType ?? null,
+      urgency: entry.urgency ?? null,
+      locality: entry.locality ?? null,
+    },
+    predicted: {
+      civic: classification.isCivic,
+      department: predictedDepartment,
+      issueType: classification.issueType,
+      urgency: classification.urgency,
+      locality,
+    },
+    correct: {
+      civic: entry.civic === classification.isCivic,
+      department: expectedDepartment === predictedDepartment,
+      issueType: entry.civic && entry.issueType !== undefined
+        ? expectedDepartment === predictedDepartment && (entry.issueType ?? null) === classification.issueType
+        : null,
+      urgency: entry.civic ? entry.urgency === classification.urgency : null,
+      locality: sameLocality(entry.locality, locality),
+    },
+  }
+}
+
+/**
+ * Civic gate counts: a positive is "registered as a complaint".
+ */
+function civicGateMetrics(results) {
+  const gate = { truePositives: 0, falsePositives: [], falseNegatives: [], trueNegatives: 0 }
+  for (const { id, expected, predicted } of results) {
+    if (expected.civic && predicted.civic) gate.truePositives++
+    else if (!expected.civic && predicted.civic) gate.falsePositives.push(id)
+    else if (expected.civic && !predicted.civic) gate.falseNegatives.push(id)
+    else gate.trueNegatives++
+  }
+
+  const { truePositives, falsePositives, falseNegatives } = gate
+  return {
+    ...gate,
+    accuracy: ratio(results.filter(r => r.correct.civic).length, results.length),
+    precision: ratio(truePositives, truePositives + falsePositives.length),
+    recall: ratio(truePositives, truePositives + falseNegatives.length),
+  }
+}
+
+/**
+ * Per-department precision/recall/F1 and the confusion matrix
+ * (matrix[expected][predicted] = count).
+ */
+function departmentMetrics(results) {
+  const labels = [...new Set(results.flatMap(r => [r.expected.department, r.predicted.department]))]
+    .sort((a, b) => (a === NOT_CIVIC) - (b === NOT_CIVIC) || a.localeCompare(b))
+
+  const confusionMatrix = {}
+  for (const expected of labels) {
+    confusionMatrix[expected] = Object.fromEntries(labels.map(predicted => [predicted, 0]))
+  }
+  for (const { expected, predicted } of results) confusionMatrix[expected.department][predicted.department]++
+
+  const perDepartment = {}
+  for (const label of labels) {
+    if (label === NOT_CIVIC) continue
+    const truePositives = confusionMatrix[label][label]
+    const predictedCount = labels.reduce((sum, expected) => sum + confusionMatrix[expected][label], 0)
+    const expectedCount = labels.reduce((sum, predicted) => sum + confusionMatrix[label][predicted], 0)
+    const precision = ratio(truePositives, predictedCount)
+    const recall = ratio(truePositives, expectedCount)
+    perDepartment[label] = {
+      support: expectedCount,
+      precision,
+      recall,
+      f1: precision && recall ? ratio(2 * precision * recall, precision + recall) : 0,
+    }
+  }
+
+  return {
+    accuracy: ratio(results.filter(r => r.correct.department).length, results.length),
+    perDepartment,
+    labels,
+    confusionMatrix,
+  }
+}
+
+/**
+ * Runs the corpus through the classifier and location extractor.
+ *
+ * @param {Array<object>} corpus - Labelled entries (see validateCorpus)
+ * @param {{ version?: number|null, rules: object } | null} [ruleset] - Rules to
+ *   evaluate (a classifier_rulesets row or { rules }); null = the built-in
+ *   defaults. The rules in use before the call are put back afterwards.
+ * @returns {{ rulesetVersion, examples, civicGate, department, issueType, urgency, locality, results }}
+ *   results has one { id, expected, predicted, correct } per entry
+ */
+function evaluateCorpus(corpus, ruleset = null) {
+  const errors = validateCorpus(corpus)
+  if (errors.length) throw new Error(`Invalid corpus: ${errors.join("; ")}`)
+
+  const previous = getClassifierRules()
+  setClassifierRules(ruleset && { version: ruleset.version ?? null, rules: ruleset.rules })
+
+  let results
+  try {
+    results = corpus.map(predictEntry)
+  } finally {
+    const { version, ...rules } = previous
+    setClassifierRules(version === null ? null : { version, rules })
+  }
+
+  const civicResults = results.filter(r => r.expected.civic)
+  const issueTypeResults = results.filter(r => r.correct.issueType !== null)
+  return {
+    rulesetVersion: ruleset?.version ?? null,
+    examples: results.length,
+    civicGate: civicGateMetrics(results),
+    department: departmentMetrics(results),
+    issueType: {
+      accuracy: ratio(issueTypeResults.filter(r => r.correct.issueType).length, issueTypeResults.length),
+      examples: issueTypeResults.length,
+    },
+    urgency: {
+      accuracy: ratio(civicResults.filter(r => r.correct.urgency).length, civicResults.length),
+      examples: civicResults.length,
+    },
+    locality: {
+      accuracy: ratio(results.filter(r => r.correct.locality).length, results.length),
+      examples: results.length,
+    },
+    results,
+  }
+}
+
+/**
+ * Compares two evaluations of the same corpus (e.g. the active rules vs an
+ * edited draft).
+ *
+ * @returns {{ deltas: object, changes: Object<string, { fixed: string[], broken: string[] }> }}
+ *   deltas are candidate minus baseline for each headline metric; changes list
+ *   the entry ids the candidate gets right that the baseline got wrong (fixed)
+ *   and the other way round (broken)
+ */
+function compareEvaluations(baseline, candidate) {
+  const delta = (a, b) => (a === null || b === null ? null : Math.round((b - a) * 1000) / 1000)
+
+  const deltas = {
+    civicGateAccuracy: delta(baseline.civicGate.accuracy, candidate.civicGate.accuracy),
+    departmentAccuracy: delta(baseline.department.accuracy, candidate.department.accuracy),
+    issueTypeAccuracy: delta(baseline.issueType.accuracy, candidate.issueType.accuracy),
+    urgencyAccuracy: delta(baseline.urgency.accuracy, candidate.urgency.accuracy),
+    localityAccuracy: delta(baseline.locality.accuracy, candidate.locality.accuracy),
+    perDepartmentF1: {},
+  }
+  const departments = new Set([
+    ...Object.keys(baseline.department.perDepartment),
+    ...Object.keys(candidate.department.perDepartment),
+  ])
+  for (const name of departments) {
+    deltas.perDepartmentF1[name] = delta(
+      baseline.department.perDepartment[name]?.f1 ?? 0,
+      candidate.department.perDepartment[name]?.f1 ?? 0
+    )
+  }
+
+  const before = new Map(baseline.results.map(r => [r.id, r]))
+  const changes = {}
+  for (const metric of ["civic", "department", "issueType", "urgency", "locality"]) {
+    changes[metric] = { fixed: [], broken: [] }
+    for (const result of candidate.results) {
+      const was = before.get(result.id)?.correct[metric]
+      const now = result.correct[metric]
+      if (was === false && now === true) changes[metric].fixed.push(result.id)
+      if (was === true && now === false) changes[metric].broken.push(result.id)
+    }
+  }
+
+  return { deltas, changes }
+}
+
+module.exports = { NOT_CIVIC, validateCorpus, evaluateCorpus, compareEvaluations }
@@ -0,0 +1,169 @@
+// src/services/geocodeCacheService.js
+// Persistent cache of geocoding answers, keyed by normalised place name
+//
+// The same few hundred localities come up again and again ("Janakpuri" is
+// in half of West Delhi's complaints), so every Nominatim answer is stored
+// (the geocode_cache table, through databaseService) and reused:
+//
+//   found      — kept for GEOCODE_CACHE_TTL_DAYS (default 30)
+//   not found  — a negative entry, kept for GEOCODE_NEGATIVE_CACHE_TTL_HOURS
+//                (default 24), so a name Nominatim doesn't know isn't asked
+//                about on every complaint
+//   error      — not cached (Nominatim down / timed out); an expired entry
+//                for the same place is used instead when there is one
+//
+// "जनकपुरी", "Janakpuri" and "janakpuri, " share one entry (cacheKey).
+// Lookups for a place that is already being fetched wait for that fetch
+// instead of starting another one.
+//
+// The cache is bounded: whenever a new place is added, entries expired for
+// more than GEOCODE_CACHE_STALE_DAYS (default 7) are dropped, and past
+// GEOCODE_CACHE_MAX_ENTRIES (default 10000) the entries expiring soonest —
+// the ones fetched longest ago — go first.
+
+const { normalizeText } = require("./textNormalizer")
+const { getGeocodeCacheEntry, saveGeocodeCacheEntry, pruneGeocodeCache } = require("./databaseService")
+
+const DEFAULT_TTL_DAYS = 30
+const DEFAULT_NEGATIVE_TTL_HOURS = 24
+const DEFAULT_STALE_DAYS = 7
+const DEFAULT_MAX_ENTRIES = 10000
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Lookups in progress, by cache key
+const inFlight = new Map()
+
+const stats = { hits: 0, negativeHits: 0, misses: 0, staleServed: 0, errors: 0, evicted: 0 }
+
+/**
+ * Cache key for a place name: normalised script/spelling, lowercase,
+ * punctuation and extra spaces removed.
+ */
+function cacheKey(placeName) {
+  return normalizeText(placeName)
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+}
+
+function ttlMs(found) {
+  if (found) return (parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS) || DEFAULT_TTL_DAYS) * 24 * HOUR_MS
+  return (parseFloat(process.env.GEOCODE_NEGATIVE_CACHE_TTL_HOURS) || DEFAULT_NEGATIVE_TTL_HOURS) * HOUR_MS
+}
+
+function toCoords(entry) {
+  return {
+    lat: entry.lat,
+    lng: entry.lng,
+    displayName: entry.display_name,
+    boundingBox: entry.bounding_box,
+  }
+}
+
+/**
+ * Drops stale and overflow entries. Like the other cache writes, a storage
+ * error is logged and otherwise ignored.
+ */
+async function evictEntries() {
+  const staleDays = parseFloat(process.env.GEOCODE_CACHE_STALE_DAYS) || DEFAULT_STALE_DAYS
+  try {
+    stats.evicted += await pruneGeocodeCache({
+      staleBefore: new Date(Date.now() - staleDays * 24 * HOUR_MS).toISOString(),
+      maxEntries: parseInt(process.env.GEOCODE_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+    })
+  } catch (err) {
+    console.warn("📍 Geocode cache eviction failed:", err.message)
+  }
+}
+
+/**
+ * Reads the cache — a storage error counts as a miss rather than failing
+ * the complaint.
+ */
+async function readEntry(key) {
+  try {
+    return await getGeocodeCacheEntry(key)
+  } catch (err) {
+    console.warn(`📍 Geocode cache read failed for "${key}":`, err.message)
+    return null
+  }
+}
+
+async function lookupAndStore(key, placeName, fetchCoords) {
+  const cached = await readEntry(key)
+  if (cached && new Date(cached.expires_at).getTime() > Date.now()) {
+    if (cached.found) {
+      stats.hits++
+      return toCoords(cached)
+    }
+    stats.negativeHits++
+    return null
+  }
+
+  stats.misses++
+  let coords
+  try {
+    coords = await fetchCoords(placeName)
+  } catch (err) {
+    stats.errors++
+    console.warn(`📍 Geocoding error for "${placeName}":`, err.message)
+    if (cached?.found) {
+      stats.staleServed++
+      return toCoords(cached)
+    }
+    return null
+  }
+
+  const found = !!coords
+  try {
+    await saveGeocodeCacheEntry({
+      cacheKey: key,
+      query: placeName,
+      found,
+      ...(found && coords),
+      expiresAt: new Date(Date.now() + ttlMs(found)).toISOString(),
+    })
+  } catch (err) {
+    console.warn(`📍 Geocode cache write failed for "${key}":`, err.message)
+  }
+
+  // Only a new place can grow the cache
+  if (!cached) await evictEntries()
+
+  return coords
+}
+
+/**
+ * Geocodes a place name through the cache.
+ *
+ * @param {string} placeName - e.g. "Janakpuri"
+ * @param {function(string): Promise<object|null>} fetchCoords - Asks the
+ *   geocoder on a miss: resolves with { lat, lng, displayName, boundingBox },
+ *   null when the place isn't known, and throws when the lookup failed
+ * @returns {Promise<{ lat, lng, displayName, boundingBox } | null>}
+ */
+function cachedGeocode(placeName, fetchCoords) {
+  const key = cacheKey(placeName)
+  if (!key) return Promise.resolve(null)
+
+  if (inFlight.has(key)) return inFlight.get(key)
+
+  const lookup = lookupAndStore(key, placeName, fetchCoords)
+    .finally(() => inFlight.delete(key))
+  inFlight.set(key, lookup)
+  return lookup
+}
+
+/**
+ * Hit / miss counts since the server started.
+ */
+function getGeocodeCacheStats() {
+  const lookups = stats.hits + stats.negativeHits + stats.misses
+  return {
+    ...stats,
+    lookups,
+    hitRate: lookups ? Math.round(((stats.hits + stats.negativeHits) / lookups) * 1000) / 1000 : null,
+  }
+}
+
+module.exports = { cacheKey, cachedGeocode, getGeocodeCacheStats }
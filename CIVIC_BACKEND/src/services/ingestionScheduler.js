@@ -0,0 +1,278 @@
+// src/services/ingestionScheduler.js
+// In-process scheduler that polls Reddit for new civic complaints
+//
+// Each "watch" is a keyword + subreddit pair (see data/redditWatches.js) with
+// its own polling interval. Every watch stores a high-watermark — the created
+// time and ID of the newest post it has handled — so each run only pushes
+// posts it hasn't seen before through the register pipeline.
+//
+// Runs are executed one at a time (never in parallel) to stay inside Reddit's
+// and Nominatim's rate limits. Every run is recorded in ingestion_runs.
+//
+// A post that fails stops the run so the next run retries it — but only
+// INGESTION_MAX_POST_ATTEMPTS times (default 3). After that it's skipped and
+// the watermark moves past it, so one post that always breaks the pipeline
+// can't hold its watch back forever.
+
+const { getConfiguredWatches } = require("../data/redditWatches")
+const { fetchRedditPosts } = require("./redditService")
+const { ingestRedditPost } = require("./registrationService")
+const {
+  upsertIngestionWatch,
+  getIngestionWatches,
+  updateIngestionWatch,
+  insertIngestionRun,
+  updateIngestionRun,
+  getIngestionRuns,
+} = require("./databaseService")
+
+// How often the scheduler wakes up to see which watches are due
+const TICK_MS = 60 * 1000
+
+// Posts fetched per run — Reddit returns newest first, so this only needs to
+// cover what arrives between two runs
+const FETCH_LIMIT = 25
+
+const DEFAULT_MAX_POST_ATTEMPTS = 3
+
+let tickTimer = null
+let running = false
+
+/**
+ * True if the post is newer than the watch's watermark.
+ * Posts created in the same second as the watermark are compared by ID
+ * (anything but the watermark post itself counts as new — the duplicate
+ * check in the pipeline catches the rare repeat).
+ */
+function isAfterWatermark(post, watch) {
+  if (!watch.watermark_created_at) return true
+  const postTime = new Date(post.createdAt).getTime()
+  const markTime = new Date(watch.watermark_created_at).getTime()
+  if (postTime !== markTime) return postTime > markTime
+  return post.redditId !== watch.watermark_post_id
+}
+
+/**
+ * True if the watch hasn't run within its interval.
+ */
+function isDue(watch, now) {
+  if (watch.paused) return false
+  if (!watch.last_run_at) return true
+  return now - new Date(watch.last_run_at).getTime() >= watch.interval_minutes * 60 * 1000
+}
+
+function maxPostAttempts() {
+  return parseInt(process.env.INGESTION_MAX_POST_ATTEMPTS) || DEFAULT_MAX_POST_ATTEMPTS
+}
+
+/**
+ * Runs one watch: fetch → keep posts past the watermark → register each,
+ * oldest first, advancing the watermark after every post.
+ * If a post fails (e.g. DB down) we stop there, so the next run retries it —
+ * unless it has now failed maxPostAttempts() runs in a row, in which case
+ * it's skipped and the run carries on.
+ *
+ * @param {object} watch - Watch record (snake_case)
+ * @param {"schedule"|"manual"} trigger
+ * @returns {object} The finished run record
+ */
+async function runWatch(watch, trigger = "schedule") {
+  const run = await insertIngestionRun(watch.id, trigger)
+  return executeRun(watch, run)
+}
+
+/**
+ * Does the work of a run that has already been recorded (see runWatch).
+ *
+ * @param {object} watch - Watch record (snake_case)
+ * @param {object} run - The run record from insertIngestionRun
+ * @returns {object} The finished run record
+ */
+async function executeRun(watch, run) {
+  const counts = { fetched: 0, new_posts: 0, registered: 0, merged: 0, rejected: 0, duplicates: 0, failed: 0 }
+
+  console.log(`\n🛰️  Ingestion run: r/${watch.subreddit} "${watch.keyword}" (${run.trigger})`)
+
+  try {
+    const posts = await fetchRedditPosts(watch.keyword, watch.subreddit, FETCH_LIMIT)
+    counts.fetched = posts.length
+
+    const fresh = posts
+      .filter(post => isAfterWatermark(post, watch))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    counts.new_posts = fresh.length
+
+    let lastError = null
+    let stopped = false
+    for (const post of fresh) {
+      try {
+        const result = await ingestRedditPost(post)
+        if (result.outcome === "registered") counts.registered++
+        else if (result.outcome === "merged") counts.merged++
+        else if (result.outcome === "rejected") counts.rejected++
+        else counts.duplicates++
+      } catch (err) {
+        counts.failed++
+        const attempts = post.redditId === watch.failing_post_id ? (watch.failing_post_attempts || 0) + 1 : 1
+
+        if (attempts < maxPostAttempts()) {
+          lastError = err
+          stopped = true
+          console.error(`❌ Ingestion failed for post ${post.redditId} (attempt ${attempts}):`, err.message)
+          await updateIngestionWatch(watch.id, { failing_post_id: post.redditId, failing_post_attempts: attempts })
+          break
+        }
+
+        lastError = new Error(`Skipped post ${post.redditId} after ${attempts} failed attempts: ${err.message}`)
+        console.error(`⏭️  ${lastError.message}`)
+      }
+
+      await updateIngestionWatch(watch.id, {
+        watermark_created_at: new Date(post.createdAt).toISOString(),
+        watermark_post_id: post.redditId,
+        failing_post_id: null,
+        failing_post_attempts: 0,
+      })
+    }
+
+    const finished = await updateIngestionRun(run.id, {
+      ...counts,
+      status: stopped ? "failed" : "success",
+      error: lastError ? lastError.message : null,
+      finished_at: new Date().toISOString(),
+    })
+
+    console.log(`✅ Ingestion run done: ${counts.new_posts} new, ${counts.registered} registered`)
+    return finished || { ...run, ...counts }
+
+  } catch (err) {
+    console.error(`❌ Ingestion run failed for ${watch.id}:`, err.message)
+    return updateIngestionRun(run.id, {
+      ...counts,
+      status: "failed",
+      error: err.message,
+      finished_at: new Date().toISOString(),
+    })
+
+  } finally {
+    await updateIngestionWatch(watch.id, { last_run_at: new Date().toISOString() })
+  }
+}
+
+/**
+ * One scheduler tick — runs every due watch, one after another.
+ * Skipped if the previous tick (or a manual run) is still going.
+ */
+async function tick() {
+  if (running) return
+  running = true
+  try {
+    const now = Date.now()
+    const watches = await getIngestionWatches()
+    for (const watch of watches.filter(w => isDue(w, now))) {
+      await runWatch(watch, "schedule")
+    }
+  } catch (err) {
+    console.error("❌ Ingestion scheduler tick failed:", err.message)
+  } finally {
+    running = false
+  }
+}
+
+/**
+ * Registers the configured watches and starts polling.
+ * Only starts when INGESTION_ENABLED=true — polling Reddit is opt-in.
+ */
+async function startIngestionScheduler() {
+  for (const watch of getConfiguredWatches()) {
+    await upsertIngestionWatch(watch)
+  }
+
+  if (process.env.INGESTION_ENABLED !== "true") {
+    console.log("🛰️  Reddit ingestion scheduler off (set INGESTION_ENABLED=true to poll automatically)")
+    return
+  }
+
+  tickTimer = setInterval(tick, TICK_MS)
+  tickTimer.unref()
+  console.log(`🛰️  Reddit ingestion scheduler running (${getConfiguredWatches().length} watches)`)
+
+  // Don't wait a whole minute for the first run
+  tick()
+}
+
+/**
+ * Stops polling (used on shutdown).
+ */
+function stopIngestionScheduler() {
+  if (tickTimer) clearInterval(tickTimer)
+  tickTimer = null
+}
+
+/**
+ * Every watch with its most recent run (for GET /api/ingestion/watches).
+ */
+async function getWatchStatuses() {
+  const watches = await getIngestionWatches()
+  return Promise.all(watches.map(async watch => {
+    const [lastRun] = await getIngestionRuns(watch.id, 1)
+    return { ...watch, last_run: lastRun || null }
+  }))
+}
+
+/**
+ * Finds a watch by ID, or null.
+ */
+async function findWatch(watchId) {
+  const watches = await getIngestionWatches()
+  return watches.find(w => w.id === watchId) || null
+}
+
+/**
+ * Pauses / resumes scheduled runs for a watch (manual runs still work).
+ */
+async function pauseWatch(watchId) {
+  return updateIngestionWatch(watchId, { paused: true })
+}
+
+async function resumeWatch(watchId) {
+  return updateIngestionWatch(watchId, { paused: false })
+}
+
+/**
+ * Starts a run of a watch right now, regardless of its interval or paused
+ * flag, and returns as soon as it's recorded — fetching and registering up
+ * to FETCH_LIMIT posts takes longer than a proxy will hold a request open.
+ * Follow it in the watch's run history.
+ *
+ * @returns {object|null} The run record (status "running"), or null if a
+ *   run is already in progress
+ */
+async function runWatchNow(watch) {
+  if (running) return null
+  running = true
+
+  let run
+  try {
+    run = await insertIngestionRun(watch.id, "manual")
+  } catch (err) {
+    running = false
+    throw err
+  }
+
+  executeRun(watch, run)
+    .catch(err => console.error(`❌ Ingestion run failed for ${watch.id}:`, err.message))
+    .finally(() => { running = false })
+
+  return run
+}
+
+module.exports = {
+  startIngestionScheduler,
+  stopIngestionScheduler,
+  getWatchStatuses,
+  findWatch,
+  pauseWatch,
+  resumeWatch,
+  runWatchNow,
+}
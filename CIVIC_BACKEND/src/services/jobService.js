@@ -0,0 +1,199 @@
+// src/services/jobService.js
+// Background job queue for long-running work (currently: batch-process)
+//
+// POST /api/complaint/batch-process used to hold the HTTP request open while
+// it fetched and registered up to 20 posts (~1.2s + geocoding each), which ran
+// past proxy timeouts. Now it just queues a job and returns its ID; this
+// worker processes jobs one at a time, in the order they were queued, and
+// writes per-post progress to the jobs table after every post.
+//
+// Jobs survive restarts: the fetched posts and every per-post result are
+// stored on the job, so on startup any queued/running job is picked up again
+// and continues from the first post it hadn't finished.
+
+const { v4: uuidv4 } = require("uuid")
+const { fetchRedditPosts } = require("./redditService")
+const { ingestRedditPost } = require("./registrationService")
+const { redactText } = require("./redactionService")
+const { insertJob, getJob, updateJob, getJobs } = require("./databaseService")
+
+const ACTIVE_STATUSES = ["queued", "running"]
+
+let workerRunning = false
+// Set when a job is queued while the worker is busy — the loop checks it
+// before stopping, so a job queued during its last "anything left?" query
+// isn't stranded until the next enqueue
+let wakeRequested = false
+
+/**
+ * Queues a batch-process job and wakes the worker.
+ *
+ * @param {{ keyword: string, subreddit: string, limit: number }} params
+ * @returns {object} The queued job record
+ */
+async function enqueueBatchJob(params) {
+  const job = await insertJob({ id: uuidv4(), type: "batch-process", params })
+  console.log(`📥 Job queued: ${job.id} (batch-process "${params.keyword}" r/${params.subreddit})`)
+  wakeWorker()
+  return job
+}
+
+/**
+ * Requests cancellation. Queued jobs are cancelled straight away; a running
+ * job stops before its next post (the post in flight still finishes).
+ *
+ * @returns {object|null} The updated job, or null if not found
+ */
+async function cancelJob(jobId) {
+  const job = await getJob(jobId)
+  if (!job) return null
+  if (!ACTIVE_STATUSES.includes(job.status)) return job
+
+  if (job.status === "queued") {
+    return updateJob(jobId, { status: "cancelled", cancel_requested: true, finished_at: new Date().toISOString() })
+  }
+  return updateJob(jobId, { cancel_requested: true })
+}
+
+/**
+ * Runs one batch-process job from wherever it left off.
+ */
+async function runBatchJob(job) {
+  const { keyword, subreddit, limit } = job.params
+
+  // Fetch once and store the posts — a resumed job works on the same list
+  let posts = job.posts
+  if (!posts) {
+    posts = await fetchRedditPosts(keyword, subreddit, limit)
+    job = await updateJob(job.id, { posts })
+  }
+
+  const items = [...(job.items || [])]
+
+  // Process posts one by one (Nominatim calls are rate limited in src/geocoders anyway)
+  for (let i = items.length; i < posts.length; i++) {
+    // Re-read so a cancel request from another request is seen between posts
+    const latest = await getJob(job.id)
+    if (latest?.cancel_requested) {
+      console.log(`🛑 Job cancelled: ${job.id} after ${items.length}/${posts.length} posts`)
+      return updateJob(job.id, { status: "cancelled", finished_at: new Date().toISOString() })
+    }
+
+    const post = posts[i]
+    const item = { redditId: post.redditId, title: redactText(post.title).text, permalink: post.permalink }
+
+    try {
+      const result = await ingestRedditPost(post)
+      Object.assign(item, result)
+    } catch (err) {
+      console.error(`❌ Job ${job.id}: post ${post.redditId} failed:`, err.message)
+      Object.assign(item, { outcome: "failed", reason: err.message })
+    }
+
+    items.push(item)
+    await updateJob(job.id, { items })
+  }
+
+  console.log(`✅ Job completed: ${job.id} (${items.length} posts)`)
+  return updateJob(job.id, { status: "completed", finished_at: new Date().toISOString() })
+}
+
+/**
+ * Processes queued jobs until there are none left.
+ * Only one worker loop runs at a time; waking it while it runs makes it
+ * look for queued jobs again before it stops.
+ */
+async function runWorker() {
+  if (workerRunning) {
+    wakeRequested = true
+    return
+  }
+  workerRunning = true
+
+  try {
+    for (;;) {
+      wakeRequested = false
+      const [job] = await getJobs({ statuses: ["queued"], limit: 1, oldestFirst: true })
+      if (!job) {
+        if (wakeRequested) continue
+        break
+      }
+
+      const started = await updateJob(job.id, {
+        status: "running",
+        started_at: job.started_at || new Date().toISOString(),
+      })
+
+      try {
+        await runBatchJob(started)
+      } catch (err) {
+        console.error(`❌ Job failed: ${job.id}:`, err.message)
+        await updateJob(job.id, { status: "failed", error: err.message, finished_at: new Date().toISOString() })
+      }
+    }
+  } catch (err) {
+    console.error("❌ Job worker error:", err.message)
+  } finally {
+    workerRunning = false
+  }
+}
+
+/**
+ * Starts the worker loop in the background without waiting for it.
+ */
+function wakeWorker() {
+  runWorker()
+}
+
+/**
+ * Called on startup — puts jobs interrupted by a restart back in the queue
+ * (they resume from their last finished post) and starts the worker.
+ */
+async function resumeInterruptedJobs() {
+  const interrupted = await getJobs({ statuses: ["running"], limit: 100 })
+  for (const job of interrupted) {
+    await updateJob(job.id, { status: "queued" })
+    console.log(`♻️  Resuming interrupted job ${job.id} at post ${(job.items || []).length + 1}`)
+  }
+  wakeWorker()
+}
+
+/**
+ * Shapes a job record for GET /api/jobs/:id — progress counts plus the
+ * per-post results.
+ */
+function toJobView(job) {
+  const items = job.items || []
+  const count = outcome => items.filter(item => item.outcome === outcome).length
+  const total = job.posts ? job.posts.length : null
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    params: job.params,
+    cancelRequested: !!job.cancel_requested,
+    progress: {
+      total,
+      processed: items.length,
+      percent: total ? Math.round((items.length / total) * 100) : (job.status === "completed" ? 100 : 0),
+      registered: count("registered"),
+      merged: count("merged"),
+      rejected: count("rejected"),
+      duplicates: count("duplicate"),
+      failed: count("failed"),
+    },
+    items,
+    error: job.error || null,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+  }
+}
+
+module.exports = {
+  enqueueBatchJob,
+  cancelJob,
+  resumeInterruptedJobs,
+  toJobView,
+}
@@ -0,0 +1,106 @@
+// src/services/landmarkService.js
+// Finds the landmark a complaint gives its location by — "near Rajiv Chowk
+// metro gate 5", "opposite Select Citywalk", "outside AIIMS" — so it can be
+// pinned at the landmark and routed to the locality the landmark is in
+//
+// Landmark names are matched like locality names (spacing, abbreviations,
+// small typos — see localityMatcher.js). A name right after a relation
+// phrase (near, opposite, behind, outside...) is preferred; otherwise any
+// landmark named in the text counts, with no relation.
+
+const { DELHI_LANDMARKS, LANDMARK_CATEGORIES } = require("../data/delhiLandmarks")
+const { DELHI_GAZETTEER } = require("../data/delhiGazetteer")
+const { createLocalityMatcher } = require("./localityMatcher")
+
+// Relation phrase → the relation we record
+const RELATIONS = {
+  "near": "near",
+  "nearby": "near",
+  "close to": "near",
+  "opposite": "opposite",
+  "opp": "opposite",
+  "across from": "opposite",
+  "behind": "behind",
+  "outside": "outside",
+  "in front of": "in front of",
+  "next to": "next to",
+  "beside": "next to",
+}
+
+// A relation phrase and the few words after it, where the landmark should be
+const RELATION_PHRASE = new RegExp(
+  `\\b(${Object.keys(RELATIONS).sort((a, b) => b.length - a.length).join("|")})\\.?\\s+((?:\\S+\\s*){1,6})`,
+  "gi"
+)
+
+// "gate 5", "gate no. 3" — metro stations and hospitals have numbered gates
+const GATE = /\bgate\s*(?:no\.?\s*)?(\d{1,2})\b/i
+
+let matcher = null
+
+/**
+ * Checks the dataset and builds the name matcher, on first use. A landmark
+ * in a locality the gazetteer doesn't know couldn't be routed, so that is an
+ * error rather than a warning.
+ */
+function getMatcher() {
+  if (matcher) return matcher
+
+  const places = new Set(DELHI_GAZETTEER.map(entry => entry.name))
+  const aliases = {}
+  for (const landmark of DELHI_LANDMARKS) {
+    if (!LANDMARK_CATEGORIES.includes(landmark.category)) {
+      throw new Error(`Landmark "${landmark.name}": unknown category "${landmark.category}"`)
+    }
+    if (!places.has(landmark.locality)) {
+      throw new Error(`Landmark "${landmark.name}": locality "${landmark.locality}" is not in the gazetteer`)
+    }
+    for (const alias of landmark.aliases || []) aliases[alias] = landmark.name
+  }
+
+  matcher = createLocalityMatcher(DELHI_LANDMARKS.map(landmark => landmark.name), { aliases })
+  return matcher
+}
+
+/**
+ * Finds the landmark a text places itself by.
+ *
+ * @param {string} text - Complaint text or a submitted address
+ * @returns {{ name, category, locality, lat, lng, relation, gate? } | null}
+ *   relation is "near", "opposite", "behind", "outside", "in front of",
+ *   "next to", or null when the landmark is just named ("at AIIMS");
+ *   gate is a gate number given with it
+ */
+function findLandmark(text) {
+  if (!text || typeof text !== "string") return null
+
+  let found = null
+  let relation = null
+  for (const phrase of text.matchAll(RELATION_PHRASE)) {
+    found = getMatcher().match(phrase[2])
+    if (found) {
+      relation = RELATIONS[phrase[1].toLowerCase()]
+      break
+    }
+  }
+  if (!found) found = getMatcher().match(text)
+  if (!found) return null
+
+  const { name, category, locality, lat, lng } = DELHI_LANDMARKS.find(landmark => landmark.name === found.locality)
+  const landmark = { name, category, locality, lat, lng, relation }
+
+  const gate = text.match(GATE)
+  if (gate) landmark.gate = parseInt(gate[1], 10)
+  return landmark
+}
+
+/**
+ * "near Rajiv Chowk Metro Station (gate 5)" — for emails and display names.
+ */
+function describeLandmark(landmark) {
+  if (!landmark) return ""
+  const gate = landmark.gate ? ` (gate ${landmark.gate})` : ""
+  return `${landmark.relation || "at"} ${landmark.name}${gate}`
+}
+
+module.exports = { findLandmark, describeLandmark }
@@ -0,0 +1,308 @@
+// src/services/localityMatcher.js
+// Finds known localities in free text — tolerant of spacing, abbreviations,
+// aliases and small typos — and reads sector / block / pocket / phase numbers
+//
+// How a name is found:
+// - The text is cut into words after spellingKey() (see textNormalizer.js),
+//   with letters and digits split ("sector7" → "sector 7") and common
+//   abbreviations spelt out ("Lajpat Ngr" → "lajpat nagar", "sec" → "sector").
+// - A locality matches a run of whole words whose letters, run together, are
+//   the locality's letters run together — so "Janak puri" and "Janakpuri"
+//   both match, but "Saket" is never found inside another word.
+// - Failing that (or when only a broad zone was found), a run of words within
+//   a small edit distance matches
+//   (1 edit for names of 6–9 letters, 2 for longer; short names and broad
+//   zones like "West Delhi" must match exactly). The first letter must agree.
+// - Aliases ("CP", "GK", "RK Puram") map to a locality; exact only.
+// - Devanagari text also gets the vowel-less comparison (see skeletonKey).
+//
+// When several localities match, one inside another loses to the longer
+// ("Dwarka" inside "Dwarka Sector 10"); then specific localities beat broad
+// zones, exact beats fuzzy, and earlier in the locality list wins.
+
+const { spellingKey, skeletonKey, hasDevanagari } = require("./textNormalizer")
+
+// Abbreviations people use in addresses → the word they stand for
+const ABBREVIATIONS = {
+  ngr: "nagar", nagr: "nagar",
+  vhr: "vihar", vihr: "vihar",
+  ext: "extension", extn: "extension",
+  encl: "enclave", enclv: "enclave",
+  gdn: "garden", grdn: "garden",
+  mkt: "market",
+  clny: "colony",
+  sec: "sector", sect: "sector",
+  blk: "block",
+  pkt: "pocket",
+  ph: "phase",
+}
+
+// Keyed the way the text is, so "ph" → "phase" survives spellingKey's ph → f
+const ABBREVIATION_KEYS = Object.fromEntries(
+  Object.entries(ABBREVIATIONS).map(([short, full]) => [spellingKey(short), spellingKey(full)])
+)
+
+const SECTOR_KEY = spellingKey("sector")
+const PHASE_KEY = spellingKey("phase")
+
+const ROMAN_NUMERALS = { i: 1, ii: 2, iii: 3, iv: 4 }
+
+// ─── ADDRESS PARTS ────────────────────────────────────────────────────────────
+// Read from the original text. Single letters must be capitals when they could
+// be English ("a block in the drain" is not Block A).
+
+const ADDRESS_PATTERNS = {
+  sector: /\b(?:sector|sect?)\.?[\s\-:#]*(\d{1,2})\b/gi,
+  pocket: /\b(?:pocket|pkt)\.?[\s\-:#]*([a-z]?\d{1,3}|[a-z])\b/gi,
+  phase: /\b(?:phase|ph)\.?[\s\-:#]*(iv|iii|ii|i|[1-4])\b/gi,
+  blockAfter: /\b(?:block|blk)\.?[\s\-:#]*([a-z]\d{0,2}|\d{1,3})\b/gi,
+  blockBefore: /\b([a-z]\d{0,2}|\d{1,3})[\s-]*(?:block|blk)\b/gi,
+}
+
+function phaseNumber(value) {
+  const lower = value.toLowerCase()
+  return ROMAN_NUMERALS[lower] || parseInt(lower, 10)
+}
+
+function firstMatch(pattern, text, accept = () => true) {
+  for (const match of text.matchAll(pattern)) {
+    if (accept(match[1])) return match[1]
+  }
+  return null
+}
+
+/**
+ * Reads sector, block, pocket and phase numbers from an address or complaint.
+ *
+ * @param {string} text - e.g. "Rohini Sector-7 block B, pocket 4"
+ * @returns {{ sector?: number, block?: string, pocket?: string, phase?: number }}
+ *   Only the parts found; empty when there are none
+ */
+function parseAddressParts(text) {
+  if (!text || typeof text !== "string") return {}
+
+  // "a" and "i" only count as block letters when written as capitals
+  const notEnglish = value => !/^[ai]$/.test(value)
+
+  const parts = {}
+  const sector = firstMatch(ADDRESS_PATTERNS.sector, text)
+  const block = firstMatch(ADDRESS_PATTERNS.blockAfter, text, notEnglish) ||
+    firstMatch(ADDRESS_PATTERNS.blockBefore, text, notEnglish)
+  const pocket = firstMatch(ADDRESS_PATTERNS.pocket, text, notEnglish)
+  const phase = firstMatch(ADDRESS_PATTERNS.phase, text)
+
+  if (sector) parts.sector = parseInt(sector, 10)
+  if (block) parts.block = block.toUpperCase()
+  if (pocket) parts.pocket = pocket.toUpperCase()
+  if (phase) parts.phase = phaseNumber(phase)
+  return parts
+}
+
+// ─── FUZZY MATCHING ───────────────────────────────────────────────────────────
+
+/**
+ * Levenshtein distance, giving up once it's over max.
+ *
+ * @returns {number} The distance, or max + 1 when it's more than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Edits allowed for a name of this many letters (run together).
+ */
+function allowedEdits(length) {
+  if (length >= 10) return 2
+  if (length >= 6) return 1
+  return 0
+}
+
+/**
+ * Words of a text, keyed for comparison: spellingKey, letters and digits
+ * split, abbreviations spelt out.
+ */
+function keyedWords(key) {
+  return key
+    .replace(/([a-z])(\d)/g, "$1 $2")
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .split(" ")
+    .filter(Boolean)
+    .map(word => ABBREVIATION_KEYS[word] || word)
+}
+
+/**
+ * The number right after a match — a sector ("Dwarka sector 10") or, for
+ * localities that come in phases, a bare phase ("GK-1", "Lajpat Nagar 4").
+ */
+function numberAfter(words, index) {
+  const word = words[index]
+  if (!word) return null
+  if (ROMAN_NUMERALS[word]) return ROMAN_NUMERALS[word]
+  return /^\d{1,2}$/.test(word) ? parseInt(word, 10) : null
+}
+
+/**
+ * Builds a matcher over a list of locality names.
+ *
+ * @param {string[]} localities - Canonical names, most specific first
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.aliases] - Alias → canonical name
+ * @param {string[]} [options.broad] - Names that are only a fallback (zones)
+ * @param {string[]} [options.sectored] - Localities divided into numbered
+ *   sectors ("Dwarka" + sector 10 → "Dwarka Sector 10")
+ * @param {string[]} [options.phased] - Localities divided into phases / parts
+ *   ("GK-1", "Mayur Vihar Phase 2")
+ * @returns {{ match: function(string): object|null }}
+ */
+function createLocalityMatcher(localities, options = {}) {
+  const { aliases = {}, broad = [], sectored = [], phased = [] } = options
+
+  for (const [alias, name] of Object.entries(aliases)) {
+    if (!localities.includes(name)) throw new Error(`Alias "${alias}" is for unknown locality "${name}"`)
+  }
+
+  const forms = [
+    ...localities.map((name, rank) => ({ name, alias: false, rank })),
+    ...Object.entries(aliases).map(([alias, name]) => ({
+      name,
+      alias: true,
+      rank: localities.indexOf(name),
+      text: alias,
+    })),
+  ].map(form => {
+    const words = keyedWords(spellingKey(form.text || form.name))
+    const skeleton = keyedWords(skeletonKey(form.text || form.name))
+    return {
+      ...form,
+      words,
+      joined: words.join(""),
+      skeletonJoined: skeleton.join(""),
+      broad: broad.includes(form.name),
+      maxEdits: form.alias || broad.includes(form.name) ? 0 : allowedEdits(words.join("").length),
+    }
+  }).filter(form => form.joined)
+
+  /**
+   * Every place a form matches a run of words.
+   */
+  function findIn(words, form, joinedKey, fuzzy) {
+    const found = []
+    const target = form[joinedKey]
+    const minSpan = Math.max(1, form.words.length - 1)
+    const maxSpan = form.words.length + 1
+
+    for (let start = 0; start < words.length; start++) {
+      if (!fuzzy && !target.startsWith(words[start])) continue
+      if (fuzzy && words[start][0] !== target[0]) continue
+
+      let joined = ""
+      for (let span = 1; span <= maxSpan && start + span <= words.length; span++) {
+        joined += words[start + span - 1]
+        if (span < minSpan) continue
+        if (joined.length > target.length + form.maxEdits) break
+
+        const distance = joined === target ? 0
+          : fuzzy ? editDistance(joined, target, form.maxEdits)
+          : Infinity
+        if (distance <= (fuzzy ? form.maxEdits : 0)) {
+          found.push({ form, start, end: start + span, distance })
+        }
+      }
+    }
+    return found
+  }
+
+  /**
+   * Finds the locality a text is about.
+   *
+   * @param {string} text - Complaint text or a submitted address
+   * @returns {{ locality, method, address } | null}
+   *   locality is the canonical name (with the sector for sectored
+   *   localities, e.g. "Rohini Sector 7"); method is "exact", "alias" or
+   *   "fuzzy"; address is parseAddressParts() plus any sector or phase
+   *   written right after the name
+   */
+  function match(text) {
+    if (!text || typeof text !== "string") return null
+
+    const words = keyedWords(spellingKey(text))
+    // Vowel-less matching is only safe for Hindi-script text (see skeletonKey)
+    const skeletonWords = hasDevanagari(text) ? keyedWords(skeletonKey(text)) : null
+
+    let candidates = []
+    for (const form of forms) {
+      candidates.push(...findIn(words, form, "joined", false))
+      if (skeletonWords && form.skeletonJoined.length >= 3) {
+        candidates.push(...findIn(skeletonWords, form, "skeletonJoined", false)
+          .map(candidate => ({ ...candidate, skeleton: true })))
+      }
+    }
+    // Typos only count when nothing more specific than a zone was spelt right
+    if (candidates.every(candidate => candidate.form.broad)) {
+      for (const form of forms) {
+        if (form.maxEdits) candidates.push(...findIn(words, form, "joined", true))
+      }
+    }
+    if (!candidates.length) return null
+
+    // A match inside a longer one is part of that one
+    candidates = candidates.filter(a => !candidates.some(b =>
+      b !== a && !a.skeleton === !b.skeleton &&
+      b.start <= a.start && b.end >= a.end && b.end - b.start > a.end - a.start
+    ))
+
+    candidates.sort((a, b) =>
+      a.form.broad - b.form.broad ||
+      (a.distance > 0) - (b.distance > 0) ||
+      a.form.rank - b.form.rank ||
+      a.start - b.start
+    )
+    const best = candidates[0]
+    const { form } = best
+
+    const address = parseAddressParts(text)
+    let locality = form.name
+    if (!best.skeleton) {
+      const after = words[best.end]
+      if (phased.includes(form.name) && !address.phase) {
+        const phase = numberAfter(words, after === PHASE_KEY ? best.end + 1 : best.end)
+        if (phase && phase <= 4) address.phase = phase
+      }
+      if (sectored.includes(form.name) && after === SECTOR_KEY) {
+        const sector = numberAfter(words, best.end + 1)
+        if (sector) address.sector = sector
+      }
+    }
+    if (sectored.includes(form.name) && address.sector) {
+      locality = `${form.name} Sector ${address.sector}`
+    }
+
+    return {
+      locality,
+      method: form.alias ? "alias" : best.distance > 0 ? "fuzzy" : "exact",
+      address,
+    }
+  }
+
+  return { match }
+}
+
+module.exports = { createLocalityMatcher, parseAddressParts, editDistance }
@@ -3,17 +3,22 @@
 //
 // Two steps:
 // 1. extractLocation(text) — finds a Delhi neighbourhood name in the text
-// 2. geocodeLocation(placeName) — calls OpenStreetMap Nominatim to get lat/lng
-//
-// OpenStreetMap Nominatim is completely free with no API key.
-// Rate limit: 1 request per second — we handle this with a small delay.
+//    (also when written in Devanagari, abbreviated or misspelt — see
+//    localityMatcher.js), with any sector / block / pocket numbers; a
+//    landmark ("opposite Select Citywalk") gives the locality it's in
+// 2. geocodeLocation(placeName) — asks the configured geocoders for lat/lng:
+//    the bundled Delhi gazetteer first (offline), then OpenStreetMap
+//    Nominatim (cached and rate limited) — see src/geocoders/index.js
 
-const axios = require("axios")
+const { createLocalityMatcher, parseAddressParts } = require("./localityMatcher")
+const { findLandmark, describeLandmark } = require("./landmarkService")
+const { redactText } = require("./redactionService")
+const { getGeocoders } = require("../geocoders")
 
 // ─── DELHI LOCALITY DICTIONARY ─────────────────────────────────────────────────
 // This is the master list of Delhi localities we can recognize.
 // Listed roughly from most specific (colonies) to broader (districts).
-// Order matters — we check longer phrases first to avoid partial matches.
+// Order matters — when a text names two localities, the earlier one wins.
 
 const DELHI_LOCALITIES = [
   // Central Delhi
@@ -44,105 +49,189 @@ const DELHI_LOCALITIES = [
   "Dwarka Sector 10", "Dwarka Sector 6", "Dwarka Sector 7", "Dwarka Sector 8",
   "Dwarka Sector 12", "Dwarka Sector 13", "Dwarka Sector 14",
 
-  // Famous landmarks often mentioned as location references
-  "India Gate", "Lodhi Garden", "Nehru Place", "Sarojini Nagar", "INA Market",
-  "Moti Bagh", "Chanakyapuri", "Diplomatic Enclave",
+  // New Delhi (landmarks like India Gate are in src/data/delhiLandmarks.js)
+  "Nehru Place", "Sarojini Nagar", "INA Market", "Moti Bagh", "Chanakyapuri",
+  "Diplomatic Enclave",
 
   // Broader zones (fallbacks)
   "North Delhi", "South Delhi", "East Delhi", "West Delhi", "Central Delhi",
   "New Delhi"
 ]
 
+// Other names people use for a locality — matched exactly, as whole words
+const LOCALITY_ALIASES = {
+  "CP": "Connaught Place",
+  "Rajiv Chowk": "Connaught Place",
+  "Kashmiri Gate": "Kashmere Gate",
+  "GK": "Greater Kailash",
+  "South Ex": "South Extension",
+  "Def Col": "Defence Colony",
+  "RK Puram": "R K Puram",
+  "INA": "INA Market",
+}
+
+// Only used when nothing more specific is mentioned
+const BROAD_LOCALITIES = ["North Delhi", "South Delhi", "East Delhi", "West Delhi", "Central Delhi", "New Delhi"]
+
+// Localities divided into numbered sectors / phases ("Rohini Sector 7", "GK-1")
+const SECTORED_LOCALITIES = ["Dwarka", "Rohini", "R K Puram"]
+const PHASED_LOCALITIES = ["Greater Kailash", "Lajpat Nagar", "Mayur Vihar", "Ashok Vihar", "Model Town"]
+
+const localityMatcher = createLocalityMatcher(DELHI_LOCALITIES, {
+  aliases: LOCALITY_ALIASES,
+  broad: BROAD_LOCALITIES,
+  sectored: SECTORED_LOCALITIES,
+  phased: PHASED_LOCALITIES,
+})
+
+// ─── DELHI BOUNDS ─────────────────────────────────────────────────────────────
+// A box around the NCT of Delhi. Coordinates from outside it can't be a
+// complaint for a Delhi authority (and fall in no ward).
+
+const DELHI_BOUNDS = { minLat: 28.40, maxLat: 28.89, minLng: 76.83, maxLng: 77.35 }
+
 /**
- * Extracts a Delhi locality name from complaint text.
- * Looks for known locality names in the text (case-insensitive).
+ * True if the point lies inside DELHI_BOUNDS.
+ */
+function isInDelhi(lat, lng) {
+  return lat >= DELHI_BOUNDS.minLat && lat <= DELHI_BOUNDS.maxLat &&
+    lng >= DELHI_BOUNDS.minLng && lng <= DELHI_BOUNDS.maxLng
+}
+
+// ─── PLACES WE DON'T KNOW ─────────────────────────────────────────────────────
+// "near Ram Nagar", "in sultanpuri", "at Gautam Puri, Delhi" — a place-like
+// name after a preposition, for localities that aren't in the list above
+
+const PREPOSITION_PLACE = /\b(?:in|at|near|from|opposite|behind|outside)\s+([a-z][a-z ]{2,60})/gi
+const IN_DELHI_PLACE = /\b(?:in|at)\s+([a-z]+(?: [a-z]+){0,2}),?\s+(?:new\s+)?delhi\b/gi
+
+// Words that make a place name — on their own ("Ram Nagar") or as an ending ("Sultanpuri")
+const PLACE_WORD = /^(?:nagar|vihar|colony|bagh|enclave|extension|park|market|chowk|garden|village|mandi|sarai|[a-z]*(?:puri|pur|puram|abad|ganj|garh))$/i
+
+// A name can't start with these ("near the market", "in our colony")
+const NOT_PLACE_START = new Set([
+  "the", "a", "an", "my", "our", "your", "his", "her", "their", "this", "that",
+  "these", "those", "every", "all", "front", "some", "any", "one",
+])
+
+function titleCase(words) {
+  return words.map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join(" ")
+}
+
+/**
+ * Finds a place-like name that isn't a locality we know.
  *
- * @param {string} text - The complaint title + description combined
- * @returns {string|null} The locality name found, or null if not detected
+ * @returns {string|null} e.g. "Ram Nagar"
  */
-function extractLocation(text) {
-  if (!text || typeof text !== "string") return null
+function findUnlistedPlace(text) {
+  for (const match of text.matchAll(PREPOSITION_PLACE)) {
+    const words = match[1].trim().split(/\s+/).slice(0, 4)
+    if (NOT_PLACE_START.has(words[0].toLowerCase())) continue
 
-  const lowerText = text.toLowerCase()
+    const end = words.findIndex(word => PLACE_WORD.test(word))
+    // A lone "park" / "market" is not a name
+    if (end === -1 || (end === 0 && !/(?:puri|pur|puram|abad|ganj|garh)$/i.test(words[0]))) continue
+    return titleCase(words.slice(0, end + 1))
+  }
 
-  // Check localities from most specific to least specific
-  for (const locality of DELHI_LOCALITIES) {
-    if (lowerText.includes(locality.toLowerCase())) {
-      return locality
-    }
+  for (const match of text.matchAll(IN_DELHI_PLACE)) {
+    const words = match[1].split(" ")
+    // Only return if it's a reasonable place name (not "in my area, Delhi")
+    if (NOT_PLACE_START.has(words[0].toLowerCase()) || match[1].length <= 3) continue
+    return titleCase(words)
   }
 
-  // Fallback: look for "in [word], Delhi" or "near [word]" patterns
-  // This catches locations not in our dictionary
-  const patterns = [
-    /in ([A-Z][a-zA-Z\s]+),?\s*Delhi/,
-    /at ([A-Z][a-zA-Z\s]+),?\s*Delhi/,
-    /near ([A-Z][a-zA-Z\s]+(?:Nagar|Colony|Vihar|Bagh|Enclave|Extension|Park|Market|Chowk))/,
-  ]
-
-  for (const pattern of patterns) {
-    const match = text.match(pattern)
-    if (match && match[1]) {
-      const extracted = match[1].trim()
-      // Only return if it's a reasonable place name (2-4 words, reasonable length)
-      if (extracted.length > 3 && extracted.length < 50) {
-        return extracted
-      }
+  return null
+}
+
+/**
+ * Finds the Delhi locality a complaint is about, with the details of how.
+ * Tolerates spacing, abbreviations, aliases and small typos ("Janak puri",
+ * "Lajpat Ngr", "GK-1", "CP", "Dwarka sec 10") — see localityMatcher.js.
+ * Text is normalised first, so "जनकपुरी" and "Lakshmi Nagar" work too.
+ *
+ * A landmark ("near Rajiv Chowk metro", "outside AIIMS") pins the complaint
+ * more closely than a locality name, so it wins: the locality is the one the
+ * landmark is in — or the locality named, when that is the same place more
+ * precisely ("Dwarka Sector 21 metro" → Dwarka Sector 21).
+ *
+ * @param {string} text - The complaint title + description, or an address
+ * @returns {{ locality, method, address, landmark? } | null}
+ *   method is "exact", "alias", "fuzzy", "landmark" or "pattern" (a place
+ *   name we don't know, from "near Ram Nagar"-style phrases); address holds
+ *   the sector, block, pocket and phase numbers found; landmark is
+ *   findLandmark()'s result
+ */
+function matchLocality(text) {
+  if (!text || typeof text !== "string") return null
+
+  const known = localityMatcher.match(text)
+  const landmark = findLandmark(text)
+  if (landmark) {
+    const samePlace = known &&
+      (known.locality === landmark.locality || known.locality.startsWith(`${landmark.locality} `))
+    return {
+      locality: samePlace ? known.locality : landmark.locality,
+      method: "landmark",
+      address: known ? known.address : parseAddressParts(text),
+      landmark,
     }
   }
+  if (known) return known
+
+  // Fallback: catches locations not in our dictionary
+  const unlisted = findUnlistedPlace(text)
+  if (unlisted) {
+    return { locality: unlisted, method: "pattern", address: parseAddressParts(text) }
+  }
 
   return null // Could not extract a location
 }
 
 /**
- * Converts a place name to lat/lng coordinates using OpenStreetMap Nominatim.
- * This is completely free — no API key needed.
- * Rate limit: 1 request/second. We respect this with a 1.1s delay after each call.
+ * Extracts a Delhi locality name from complaint text.
  *
- * @param {string} placeName - e.g. "Janakpuri, Delhi"
- * @returns {{ lat: number, lng: number, displayName: string } | null}
+ * @param {string} text - The complaint title + description combined
+ * @returns {string|null} The locality name found (e.g. "Janakpuri",
+ *   "Rohini Sector 7"), or null if not detected
+ */
+function extractLocation(text) {
+  return matchLocality(text)?.locality ?? null
+}
+
+/**
+ * Converts a place name to lat/lng coordinates. Each geocoder in GEOCODERS is
+ * asked in turn (the gazetteer first, then Nominatim) until one knows the
+ * place; a geocoder that fails is skipped.
+ *
+ * @param {string} placeName - e.g. "Janakpuri"
+ * @returns {{ lat: number, lng: number, displayName: string, boundingBox, geocoder: string } | null}
+ *   geocoder is the name of the one that answered
  */
 async function geocodeLocation(placeName) {
   if (!placeName) return null
 
-  // Always append "Delhi, India" to improve geocoding accuracy
-  const query = `${placeName}, Delhi, India`
-
-  try {
-    const response = await axios.get("https://nominatim.openstreetmap.org/search", {
-      params: {
-        q: query,
-        format: "json",
-        limit: 1,              // we only need the top result
-        countrycodes: "in",   // restrict to India
-        addressdetails: 1,    // include full address breakdown
-      },
-      headers: {
-        // Nominatim REQUIRES a descriptive User-Agent — required by their ToS
-        "User-Agent": "CivicMirrorApp/1.0 (contact@civicmirror.in)"
-      },
-      timeout: 8000, // 8 second timeout
-    })
-
-    if (!response.data || response.data.length === 0) {
-      console.warn(`📍 Geocoding failed for "${placeName}" — no results from Nominatim`)
-      return null
+  for (const geocoder of getGeocoders()) {
+    try {
+      const coords = await geocoder.geocode(placeName)
+      if (coords) return { ...coords, geocoder: geocoder.name }
+    } catch (err) {
+      console.warn(`📍 ${geocoder.name} geocoder failed for "${placeName}":`, err.message)
     }
+  }
 
-    const result = response.data[0]
-
-    return {
-      lat: parseFloat(result.lat),
-      lng: parseFloat(result.lon),
-      displayName: result.display_name,
-      // Nominatim returns bounding box — useful for map zoom level
-      boundingBox: result.boundingbox,
-    }
+  return null
+}
 
-  } catch (err) {
-    // Nominatim might be temporarily down or slow
-    console.warn(`📍 Geocoding error for "${placeName}":`, err.message)
-    return null
+/**
+ * Stats from every configured geocoder — gazetteer hits, Nominatim cache
+ * hits/misses and rate limiter state (GET /api/geocode/stats).
+ */
+function getGeocodingStats() {
+  const geocoders = getGeocoders()
+  return {
+    geocoders: geocoders.map(g => g.name),
+    ...Object.fromEntries(geocoders.map(g => [g.name, g.getStats()])),
   }
 }
 
@@ -151,10 +240,29 @@ async function geocodeLocation(placeName) {
  * This is what the main route will use.
  *
  * @param {string} text - Complaint text
- * @returns {{ localityName, lat, lng, displayName } | { localityName, lat: null, lng: null }}
+ * @returns {{ localityName, lat, lng, displayName, geocoded, address, landmark }}
+ *   address holds the sector / block / pocket / phase found in the text;
+ *   landmark is the landmark it was placed by, or null
  */
 async function extractAndGeocode(text) {
-  const localityName = extractLocation(text)
+  const match = matchLocality(text)
+  const localityName = match?.locality
+  const address = match ? match.address : parseAddressParts(text)
+  const landmark = match?.landmark || null
+
+  // Placed by a landmark — its own coordinates, no geocoding needed
+  if (landmark) {
+    return {
+      localityName,
+      lat: landmark.lat,
+      lng: landmark.lng,
+      displayName: `${describeLandmark(landmark)}, ${localityName}, Delhi, India`,
+      geocoded: true,
+      geocoder: "landmarks",
+      address,
+      landmark,
+    }
+  }
 
   if (!localityName) {
     return {
@@ -163,12 +271,11 @@ async function extractAndGeocode(text) {
       lng: 77.2090,
       displayName: "Delhi, India",
       geocoded: false,        // flag that this is a fallback
+      address,
+      landmark: null,
     }
   }
 
-  // Respect Nominatim rate limit (1 req/sec)
-  await new Promise(r => setTimeout(r, 1100))
-
   const coords = await geocodeLocation(localityName)
 
   if (!coords) {
@@ -179,6 +286,8 @@ async function extractAndGeocode(text) {
       lng: 77.2090,
       displayName: `${localityName}, Delhi, India`,
       geocoded: false,
+      address,
+      landmark: null,
     }
   }
 
@@ -186,11 +295,76 @@ async function extractAndGeocode(text) {
     localityName,
     ...coords,
     geocoded: true,
+    address,
+    landmark: null,
   }
 }
 
+/**
+ * Resolves the location of a complaint submitted through our web form.
+ *
+ * Citizens can give us any of:
+ * - exact coordinates (e.g. from the browser's GPS) — used as-is when they
+ *   are inside Delhi; anything else is ignored, as if none were sent
+ * - a free-text location ("B Block, Janakpuri", "opposite Select Citywalk")
+ *   — matched against our landmarks and locality list, then geocoded; if it
+ *   isn't a place we know, the whole text is geocoded (the gazetteer finds
+ *   places inside it, Nominatim street addresses)
+ * - nothing — we fall back to extracting a location from the complaint text
+ *
+ * The citizen's text is redacted first (see redactionService.js): a phone
+ * number or house number typed in here would otherwise be stored as the
+ * locality name and sent to the geocoder.
+ *
+ * @param {{ location?: string, lat?: number, lng?: number, fallbackText: string }} input
+ * @returns {{ localityName, lat, lng, displayName, geocoded, address, landmark }}
+ */
+async function resolveSubmittedLocation({ location, lat, lng, fallbackText }) {
+  const locationText = redactText(location?.trim() || "").text
+
+  // Citizen gave exact coordinates in Delhi — use them, just find a locality name for routing
+  if (lat !== null && lat !== undefined && lng !== null && lng !== undefined && isInDelhi(lat, lng)) {
+    const match = matchLocality(locationText) || matchLocality(fallbackText)
+    const localityName = match?.locality || locationText || "Delhi"
+
+    return {
+      localityName,
+      lat,
+      lng,
+      displayName: `${localityName}, Delhi, India`,
+      geocoded: true,
+      address: match ? match.address : parseAddressParts(locationText),
+      landmark: match?.landmark || null,
+    }
+  }
+
+  if (locationText) {
+    const locationData = await extractAndGeocode(locationText)
+    if (locationData.geocoded) return locationData
+
+    // Not a locality we recognise (or no geocoder could place it) —
+    // try the citizen's text verbatim before giving up
+    const coords = await geocodeLocation(locationText)
+    if (coords) {
+      return { localityName: locationText, ...coords, geocoded: true, address: locationData.address, landmark: null }
+    }
+
+    return {
+      ...locationData,
+      localityName: locationData.localityName === "Delhi" ? locationText : locationData.localityName,
+    }
+  }
+
+  return extractAndGeocode(fallbackText)
+}
+
 module.exports = {
+  DELHI_BOUNDS,
+  isInDelhi,
   extractLocation,
+  matchLocality,
   geocodeLocation,
   extractAndGeocode,
+  resolveSubmittedLocation,
+  getGeocodingStats,
 }
@@ -0,0 +1,107 @@
+// src/services/naiveBayes.js
+// Multinomial naive Bayes text classifier over word unigrams + bigrams
+//
+// Pure functions, no I/O — trainNaiveBayes() turns labelled texts into a
+// plain JSON model (so it can be stored and versioned), and
+// predictNaiveBayes() scores new text against it.
+//
+// Naive Bayes suits our data: it trains in milliseconds, works with a few
+// dozen examples per department, and its word counts are easy to inspect.
+
+const { normalizeText } = require("./textNormalizer")
+
+// Words too common to say anything about the department
+const STOPWORDS = new Set([
+  "the", "a", "an", "and", "or", "of", "in", "on", "at", "to", "for", "is",
+  "are", "was", "were", "be", "been", "it", "its", "this", "that", "there",
+  "here", "with", "from", "by", "as", "we", "our", "i", "my", "me", "you",
+  "your", "they", "their", "has", "have", "had", "but", "not", "so", "very",
+  "near", "delhi", "please", "hai", "ka", "ki", "ke", "se", "mein",
+])
+
+/**
+ * Splits text into features: lowercase word unigrams plus adjacent-word
+ * bigrams ("burst pipe" says more than "burst" and "pipe" apart). Hindi and
+ * Hinglish are normalised first, so "पानी" and "pani" are the same feature.
+ *
+ * @param {string} text
+ * @returns {string[]} Features, with repeats
+ */
+function extractFeatures(text) {
+  const words = normalizeText(text)
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+
+  const features = [...words]
+  for (let i = 0; i < words.length - 1; i++) {
+    features.push(`${words[i]} ${words[i + 1]}`)
+  }
+  return features
+}
+
+/**
+ * Trains a model from labelled examples.
+ *
+ * @param {Array<{ text: string, label: string, weight?: number }>} examples
+ *   weight counts an example more than once (e.g. corrected labels)
+ * @returns {{ labels: object, vocabulary: number, examples: number }} JSON-safe model
+ */
+function trainNaiveBayes(examples) {
+  const labels = {}
+  const vocabulary = new Set()
+
+  for (const { text, label, weight = 1 } of examples) {
+    const stats = labels[label] || (labels[label] = { docs: 0, tokens: 0, counts: {} })
+    stats.docs += weight
+
+    for (const feature of extractFeatures(text)) {
+      stats.counts[feature] = (stats.counts[feature] || 0) + weight
+      stats.tokens += weight
+      vocabulary.add(feature)
+    }
+  }
+
+  return { labels, vocabulary: vocabulary.size, examples: examples.length }
+}
+
+/**
+ * Scores text against a trained model.
+ *
+ * @param {object} model - From trainNaiveBayes()
+ * @param {string} text
+ * @returns {{ label: string, probability: number, probabilities: object } | null}
+ *   probabilities per label sum to 1; null if the text has no known features
+ */
+function predictNaiveBayes(model, text) {
+  const features = extractFeatures(text)
+  const entries = Object.entries(model.labels)
+  const totalDocs = entries.reduce((sum, [, stats]) => sum + stats.docs, 0)
+
+  if (!entries.length || !features.some(f => entries.some(([, stats]) => stats.counts[f]))) {
+    return null
+  }
+
+  // Log-probabilities with Laplace (add-one) smoothing
+  const logScores = entries.map(([label, stats]) => {
+    let score = Math.log(stats.docs / totalDocs)
+    const denominator = stats.tokens + model.vocabulary
+    for (const feature of features) {
+      score += Math.log(((stats.counts[feature] || 0) + 1) / denominator)
+    }
+    return [label, score]
+  })
+
+  // Softmax back to probabilities (subtract the max to avoid underflow)
+  const max = Math.max(...logScores.map(([, score]) => score))
+  const exps = logScores.map(([label, score]) => [label, Math.exp(score - max)])
+  const sum = exps.reduce((total, [, value]) => total + value, 0)
+
+  const probabilities = {}
+  for (const [label, value] of exps) probabilities[label] = value / sum
+
+  const [label, probability] = Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0]
+  return { label, probability, probabilities }
+}
+
+module.exports = { trainNaiveBayes, predictNaiveBayes }
@@ -0,0 +1,163 @@
+// src/services/priorityService.js
+// 0–100 priority score for a complaint
+//
+// Low / medium / high is too coarse to order a dashboard by, so every
+// complaint gets a score built from five components:
+//
+//   text       — urgency words (not negated), from urgencyService.js   0–50
+//   hazard     — hazard terms; near a school/hospital/children         0–50
+//   duration   — how long it's been going on ("for 3 weeks")           0–50
+//   engagement — Reddit upvotes and comments                           0–20
+//   reports    — corroborating reports of the same issue               0–30
+//
+// The total is capped at 100. The urgency bucket is derived from it
+// (URGENCY_THRESHOLDS), so "high" always means "priority 50 or more".
+//
+// The components are stored with the complaint (priority_breakdown), which
+// lets the reports component be bumped when a corroborating report comes in
+// without re-reading the text.
+
+const MAX_PRIORITY = 100
+
+// Score needed for each urgency bucket
+const URGENCY_THRESHOLDS = { high: 50, medium: 20 }
+
+// Text: each high-urgency point is worth HIGH_WORD_POINTS, each medium one
+// MEDIUM_WORD_POINTS (medium words alone can't make a complaint high)
+const HIGH_WORD_POINTS = 25
+const MEDIUM_WORD_POINTS = 10
+const MAX_MEDIUM_WORD_POINTS = 20
+const MAX_TEXT_POINTS = 50
+
+// Hazards: any hazard term, or one near a vulnerable group (always high)
+const HAZARD_POINTS = 10
+const VULNERABLE_HAZARD_POINTS = 50
+
+// Duration: [minimum days, points] — a month without water is high on its own
+const DURATION_STEPS = [[30, 50], [7, 25], [2, 10]]
+
+// Engagement: ENGAGEMENT_POINTS_PER_DECADE per 10x more interactions
+// (upvotes + 2 per comment), so 10 → 5, 100 → 10, 10,000 → 20
+const ENGAGEMENT_POINTS_PER_DECADE = 5
+const COMMENT_WEIGHT = 2
+const MAX_ENGAGEMENT_POINTS = 20
+
+// Reports: each corroborating report after the first
+const POINTS_PER_EXTRA_REPORT = 10
+const MAX_REPORT_POINTS = 30
+
+/**
+ * Maps a priority score to the legacy urgency bucket.
+ *
+ * @param {number} score - 0–100
+ * @returns {"high"|"medium"|"low"}
+ */
+function priorityToUrgency(score) {
+  if (score >= URGENCY_THRESHOLDS.high) return "high"
+  if (score >= URGENCY_THRESHOLDS.medium) return "medium"
+  return "low"
+}
+
+function textComponent({ high, medium }) {
+  const highPoints = high.score * HIGH_WORD_POINTS
+  const mediumPoints = Math.min(medium.score * MEDIUM_WORD_POINTS, MAX_MEDIUM_WORD_POINTS)
+  const words = [...high.matches, ...medium.matches].map(m => m.keyword)
+  return {
+    points: Math.min(highPoints + mediumPoints, MAX_TEXT_POINTS),
+    max: MAX_TEXT_POINTS,
+    detail: words.length ? `Urgency words: ${words.join(", ")}` : "No urgency words",
+  }
+}
+
+function hazardComponent({ hazards, vulnerable }) {
+  if (vulnerable.length) {
+    const pairs = vulnerable.map(({ hazard, group }) => `${hazard} near ${group}`)
+    return { points: VULNERABLE_HAZARD_POINTS, max: VULNERABLE_HAZARD_POINTS, detail: `Hazard near vulnerable group: ${pairs.join(", ")}` }
+  }
+  if (hazards.length) {
+    return { points: HAZARD_POINTS, max: VULNERABLE_HAZARD_POINTS, detail: `Hazard: ${hazards.join(", ")}` }
+  }
+  return { points: 0, max: VULNERABLE_HAZARD_POINTS, detail: "No hazard terms" }
+}
+
+function durationComponent({ duration }) {
+  const max = DURATION_STEPS[0][1]
+  if (!duration) return { points: 0, max, detail: "No duration mentioned" }
+
+  const step = DURATION_STEPS.find(([days]) => duration.days >= days)
+  return {
+    points: step ? step[1] : 0,
+    max,
+    detail: `Unresolved for about ${duration.days} days ("${duration.text}")`,
+  }
+}
+
+function engagementComponent(engagement) {
+  const upvotes = Math.max(0, Number(engagement?.score) || 0)
+  const comments = Math.max(0, Number(engagement?.numComments) || 0)
+  if (!upvotes && !comments) {
+    return { points: 0, max: MAX_ENGAGEMENT_POINTS, detail: "No Reddit engagement" }
+  }
+
+  const interactions = upvotes + comments * COMMENT_WEIGHT
+  return {
+    points: Math.min(Math.round(ENGAGEMENT_POINTS_PER_DECADE * Math.log10(1 + interactions)), MAX_ENGAGEMENT_POINTS),
+    max: MAX_ENGAGEMENT_POINTS,
+    detail: `${upvotes} upvotes, ${comments} comments`,
+  }
+}
+
+function reportsComponent(reportCount) {
+  const count = Math.max(1, reportCount || 1)
+  return {
+    points: Math.min((count - 1) * POINTS_PER_EXTRA_REPORT, MAX_REPORT_POINTS),
+    max: MAX_REPORT_POINTS,
+    detail: count > 1 ? `${count} reports of this issue` : "Single report",
+  }
+}
+
+/**
+ * Adds up the components into a priority.
+ */
+function total(components) {
+  const sum = Object.values(components).reduce((acc, component) => acc + component.points, 0)
+  const score = Math.min(sum, MAX_PRIORITY)
+  return { score, urgency: priorityToUrgency(score), components }
+}
+
+/**
+ * Computes the priority of a complaint.
+ *
+ * @param {object} urgencyAnalysis - Output of analyzeUrgency()
+ * @param {object} [signals]
+ * @param {{ score: number, numComments: number }} [signals.engagement] - Reddit post stats
+ * @param {number} [signals.reportCount] - Reports of this issue (1 = just this one)
+ * @returns {{ score: number, urgency: "high"|"medium"|"low",
+ *             components: Object<string, { points: number, max: number, detail: string }> }}
+ */
+function computePriority(urgencyAnalysis, { engagement = null, reportCount = 1 } = {}) {
+  return total({
+    text: textComponent(urgencyAnalysis),
+    hazard: hazardComponent(urgencyAnalysis),
+    duration: durationComponent(urgencyAnalysis),
+    engagement: engagementComponent(engagement),
+    reports: reportsComponent(reportCount),
+  })
+}
+
+/**
+ * Recomputes a priority with new engagement and/or report count, keeping the
+ * text-based components (e.g. from a stored priority_breakdown).
+ *
+ * @param {{ components: object }} priority - From computePriority()
+ * @param {{ engagement?: object, reportCount?: number }} signals - Only the given ones change
+ * @returns {{ score, urgency, components }}
+ */
+function updatePriority(priority, { engagement, reportCount } = {}) {
+  const components = { ...priority.components }
+  if (engagement !== undefined) components.engagement = engagementComponent(engagement)
+  if (reportCount !== undefined) components.reports = reportsComponent(reportCount)
+  return total(components)
+}
+
+module.exports = { computePriority, updatePriority }
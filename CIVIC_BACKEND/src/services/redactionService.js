@@ -0,0 +1,142 @@
+// src/services/redactionService.js
+// Removes personal details from complaint text before it is shown or forwarded
+//
+// Reddit posts often include a phone number ("call me on 98xxxxxxxx"), an
+// email, a house number or a car's number plate. Complaints are public on the
+// dashboard and forwarded to authorities by email, so registerComplaint()
+// stores the redacted text as title/description and keeps the original in
+// raw_title / raw_description. Those and the citizen's contact details are
+// restricted fields that only admins can read (GET /api/complaint/:complaintId/raw).
+// A location typed into the web form is redacted too (resolveSubmittedLocation).
+//
+// Detected (replaced with a [placeholder]):
+//   - emails
+//   - Indian mobile numbers (+91 / 0 prefixes, spaces or dashes) and Delhi landlines
+//   - Aadhaar-like 12-digit numbers (4-4-4)
+//   - vehicle registration plates ("DL 3C AB 1234", "MH12AB1234", "22 BH 1234 AA")
+//   - exact house addresses ("House No. 123", "H.No 45/2", "Flat 302", "B-12/45")
+// Localities, sectors, blocks and pockets are kept — they're needed for routing
+// ("GK-1", "C-4", "NH-48" and "T-3" are places, not houses).
+
+// Indian state / UT codes used on number plates
+const STATE_CODES = [
+  "AN", "AP", "AR", "AS", "BR", "CG", "CH", "DD", "DL", "DN", "GA", "GJ", "HP", "HR",
+  "JH", "JK", "KA", "KL", "LA", "LD", "MH", "ML", "MN", "MP", "MZ", "NL", "OD", "OR",
+  "PB", "PY", "RJ", "SK", "TN", "TR", "TS", "UK", "UP", "WB",
+]
+
+// Applied in order — phone numbers before Aadhaar (a 91-prefixed mobile is
+// 12 digits too), plates before house numbers ("DL-3C..." isn't a house)
+const PII_PATTERNS = [
+  {
+    type: "email",
+    placeholder: "[email]",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    type: "phone",
+    placeholder: "[phone]",
+    // Mobile: 10 digits starting 6-9, optionally +91 / 91 / 0 in front
+    pattern: /(?<![\d+])(?:\+91[\s-]?|(?:91|0)[\s-]?)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g,
+  },
+  {
+    type: "phone",
+    placeholder: "[phone]",
+    // Delhi landline: 011-2xxxxxxx
+    pattern: /(?<![\d+])(?:\+91[\s-]?)?0?11[\s-]?[2-9]\d{3}[\s-]?\d{4}(?!\d)/g,
+  },
+  {
+    type: "aadhaar",
+    placeholder: "[aadhaar]",
+    pattern: /(?<!\d)[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}(?!\d)/g,
+  },
+  {
+    type: "vehiclePlate",
+    placeholder: "[vehicle number]",
+    pattern: new RegExp(
+      `\\b(?:${STATE_CODES.join("|")})[\\s-]?\\d{1,2}[\\s-]?(?:[A-Z]{1,3}[\\s-]?){1,2}\\d{4}\\b` +
+      // Bharat series: 22 BH 1234 AA
+      "|\\b\\d{2}[\\s-]?BH[\\s-]?\\d{4}[\\s-]?[A-Z]{1,2}\\b",
+      "gi"
+    ),
+  },
+  {
+    type: "houseAddress",
+    placeholder: "[house number]",
+    // "House No. 123", "H.No 45/2", "Flat 302", "Plot no: 7A"
+    pattern: /\b(?:house|h\.?\s?no|flat|plot|quarter|qtr|door|apartment|apt)\.?\s*(?:no\.?|number|#)?\s*[:.]?\s*[A-Z]?-?\d+[A-Z]?(?:\s*\/\s*\d+[A-Z]?)*(?![\w/])/gi,
+  },
+  {
+    type: "houseAddress",
+    placeholder: "[house number]",
+    // Delhi-style block/house numbers: "B-12/45", "DA-7/102". The "/house"
+    // part is required — a bare "C-4", "GK-1" or "NH-48" is a block or road
+    pattern: /\b[A-Z]{1,2}-\d{1,4}[A-Z]?(?:\s*\/\s*\d+[A-Z]?)+(?![\w/])/g,
+  },
+]
+
+// Columns holding unredacted text or who the citizen is — never returned by
+// public endpoints (source_handle is the citizen's name for web submissions)
+const RESTRICTED_FIELDS = [
+  "raw_title", "raw_description",
+  "citizen_name", "citizen_email", "citizen_phone", "source_handle",
+]
+
+/**
+ * Replaces personal details in the text with placeholders.
+ *
+ * @param {string} text
+ * @returns {{ text: string, redactions: Object<string, number> }}
+ *   redactions counts what was removed by type, e.g. { phone: 1, email: 1 }
+ *   (empty when nothing was found)
+ */
+function redactText(text) {
+  if (!text || typeof text !== "string") return { text: text || "", redactions: {} }
+
+  const redactions = {}
+  let redacted = text
+  for (const { type, placeholder, pattern } of PII_PATTERNS) {
+    redacted = redacted.replace(pattern, () => {
+      redactions[type] = (redactions[type] || 0) + 1
+      return placeholder
+    })
+  }
+
+  return { text: redacted, redactions }
+}
+
+/**
+ * Redacts a title + description pair for storage.
+ *
+ * @returns {{ title, description, rawTitle: string|null, rawDescription: string|null, redactions: object }}
+ *   The raw fields are null when nothing was redacted (no need to keep a copy)
+ */
+function redactComplaintText(title, description) {
+  const redactedTitle = redactText(title)
+  const redactedDescription = redactText(description)
+
+  const redactions = { ...redactedTitle.redactions }
+  for (const [type, count] of Object.entries(redactedDescription.redactions)) {
+    redactions[type] = (redactions[type] || 0) + count
+  }
+  const found = Object.keys(redactions).length > 0
+
+  return {
+    title: redactedTitle.text,
+    description: redactedDescription.text,
+    rawTitle: found ? title : null,
+    rawDescription: found ? description : null,
+    redactions,
+  }
+}
+
+/**
+ * Copy of a complaint / report DB record without the restricted fields.
+ */
+function toPublicRecord(record) {
+  const copy = { ...record }
+  for (const field of RESTRICTED_FIELDS) delete copy[field]
+  return copy
+}
+
+module.exports = { RESTRICTED_FIELDS, redactText, redactComplaintText, toPublicRecord }
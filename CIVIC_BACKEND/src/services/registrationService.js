@@ -0,0 +1,484 @@
+// src/services/registrationService.js
+// The shared back half of the complaint pipeline:
+// Route to authority → Merge near-duplicates → Build record → Save to DB
+// → Email authority → Notify citizen
+//
+// Classification and geocoding happen in the routes (each source validates and
+// locates complaints differently), then every source — Reddit /register,
+// /batch-process and the web form /submit — hands over to registerComplaint().
+//
+// Personal details (phone numbers, emails, house numbers, number plates) are
+// redacted before anything is stored or sent — see redactionService.js.
+//
+// A complaint that involves several departments (a burst pipe that flooded
+// the road and made a pothole) goes to each responsible authority, and each
+// email says which part of the problem is theirs.
+//
+// A report of an issue we already have (see duplicateService.js) doesn't become
+// a new complaint: it is attached to the existing one as a corroborating
+// report, and the authority that has the complaint gets a "new corroboration"
+// email instead.
+//
+// ingestRedditPost() is the whole pipeline for one fetched Reddit post, used
+// wherever we process posts in bulk (batch-process, the ingestion scheduler).
+
+const { getMunicipalContact, contactForDepartment } = require("../data/municipalDirectory")
+const { sendAuthorityEmail, sendCitizenConfirmation, sendCorroborationEmail } = require("./emailService")
+const { sendCitizenSMS } = require("./smsService")
+const {
+  updateComplaint,
+  complaintExists,
+  insertComplaintReport,
+  getComplaintReports,
+} = require("./databaseService")
+const { classifyComplaint } = require("./classifierService")
+const { extractAndGeocode } = require("./locationService")
+const { insertWithAllocatedId } = require("./complaintIdService")
+const { recordInitialStatus } = require("./statusService")
+const { computeSlaDueDates } = require("./slaService")
+const { findNearDuplicate } = require("./duplicateService")
+const { updatePriority } = require("./priorityService")
+const { URGENCY_RANK } = require("./complaintQueryService")
+const { redactComplaintText } = require("./redactionService")
+const { findWard } = require("./wardService")
+
+/**
+ * camelCase view of a complaint DB record — the shape the email/SMS senders
+ * and the /register response expect.
+ */
+function toComplaintView(record) {
+  return {
+    complaintId: record.complaint_id,
+    title: record.title,
+    description: record.description,
+    department: record.department,
+    departmentFull: record.department_full,
+    issueType: record.issue_type ?? null,
+    issueTypeLabel: record.issue_type_label ?? null,
+    secondaryDepartments: record.secondary_departments || [],
+    urgency: record.urgency,
+    priorityScore: record.priority_score ?? null,
+    priorityBreakdown: record.priority_breakdown || null,
+    daysOutstanding: record.days_outstanding ?? null,
+    urgencyReasons: record.urgency_reasons || [],
+    aiConfidence: record.ai_confidence,
+    rulesetVersion: record.ruleset_version ?? null,
+    status: record.status,
+    location: record.location,
+    lat: record.lat,
+    lng: record.lng,
+    ward: record.ward ?? null,
+    addressParts: record.address_parts || {},
+    landmark: record.landmark ?? null,
+    source: record.source,
+    reportCount: record.report_count || 1,
+    timestamp: record.created_at,
+  }
+}
+
+/**
+ * Works out who gets an authority email and for which part of the complaint:
+ * the primary department's authority plus one per secondary department.
+ * Departments whose contact is the same address share one email.
+ *
+ * @param {object} complaint - Complaint being registered (with secondaryDepartments)
+ * @param {object} municipalContact - Primary department's contact (secondary
+ *   departments go to the same authority, at their own department's address)
+ * @returns {Array<{ contact, responsibilities: Array<{ role, department, departmentFull, keywords }> }>}
+ *   The primary department's authority is always first
+ */
+function planAuthorityNotifications(complaint, municipalContact) {
+  const emailOf = contact => contact.primaryEmail || contact.email
+  const recipients = [{
+    contact: municipalContact,
+    responsibilities: [{
+      role: "primary",
+      department: complaint.department,
+      departmentFull: complaint.departmentFull,
+      keywords: complaint.departmentKeywords || [],
+    }],
+  }]
+
+  for (const secondary of complaint.secondaryDepartments) {
+    const contact = contactForDepartment(municipalContact, secondary.department)
+    const responsibility = { role: "secondary", ...secondary }
+    const existing = recipients.find(r => emailOf(r.contact) === emailOf(contact))
+    if (existing) existing.responsibilities.push(responsibility)
+    else recipients.push({ contact, responsibilities: [responsibility] })
+  }
+
+  return recipients
+}
+
+/**
+ * Emails every responsible authority (concurrently). Failures are reported,
+ * never thrown.
+ *
+ * @returns {{ authorityEmailSent: boolean, secondaryDepartments: object[] }}
+ *   authorityEmailSent is for the primary authority; each secondary department
+ *   gets the address it was sent to and whether it went out
+ */
+async function notifyAuthorities(complaint, municipalContact) {
+  const emailOf = contact => contact.primaryEmail || contact.email
+  const recipients = planAuthorityNotifications(complaint, municipalContact)
+
+  const results = await Promise.allSettled(recipients.map(({ contact, responsibilities }) =>
+    sendAuthorityEmail(complaint, contact, complaint.redditPermalink, {
+      responsibilities,
+      alsoNotified: recipients
+        .filter(other => other.contact !== contact)
+        .map(other => ({
+          departments: other.responsibilities.map(r => r.department),
+          email: emailOf(other.contact),
+        })),
+    })
+  ))
+  const sent = results.map(result => result.value?.success || false)
+
+  return {
+    authorityEmailSent: sent[0],
+    secondaryDepartments: complaint.secondaryDepartments.map(secondary => {
+      const index = recipients.findIndex(r => r.responsibilities.some(
+        resp => resp.role === "secondary" && resp.department === secondary.department
+      ))
+      return { ...secondary, authorityEmail: emailOf(recipients[index].contact), authorityEmailSent: sent[index] }
+    }),
+  }
+}
+
+/**
+ * Emails and texts the citizen (when they gave us contact details).
+ * Both run concurrently; failures are reported, never thrown.
+ */
+async function notifyCitizen(complaint, citizenEmail, citizenPhone) {
+  const [emailResult, smsResult] = await Promise.allSettled([
+    // Email the citizen (only if they provided email)
+    citizenEmail
+      ? sendCitizenConfirmation(citizenEmail, complaint)
+      : Promise.resolve({ success: false, reason: "No citizen email provided" }),
+
+    // SMS the citizen (only if they provided phone)
+    citizenPhone
+      ? sendCitizenSMS(citizenPhone, complaint)
+      : Promise.resolve({ success: false, reason: "No citizen phone provided" }),
+  ])
+
+  return {
+    citizenEmailSent: emailResult.value?.success || false,
+    citizenSMSSent: smsResult.value?.success || false,
+  }
+}
+
+/**
+ * The authority an existing complaint was routed to when it was registered —
+ * worked out again from its own stored location, the same way.
+ *
+ * @param {object} record - Complaint DB record (snake_case)
+ */
+function contactForComplaint(record) {
+  const ward = record.geocoded ? findWard(record.lat, record.lng) : null
+  const localityName = (record.location || "").replace(/, Delhi$/, "")
+  return getMunicipalContact(localityName, record.department, ward)
+}
+
+/**
+ * Attaches a report to the complaint it duplicates, bumps the report count
+ * and lets the authority (and the citizen) know.
+ *
+ * The email goes to the authority that has the existing complaint, not the
+ * one the report's own location would pick: a match can be up to
+ * DUPLICATE_RADIUS_METERS away, across a ward or zone boundary.
+ *
+ * @param {{ complaint, similarity, distanceMeters }} match - From findNearDuplicate()
+ * @param {object} input - Same input as registerComplaint()
+ * @param {object} text - The report's text, from redactComplaintText()
+ */
+async function corroborateComplaint(match, input, text) {
+  const existing = match.complaint
+  const { locationData } = input
+  const municipalContact = contactForComplaint(existing)
+
+  const report = {
+    complaintId: existing.complaint_id,
+    title: text.title,
+    description: text.description,
+    rawTitle: text.rawTitle,
+    rawDescription: text.rawDescription,
+    redactions: text.redactions,
+    source: input.source,
+    sourceHandle: input.sourceHandle || null,
+    redditId: input.redditId || null,
+    redditPermalink: input.redditPermalink || null,
+    citizenName: input.citizenName || null,
+    citizenEmail: input.citizenEmail || null,
+    citizenPhone: input.citizenPhone || null,
+    location: `${locationData.localityName}, Delhi`,
+    lat: locationData.lat,
+    lng: locationData.lng,
+    similarity: match.similarity,
+    distanceMeters: match.distanceMeters,
+    timestamp: input.timestamp || new Date().toISOString(),
+  }
+
+  const saved = await insertComplaintReport(report)
+  if (!saved) {
+    // This Reddit post was already attached by a concurrent request
+    return { duplicate: true }
+  }
+
+  // Recount rather than increment, so concurrent reports can't lose an update
+  const reports = await getComplaintReports(existing.complaint_id)
+  const reportCount = reports.length + 1
+  const updates = { report_count: reportCount, last_reported_at: saved.created_at }
+
+  // More reports → higher priority (complaints from before priority scores
+  // have no breakdown to update). SLA deadlines stay as they were set.
+  if (existing.priority_breakdown) {
+    const priority = updatePriority({ components: existing.priority_breakdown }, { reportCount })
+    Object.assign(updates, {
+      priority_score: priority.score,
+      priority_breakdown: priority.components,
+      urgency: priority.urgency,
+      urgency_rank: URGENCY_RANK[priority.urgency],
+    })
+  }
+
+  const record = await updateComplaint(existing.complaint_id, updates) || { ...existing, ...updates }
+
+  console.log(`🔗 Merged into ${existing.complaint_id} (similarity ${match.similarity}, ${match.distanceMeters} m) — ${reportCount} reports`)
+
+  const complaint = toComplaintView(record)
+  const [authorityResult, citizenResult] = await Promise.all([
+    sendCorroborationEmail(record, municipalContact, report).catch(err => ({ success: false, error: err.message })),
+    notifyCitizen(complaint, report.citizenEmail, report.citizenPhone),
+  ])
+
+  return {
+    duplicate: false,
+    merged: true,
+    complaint,
+    report: saved,
+    similarity: match.similarity,
+    distanceMeters: match.distanceMeters,
+    municipalContact,
+    authorityEmailSent: authorityResult.success || false,
+    ...citizenResult,
+  }
+}
+
+/**
+ * Registers a classified + geocoded complaint and sends all notifications.
+ *
+ * @param {object} input
+ * @param {string} input.title
+ * @param {string} input.description
+ * @param {object} input.classification - Output of classifyComplaint (department may be overridden)
+ * @param {object} input.locationData - Output of extractAndGeocode / resolveSubmittedLocation
+ * @param {string} input.source - "reddit" or "web"
+ * @param {string} [input.sourceHandle] - e.g. "u/delhi_resident" or the citizen's name
+ * @param {string} [input.redditId]
+ * @param {string} [input.redditPermalink]
+ * @param {string} [input.citizenName]
+ * @param {string} [input.citizenEmail]
+ * @param {string} [input.citizenPhone]
+ * @param {string} [input.timestamp] - When the citizen reported it (defaults to now)
+ * @param {{ score: number, numComments: number }} [input.engagement] - Reddit upvotes / comments
+ * @returns {{ duplicate: true } | { duplicate: false, merged: boolean, complaint, municipalContact,
+ *            authorityEmailSent, citizenEmailSent, citizenSMSSent }}
+ *          merged is true when the report was attached to an existing complaint
+ *          (complaint is then that complaint, with its updated reportCount)
+ */
+async function registerComplaint(input) {
+  const { classification, locationData } = input
+
+  // ── Redact personal details ───────────────────────────────────────────────
+  // Classification and geocoding already ran on the original text; from here
+  // on only the redacted text is stored publicly or sent anywhere
+  const text = redactComplaintText(input.title, input.description)
+  if (Object.keys(text.redactions).length) {
+    console.log(`🔒 Redacted personal details: ${JSON.stringify(text.redactions)}`)
+  }
+
+  // ── Another report of an issue we already have? ───────────────────────────
+  const match = await findNearDuplicate({
+    title: text.title,
+    description: text.description,
+    department: classification.department,
+    locationData,
+  })
+  if (match) {
+    return corroborateComplaint(match, input, text)
+  }
+
+  // ── Route to the municipal authority ──────────────────────────────────────
+  // By the ward the coordinates fall in (city-centre fallback coordinates
+  // say nothing about the ward), else by locality name. Looked up before
+  // saving so the ward and zone are stored with the complaint (the public
+  // tracking page shows them)
+  const ward = locationData.geocoded ? findWard(locationData.lat, locationData.lng) : null
+  const municipalContact = getMunicipalContact(
+    locationData.localityName,
+    classification.department,
+    ward
+  )
+
+  // ── Build the complaint record ─────────────────────────────────────────────
+  // Reddit engagement adds to the text-based priority; urgency follows the total
+  const priority = updatePriority(classification.priority, { engagement: input.engagement || null })
+
+  // SLA clock starts now (when we forward it), not when it was posted on Reddit
+  const { ackDueAt, resolveDueAt } = computeSlaDueDates(
+    classification.department, priority.urgency, new Date(), classification.issueType
+  )
+
+  const complaint = {
+    title: text.title,
+    description: text.description,
+    rawTitle: text.rawTitle,
+    rawDescription: text.rawDescription,
+    redactions: text.redactions,
+    department: classification.department,
+    departmentFull: classification.departmentFull,
+    departmentKeywords: classification.departmentKeywords || [],
+    issueType: classification.issueType || null,
+    issueTypeLabel: classification.issueTypeLabel || null,
+    // A citizen-picked category can be one of the suggested secondaries
+    secondaryDepartments: (classification.secondaryDepartments || [])
+      .filter(secondary => secondary.department !== classification.department)
+      .map(({ department, departmentFull, keywords }) => ({ department, departmentFull, keywords })),
+    urgency: priority.urgency,
+    priorityScore: priority.score,
+    priorityBreakdown: priority.components,
+    daysOutstanding: classification.daysOutstanding,
+    urgencyReasons: classification.urgencyReasons,
+    aiConfidence: classification.confidence,
+    rulesetVersion: classification.rulesetVersion,
+    status: "open",
+    location: `${locationData.localityName}, Delhi`,
+    lat: locationData.lat,
+    lng: locationData.lng,
+    geocoded: !!locationData.geocoded,
+    ward: ward?.ward || null,
+    addressParts: locationData.address || {},
+    landmark: locationData.landmark || null,
+    municipalBody: municipalContact.municipalBody,
+    municipalZone: municipalContact.zone,
+    source: input.source,
+    sourceHandle: input.sourceHandle || null,
+    redditId: input.redditId || null,
+    redditPermalink: input.redditPermalink || null,
+    citizenName: input.citizenName || null,
+    citizenEmail: input.citizenEmail || null,
+    citizenPhone: input.citizenPhone || null,
+    ackDueAt,
+    resolveDueAt,
+    timestamp: input.timestamp || new Date().toISOString(),
+  }
+
+  // ── Save to database (allocates the complaint ID) ─────────────────────────
+  const saved = await insertWithAllocatedId(complaint)
+  if (!saved) {
+    // Lost a race with another request registering the same Reddit post
+    return { duplicate: true }
+  }
+  // The channel, not the citizen — the history timeline is public
+  await recordInitialStatus(complaint.complaintId, `system (${complaint.source})`)
+
+  // ── Send notifications (in parallel for speed) ─────────────────────────────
+  // Run all notifications concurrently — don't await one before starting next
+  const [authorityResult, citizenResult] = await Promise.allSettled([
+
+    // Email the municipal corporation (every responsible department)
+    notifyAuthorities(complaint, municipalContact),
+
+    // Email / SMS the citizen
+    notifyCitizen(complaint, complaint.citizenEmail, complaint.citizenPhone),
+  ])
+
+  // Extract results (Promise.allSettled never throws — it always resolves)
+  const { authorityEmailSent, secondaryDepartments } = authorityResult.value
+  const { citizenEmailSent, citizenSMSSent } = citizenResult.value
+  complaint.secondaryDepartments = secondaryDepartments
+
+  // Update DB with notification statuses
+  await updateComplaint(complaint.complaintId, {
+    authority_email_sent: authorityEmailSent,
+    secondary_departments: secondaryDepartments,
+    citizen_notified: citizenEmailSent || citizenSMSSent,
+  })
+
+  return {
+    duplicate: false,
+    merged: false,
+    complaint,
+    municipalContact,
+    authorityEmailSent,
+    citizenEmailSent,
+    citizenSMSSent,
+  }
+}
+
+/**
+ * Runs one fetched Reddit post through the full pipeline:
+ * classify → duplicate check → geocode → register.
+ * No citizen contact is known for fetched posts, so only the authority is emailed.
+ *
+ * @param {object} post - A post from fetchRedditPosts()
+ * @returns {{ outcome: "registered"|"merged"|"rejected"|"duplicate", reason?: string,
+ *             complaintId?, department?, urgency?, location?, authorityNotified? }}
+ */
+async function ingestRedditPost(post) {
+  // Classify first — skip non-civic immediately without geocoding
+  const classification = classifyComplaint(post.title, post.body)
+  if (!classification.isCivic) {
+    return { outcome: "rejected", reason: classification.reason }
+  }
+
+  // Check duplicate
+  if (post.redditId && await complaintExists(post.redditId)) {
+    return { outcome: "duplicate", reason: "Reddit post already registered" }
+  }
+
+  const fullText = `${post.title} ${post.body}`
+  const locationData = await extractAndGeocode(fullText)
+
+  const result = await registerComplaint({
+    title: post.title,
+    description: post.body || post.title,
+    classification,
+    locationData,
+    source: "reddit",
+    sourceHandle: `u/${post.author}`,
+    redditId: post.redditId,
+    redditPermalink: post.permalink,
+    engagement: { score: post.score, numComments: post.numComments },
+    timestamp: post.createdAt ? new Date(post.createdAt).toISOString() : undefined,
+  })
+
+  if (result.duplicate) {
+    return { outcome: "duplicate", reason: "Reddit post already registered" }
+  }
+
+  if (result.merged) {
+    return {
+      outcome: "merged",
+      reason: `Another report of ${result.complaint.complaintId} (${result.complaint.reportCount} reports)`,
+      complaintId: result.complaint.complaintId,
+      department: result.complaint.department,
+      urgency: result.complaint.urgency,
+      location: result.complaint.location,
+      authorityNotified: result.authorityEmailSent,
+    }
+  }
+
+  return {
+    outcome: "registered",
+    complaintId: result.complaint.complaintId,
+    department: result.complaint.department,
+    urgency: result.complaint.urgency,
+    location: result.complaint.location,
+    authorityNotified: result.authorityEmailSent,
+  }
+}
+
+module.exports = { registerComplaint, ingestRedditPost }
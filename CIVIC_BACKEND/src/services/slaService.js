@@ -0,0 +1,180 @@
+// src/services/slaService.js
+// SLA engine — due dates, breach detection and automatic escalation
+//
+// When a complaint is registered we store two deadlines on it:
+//   ack_due_at     — authority must move it past "open" by then
+//   resolve_due_at — it must be resolved / closed / rejected by then
+// (deadlines come from data/slaPolicies.js, per department, issue type and urgency)
+//
+// A periodic checker (startSlaChecker, started from index.js) looks for
+// complaints that have missed a deadline, flags the breach on the complaint
+// and emails the next authority level up the escalation ladder
+// (see getEscalationContact in data/municipalDirectory.js).
+
+const { getSlaPolicy } = require("../data/slaPolicies")
+const { getEscalationContact, MAX_ESCALATION_LEVEL } = require("../data/municipalDirectory")
+const { findSlaBreachCandidates, updateComplaint } = require("./databaseService")
+const { sendEscalationEmail } = require("./emailService")
+
+// Statuses that count as "the authority has acknowledged it"
+const ACKNOWLEDGED_STATUSES = ["acknowledged", "in_progress", "resolved", "closed", "rejected"]
+
+// Statuses that stop the resolution clock
+const FINISHED_STATUSES = ["resolved", "closed", "rejected"]
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+let checkerTimer = null
+let checkInProgress = false
+let lastCheck = null
+
+/**
+ * Computes SLA deadlines for a complaint.
+ *
+ * @param {string} department - e.g. "PWD"
+ * @param {string} urgency - "high" | "medium" | "low"
+ * @param {Date|string} from - When the clock starts (registration or reopening)
+ * @param {string|null} [issueType] - e.g. "bridge_damage" — uses its policy when it has one
+ * @returns {{ ackDueAt: string, resolveDueAt: string }} ISO timestamps
+ */
+function computeSlaDueDates(department, urgency, from = new Date(), issueType = null) {
+  const policy = getSlaPolicy(department, issueType)
+  const start = new Date(from).getTime()
+  const resolveDays = policy.resolveDays[urgency] ?? policy.resolveDays.medium
+
+  return {
+    ackDueAt: new Date(start + policy.acknowledgeHours * HOUR_MS).toISOString(),
+    resolveDueAt: new Date(start + resolveDays * DAY_MS).toISOString(),
+  }
+}
+
+/**
+ * Resolution deadline for a stored complaint. Complaints registered before
+ * the SLA engine existed have no resolve_due_at, so we derive one.
+ *
+ * @param {object} record - DB record (snake_case)
+ * @returns {string|null} ISO timestamp
+ */
+function getResolutionDueDate(record) {
+  if (record.resolve_due_at) return record.resolve_due_at
+  if (!record.created_at) return null
+  return computeSlaDueDates(record.department, record.urgency, record.created_at, record.issue_type).resolveDueAt
+}
+
+/**
+ * Escalates one breached deadline: flags it on the complaint, bumps the
+ * escalation level and emails the next authority up.
+ *
+ * @param {object} record - DB record (snake_case)
+ * @param {"acknowledgement"|"resolution"} breachType
+ * @param {Date} now
+ */
+async function escalateBreach(record, breachType, now) {
+  const currentLevel = record.escalation_level || 1
+  const nextLevel = Math.min(currentLevel + 1, MAX_ESCALATION_LEVEL)
+  const contact = getEscalationContact(record.municipal_body, nextLevel)
+  const dueAt = breachType === "acknowledgement" ? record.ack_due_at : record.resolve_due_at
+
+  const emailResult = await sendEscalationEmail(record, contact, { type: breachType, dueAt })
+
+  await updateComplaint(record.complaint_id, {
+    [breachType === "acknowledgement" ? "ack_breached_at" : "resolve_breached_at"]: now.toISOString(),
+    escalation_level: nextLevel,
+    last_escalated_at: now.toISOString(),
+  })
+
+  console.log(`⏰ SLA ${breachType} breach: ${record.complaint_id} → escalated to level ${nextLevel} (${contact.title})`)
+
+  return {
+    complaintId: record.complaint_id,
+    breach: breachType,
+    dueAt,
+    escalatedTo: contact.title,
+    escalationLevel: nextLevel,
+    emailSent: emailResult.success,
+  }
+}
+
+/**
+ * Finds every complaint that has missed a deadline since the last check
+ * and escalates it. Safe to call manually (POST /api/sla/check) while the
+ * periodic checker is running — overlapping runs are skipped.
+ *
+ * @returns {{ checkedAt, escalations: Array, skipped?: boolean }}
+ */
+async function runSlaCheck(now = new Date()) {
+  if (checkInProgress) {
+    return { checkedAt: now.toISOString(), skipped: true, escalations: [] }
+  }
+
+  checkInProgress = true
+  try {
+    const { ackBreaches, resolveBreaches } = await findSlaBreachCandidates(now.toISOString())
+    const escalations = []
+
+    for (const record of ackBreaches) {
+      if (ACKNOWLEDGED_STATUSES.includes(record.status)) continue
+      escalations.push(await escalateBreach(record, "acknowledgement", now))
+    }
+
+    for (const record of resolveBreaches) {
+      if (FINISHED_STATUSES.includes(record.status)) continue
+      // Re-read the level if we just escalated this complaint for acknowledgement
+      const earlier = escalations.find(e => e.complaintId === record.complaint_id)
+      const current = earlier ? { ...record, escalation_level: earlier.escalationLevel } : record
+      escalations.push(await escalateBreach(current, "resolution", now))
+    }
+
+    lastCheck = { checkedAt: now.toISOString(), escalations: escalations.length }
+    return { checkedAt: now.toISOString(), escalations }
+  } finally {
+    checkInProgress = false
+  }
+}
+
+/**
+ * Starts the periodic SLA checker.
+ * Interval comes from SLA_CHECK_INTERVAL_MINUTES (default 15, 0 = disabled).
+ */
+function startSlaChecker() {
+  const minutes = Number(process.env.SLA_CHECK_INTERVAL_MINUTES ?? 15)
+  if (!minutes || minutes <= 0) {
+    console.log("⏱️  SLA checker disabled (SLA_CHECK_INTERVAL_MINUTES=0)")
+    return
+  }
+
+  checkerTimer = setInterval(() => {
+    runSlaCheck().catch(err => console.error("❌ SLA check failed:", err.message))
+  }, minutes * 60 * 1000)
+
+  // Don't keep the process alive just for this timer
+  checkerTimer.unref()
+  console.log(`⏱️  SLA checker running every ${minutes} minute(s)`)
+}
+
+/**
+ * Stops the periodic checker (used on shutdown).
+ */
+function stopSlaChecker() {
+  if (checkerTimer) clearInterval(checkerTimer)
+  checkerTimer = null
+}
+
+/**
+ * Summary of the last periodic/manual check (for GET /api/sla/status).
+ */
+function getLastSlaCheck() {
+  return lastCheck
+}
+
+module.exports = {
+  ACKNOWLEDGED_STATUSES,
+  FINISHED_STATUSES,
+  computeSlaDueDates,
+  getResolutionDueDate,
+  runSlaCheck,
+  startSlaChecker,
+  stopSlaChecker,
+  getLastSlaCheck,
+}
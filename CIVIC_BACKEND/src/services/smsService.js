@@ -33,7 +33,7 @@ async function sendCitizenSMS(phoneNumber, complaint) {
     `Civic Mirror: Complaint ${complaint.complaintId} registered.`,
     `Issue: ${complaint.title.slice(0, 60)}`,
     `Dept: ${complaint.department}`,
-    `Track at: civicmirror.in/track`,
+    `Track at: civicmirror.in/track?id=${complaint.complaintId}`,
   ].join("\n")
 
   // ── MOCK MODE (Twilio not configured) ─────────────────────────────────────
@@ -0,0 +1,132 @@
+// src/services/statusService.js
+// Complaint status lifecycle — the state machine behind PATCH /:complaintId/status
+//
+// Happy path:
+//   open → acknowledged → in_progress → resolved → closed
+//
+// Side paths:
+//   rejected  — authority declines the complaint (duplicate, out of jurisdiction...)
+//   reopened  — citizen or official says the issue came back / was never fixed
+//
+// Every transition is written to the complaint_status_history table so the
+// dashboard can show a real timeline of who did what and when.
+//
+// Transitions are compare-and-set: the status only changes if it is still
+// the one the transition was checked against, so two officials updating the
+// same complaint at once can't both win (the loser gets STATUS_CONFLICT).
+
+const { updateComplaintStatus, insertStatusHistory } = require("./databaseService")
+const { computeSlaDueDates } = require("./slaService")
+
+// ─── ALLOWED TRANSITIONS ──────────────────────────────────────────────────────
+// Key = current status, value = statuses it may move to next.
+// Anything not listed here is rejected with 409 by the route.
+
+const STATUS_TRANSITIONS = {
+  open: ["acknowledged", "rejected"],
+  acknowledged: ["in_progress", "rejected"],
+  in_progress: ["resolved"],
+  resolved: ["closed", "reopened"],
+  closed: ["reopened"],
+  reopened: ["acknowledged", "in_progress", "rejected"],
+  rejected: ["reopened"],
+}
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS)
+
+/**
+ * Returns true if the string is one of our known statuses.
+ */
+function isValidStatus(status) {
+  return STATUSES.includes(status)
+}
+
+/**
+ * Lists the statuses a complaint can move to from its current status.
+ *
+ * @param {string} fromStatus - Current status, e.g. "open"
+ * @returns {string[]} e.g. ["acknowledged", "rejected"]
+ */
+function getAllowedTransitions(fromStatus) {
+  return STATUS_TRANSITIONS[fromStatus] || []
+}
+
+/**
+ * Checks whether a complaint may move from one status to another.
+ */
+function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus)
+}
+
+/**
+ * Records the very first history entry when a complaint is registered.
+ * There is no "from" status — the complaint simply starts as open.
+ *
+ * @param {string} complaintId - Our CMR-XXXX ID
+ * @param {string} actor - The channel it came in through, e.g. "system (web)" —
+ *   not the citizen, since the timeline is public
+ */
+async function recordInitialStatus(complaintId, actor = "system") {
+  return insertStatusHistory({
+    complaintId,
+    fromStatus: null,
+    toStatus: "open",
+    actor,
+    note: "Complaint registered",
+  })
+}
+
+/**
+ * Moves a complaint to a new status and writes the history entry.
+ * Does NOT validate — call canTransition() first (the route does this so it
+ * can return a helpful 404/409 response).
+ *
+ * Throws an error with code STATUS_CONFLICT (and nothing is written) if the
+ * complaint's status changed after it was read.
+ *
+ * @param {object} complaint - Current DB record (snake_case, as returned by getComplaintById)
+ * @param {string} toStatus - The new status
+ * @param {{ actor: string, note?: string }} meta - Who made the change and why
+ * @returns {object} The history entry that was written
+ */
+async function applyTransition(complaint, toStatus, { actor, note = null }) {
+  const updates = { status: toStatus }
+
+  // A reopened complaint gets a fresh SLA clock (and can breach again)
+  if (toStatus === "reopened") {
+    const { ackDueAt, resolveDueAt } = computeSlaDueDates(
+      complaint.department, complaint.urgency, new Date(), complaint.issue_type
+    )
+    Object.assign(updates, {
+      ack_due_at: ackDueAt,
+      resolve_due_at: resolveDueAt,
+      ack_breached_at: null,
+      resolve_breached_at: null,
+    })
+  }
+
+  const updated = await updateComplaintStatus(complaint.complaint_id, complaint.status, updates)
+  if (!updated) {
+    const conflict = new Error(`Complaint ${complaint.complaint_id} is no longer "${complaint.status}"`)
+    conflict.code = "STATUS_CONFLICT"
+    throw conflict
+  }
+
+  return insertStatusHistory({
+    complaintId: complaint.complaint_id,
+    fromStatus: complaint.status,
+    toStatus,
+    actor,
+    note,
+  })
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  isValidStatus,
+  getAllowedTransitions,
+  canTransition,
+  recordInitialStatus,
+  applyTransition,
+}
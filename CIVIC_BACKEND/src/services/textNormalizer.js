@@ -0,0 +1,239 @@
+// src/services/textNormalizer.js
+// Makes Hindi and Hinglish complaint text comparable with our keyword lists
+//
+// Delhi posts mix scripts and spellings: "पानी नहीं आ रहा", "pani nahi aa
+// raha", "paani nahi aa raha" all mean the same thing. normalizeText()
+// turns all three into the same Latin text:
+//   1. Devanagari is transliterated to Latin ("बिजली" → "bijli")
+//   2. Common Hinglish spelling variants are folded to the spelling our
+//      keyword lists use ("pani" → "paani", "kooda" → "kachra")
+//
+// Used by classifierService (keyword scoring), locationService (locality
+// names) and the text features of the trained classifier and duplicate check.
+
+// ─── DEVANAGARI → LATIN ───────────────────────────────────────────────────────
+// A simple phonetic romanisation, not a scholarly one: long and short vowels
+// both map to the plain letter (आ and अ → "a") because that's how people type
+// Hindi in Latin script.
+
+const CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n",
+  "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n",
+  "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m",
+  "य": "y", "र": "r", "ल": "l", "व": "v",
+  "श": "sh", "ष": "sh", "स": "s", "ह": "h",
+  // Precomposed nukta letters (Urdu / English sounds)
+  "क़": "q", "ख़": "kh", "ग़": "g", "ज़": "z", "ड़": "r", "ढ़": "rh", "फ़": "f", "य़": "y",
+}
+
+// Base letter + nukta sign, when the nukta is typed as a separate character
+const NUKTA_CONSONANTS = { "क": "q", "ख": "kh", "ग": "g", "ज": "z", "ड": "r", "ढ": "rh", "फ": "f", "य": "y" }
+
+const INDEPENDENT_VOWELS = {
+  "अ": "a", "आ": "a", "इ": "i", "ई": "i", "उ": "u", "ऊ": "u", "ऋ": "ri",
+  "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au", "ऑ": "o", "ऍ": "e",
+}
+
+const VOWEL_SIGNS = {
+  "ा": "a", "ि": "i", "ी": "i", "ु": "u", "ू": "u", "ृ": "ri",
+  "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॉ": "o", "ॅ": "e",
+}
+
+const VIRAMA = "्"
+const NUKTA = "़"
+const NASALS = { "ं": "n", "ँ": "n" }
+const VISARGA = "ः"
+
+const DEVANAGARI_WORD = /[ऀ-ॿ]+/g
+const DEVANAGARI_DIGITS = /[०-९]/g
+
+/**
+ * Transliterates one Devanagari word.
+ *
+ * Every consonant carries an "a" unless a vowel sign or virama follows —
+ * but spoken Hindi drops most of them ("जनकपुरी" is Janakpuri, not
+ * Janakapuri). We drop the word-final one, and any "a" between a vowel-
+ * carrying consonant on the left and a consonant + vowel on the right,
+ * scanning right to left (the usual schwa-deletion rule).
+ */
+function transliterateWord(word) {
+  // Units: { text, vowel } — vowel is the sound after the letter ("" for none)
+  const units = []
+  const chars = [...word]
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i]
+
+    if (CONSONANTS[char]) {
+      let text = CONSONANTS[char]
+      if (chars[i + 1] === NUKTA) {
+        text = NUKTA_CONSONANTS[char] || text
+        i++
+      }
+
+      const next = chars[i + 1]
+      let vowel = "a"
+      let inherent = true
+      if (VOWEL_SIGNS[next]) {
+        vowel = VOWEL_SIGNS[next]
+        inherent = false
+        i++
+      } else if (next === VIRAMA) {
+        vowel = ""
+        inherent = false
+        i++
+      }
+      units.push({ text, vowel, inherent, consonant: true })
+    } else if (INDEPENDENT_VOWELS[char]) {
+      units.push({ text: "", vowel: INDEPENDENT_VOWELS[char], inherent: false, consonant: false })
+    } else if (NASALS[char] || char === VISARGA) {
+      // Attach to the previous syllable
+      const last = units[units.length - 1]
+      const sound = NASALS[char] || "h"
+      if (last) last.coda = (last.coda || "") + sound
+      else units.push({ text: sound, vowel: "", inherent: false, consonant: false })
+    }
+    // Anything else (stray signs, danda) is dropped
+  }
+
+  // Schwa deletion — word-final first, then right to left
+  const last = units[units.length - 1]
+  if (units.length > 1 && last.inherent && !last.coda) last.vowel = ""
+
+  for (let i = units.length - 2; i > 0; i--) {
+    const unit = units[i]
+    const prev = units[i - 1]
+    const next = units[i + 1]
+    if (unit.inherent && !unit.coda && prev.vowel && next.consonant && next.vowel) {
+      unit.vowel = ""
+    }
+  }
+
+  return units.map(unit => unit.text + unit.vowel + (unit.coda || "")).join("")
+}
+
+/**
+ * Replaces every Devanagari word in the text with its Latin transliteration.
+ */
+function transliterateDevanagari(text) {
+  return text
+    .replace(DEVANAGARI_DIGITS, digit => String(digit.charCodeAt(0) - 0x0966))
+    .replace(/[।॥]/g, ".")
+    .replace(DEVANAGARI_WORD, transliterateWord)
+}
+
+// ─── HINGLISH SPELLING VARIANTS ───────────────────────────────────────────────
+// variant → the spelling used in our keyword lists (src/data/classifierRules.js).
+// Hindi words with no Hindi keyword are mapped to the English one.
+
+const HINGLISH_VARIANTS = {
+  // water
+  pani: "paani", panee: "paani", paanee: "paani", paanii: "paani",
+  // electricity
+  bijlee: "bijli", bijali: "bijli", bijlii: "bijli", bijly: "bijli", bijle: "bijli",
+  // garbage
+  kooda: "kachra", kuda: "kachra", koodaa: "kachra", kura: "kachra", koora: "kachra",
+  kachara: "kachra", kachraa: "kachra", kachda: "kachra", kachada: "kachra",
+  // road
+  sarak: "sadak", sadk: "sadak", sadaq: "sadak", sarrak: "sadak",
+  // drain
+  naali: "nali", naalee: "nali", nalee: "nali", nala: "nali", naala: "nali",
+  // cleaning
+  safayi: "safai", safaai: "safai", safaayi: "safai", saphai: "safai", saphaai: "safai",
+  // pothole
+  gaddha: "pothole", gadda: "pothole", gaddhe: "pothole", gadde: "pothole", khadda: "pothole",
+  // mosquito
+  machchar: "mosquito", machhar: "mosquito", macchar: "mosquito", machar: "mosquito",
+  // light
+  batti: "light", bati: "light",
+  // dirt
+  gandagi: "filth", gandgi: "filth", ganda: "dirty", gandi: "dirty", gande: "dirty",
+  // broken
+  toota: "broken", tuta: "broken", tooti: "broken", tuti: "broken", toote: "broken", tute: "broken",
+  // sewer
+  sivar: "sewer", seevar: "sewer",
+  // the city itself
+  dilli: "delhi", dehli: "delhi",
+}
+
+/**
+ * Normalises complaint text for matching: Devanagari → Latin, lowercase,
+ * Hinglish spelling variants folded.
+ *
+ * @param {string} text
+ * @returns {string} Lowercase Latin text (punctuation and spacing kept)
+ */
+function normalizeText(text) {
+  if (!text || typeof text !== "string") return ""
+
+  return transliterateDevanagari(text)
+    .toLowerCase()
+    .replace(/[a-z]+/g, word => HINGLISH_VARIANTS[word] || word)
+}
+
+/**
+ * A looser form for comparing place names, where spellings vary most
+ * ("Laxmi Nagar" / "Lakshmi Nagar", "Dwarka" / "Dvarka", "Rohinee").
+ * Only for comparing — never show it to anyone.
+ *
+ * @param {string} text - Complaint text or a locality name
+ * @returns {string}
+ */
+function spellingKey(text) {
+  return normalizeText(text)
+    .replace(/ksh/g, "x")
+    .replace(/w/g, "v")
+    .replace(/ph/g, "f")
+    .replace(/gh/g, "g")
+    .replace(/ee/g, "i")
+    .replace(/oo/g, "u")
+    .replace(/([a-z])\1+/g, "$1")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+}
+
+/**
+ * The loosest form: spellingKey() with the vowels taken out of each word
+ * ("Rajouri Garden" and transliterated "राजौरी गार्डन" → "rjr grdn").
+ * Romanised Hindi vowels are too unpredictable to compare — but this also
+ * matches unrelated English words, so only use it on text that was written
+ * in Devanagari (see hasDevanagari).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function skeletonKey(text) {
+  return spellingKey(text)
+    .split(" ")
+    .map(word => word.replace(/[aeiou]/g, "") || word)
+    .join(" ")
+}
+
+/**
+ * A regex finding a keyword as whole words in normalised text.
+ *
+ * @param {string} keyword - e.g. "burst pipe" (normalised here, so "pani" finds "paani")
+ * @returns {RegExp} Global, case-insensitive
+ */
+function keywordPattern(keyword) {
+  const escaped = normalizeText(keyword).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+  return new RegExp(`\\b${escaped}\\b`, "gi")
+}
+
+/**
+ * True if the text contains any Devanagari.
+ */
+function hasDevanagari(text) {
+  return /[ऀ-ॿ]/.test(text || "")
+}
+
+module.exports = {
+  normalizeText,
+  spellingKey,
+  skeletonKey,
+  keywordPattern,
+  hasDevanagari,
+  transliterateDevanagari,
+}
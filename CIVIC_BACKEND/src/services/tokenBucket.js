@@ -0,0 +1,94 @@
+// src/services/tokenBucket.js
+// Token-bucket rate limiter that also runs calls one at a time
+//
+// The bucket holds up to `capacity` tokens and earns one back every
+// `intervalMs`. schedule(fn) queues fn, waits for a token and runs it — calls
+// never overlap and never start faster than the bucket allows, no matter how
+// many requests (or background jobs) schedule at once. One bucket per
+// external API, created at module level so the whole process shares it.
+
+/**
+ * @param {{ capacity?: number, intervalMs: number }} options
+ *   capacity 1 = strictly one call per interval
+ * @returns {{ schedule: function(function(): Promise): Promise, getStats: function(): object }}
+ */
+function createTokenBucket({ capacity = 1, intervalMs }) {
+  let tokens = capacity
+  let lastRefill = Date.now()
+  let queue = Promise.resolve()
+  let waiting = 0
+
+  const stats = { calls: 0, failures: 0, totalWaitMs: 0, maxWaitMs: 0 }
+
+  function refill(now) {
+    const earned = Math.floor((now - lastRefill) / intervalMs)
+    if (earned > 0) {
+      tokens = Math.min(capacity, tokens + earned)
+      lastRefill += earned * intervalMs
+    }
+    // A full bucket doesn't save up time for later
+    if (tokens === capacity) lastRefill = now
+  }
+
+  async function takeToken() {
+    for (;;) {
+      const now = Date.now()
+      refill(now)
+      if (tokens > 0) {
+        tokens--
+        return
+      }
+      await new Promise(r => setTimeout(r, lastRefill + intervalMs - now))
+    }
+  }
+
+  /**
+   * Runs fn once a token is free and every call scheduled before it is done.
+   *
+   * @returns {Promise} Whatever fn resolves or rejects with
+   */
+  function schedule(fn) {
+    const queuedAt = Date.now()
+    waiting++
+
+    const run = queue.then(async () => {
+      await takeToken()
+      waiting--
+
+      const waitedMs = Date.now() - queuedAt
+      stats.calls++
+      stats.totalWaitMs += waitedMs
+      stats.maxWaitMs = Math.max(stats.maxWaitMs, waitedMs)
+
+      try {
+        return await fn()
+      } catch (err) {
+        stats.failures++
+        throw err
+      }
+    })
+
+    // Keep the queue going when a call fails
+    queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Calls made so far, how long they queued and how many are queued now.
+   */
+  function getStats() {
+    return {
+      intervalMs,
+      capacity,
+      calls: stats.calls,
+      failures: stats.failures,
+      waiting,
+      averageWaitMs: stats.calls ? Math.round(stats.totalWaitMs / stats.calls) : 0,
+      maxWaitMs: stats.maxWaitMs,
+    }
+  }
+
+  return { schedule, getStats }
+}
+
+module.exports = { createTokenBucket }
@@ -0,0 +1,292 @@
+// src/services/urgencyService.js
+// Urgency analysis — how soon does someone need to act on this complaint?
+//
+// Counting urgency words alone gets it wrong: "No accident yet, not urgent"
+// would be high because it says "accident". analyzeUrgency() reads a bit
+// more carefully, and priorityService.js turns what it finds into a score:
+//   - Negation: urgency words right after "no", "not", "never", "without"...
+//     (or right before Hindi "nahi") in the same clause don't count
+//   - Duration: "for 3 weeks", "since 10 days", "2 mahine se" are parsed into
+//     days outstanding — the longer an issue has been ignored, the more urgent
+//   - Hazards: open manholes, live wires... — and whether one is close to a
+//     school, hospital, children or elderly people (always high urgency)
+// Everything found is listed in human-readable `reasons`.
+
+const { normalizeText, keywordPattern } = require("./textNormalizer")
+
+// ─── NEGATION ─────────────────────────────────────────────────────────────────
+
+// An urgency word up to NEGATION_WINDOW words after one of these (in the same clause) is negated.
+// A cue inside the keyword itself ("not working", "no water") doesn't count —
+// only words before the match are checked.
+const NEGATION_CUES = new Set([
+  "no", "not", "never", "without", "none", "nothing", "neither", "nor",
+  "isn't", "isnt", "wasn't", "wasnt", "aren't", "arent", "don't", "dont",
+  "doesn't", "doesnt", "didn't", "didnt", "hasn't", "hasnt", "haven't", "havent",
+])
+const NEGATION_WINDOW = 3
+
+// Hindi negation comes after the word it negates ("khatra nahi hai")
+const HINDI_NEGATION_CUES = new Set(["nahi", "nahin", "nhi", "mat"])
+const HINDI_NEGATION_WINDOW = 2
+
+// Clauses end at punctuation or a contrast ("no fire yet but sparking all night")
+const CLAUSE_BREAK = /[.!?;,\n]|\b(?:but|however|lekin|magar)\b/g
+
+// ─── DURATION ─────────────────────────────────────────────────────────────────
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20,
+  couple: 2, few: 3, several: 3, many: 4,
+  ek: 1, do: 2, teen: 3, char: 4, chaar: 4, panch: 5, paanch: 5, chhe: 6,
+  saat: 7, aath: 8, nau: 9, das: 10, kai: 3,
+}
+
+const UNIT_DAYS = {
+  hour: 1 / 24, hours: 1 / 24, hr: 1 / 24, hrs: 1 / 24, ghanta: 1 / 24, ghante: 1 / 24, ghanton: 1 / 24,
+  day: 1, days: 1, din: 1, dino: 1, dinon: 1,
+  week: 7, weeks: 7, hafta: 7, hafte: 7, hafton: 7, haphta: 7, haphte: 7,
+  month: 30, months: 30, mahina: 30, mahine: 30, mahino: 30, mahinon: 30,
+  year: 365, years: 365, saal: 365, sal: 365, baras: 365,
+}
+
+const NUMBER = `\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join("|")}`
+const UNIT = Object.keys(UNIT_DAYS).join("|")
+
+// "3 weeks", "2-3 days", "a couple of weeks", "2 mahine"
+const DURATION_PATTERN = new RegExp(
+  `\\b(?:(${NUMBER})\\s*(?:-|to)\\s*)?(${NUMBER})\\s+(?:of\\s+)?(${UNIT})\\b`, "g"
+)
+// "for weeks", "for months" — no number, assume two
+const VAGUE_DURATION_PATTERN = new RegExp(`\\bfor\\s+(${UNIT})\\b`, "g")
+// "since last week", "pichhle mahine se"
+const LAST_PERIOD_PATTERN = new RegExp(`\\b(?:since\\s+)?(?:last|pichhle|pichle)\\s+(${UNIT})\\b`, "g")
+// "since yesterday", "kal se"
+const YESTERDAY_PATTERN = /\b(?:since yesterday|kal se)\b/g
+
+// A number of days that's about the future, not how long it's been broken
+const FUTURE_WORDS = new Set(["in", "within", "after", "next", "agle", "agla"])
+
+// Urgency keywords that are only a duration ("weeks", "4 days") — the parsed
+// duration replaces them, so they aren't counted as words too
+const DURATION_ONLY_KEYWORD = new RegExp(`^(?:\\d+\\s*)?(?:${UNIT})$`)
+
+// ─── VULNERABLE GROUPS ────────────────────────────────────────────────────────
+
+const HAZARDS = [
+  "open manhole", "manhole", "live wire", "loose wire", "fallen wire", "exposed wire",
+  "naked wire", "sparking", "electric shock", "open drain", "open nali", "pothole",
+  "waterlogging", "flooding", "stagnant water", "dengue", "fallen tree", "collapse",
+  "broken railing", "gas leak", "fire", "sewage overflow", "stray dogs",
+]
+
+const VULNERABLE_GROUPS = [
+  "school", "schools", "college", "hospital", "clinic", "dispensary", "anganwadi",
+  "creche", "playground", "old age home", "vidyalaya", "aspatal",
+  "children", "child", "kids", "students", "bachche", "bacche", "bachchon",
+  "elderly", "old people", "senior citizens", "pregnant", "disabled", "wheelchair", "patients",
+]
+
+// How close (in words) a hazard and a vulnerable group must be
+const VULNERABLE_WINDOW = 15
+
+/**
+ * Splits normalised text into words, remembering where each starts.
+ */
+function toWords(text) {
+  return [...text.matchAll(/[a-z0-9']+/g)].map(match => ({ word: match[0], index: match.index }))
+}
+
+/**
+ * Index of the clause each character position belongs to.
+ */
+function clauseStarts(text) {
+  const starts = [0]
+  for (const match of text.matchAll(CLAUSE_BREAK)) starts.push(match.index + match[0].length)
+  return starts
+}
+
+function clauseOf(starts, position) {
+  let clause = 0
+  while (clause + 1 < starts.length && starts[clause + 1] <= position) clause++
+  return clause
+}
+
+/**
+ * Finds every occurrence of the keywords, with its word position and the
+ * negation cue that cancels it (if any).
+ *
+ * @returns {Array<{ keyword, start, end, negatedBy: string|null }>}
+ *   start/end are word indexes (end exclusive)
+ */
+function findHits(text, words, starts, keywords) {
+  const hits = []
+
+  for (const keyword of keywords) {
+    for (const match of text.matchAll(keywordPattern(keyword))) {
+      const start = words.findIndex(w => w.index >= match.index)
+      if (start === -1) continue
+      const end = start + (match[0].match(/[a-z0-9']+/g) || []).length
+      const clause = clauseOf(starts, match.index)
+      const sameClause = i => words[i] && clauseOf(starts, words[i].index) === clause
+
+      let negatedBy = null
+      for (let i = start - 1; i >= start - NEGATION_WINDOW && sameClause(i); i--) {
+        if (NEGATION_CUES.has(words[i].word)) negatedBy = words[i].word
+      }
+      for (let i = end; i < end + HINDI_NEGATION_WINDOW && sameClause(i); i++) {
+        if (HINDI_NEGATION_CUES.has(words[i].word)) negatedBy = words[i].word
+      }
+
+      hits.push({ keyword, start, end, negatedBy })
+    }
+  }
+
+  return hits
+}
+
+/**
+ * Reads how long the issue has been going on.
+ *
+ * @param {string} text - Normalised text
+ * @returns {{ days: number, text: string } | null} The longest duration mentioned
+ */
+function parseDuration(text) {
+  const found = []
+  const toNumber = value => NUMBER_WORDS[value] ?? parseFloat(value)
+  const precededByFuture = index => {
+    const before = text.slice(0, index).match(/([a-z]+)\s*$/)
+    return before && FUTURE_WORDS.has(before[1])
+  }
+
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    if (precededByFuture(match.index)) continue
+    // "2-3 days" — take the upper end
+    const count = Math.max(toNumber(match[2]), match[1] ? toNumber(match[1]) : 0)
+    found.push({ days: count * UNIT_DAYS[match[3]], text: match[0] })
+  }
+  for (const match of text.matchAll(VAGUE_DURATION_PATTERN)) {
+    found.push({ days: 2 * UNIT_DAYS[match[1]], text: match[0] })
+  }
+  for (const match of text.matchAll(LAST_PERIOD_PATTERN)) {
+    found.push({ days: UNIT_DAYS[match[1]], text: match[0] })
+  }
+  for (const match of text.matchAll(YESTERDAY_PATTERN)) {
+    found.push({ days: 1, text: match[0] })
+  }
+
+  if (!found.length) return null
+  const longest = found.sort((a, b) => b.days - a.days)[0]
+  return { days: Math.round(longest.days * 10) / 10, text: longest.text }
+}
+
+/**
+ * Finds the (non-negated) hazards mentioned, and those within
+ * VULNERABLE_WINDOW words of a vulnerable group.
+ *
+ * @returns {{ hazards: string[], vulnerable: Array<{ hazard, group }> }}
+ */
+function findHazards(text, words, starts) {
+  const hits = findHits(text, words, starts, HAZARDS).filter(hit => !hit.negatedBy)
+  const groups = findHits(text, words, starts, VULNERABLE_GROUPS)
+
+  const hazards = []
+  const vulnerable = []
+  const used = []
+  // Longest hazard first, so "open manhole" isn't reported again as "manhole"
+  for (const hazard of hits.sort((a, b) => (b.end - b.start) - (a.end - a.start))) {
+    if (used.some(u => hazard.start < u.end && u.start < hazard.end)) continue
+    used.push(hazard)
+    if (!hazards.includes(hazard.keyword)) hazards.push(hazard.keyword)
+
+    const group = groups.find(g => Math.abs(g.start - hazard.start) <= VULNERABLE_WINDOW)
+    if (group && !vulnerable.some(p => p.hazard === hazard.keyword && p.group === group.keyword)) {
+      vulnerable.push({ hazard: hazard.keyword, group: group.keyword })
+    }
+  }
+  return { hazards, vulnerable }
+}
+
+/**
+ * Scores the urgency words of one list, leaving out negated ones.
+ */
+function scoreUrgencyWords(text, words, starts, keywords) {
+  const counted = keywords.filter(keyword => !DURATION_ONLY_KEYWORD.test(keyword.trim().toLowerCase()))
+  const matches = []
+  const negated = []
+  let score = 0
+
+  for (const hit of findHits(text, words, starts, counted)) {
+    if (hit.negatedBy) {
+      negated.push({ keyword: hit.keyword, negatedBy: hit.negatedBy })
+      continue
+    }
+    // Phrases score double, like department keywords
+    const points = hit.keyword.includes(" ") ? 2 : 1
+    const existing = matches.find(m => m.keyword === hit.keyword)
+    if (existing) {
+      existing.count++
+      existing.points += points
+    } else {
+      matches.push({ keyword: hit.keyword, count: 1, points })
+    }
+    score += points
+  }
+
+  return { score, matches, negated }
+}
+
+/**
+ * Reads the urgency signals in a complaint's text. computePriority()
+ * (priorityService.js) turns them into a score and an urgency.
+ *
+ * @param {string} text - Complaint title + description
+ * @param {{ highUrgencyWords: string[], mediumUrgencyWords: string[] }} rules - From the active ruleset
+ * @returns {{
+ *   daysOutstanding: number|null,
+ *   duration: { days: number, text: string } | null,
+ *   hazards: string[],
+ *   vulnerable: Array<{ hazard, group }>,
+ *   high: { score, matches }, medium: { score, matches },
+ *   negated: Array<{ keyword, negatedBy }>,
+ *   reasons: string[],
+ * }}
+ */
+function analyzeUrgency(text, { highUrgencyWords, mediumUrgencyWords }) {
+  const normalized = normalizeText(text)
+  const words = toWords(normalized)
+  const starts = clauseStarts(normalized)
+
+  const high = scoreUrgencyWords(normalized, words, starts, highUrgencyWords)
+  const medium = scoreUrgencyWords(normalized, words, starts, mediumUrgencyWords)
+  const duration = parseDuration(normalized)
+  const { hazards, vulnerable } = findHazards(normalized, words, starts)
+
+  const reasons = []
+  for (const match of high.matches) reasons.push(`High-urgency word "${match.keyword}"`)
+  for (const match of medium.matches) reasons.push(`Medium-urgency word "${match.keyword}"`)
+  if (duration) reasons.push(`Unresolved for about ${duration.days} days ("${duration.text}")`)
+
+  for (const { hazard, group } of vulnerable) {
+    reasons.push(`Hazard "${hazard}" near vulnerable group "${group}"`)
+  }
+
+  const negated = [...high.negated, ...medium.negated]
+  for (const { keyword, negatedBy } of negated) {
+    reasons.push(`Ignored "${keyword}" — negated by "${negatedBy}"`)
+  }
+
+  return {
+    daysOutstanding: duration?.days ?? null,
+    duration,
+    hazards,
+    vulnerable,
+    high: { score: high.score, matches: high.matches },
+    medium: { score: medium.score, matches: medium.matches },
+    negated,
+    reasons,
+  }
+}
+
+module.exports = { analyzeUrgency, parseDuration }
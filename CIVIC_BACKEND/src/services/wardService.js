@@ -0,0 +1,140 @@
+// src/services/wardService.js
+// Assigns a point to a ward, zone and municipal body by point-in-polygon
+//
+// Boundaries come from a GeoJSON FeatureCollection (WARD_BOUNDARIES_FILE,
+// default src/data/delhiWards.geojson). Each feature is one ward — a Polygon
+// or MultiPolygon (holes allowed) with these properties:
+//
+//   ward          — ward name, e.g. "Janakpuri"
+//   zone          — zone it belongs to, e.g. "West Zone" (must match a zone in
+//                   municipalDirectory.js for routing to use it)
+//   municipalBody — "MCD", "NDMC" or "Cantonment"
+//   district      — revenue district, e.g. "West Delhi"
+//
+// The bundled file is illustrative: one cell per locality we know, drawn
+// around its gazetteer centroid. Point WARD_BOUNDARIES_FILE at the official
+// ward shapefile (converted to GeoJSON, WGS84) for real boundaries.
+//
+// The file is read once, on first use. A missing or broken file is logged
+// and every lookup returns null — routing then falls back to locality names.
+
+const fs = require("fs")
+const path = require("path")
+
+const DEFAULT_WARD_FILE = path.join(__dirname, "../data/delhiWards.geojson")
+
+const MUNICIPAL_BODIES = ["MCD", "NDMC", "Cantonment"]
+
+let wards = null
+
+/**
+ * Smallest [minLng, minLat, maxLng, maxLat] around a list of rings.
+ */
+function ringsBoundingBox(rings) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity]
+  for (const ring of rings) {
+    for (const [lng, lat] of ring) {
+      box[0] = Math.min(box[0], lng)
+      box[1] = Math.min(box[1], lat)
+      box[2] = Math.max(box[2], lng)
+      box[3] = Math.max(box[3], lat)
+    }
+  }
+  return box
+}
+
+/**
+ * Reads and checks the boundary file. Features without a usable polygon or a
+ * ward name are skipped with a warning rather than failing the whole file.
+ */
+function loadWards() {
+  const filePath = path.resolve(process.env.WARD_BOUNDARIES_FILE || DEFAULT_WARD_FILE)
+
+  let collection
+  try {
+    collection = JSON.parse(fs.readFileSync(filePath, "utf8"))
+  } catch (err) {
+    console.error(`🗺️  Ward boundaries not loaded (${filePath}):`, err.message)
+    return []
+  }
+
+  const loaded = []
+  for (const [i, feature] of (collection.features || []).entries()) {
+    const props = feature.properties || {}
+    const geometry = feature.geometry || {}
+    const polygons = geometry.type === "Polygon" ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon" ? geometry.coordinates
+      : null
+
+    if (!props.ward || !polygons?.length) {
+      console.warn(`🗺️  Skipping ward feature ${i}: needs a ward name and a Polygon or MultiPolygon`)
+      continue
+    }
+    if (props.municipalBody && !MUNICIPAL_BODIES.includes(props.municipalBody)) {
+      console.warn(`🗺️  Ward "${props.ward}": unknown municipalBody "${props.municipalBody}"`)
+    }
+
+    loaded.push({
+      ward: props.ward,
+      zone: props.zone || null,
+      municipalBody: props.municipalBody || null,
+      district: props.district || null,
+      polygons,
+      box: ringsBoundingBox(polygons.flat()),
+    })
+  }
+
+  console.log(`🗺️  Ward boundaries: ${loaded.length} wards from ${filePath}`)
+  return loaded
+}
+
+function getWards() {
+  if (!wards) wards = loadWards()
+  return wards
+}
+
+/**
+ * Ray casting: is [lng, lat] inside the ring? Points exactly on an edge may
+ * go either way — neighbouring wards share edges, so one of them gets it.
+ */
+function insideRing(lng, lat, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * A polygon is its outer ring minus its holes.
+ */
+function insidePolygon(lng, lat, [outer, ...holes]) {
+  return insideRing(lng, lat, outer) && !holes.some(hole => insideRing(lng, lat, hole))
+}
+
+/**
+ * Finds the ward a point lies in.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{ ward, zone, municipalBody, district } | null} null when the point
+ *   is outside every ward (or no boundaries are loaded)
+ */
+function findWard(lat, lng) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
+
+  const match = getWards().find(({ box, polygons }) =>
+    lng >= box[0] && lat >= box[1] && lng <= box[2] && lat <= box[3] &&
+    polygons.some(polygon => insidePolygon(lng, lat, polygon))
+  )
+  if (!match) return null
+
+  const { ward, zone, municipalBody, district } = match
+  return { ward, zone, municipalBody, district }
+}
+
+module.exports = { findWard }
@@ -0,0 +1,81 @@
+// src/storage/fileStorage.js
+// File storage backend — the in-memory backend, saved to a JSON file on disk
+//
+// The whole store lives in memory and is written out after every change, so
+// complaints, ID counters, watches and jobs survive a restart without any
+// database. Meant for demos and single-instance deployments, not for running
+// several servers against the same file.
+//
+// Writes are atomic: the JSON goes to a temp file that is then renamed over
+// the real one, so a crash mid-write never leaves a half-written store.
+// Changes made while a write is in progress are batched into the next write.
+
+const fs = require("fs")
+const path = require("path")
+const { createMemoryStorage, createEmptyState } = require("./memoryStorage")
+
+/**
+ * Reads the store from disk. A missing file is an empty store; an unreadable
+ * one is an error — we'd rather refuse to start than overwrite real data.
+ */
+function loadState(filePath) {
+  if (!fs.existsSync(filePath)) return createEmptyState()
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"))
+    const empty = createEmptyState()
+    return { ...empty, ...saved, lastIds: { ...empty.lastIds, ...saved.lastIds } }
+  } catch (err) {
+    throw new Error(`Storage file ${filePath} is not valid JSON: ${err.message}`)
+  }
+}
+
+/**
+ * Writes the state to a temp file next to the store, then renames it into place.
+ */
+async function writeAtomically(filePath, state) {
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2))
+  await fs.promises.rename(tempPath, filePath)
+}
+
+/**
+ * Creates a storage backend persisted to a JSON file.
+ *
+ * @param {string} filePath - Where the store is kept (created on first write)
+ * @returns {object} Storage backend (same operations as supabaseStorage)
+ */
+function createFileStorage(filePath) {
+  const state = loadState(filePath)
+
+  let writing = null  // the latest write started
+  let queued = null   // the next write, shared by every change made meanwhile
+
+  /**
+   * Saves the state. Resolves once a write that includes the caller's change
+   * has reached disk.
+   */
+  function persist() {
+    if (queued) return queued
+
+    const previous = writing ? writing.catch(() => {}) : Promise.resolve()
+    queued = previous.then(() => {
+      queued = null
+      writing = writeAtomically(filePath, state).catch(err => {
+        console.error(`❌ Storage write error (${filePath}):`, err.message)
+        throw new Error(`Database error: could not save ${filePath}: ${err.message}`)
+      })
+      return writing
+    })
+
+    return queued
+  }
+
+  return {
+    ...createMemoryStorage({ state, onChange: persist }),
+    name: "file",
+  }
+}
+
+module.exports = { createFileStorage }
@@ -0,0 +1,59 @@
+// src/storage/index.js
+// Picks the storage backend databaseService talks to
+//
+// STORAGE_BACKEND in .env:
+//   supabase — PostgreSQL via Supabase (needs SUPABASE_URL + SUPABASE_SERVICE_KEY)
+//   file     — JSON file on disk (STORAGE_FILE, default data/civic-mirror.json)
+//   memory   — in-memory only, gone on restart (tests / throwaway demos)
+// Left blank, Supabase is used when it's configured and the file backend
+// otherwise — so a fresh checkout keeps its complaints with zero setup.
+//
+// Every backend implements the same operations on snake_case rows; see
+// memoryStorage.js for the reference implementation.
+
+const path = require("path")
+const { createClient } = require("@supabase/supabase-js")
+const { createSupabaseStorage } = require("./supabaseStorage")
+const { createFileStorage } = require("./fileStorage")
+const { createMemoryStorage } = require("./memoryStorage")
+
+const BACKENDS = ["supabase", "file", "memory"]
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, "../../data/civic-mirror.json")
+
+let storage = null
+
+/**
+ * Gets the configured storage backend, creating it on first call.
+ */
+function getStorage() {
+  if (storage) return storage
+
+  const url = process.env.SUPABASE_URL
+  const key = process.env.SUPABASE_SERVICE_KEY
+  const backend = (process.env.STORAGE_BACKEND || (url && key ? "supabase" : "file")).toLowerCase()
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" — use one of: ${BACKENDS.join(", ")}`)
+  }
+
+  if (backend === "supabase") {
+    if (!url || !key) {
+      throw new Error("STORAGE_BACKEND=supabase needs SUPABASE_URL and SUPABASE_SERVICE_KEY")
+    }
+    // Service Role Key bypasses Row Level Security — safe for backend only
+    storage = createSupabaseStorage(createClient(url, key))
+    console.log("💾 Storage: Supabase")
+  } else if (backend === "file") {
+    const filePath = path.resolve(process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE)
+    storage = createFileStorage(filePath)
+    console.log(`💾 Storage: file (${filePath})`)
+  } else {
+    storage = createMemoryStorage()
+    console.log("💾 Storage: in-memory (nothing is kept after a restart)")
+  }
+
+  return storage
+}
+
+module.exports = { getStorage }
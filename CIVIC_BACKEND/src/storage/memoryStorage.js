@@ -0,0 +1,496 @@
+// src/storage/memoryStorage.js
+// In-memory storage backend — every table is a plain array of rows
+//
+// Rows use the same snake_case columns as the Supabase tables, and each
+// operation mirrors what the Supabase backend does (same filters, sorts,
+// unique constraints), so the rest of the app can't tell them apart.
+//
+// Used directly with STORAGE_BACKEND=memory (tests, throwaway demos) and as
+// the engine behind the file backend, which persists the state after every
+// write via the onChange hook.
+
+const { SORTS, encodeCursor, countFacets } = require("../services/complaintQueryService")
+
+const FINISHED_STATUSES = ["resolved", "closed", "rejected"]
+
+// Oldest ingestion runs beyond this are dropped (per store, not per watch)
+const RUNS_KEPT = 1000
+
+/**
+ * Empty state — also the shape of the file backend's JSON document.
+ */
+function createEmptyState() {
+  return {
+    complaints: [],
+    complaintReports: [],
+    complaintSequences: {},
+    statusHistory: [],
+    ingestionWatches: [],
+    ingestionRuns: [],
+    jobs: [],
+    classifierFeedback: [],
+    classifierModels: [],
+    classifierRulesets: [],
+    geocodeCache: {},
+    lastIds: {
+      complaints: 0,
+      complaintReports: 0,
+      statusHistory: 0,
+      ingestionRuns: 0,
+      classifierFeedback: 0,
+      classifierModels: 0,
+      classifierRulesets: 0,
+    },
+  }
+}
+
+/**
+ * Rows handed out are copies, like rows coming back from a real database —
+ * callers mutating them must not change what's stored.
+ */
+function copy(row) {
+  return row ? structuredClone(row) : null
+}
+
+/**
+ * Compares two column values the way Postgres orders them (NULL sorts as the
+ * largest value — last ascending, first descending).
+ */
+function compareValues(a, b) {
+  if (a === b || (a == null && b == null)) return 0
+  if (a == null) return 1
+  if (b == null) return -1
+  return a < b ? -1 : 1
+}
+
+/**
+ * Compares two lists of sort values by a sort order from SORTS.
+ */
+function compareBySort(sortColumns, aValues, bValues) {
+  for (let i = 0; i < sortColumns.length; i++) {
+    const result = compareValues(aValues[i], bValues[i])
+    if (result !== 0) return sortColumns[i][1] ? result : -result
+  }
+  return 0
+}
+
+/**
+ * Sorts rows by a sort order from SORTS (returns a new array).
+ */
+function sortRows(rows, sortColumns) {
+  const valuesOf = row => sortColumns.map(([column]) => row[column])
+  return [...rows].sort((a, b) => compareBySort(sortColumns, valuesOf(a), valuesOf(b)))
+}
+
+/**
+ * True if a complaint matches the filters from parseComplaintQuery()
+ * (everything except the cursor).
+ */
+function matchesCriteria(row, criteria) {
+  for (const [column, values] of Object.entries(criteria.filters)) {
+    if (!values.includes(row[column])) return false
+  }
+
+  if (criteria.from && !(row.created_at >= criteria.from)) return false
+  if (criteria.to && !(row.created_at <= criteria.to)) return false
+
+  if (criteria.bbox) {
+    const { minLng, minLat, maxLng, maxLat } = criteria.bbox
+    if (row.lng === null || row.lat === null) return false
+    if (row.lng < minLng || row.lng > maxLng || row.lat < minLat || row.lat > maxLat) return false
+  }
+
+  if (criteria.search) {
+    const term = criteria.search.toLowerCase()
+    const text = `${row.title || ""}\n${row.description || ""}`.toLowerCase()
+    if (!text.includes(term)) return false
+  }
+
+  return true
+}
+
+/**
+ * Creates an in-memory storage backend.
+ *
+ * @param {object} [options]
+ * @param {object} [options.state] - Existing state to start from (see createEmptyState)
+ * @param {Function} [options.onChange] - Awaited after every write, with the full state
+ * @returns {object} Storage backend (same operations as supabaseStorage)
+ */
+function createMemoryStorage({ state = createEmptyState(), onChange = null } = {}) {
+  const changed = async () => {
+    if (onChange) await onChange(state)
+  }
+
+  const nextId = table => {
+    state.lastIds[table] = (state.lastIds[table] || 0) + 1
+    return state.lastIds[table]
+  }
+
+  const findComplaint = complaintId => state.complaints.find(c => c.complaint_id === complaintId)
+
+  return {
+    name: "memory",
+
+    // ─── COMPLAINTS ─────────────────────────────────────────────────────────
+
+    async insertComplaint(record) {
+      if (findComplaint(record.complaint_id)) {
+        const conflict = new Error(`Complaint ID already exists: ${record.complaint_id}`)
+        conflict.code = "COMPLAINT_ID_CONFLICT"
+        throw conflict
+      }
+      // Same unique constraint as the reddit_id column — a repeat post is a duplicate
+      if (record.reddit_id && state.complaints.some(c => c.reddit_id === record.reddit_id)) {
+        return null
+      }
+
+      const row = { id: nextId("complaints"), ...copy(record) }
+      state.complaints.push(row)
+      await changed()
+      return copy(row)
+    },
+
+    async nextComplaintSequence(year) {
+      const next = (state.complaintSequences[year] || 0) + 1
+      state.complaintSequences[year] = next
+      await changed()
+      return next
+    },
+
+    async complaintExists(redditId) {
+      return state.complaints.some(c => c.reddit_id === redditId) ||
+        state.complaintReports.some(r => r.reddit_id === redditId)
+    },
+
+    async getComplaintById(complaintId) {
+      return copy(findComplaint(complaintId))
+    },
+
+    async updateComplaint(complaintId, changes) {
+      const row = findComplaint(complaintId)
+      if (!row) return null
+      Object.assign(row, copy(changes))
+      await changed()
+      return copy(row)
+    },
+
+    async updateComplaintStatus(complaintId, fromStatus, changes) {
+      const row = findComplaint(complaintId)
+      if (!row || row.status !== fromStatus) return null
+      Object.assign(row, copy(changes))
+      await changed()
+      return copy(row)
+    },
+
+    async getAllComplaints(limit) {
+      return sortRows(state.complaints, SORTS.newest)
+        .slice(0, limit)
+        .map(copy)
+    },
+
+    async queryComplaints(criteria) {
+      const sortColumns = SORTS[criteria.sort]
+      const matching = state.complaints.filter(row => matchesCriteria(row, criteria))
+
+      const page = sortRows(matching, sortColumns).filter(row => !criteria.after ||
+        compareBySort(sortColumns, sortColumns.map(([column]) => row[column]), criteria.after) > 0)
+
+      const complaints = page.slice(0, criteria.limit).map(copy)
+      const hasMore = page.length > criteria.limit
+
+      return {
+        complaints,
+        total: matching.length,
+        facets: criteria.facets ? countFacets(matching) : null,
+        nextCursor: hasMore ? encodeCursor(complaints[complaints.length - 1], criteria.sort) : null,
+      }
+    },
+
+    async findSlaBreachCandidates(nowIso) {
+      const ackBreaches = state.complaints.filter(c =>
+        ["open", "reopened"].includes(c.status) &&
+        c.ack_due_at && c.ack_due_at < nowIso &&
+        !c.ack_breached_at
+      )
+      const resolveBreaches = state.complaints.filter(c =>
+        !FINISHED_STATUSES.includes(c.status) &&
+        c.resolve_due_at && c.resolve_due_at < nowIso &&
+        !c.resolve_breached_at
+      )
+      return { ackBreaches: ackBreaches.map(copy), resolveBreaches: resolveBreaches.map(copy) }
+    },
+
+    async getBreachedComplaints(limit) {
+      const breached = state.complaints
+        .filter(c => !FINISHED_STATUSES.includes(c.status) && (c.ack_breached_at || c.resolve_breached_at))
+      return sortRows(breached, [["escalation_level", false], ["resolve_due_at", true]])
+        .slice(0, limit)
+        .map(copy)
+    },
+
+    async getTrainingComplaints() {
+      return state.complaints.map(c => ({
+        complaint_id: c.complaint_id,
+        title: c.title,
+        description: c.description,
+        department: c.department,
+      }))
+    },
+
+    async findDuplicateCandidates({ department, since, bbox }) {
+      return state.complaints
+        .filter(c =>
+          c.department === department &&
+          !FINISHED_STATUSES.includes(c.status) &&
+          c.geocoded &&
+          c.created_at >= since &&
+          c.lat >= bbox.minLat && c.lat <= bbox.maxLat &&
+          c.lng >= bbox.minLng && c.lng <= bbox.maxLng
+        )
+        .map(copy)
+    },
+
+    // ─── CORROBORATING REPORTS ──────────────────────────────────────────────
+
+    async insertComplaintReport(record) {
+      // Same unique constraint as the reddit_id column
+      if (record.reddit_id && state.complaintReports.some(r => r.reddit_id === record.reddit_id)) {
+        return null
+      }
+
+      const row = { id: nextId("complaintReports"), ...copy(record) }
+      state.complaintReports.push(row)
+      await changed()
+      return copy(row)
+    },
+
+    async getComplaintReports(complaintId) {
+      return state.complaintReports
+        .filter(report => report.complaint_id === complaintId)
+        .sort((a, b) => a.id - b.id)
+        .map(copy)
+    },
+
+    // ─── STATUS HISTORY ─────────────────────────────────────────────────────
+
+    async insertStatusHistory(record) {
+      const row = { id: nextId("statusHistory"), ...copy(record) }
+      state.statusHistory.push(row)
+      await changed()
+      return copy(row)
+    },
+
+    async getStatusHistory(complaintId) {
+      return state.statusHistory
+        .filter(entry => entry.complaint_id === complaintId)
+        .sort((a, b) => compareValues(a.created_at, b.created_at) || a.id - b.id)
+        .map(copy)
+    },
+
+    // ─── INGESTION WATCHES + RUNS ───────────────────────────────────────────
+
+    async upsertIngestionWatch(config) {
+      let watch = state.ingestionWatches.find(w => w.id === config.id)
+      if (watch) {
+        Object.assign(watch, copy(config))
+      } else {
+        watch = {
+          paused: false,
+          watermark_created_at: null,
+          watermark_post_id: null,
+          failing_post_id: null,
+          failing_post_attempts: 0,
+          last_run_at: null,
+          created_at: config.updated_at,
+          ...copy(config),
+        }
+        state.ingestionWatches.push(watch)
+      }
+      await changed()
+      return copy(watch)
+    },
+
+    async getIngestionWatches() {
+      return [...state.ingestionWatches]
+        .sort((a, b) => compareValues(a.id, b.id))
+        .map(copy)
+    },
+
+    async updateIngestionWatch(watchId, changes) {
+      const watch = state.ingestionWatches.find(w => w.id === watchId)
+      if (!watch) return null
+      Object.assign(watch, copy(changes))
+      await changed()
+      return copy(watch)
+    },
+
+    async insertIngestionRun(record) {
+      const row = { id: nextId("ingestionRuns"), ...copy(record) }
+      state.ingestionRuns.push(row)
+      if (state.ingestionRuns.length > RUNS_KEPT) {
+        state.ingestionRuns.splice(0, state.ingestionRuns.length - RUNS_KEPT)
+      }
+      await changed()
+      return copy(row)
+    },
+
+    async updateIngestionRun(runId, changes) {
+      const run = state.ingestionRuns.find(r => r.id === runId)
+      if (!run) return null
+      Object.assign(run, copy(changes))
+      await changed()
+      return copy(run)
+    },
+
+    async getIngestionRuns(watchId, limit) {
+      return state.ingestionRuns
+        .filter(r => r.watch_id === watchId)
+        .sort((a, b) => compareValues(b.started_at, a.started_at) || b.id - a.id)
+        .slice(0, limit)
+        .map(copy)
+    },
+
+    // ─── JOBS ───────────────────────────────────────────────────────────────
+
+    async insertJob(record) {
+      state.jobs.push(copy(record))
+      await changed()
+      return copy(record)
+    },
+
+    async getJob(jobId) {
+      return copy(state.jobs.find(j => j.id === jobId))
+    },
+
+    async updateJob(jobId, changes) {
+      const job = state.jobs.find(j => j.id === jobId)
+      if (!job) return null
+      Object.assign(job, copy(changes))
+      await changed()
+      return copy(job)
+    },
+
+    async getJobs({ statuses, limit, oldestFirst }) {
+      return state.jobs
+        .filter(job => !statuses || statuses.includes(job.status))
+        .sort((a, b) => oldestFirst
+          ? compareValues(a.created_at, b.created_at)
+          : compareValues(b.created_at, a.created_at))
+        .slice(0, limit)
+        .map(copy)
+    },
+
+    // ─── CLASSIFIER FEEDBACK, MODELS + RULESETS ─────────────────────────────
+
+    async insertClassifierFeedback(record) {
+      const row = { id: nextId("classifierFeedback"), ...copy(record) }
+      state.classifierFeedback.push(row)
+      await changed()
+      return copy(row)
+    },
+
+    async getClassifierFeedback() {
+      return state.classifierFeedback.map(copy)
+    },
+
+    async insertClassifierModel(record) {
+      const row = { version: nextId("classifierModels"), ...copy(record) }
+      state.classifierModels.push(row)
+      await changed()
+      return copy(row)
+    },
+
+    async getClassifierModels() {
+      return [...state.classifierModels]
+        .sort((a, b) => b.version - a.version)
+        .map(row => {
+          // Listing leaves out the (large) model body, like the Supabase select does
+          const meta = copy(row)
+          delete meta.model
+          return meta
+        })
+    },
+
+    async getClassifierModel(version) {
+      return copy(state.classifierModels.find(m => m.version === version))
+    },
+
+    async getActiveClassifierModel() {
+      return copy(state.classifierModels.find(m => m.active))
+    },
+
+    async activateClassifierModel(version) {
+      const target = state.classifierModels.find(m => m.version === version)
+      if (!target) return null
+      for (const model of state.classifierModels) model.active = model === target
+      await changed()
+      const meta = copy(target)
+      delete meta.model
+      return meta
+    },
+
+    async insertClassifierRuleset(record) {
+      const row = { version: nextId("classifierRulesets"), ...copy(record) }
+      state.classifierRulesets.push(row)
+      await changed()
+      return copy(row)
+    },
+
+    async getClassifierRulesets() {
+      return [...state.classifierRulesets]
+        .sort((a, b) => b.version - a.version)
+        .map(row => {
+          const meta = copy(row)
+          delete meta.rules
+          return meta
+        })
+    },
+
+    async getClassifierRuleset(version) {
+      return copy(state.classifierRulesets.find(r => r.version === version))
+    },
+
+    async getActiveClassifierRuleset() {
+      return copy(state.classifierRulesets.find(r => r.active))
+    },
+
+    async activateClassifierRuleset(version) {
+      const target = state.classifierRulesets.find(r => r.version === version)
+      if (!target) return null
+      for (const ruleset of state.classifierRulesets) ruleset.active = ruleset === target
+      await changed()
+      return copy(target)
+    },
+
+    async getGeocodeCacheEntry(cacheKey) {
+      return copy(state.geocodeCache[cacheKey])
+    },
+
+    async upsertGeocodeCacheEntry(entry) {
+      const existing = state.geocodeCache[entry.cache_key]
+      // Re-added so key order stays oldest write first (pruneGeocodeCache tie-break)
+      delete state.geocodeCache[entry.cache_key]
+      state.geocodeCache[entry.cache_key] = {
+        created_at: existing?.created_at || entry.updated_at,
+        ...copy(entry),
+      }
+      await changed()
+      return copy(state.geocodeCache[entry.cache_key])
+    },
+
+    async pruneGeocodeCache({ staleBefore, maxEntries }) {
+      // Newest write first, so among equal expiry times the older writes go
+      const byExpiry = Object.values(state.geocodeCache).reverse()
+        .sort((a, b) => compareValues(b.expires_at, a.expires_at))
+      const evicted = byExpiry.filter((entry, i) => i >= maxEntries || entry.expires_at < staleBefore)
+      if (!evicted.length) return 0
+
+      for (const entry of evicted) delete state.geocodeCache[entry.cache_key]
+      await changed()
+      return evicted.length
+    },
+  }
+}
+
+module.exports = { createMemoryStorage, createEmptyState }
@@ -0,0 +1,1101 @@
+// src/storage/supabaseStorage.js
+// Supabase storage backend
+//
+// Supabase is a free PostgreSQL database with a REST API.
+// Free tier: 500MB storage, unlimited API calls, 2 projects.
+//
+// Setup:
+// 1. Go to app.supabase.com → New Project
+// 2. Go to SQL Editor → run the CREATE TABLE queries below
+// 3. Copy your Project URL and Service Role Key to .env
+//
+// ─── RUN THIS IN SUPABASE SQL EDITOR TO CREATE THE TABLE ──────────────────────
+//
+// CREATE TABLE complaints (
+//   id SERIAL PRIMARY KEY,
+//   complaint_id TEXT UNIQUE NOT NULL,
+//   title TEXT NOT NULL,                 -- personal details redacted (redactionService.js)
+//   description TEXT,
+//   raw_title TEXT,                      -- original text, only when something was redacted (restricted)
+//   raw_description TEXT,
+//   redactions JSONB DEFAULT '{}',       -- what was redacted, e.g. { "phone": 1 }
+//   department TEXT,
+//   department_full TEXT,
+//   issue_type TEXT,                     -- issue type within the department, e.g. 'pothole'
+//   issue_type_label TEXT,               -- e.g. 'Pothole'
+//   secondary_departments JSONB DEFAULT '[]', -- other departments also notified (and their part)
+//   urgency TEXT CHECK (urgency IN ('low', 'medium', 'high')),
+//   urgency_rank SMALLINT,               -- 3 = high, 2 = medium, 1 = low (for sorting)
+//   priority_score SMALLINT,             -- 0–100, urgency is derived from it (priorityService.js)
+//   priority_breakdown JSONB,            -- points per component (text, hazard, duration...)
+//   days_outstanding REAL,               -- how long the issue had lasted when reported
+//   urgency_reasons JSONB DEFAULT '[]',  -- why it got its urgency (see urgencyService.js)
+//   status TEXT DEFAULT 'open' CHECK (status IN (
+//     'open', 'acknowledged', 'in_progress', 'resolved', 'closed', 'reopened', 'rejected'
+//   )),
+//   location TEXT,
+//   lat DOUBLE PRECISION,
+//   lng DOUBLE PRECISION,
+//   geocoded BOOLEAN DEFAULT false,      -- false = city-level fallback coordinates
+//   ward TEXT,                           -- ward the coordinates fall in (wardService.js)
+//   address_parts JSONB DEFAULT '{}',    -- sector / block / pocket / phase (localityMatcher.js)
+//   landmark JSONB,                      -- landmark it was placed by (landmarkService.js)
+//   municipal_body TEXT,
+//   municipal_zone TEXT,
+//   source TEXT DEFAULT 'reddit',
+//   source_handle TEXT,
+//   reddit_id TEXT UNIQUE,
+//   reddit_permalink TEXT,
+//   ai_confidence INTEGER,
+//   ruleset_version INTEGER,              -- classifier_rulesets version that classified it
+//   citizen_name TEXT,
+//   citizen_email TEXT,
+//   citizen_phone TEXT,
+//   ack_due_at TIMESTAMPTZ,              -- SLA: acknowledge by
+//   resolve_due_at TIMESTAMPTZ,          -- SLA: resolve by
+//   ack_breached_at TIMESTAMPTZ,         -- set by the SLA checker when missed
+//   resolve_breached_at TIMESTAMPTZ,
+//   escalation_level SMALLINT DEFAULT 1, -- 1 = zone office, 2+ = escalated
+//   last_escalated_at TIMESTAMPTZ,
+//   report_count INTEGER DEFAULT 1,      -- 1 + corroborating reports merged into it
+//   last_reported_at TIMESTAMPTZ,        -- when the latest corroborating report came in
+//   authority_email_sent BOOLEAN DEFAULT false,
+//   citizen_notified BOOLEAN DEFAULT false,
+//   created_at TIMESTAMPTZ DEFAULT NOW(),
+//   updated_at TIMESTAMPTZ DEFAULT NOW()
+// );
+//
+// -- Indexes for the dashboard filters / sorts on GET /api/complaint/all
+// CREATE INDEX complaints_created_idx ON complaints (created_at DESC, id DESC);
+// CREATE INDEX complaints_urgency_idx ON complaints (urgency_rank DESC, created_at DESC, id DESC);
+// CREATE INDEX complaints_priority_idx ON complaints (priority_score DESC, created_at DESC, id DESC);
+// CREATE INDEX complaints_department_idx ON complaints (department);
+// CREATE INDEX complaints_issue_type_idx ON complaints (department, issue_type);
+// CREATE INDEX complaints_ack_due_idx ON complaints (ack_due_at) WHERE ack_breached_at IS NULL;
+// CREATE INDEX complaints_resolve_due_idx ON complaints (resolve_due_at) WHERE resolve_breached_at IS NULL;
+//
+// -- Per-year counter behind complaint IDs (CMR-2026-000042-5)
+// CREATE TABLE complaint_id_sequences (
+//   year INTEGER PRIMARY KEY,
+//   last_value INTEGER NOT NULL DEFAULT 0
+// );
+//
+// -- Atomically bumps and returns the counter for a year (called via db.rpc)
+// CREATE FUNCTION next_complaint_sequence(p_year INTEGER) RETURNS INTEGER AS $$
+//   INSERT INTO complaint_id_sequences (year, last_value) VALUES (p_year, 1)
+//   ON CONFLICT (year) DO UPDATE SET last_value = complaint_id_sequences.last_value + 1
+//   RETURNING last_value;
+// $$ LANGUAGE sql;
+//
+// -- Other reports of the same issue, merged into an existing complaint
+// CREATE TABLE complaint_reports (
+//   id SERIAL PRIMARY KEY,
+//   complaint_id TEXT NOT NULL REFERENCES complaints(complaint_id) ON DELETE CASCADE,
+//   title TEXT NOT NULL,                 -- personal details redacted (redactionService.js)
+//   description TEXT,
+//   raw_title TEXT,                      -- original text, only when something was redacted (restricted)
+//   raw_description TEXT,
+//   redactions JSONB DEFAULT '{}',       -- what was redacted, e.g. { "phone": 1 }
+//   source TEXT DEFAULT 'reddit',
+//   source_handle TEXT,
+//   reddit_id TEXT UNIQUE,
+//   reddit_permalink TEXT,
+//   citizen_name TEXT,
+//   citizen_email TEXT,
+//   citizen_phone TEXT,
+//   location TEXT,
+//   lat DOUBLE PRECISION,
+//   lng DOUBLE PRECISION,
+//   similarity REAL,                      -- text similarity to the complaint (0..1)
+//   distance_m INTEGER,                   -- metres from the complaint's location
+//   reported_at TIMESTAMPTZ,
+//   created_at TIMESTAMPTZ DEFAULT NOW()
+// );
+// CREATE INDEX complaint_reports_complaint_idx ON complaint_reports (complaint_id, created_at);
+// CREATE INDEX complaints_duplicate_idx ON complaints (department, created_at) WHERE geocoded;
+//
+// -- One row per status change — powers the dashboard timeline
+// CREATE TABLE complaint_status_history (
+//   id SERIAL PRIMARY KEY,
+//   complaint_id TEXT NOT NULL REFERENCES complaints(complaint_id) ON DELETE CASCADE,
+//   from_status TEXT,
+//   to_status TEXT NOT NULL,
+//   actor TEXT NOT NULL,
+//   note TEXT,
+//   created_at TIMESTAMPTZ DEFAULT NOW()
+// );
+// CREATE INDEX complaint_status_history_complaint_idx ON complaint_status_history (complaint_id, created_at);
+//
+// -- Reddit ingestion scheduler: one row per keyword + subreddit pair we poll
+// CREATE TABLE ingestion_watches (
+//   id TEXT PRIMARY KEY,                  -- e.g. "delhi-pothole"
+//   keyword TEXT NOT NULL,
+//   subreddit TEXT NOT NULL,
+//   interval_minutes INTEGER NOT NULL DEFAULT 30,
+//   paused BOOLEAN DEFAULT false,
+//   watermark_created_at TIMESTAMPTZ,     -- newest post we've handled
+//   watermark_post_id TEXT,
+//   failing_post_id TEXT,                 -- post that failed last run (retried, then skipped)
+//   failing_post_attempts INTEGER DEFAULT 0,
+//   last_run_at TIMESTAMPTZ,
+//   created_at TIMESTAMPTZ DEFAULT NOW(),
+//   updated_at TIMESTAMPTZ DEFAULT NOW()
+// );
+//
+// -- Run history for each watch
+// CREATE TABLE ingestion_runs (
+//   id SERIAL PRIMARY KEY,
+//   watch_id TEXT NOT NULL REFERENCES ingestion_watches(id) ON DELETE CASCADE,
+//   trigger TEXT DEFAULT 'schedule',      -- 'schedule' or 'manual'
+//   status TEXT DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed')),
+//   fetched INTEGER DEFAULT 0,
+//   new_posts INTEGER DEFAULT 0,
+//   registered INTEGER DEFAULT 0,
+//   merged INTEGER DEFAULT 0,             -- attached to an existing complaint as a report
+//   rejected INTEGER DEFAULT 0,
+//   duplicates INTEGER DEFAULT 0,
+//   failed INTEGER DEFAULT 0,
+//   error TEXT,
+//   started_at TIMESTAMPTZ DEFAULT NOW(),
+//   finished_at TIMESTAMPTZ
+// );
+// CREATE INDEX ingestion_runs_watch_idx ON ingestion_runs (watch_id, started_at DESC);
+//
+// -- Background jobs (e.g. batch-process) with per-post progress
+// CREATE TABLE jobs (
+//   id TEXT PRIMARY KEY,                  -- uuid
+//   type TEXT NOT NULL,                   -- 'batch-process'
+//   status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+//   params JSONB,                         -- { keyword, subreddit, limit }
+//   posts JSONB,                          -- posts fetched from Reddit (so a resumed job doesn't refetch)
+//   items JSONB DEFAULT '[]',             -- one result per processed post
+//   cancel_requested BOOLEAN DEFAULT false,
+//   error TEXT,
+//   created_at TIMESTAMPTZ DEFAULT NOW(),
+//   started_at TIMESTAMPTZ,
+//   finished_at TIMESTAMPTZ,
+//   updated_at TIMESTAMPTZ DEFAULT NOW()
+// );
+// CREATE INDEX jobs_status_idx ON jobs (status, created_at);
+//
+// -- Department corrections from officials — training labels for the classifier
+// CREATE TABLE classifier_feedback (
+//   id SERIAL PRIMARY KEY,
+//   complaint_id TEXT NOT NULL REFERENCES complaints(complaint_id) ON DELETE CASCADE,
+//   previous_department TEXT,             -- what the complaint was routed to
+//   department TEXT NOT NULL,             -- what it should have been
+//   actor TEXT NOT NULL,
+//   note TEXT,
+//   created_at TIMESTAMPTZ DEFAULT NOW()
+// );
+// CREATE INDEX classifier_feedback_complaint_idx ON classifier_feedback (complaint_id, created_at);
+//
+// -- Trained department classifier models, one row per version
+// CREATE TABLE classifier_models (
+//   version SERIAL PRIMARY KEY,
+//   algorithm TEXT NOT NULL,              -- 'naive-bayes'
+//   model JSONB NOT NULL,                 -- word counts per department
+//   metrics JSONB,                        -- examples, labels, holdout accuracy
+//   active BOOLEAN DEFAULT false,         -- the version classifyComplaint uses
+//   trained_by TEXT,
+//   created_at TIMESTAMPTZ DEFAULT NOW()
+// );
+//
+// -- Classifier keyword rules, one row per edit (see classifierRulesService.js)
+// CREATE TABLE classifier_rulesets (
+//   version SERIAL PRIMARY KEY,
+//   rules JSONB NOT NULL,                 -- departments, urgency words, civic keywords
+//   active BOOLEAN DEFAULT false,         -- the version classifyComplaint uses
+//   based_on INTEGER,                     -- version this edit started from
+//   created_by TEXT,
+//   note TEXT,
+//   created_at TIMESTAMPTZ DEFAULT NOW()
+// );
+//
+// -- Nominatim answers, keyed by normalised place name (see geocodeCacheService.js)
+// CREATE TABLE geocode_cache (
+//   cache_key TEXT PRIMARY KEY,           -- e.g. 'janakpuri'
+//   query TEXT NOT NULL,                  -- the place name as first looked up
+//   found BOOLEAN NOT NULL,               -- false = Nominatim had no result (negative entry)
+//   lat DOUBLE PRECISION,
+//   lng DOUBLE PRECISION,
+//   display_name TEXT,
+//   bounding_box JSONB,
+//   expires_at TIMESTAMPTZ NOT NULL,
+//   created_at TIMESTAMPTZ DEFAULT NOW(),
+//   updated_at TIMESTAMPTZ DEFAULT NOW()
+// );
+// CREATE INDEX geocode_cache_expires_idx ON geocode_cache (expires_at);
+//
+// -- Enable Row Level Security (optional but recommended for production)
+// ALTER TABLE complaints ENABLE ROW LEVEL SECURITY;
+// ALTER TABLE complaint_reports ENABLE ROW LEVEL SECURITY;
+//
+// -- The unredacted text and citizens' contact details are for the backend
+// -- (service key) only
+// REVOKE SELECT (raw_title, raw_description, citizen_name, citizen_email, citizen_phone, source_handle)
+//   ON complaints FROM anon, authenticated;
+// REVOKE SELECT (raw_title, raw_description, citizen_name, citizen_email, citizen_phone, source_handle)
+//   ON complaint_reports FROM anon, authenticated;
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+
+const { SORTS, FACETS, LIST_FILTERS, encodeCursor, countFacets } = require("../services/complaintQueryService")
+
+// Rows fetched per request when paging through every complaint (facet counts,
+// classifier training) — Supabase caps responses at 1000
+const PAGE_SIZE = 1000
+
+/**
+ * Quotes a value for use inside a PostgREST or=(...) filter string.
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, "")}"`
+}
+
+/**
+ * Applies the filters from parseComplaintQuery() to a Supabase query.
+ * Keyword search is returned separately because it has to be combined with
+ * the cursor condition into a single or=(...) parameter.
+ *
+ * @returns {{ query, searchFilter: string|null }}
+ */
+function applyComplaintFilters(query, criteria) {
+  for (const [column, values] of Object.entries(criteria.filters)) {
+    query = query.in(column, values)
+  }
+
+  if (criteria.from) query = query.gte("created_at", criteria.from)
+  if (criteria.to) query = query.lte("created_at", criteria.to)
+
+  if (criteria.bbox) {
+    const { minLng, minLat, maxLng, maxLat } = criteria.bbox
+    query = query
+      .gte("lng", minLng).lte("lng", maxLng)
+      .gte("lat", minLat).lte("lat", maxLat)
+  }
+
+  let searchFilter = null
+  if (criteria.search) {
+    const term = criteria.search.replace(/[*%,()]/g, " ")
+    searchFilter = ["title", "description"]
+      .map(column => `${column}.ilike.${quoteFilterValue(`*${term}*`)}`)
+      .join(",")
+  }
+
+  return { query, searchFilter }
+}
+
+/**
+ * "column = value" as a PostgREST filter — IS NULL for a null cursor value,
+ * since "= NULL" never matches.
+ */
+function equalsFilter(column, value) {
+  return value == null ? `${column}.is.null` : `${column}.eq.${quoteFilterValue(value)}`
+}
+
+/**
+ * "column comes after value" as a PostgREST filter, with NULL ordered as the
+ * largest value (the order queryComplaints() asks for, and the memory backend
+ * uses). Returns null when nothing can come after — a null in an ascending
+ * column, where the NULLs are last.
+ */
+function afterFilter(column, ascending, value) {
+  if (value == null) return ascending ? null : `${column}.not.is.null`
+  return ascending
+    ? `or(${column}.gt.${quoteFilterValue(value)},${column}.is.null)`
+    : `${column}.lt.${quoteFilterValue(value)}`
+}
+
+/**
+ * Builds the keyset condition "row comes after the cursor" for a sort order.
+ * For sort (a desc, b desc, id desc) and cursor (A, B, ID) that is:
+ *   a < A  OR  (a = A AND b < B)  OR  (a = A AND b = B AND id < ID)
+ * with the comparisons above standing in for < and = so NULL sort values
+ * (e.g. an unscored priority_score) page correctly.
+ */
+function buildKeysetFilter(sortColumns, after) {
+  return sortColumns.map(([column, ascending], i) => {
+    const comparison = afterFilter(column, ascending, after[i])
+    if (!comparison) return null
+    const equalities = sortColumns.slice(0, i).map(([prevColumn], j) => equalsFilter(prevColumn, after[j]))
+    return equalities.length ? `and(${[...equalities, comparison].join(",")})` : comparison
+  }).filter(Boolean).join(",")
+}
+
+/**
+ * Creates the Supabase storage backend.
+ *
+ * @param {object} db - Supabase client (Service Role Key — bypasses Row Level Security)
+ * @returns {object} Storage backend
+ */
+function createSupabaseStorage(db) {
+  return {
+    name: "supabase",
+
+    // ─── COMPLAINTS ─────────────────────────────────────────────────────────
+
+    async insertComplaint(record) {
+      const { data, error } = await db
+        .from("complaints")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        // Complaint ID already taken — let the caller allocate a new one and retry
+        if (error.code === "23505" && error.message?.includes("complaint_id")) {
+          const conflict = new Error(`Complaint ID already exists: ${record.complaint_id}`)
+          conflict.code = "COMPLAINT_ID_CONFLICT"
+          throw conflict
+        }
+        // Handle duplicate Reddit post (unique constraint on reddit_id)
+        if (error.code === "23505") return null
+        console.error("❌ DB insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    // Backed by the next_complaint_sequence() Postgres function so concurrent
+    // requests can never get the same number
+    async nextComplaintSequence(year) {
+      const { data, error } = await db.rpc("next_complaint_sequence", { p_year: year })
+
+      if (error) {
+        console.error("❌ DB sequence error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async complaintExists(redditId) {
+      const [complaint, report] = await Promise.all([
+        db.from("complaints").select("complaint_id").eq("reddit_id", redditId).maybeSingle(),
+        db.from("complaint_reports").select("id").eq("reddit_id", redditId).maybeSingle(),
+      ])
+
+      const error = complaint.error || report.error
+      if (error) {
+        console.error("DB lookup error:", error.message)
+        return false
+      }
+
+      return !!(complaint.data || report.data)
+    },
+
+    async getComplaintById(complaintId) {
+      const { data, error } = await db
+        .from("complaints")
+        .select("*")
+        .eq("complaint_id", complaintId)
+        .single()
+
+      if (error && error.code !== "PGRST116") {
+        console.error("DB lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || null
+    },
+
+    async updateComplaint(complaintId, changes) {
+      const { data, error } = await db
+        .from("complaints")
+        .update(changes)
+        .eq("complaint_id", complaintId)
+        .select()
+
+      if (error) {
+        console.error(`DB update error for ${complaintId}:`, error.message)
+        return null
+      }
+
+      return data?.[0] || null
+    },
+
+    async updateComplaintStatus(complaintId, fromStatus, changes) {
+      // Only matches while the status is still fromStatus — a concurrent
+      // transition that got there first leaves zero rows updated
+      const { data, error } = await db
+        .from("complaints")
+        .update(changes)
+        .eq("complaint_id", complaintId)
+        .eq("status", fromStatus)
+        .select()
+
+      if (error) throw new Error(`DB status update error for ${complaintId}: ${error.message}`)
+      return data?.[0] || null
+    },
+
+    async getAllComplaints(limit) {
+      const { data, error } = await db
+        .from("complaints")
+        .select("*")
+        .order("created_at", { ascending: false })
+        .limit(limit)
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        return []
+      }
+
+      return data || []
+    },
+
+    async queryComplaints(criteria) {
+      const sortColumns = SORTS[criteria.sort]
+
+      // ── The page itself ──────────────────────────────────────────────────
+      let { query: pageQuery, searchFilter } = applyComplaintFilters(db.from("complaints").select("*"), criteria)
+
+      const keysetFilter = criteria.after ? buildKeysetFilter(sortColumns, criteria.after) : null
+      if (searchFilter && keysetFilter) {
+        pageQuery = pageQuery.or(`and(or(${searchFilter}),or(${keysetFilter}))`)
+      } else if (searchFilter || keysetFilter) {
+        pageQuery = pageQuery.or(searchFilter || keysetFilter)
+      }
+
+      // NULL is the largest value — spelled out so it always matches buildKeysetFilter()
+      for (const [column, ascending] of sortColumns) {
+        pageQuery = pageQuery.order(column, { ascending, nullsFirst: !ascending })
+      }
+
+      // Fetch one extra row to find out if there's another page
+      const { data, error } = await pageQuery.limit(criteria.limit + 1)
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      const rows = data || []
+      const hasMore = rows.length > criteria.limit
+      const complaints = rows.slice(0, criteria.limit)
+      const nextCursor = hasMore ? encodeCursor(complaints[complaints.length - 1], criteria.sort) : null
+
+      // ── Total across every matching row (ignores the cursor) ────────────────
+      let { query: countQuery, searchFilter: countSearch } = applyComplaintFilters(
+        db.from("complaints").select("id", { count: "exact", head: true }), criteria
+      )
+      if (countSearch) countQuery = countQuery.or(countSearch)
+
+      const { count: total, error: countError } = await countQuery
+      if (countError) {
+        console.error("DB count error:", countError.message)
+        throw new Error(`Database error: ${countError.message}`)
+      }
+
+      if (!criteria.facets) {
+        return { complaints, total: total || 0, facets: null, nextCursor }
+      }
+
+      // ── Facet counts — reads the facet columns of every matching row, so
+      // only when the caller asked for them
+      const facetColumns = FACETS.map(param => LIST_FILTERS[param]).join(",")
+      const matching = []
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        let { query: facetQuery, searchFilter: facetSearch } = applyComplaintFilters(
+          db.from("complaints").select(facetColumns), criteria
+        )
+        if (facetSearch) facetQuery = facetQuery.or(facetSearch)
+
+        const { data: chunk, error: facetError } = await facetQuery
+          .order("id", { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1)
+
+        if (facetError) {
+          console.error("DB facet count error:", facetError.message)
+          throw new Error(`Database error: ${facetError.message}`)
+        }
+
+        matching.push(...(chunk || []))
+        if (!chunk || chunk.length < PAGE_SIZE) break
+      }
+
+      return {
+        complaints,
+        total: total || 0,
+        facets: countFacets(matching),
+        nextCursor,
+      }
+    },
+
+    async findSlaBreachCandidates(nowIso) {
+      const [ack, resolve] = await Promise.all([
+        db.from("complaints")
+          .select("*")
+          .in("status", ["open", "reopened"])
+          .lt("ack_due_at", nowIso)
+          .is("ack_breached_at", null),
+        db.from("complaints")
+          .select("*")
+          .not("status", "in", "(resolved,closed,rejected)")
+          .lt("resolve_due_at", nowIso)
+          .is("resolve_breached_at", null),
+      ])
+
+      const error = ack.error || resolve.error
+      if (error) {
+        console.error("DB SLA lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return { ackBreaches: ack.data || [], resolveBreaches: resolve.data || [] }
+    },
+
+    async getBreachedComplaints(limit) {
+      const { data, error } = await db
+        .from("complaints")
+        .select("*")
+        .not("status", "in", "(resolved,closed,rejected)")
+        .or("ack_breached_at.not.is.null,resolve_breached_at.not.is.null")
+        .order("escalation_level", { ascending: false })
+        .order("resolve_due_at", { ascending: true })
+        .limit(limit)
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        return []
+      }
+
+      return data || []
+    },
+
+    // Pages through every complaint, PAGE_SIZE rows at a time
+    async getTrainingComplaints() {
+      const rows = []
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await db
+          .from("complaints")
+          .select("complaint_id,title,description,department")
+          .order("id", { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1)
+
+        if (error) {
+          console.error("DB fetch error:", error.message)
+          throw new Error(`Database error: ${error.message}`)
+        }
+
+        rows.push(...(data || []))
+        if (!data || data.length < PAGE_SIZE) break
+      }
+      return rows
+    },
+
+    async findDuplicateCandidates({ department, since, bbox }) {
+      const { data, error } = await db
+        .from("complaints")
+        .select("*")
+        .eq("department", department)
+        .not("status", "in", "(resolved,closed,rejected)")
+        .eq("geocoded", true)
+        .gte("created_at", since)
+        .gte("lat", bbox.minLat).lte("lat", bbox.maxLat)
+        .gte("lng", bbox.minLng).lte("lng", bbox.maxLng)
+        .limit(100)
+
+      if (error) {
+        console.error("DB duplicate lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || []
+    },
+
+    // ─── CORROBORATING REPORTS ──────────────────────────────────────────────
+
+    async insertComplaintReport(record) {
+      const { data, error } = await db
+        .from("complaint_reports")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        // Unique constraint on reddit_id — this post is already attached
+        if (error.code === "23505") return null
+        console.error("❌ DB report insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getComplaintReports(complaintId) {
+      const { data, error } = await db
+        .from("complaint_reports")
+        .select("*")
+        .eq("complaint_id", complaintId)
+        .order("created_at", { ascending: true })
+
+      if (error) {
+        console.error("DB reports fetch error:", error.message)
+        return []
+      }
+
+      return data || []
+    },
+
+    // ─── STATUS HISTORY ─────────────────────────────────────────────────────
+
+    async insertStatusHistory(record) {
+      const { data, error } = await db
+        .from("complaint_status_history")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB status history insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getStatusHistory(complaintId) {
+      const { data, error } = await db
+        .from("complaint_status_history")
+        .select("*")
+        .eq("complaint_id", complaintId)
+        .order("created_at", { ascending: true })
+
+      if (error) {
+        console.error("DB history fetch error:", error.message)
+        return []
+      }
+
+      return data || []
+    },
+
+    // ─── INGESTION WATCHES + RUNS ───────────────────────────────────────────
+
+    // Only the configured columns are sent, so existing watches keep their
+    // watermark, paused flag and run state
+    async upsertIngestionWatch(config) {
+      const { data, error } = await db
+        .from("ingestion_watches")
+        .upsert([config], { onConflict: "id" })
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB watch upsert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getIngestionWatches() {
+      const { data, error } = await db
+        .from("ingestion_watches")
+        .select("*")
+        .order("id", { ascending: true })
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || []
+    },
+
+    async updateIngestionWatch(watchId, changes) {
+      const { data, error } = await db
+        .from("ingestion_watches")
+        .update(changes)
+        .eq("id", watchId)
+        .select()
+
+      if (error) {
+        console.error(`DB update error for watch ${watchId}:`, error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data?.[0] || null
+    },
+
+    async insertIngestionRun(record) {
+      const { data, error } = await db
+        .from("ingestion_runs")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB run insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async updateIngestionRun(runId, changes) {
+      const { data, error } = await db
+        .from("ingestion_runs")
+        .update(changes)
+        .eq("id", runId)
+        .select()
+
+      if (error) {
+        console.error(`DB update error for run ${runId}:`, error.message)
+        return null
+      }
+
+      return data?.[0] || null
+    },
+
+    async getIngestionRuns(watchId, limit) {
+      const { data, error } = await db
+        .from("ingestion_runs")
+        .select("*")
+        .eq("watch_id", watchId)
+        .order("started_at", { ascending: false })
+        .limit(limit)
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        return []
+      }
+
+      return data || []
+    },
+
+    // ─── JOBS ───────────────────────────────────────────────────────────────
+
+    async insertJob(record) {
+      const { data, error } = await db
+        .from("jobs")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB job insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getJob(jobId) {
+      const { data, error } = await db
+        .from("jobs")
+        .select("*")
+        .eq("id", jobId)
+        .single()
+
+      if (error && error.code !== "PGRST116") {
+        console.error("DB lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || null
+    },
+
+    async updateJob(jobId, changes) {
+      const { data, error } = await db
+        .from("jobs")
+        .update(changes)
+        .eq("id", jobId)
+        .select()
+
+      if (error) {
+        console.error(`DB update error for job ${jobId}:`, error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data?.[0] || null
+    },
+
+    async getJobs({ statuses, limit, oldestFirst }) {
+      let query = db.from("jobs").select("*")
+      if (statuses) query = query.in("status", statuses)
+
+      const { data, error } = await query
+        .order("created_at", { ascending: oldestFirst })
+        .limit(limit)
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || []
+    },
+
+    // ─── CLASSIFIER FEEDBACK, MODELS + RULESETS ─────────────────────────────
+
+    async insertClassifierFeedback(record) {
+      const { data, error } = await db
+        .from("classifier_feedback")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB feedback insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getClassifierFeedback() {
+      const { data, error } = await db
+        .from("classifier_feedback")
+        .select("*")
+        .order("created_at", { ascending: true })
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || []
+    },
+
+    async insertClassifierModel(record) {
+      const { data, error } = await db
+        .from("classifier_models")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB model insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getClassifierModels() {
+      const { data, error } = await db
+        .from("classifier_models")
+        .select("version,algorithm,metrics,active,trained_by,created_at")
+        .order("version", { ascending: false })
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || []
+    },
+
+    async getClassifierModel(version) {
+      const { data, error } = await db
+        .from("classifier_models")
+        .select("*")
+        .eq("version", version)
+        .maybeSingle()
+
+      if (error) {
+        console.error("DB lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getActiveClassifierModel() {
+      const { data, error } = await db
+        .from("classifier_models")
+        .select("*")
+        .eq("active", true)
+        .order("version", { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (error) {
+        console.error("DB lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async activateClassifierModel(version) {
+      const { data, error } = await db
+        .from("classifier_models")
+        .update({ active: true })
+        .eq("version", version)
+        .select("version,algorithm,metrics,active,trained_by,created_at")
+
+      if (error) {
+        console.error(`DB update error for model v${version}:`, error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+      if (!data?.length) return null
+
+      // Only one active version at a time
+      const { error: resetError } = await db
+        .from("classifier_models")
+        .update({ active: false })
+        .neq("version", version)
+
+      if (resetError) {
+        console.error("DB update error:", resetError.message)
+        throw new Error(`Database error: ${resetError.message}`)
+      }
+
+      return data[0]
+    },
+
+    async insertClassifierRuleset(record) {
+      const { data, error } = await db
+        .from("classifier_rulesets")
+        .insert([record])
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB ruleset insert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getClassifierRulesets() {
+      const { data, error } = await db
+        .from("classifier_rulesets")
+        .select("version,active,based_on,created_by,note,created_at")
+        .order("version", { ascending: false })
+
+      if (error) {
+        console.error("DB fetch error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data || []
+    },
+
+    async getClassifierRuleset(version) {
+      const { data, error } = await db
+        .from("classifier_rulesets")
+        .select("*")
+        .eq("version", version)
+        .maybeSingle()
+
+      if (error) {
+        console.error("DB lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async getActiveClassifierRuleset() {
+      const { data, error } = await db
+        .from("classifier_rulesets")
+        .select("*")
+        .eq("active", true)
+        .order("version", { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (error) {
+        console.error("DB lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async activateClassifierRuleset(version) {
+      const { data, error } = await db
+        .from("classifier_rulesets")
+        .update({ active: true })
+        .eq("version", version)
+        .select()
+
+      if (error) {
+        console.error(`DB update error for ruleset v${version}:`, error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+      if (!data?.length) return null
+
+      // Only one active version at a time
+      const { error: resetError } = await db
+        .from("classifier_rulesets")
+        .update({ active: false })
+        .neq("version", version)
+
+      if (resetError) {
+        console.error("DB update error:", resetError.message)
+        throw new Error(`Database error: ${resetError.message}`)
+      }
+
+      return data[0]
+    },
+
+    async getGeocodeCacheEntry(cacheKey) {
+      const { data, error } = await db
+        .from("geocode_cache")
+        .select("*")
+        .eq("cache_key", cacheKey)
+        .maybeSingle()
+
+      if (error) {
+        console.error("DB lookup error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async upsertGeocodeCacheEntry(entry) {
+      const { data, error } = await db
+        .from("geocode_cache")
+        .upsert([entry], { onConflict: "cache_key" })
+        .select()
+        .single()
+
+      if (error) {
+        console.error("❌ DB geocode cache upsert error:", error.message)
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return data
+    },
+
+    async pruneGeocodeCache({ staleBefore, maxEntries }) {
+      const { data: stale, error: staleError } = await db
+        .from("geocode_cache")
+        .delete()
+        .lt("expires_at", staleBefore)
+        .select("cache_key")
+
+      if (staleError) throw new Error(`Database error: ${staleError.message}`)
+
+      // Everything past the newest maxEntries (by expiry), a page at a time
+      const { data: overflow, error: overflowError } = await db
+        .from("geocode_cache")
+        .select("cache_key")
+        .order("expires_at", { ascending: false })
+        .order("updated_at", { ascending: false })
+        .range(maxEntries, maxEntries + PAGE_SIZE - 1)
+
+      if (overflowError) throw new Error(`Database error: ${overflowError.message}`)
+
+      if (overflow?.length) {
+        const { error: deleteError } = await db
+          .from("geocode_cache")
+          .delete()
+          .in("cache_key", overflow.map(row => row.cache_key))
+
+        if (deleteError) throw new Error(`Database error: ${deleteError.message}`)
+      }
+
+      return (stale?.length || 0) + (overflow?.length || 0)
+    },
+  }
+}
+
+module.exports = { createSupabaseStorage }
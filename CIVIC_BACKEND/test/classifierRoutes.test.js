@@ -0,0 +1,34 @@
+// test/classifierRoutes.test.js
+// Corrections feed the next retrain, so only admins may send them
+
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+
+process.env.ADMIN_API_KEY = "test-admin-key"
+
+const classifierRoutes = require("../src/routes/classifier")
+const { formatComplaintId } = require("../src/services/complaintIdService")
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/classifier", classifierRoutes)
+  server = app.listen(0)
+  await new Promise(resolve => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/classifier`
+})
+
+after(() => server.close())
+
+test("POST /feedback needs the admin key", async () => {
+  const response = await fetch(`${baseUrl}/feedback`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ complaintId: formatComplaintId(2026, 900301), department: "PWD", actor: "anyone" }),
+  })
+  assert.equal(response.status, 401)
+})
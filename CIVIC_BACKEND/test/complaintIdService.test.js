@@ -0,0 +1,59 @@
+// test/complaintIdService.test.js
+// Complaint IDs — format, Luhn check digit, allocation
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+const {
+  formatComplaintId,
+  isValidComplaintId,
+  allocateComplaintId,
+} = require("../src/services/complaintIdService")
+
+test("formats year, zero-padded sequence and check digit", () => {
+  assert.equal(formatComplaintId(2026, 42), "CMR-2026-000042-5")
+  assert.match(formatComplaintId(2026, 1234567), /^CMR-2026-1234567-\d$/)
+})
+
+test("formatted IDs pass validation", () => {
+  for (const sequence of [1, 42, 999999, 1000000]) {
+    assert.ok(isValidComplaintId(formatComplaintId(2026, sequence), { allowLegacy: false }))
+  }
+})
+
+test("a wrong check digit is rejected", () => {
+  assert.equal(isValidComplaintId("CMR-2026-000042-4"), false)
+  assert.equal(isValidComplaintId("CMR-2026-000042-6"), false)
+})
+
+test("single-digit typos and swapped neighbours are caught", () => {
+  const id = formatComplaintId(2026, 4271)
+  const digits = id.slice(4, 8) + id.slice(9, 15)
+
+  for (let i = 0; i < digits.length; i++) {
+    const typo = digits.slice(0, i) + ((Number(digits[i]) + 1) % 10) + digits.slice(i + 1)
+    assert.equal(isValidComplaintId(`CMR-${typo.slice(0, 4)}-${typo.slice(4)}-${id.slice(-1)}`), false, typo)
+  }
+
+  assert.equal(isValidComplaintId("CMR-2026-004217-6"), false)
+})
+
+test("legacy IDs are accepted only when allowed", () => {
+  assert.ok(isValidComplaintId("CMR-2026-4821"))
+  assert.equal(isValidComplaintId("CMR-2026-4821", { allowLegacy: false }), false)
+})
+
+test("malformed IDs are rejected", () => {
+  for (const id of [null, 42, "", "CMR-2026-42-5", "cmr-2026-000042-5", "CMR-2026-000042-5 ", "CMR-26-000042-5"]) {
+    assert.equal(isValidComplaintId(id), false, String(id))
+  }
+})
+
+test("allocated IDs are valid and never repeat", async () => {
+  const first = await allocateComplaintId()
+  const second = await allocateComplaintId()
+
+  assert.ok(isValidComplaintId(first, { allowLegacy: false }))
+  assert.ok(isValidComplaintId(second, { allowLegacy: false }))
+  assert.notEqual(first, second)
+})
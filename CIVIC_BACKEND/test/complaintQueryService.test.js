@@ -0,0 +1,54 @@
+// test/complaintQueryService.test.js
+// /all query parsing, and keyset paging + facets on the memory backend
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+const { parseComplaintQuery } = require("../src/services/complaintQueryService")
+const { insertComplaint, queryComplaints } = require("../src/services/databaseService")
+const { formatComplaintId } = require("../src/services/complaintIdService")
+
+test("limit is clamped between 1 and 200", () => {
+  assert.equal(parseComplaintQuery({ limit: "-5" }).criteria.limit, 1)
+  assert.equal(parseComplaintQuery({ limit: "1000" }).criteria.limit, 200)
+  assert.equal(parseComplaintQuery({ limit: "abc" }).criteria.limit, 50)
+  assert.equal(parseComplaintQuery({ limit: "20" }).criteria.limit, 20)
+})
+
+test("facets are only counted when asked for", async () => {
+  await insertComplaint({ complaintId: formatComplaintId(2026, 900401), title: "Open drain", department: "Jal Board", urgency: "low" })
+
+  const withoutFacets = await queryComplaints(parseComplaintQuery({ department: "Jal Board" }).criteria)
+  assert.equal(withoutFacets.facets, null)
+  assert.ok(withoutFacets.total >= 1)
+
+  const withFacets = await queryComplaints(parseComplaintQuery({ department: "Jal Board", facets: "true" }).criteria)
+  assert.equal(withFacets.facets.department["Jal Board"], withFacets.total)
+})
+
+test("paging by priority visits every row once, including unscored ones", async () => {
+  const scores = [80, null, 40, null, 80]
+  for (const [i, priorityScore] of scores.entries()) {
+    await insertComplaint({
+      complaintId: formatComplaintId(2026, 900410 + i),
+      title: `Broken footpath ${i}`,
+      department: "Traffic",
+      urgency: "medium",
+      priorityScore,
+    })
+  }
+
+  const seen = []
+  let cursor
+  do {
+    const { criteria } = parseComplaintQuery({ department: "Traffic", sort: "priority", limit: "2", cursor })
+    const page = await queryComplaints(criteria)
+    seen.push(...page.complaints)
+    cursor = page.nextCursor
+  } while (cursor)
+
+  assert.equal(seen.length, scores.length)
+  assert.equal(new Set(seen.map(c => c.complaint_id)).size, scores.length)
+  // NULL sorts as the largest value — first when sorting highest first
+  assert.deepEqual(seen.map(c => c.priority_score), [null, null, 80, 80, 40])
+})
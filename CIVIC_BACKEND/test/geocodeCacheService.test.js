@@ -0,0 +1,51 @@
+// test/geocodeCacheService.test.js
+// Geocode cache keys and the size bound
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+process.env.GEOCODE_CACHE_MAX_ENTRIES = "3"
+
+const { cacheKey, cachedGeocode } = require("../src/services/geocodeCacheService")
+const { getGeocodeCacheEntry, saveGeocodeCacheEntry } = require("../src/services/databaseService")
+
+const fakeCoords = placeName => ({ lat: 28.6, lng: 77.2, displayName: `${placeName}, Delhi`, boundingBox: null })
+
+test("spelling, case and punctuation variants share one entry", async () => {
+  assert.equal(cacheKey("Janakpuri"), cacheKey("janakpuri, "))
+
+  let fetches = 0
+  const fetchCoords = async placeName => { fetches++; return fakeCoords(placeName) }
+  await cachedGeocode("Janakpuri", fetchCoords)
+  await cachedGeocode("  JANAKPURI,", fetchCoords)
+
+  assert.equal(fetches, 1)
+})
+
+test("adding a place past the maximum evicts the entries fetched longest ago", async () => {
+  const fetchCoords = async placeName => fakeCoords(placeName)
+  for (const place of ["Rohini", "Dwarka", "Saket", "Okhla"]) {
+    await cachedGeocode(place, fetchCoords)
+  }
+
+  // Janakpuri (previous test) and Rohini were fetched first
+  assert.equal(await getGeocodeCacheEntry(cacheKey("Janakpuri")), null)
+  assert.equal(await getGeocodeCacheEntry(cacheKey("Rohini")), null)
+  for (const place of ["Dwarka", "Saket", "Okhla"]) {
+    assert.ok(await getGeocodeCacheEntry(cacheKey(place)), place)
+  }
+})
+
+test("entries expired for longer than the stale window are dropped", async () => {
+  await saveGeocodeCacheEntry({
+    cacheKey: cacheKey("Narela"),
+    query: "Narela",
+    found: false,
+    expiresAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+  })
+
+  await cachedGeocode("Bawana", async placeName => fakeCoords(placeName))
+
+  assert.equal(await getGeocodeCacheEntry(cacheKey("Narela")), null)
+  assert.ok(await getGeocodeCacheEntry(cacheKey("Bawana")))
+})
@@ -0,0 +1,31 @@
+// test/ingestionRoutes.test.js
+// Pausing, resuming and running watches need the admin key
+
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+
+process.env.ADMIN_API_KEY = "test-admin-key"
+
+const ingestionRoutes = require("../src/routes/ingestion")
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/ingestion", ingestionRoutes)
+  server = app.listen(0)
+  await new Promise(resolve => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/ingestion`
+})
+
+after(() => server.close())
+
+for (const action of ["pause", "resume", "run"]) {
+  test(`POST /watches/:watchId/${action} needs the admin key`, async () => {
+    const response = await fetch(`${baseUrl}/watches/delhi-pothole/${action}`, { method: "POST" })
+    assert.equal(response.status, 401)
+  })
+}
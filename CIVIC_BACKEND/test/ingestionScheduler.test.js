@@ -0,0 +1,114 @@
+// test/ingestionScheduler.test.js
+// Scheduled ingestion — watermarks, pausing, background manual runs and
+// posts that keep failing
+
+const { test, before } = require("node:test")
+const assert = require("node:assert/strict")
+
+process.env.REDDIT_WATCHES = "pothole@delhi"
+process.env.INGESTION_MAX_POST_ATTEMPTS = "2"
+
+// Fixed posts instead of Reddit, and a pipeline that fails on request
+const redditService = require("../src/services/redditService")
+const registrationService = require("../src/services/registrationService")
+
+let posts = []
+const failing = new Set()
+const ingested = []
+
+redditService.fetchRedditPosts = async () => posts
+registrationService.ingestRedditPost = async post => {
+  if (failing.has(post.redditId)) throw new Error("bad data")
+  ingested.push(post.redditId)
+  return { outcome: "registered" }
+}
+
+const {
+  startIngestionScheduler,
+  findWatch,
+  pauseWatch,
+  resumeWatch,
+  runWatchNow,
+} = require("../src/services/ingestionScheduler")
+const { getIngestionRuns } = require("../src/services/databaseService")
+
+const WATCH_ID = "delhi-pothole"
+
+function post(redditId, minute) {
+  return { redditId, title: `Pothole ${redditId}`, body: "", createdAt: `2026-03-01T10:${String(minute).padStart(2, "0")}:00.000Z` }
+}
+
+/**
+ * Starts a manual run and waits for it to finish (it runs in the background).
+ */
+async function runAndWait() {
+  const started = await runWatchNow(await findWatch(WATCH_ID))
+  assert.equal(started.status, "running")
+
+  for (let i = 0; i < 200; i++) {
+    const [run] = await getIngestionRuns(WATCH_ID, 1)
+    if (run.id === started.id && run.status !== "running") return run
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  throw new Error("Run never finished")
+}
+
+before(async () => {
+  await startIngestionScheduler()
+})
+
+test("a run handles posts oldest first and the next run skips them", async () => {
+  posts = [post("b", 2), post("a", 1)]
+
+  const first = await runAndWait()
+  assert.equal(first.registered, 2)
+  assert.deepEqual(ingested, ["a", "b"])
+
+  const watch = await findWatch(WATCH_ID)
+  assert.equal(watch.watermark_post_id, "b")
+
+  posts = [post("c", 3), post("b", 2), post("a", 1)]
+  const second = await runAndWait()
+  assert.equal(second.new_posts, 1)
+  assert.deepEqual(ingested, ["a", "b", "c"])
+})
+
+test("only one run at a time", async () => {
+  const watch = await findWatch(WATCH_ID)
+  assert.equal((await runWatchNow(watch)).status, "running")
+  assert.equal(await runWatchNow(watch), null)
+
+  // Let it finish before the next test
+  while ((await getIngestionRuns(WATCH_ID, 1))[0].status === "running") {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+})
+
+test("pausing and resuming a watch", async () => {
+  assert.equal((await pauseWatch(WATCH_ID)).paused, true)
+  assert.equal((await findWatch(WATCH_ID)).paused, true)
+  assert.equal((await resumeWatch(WATCH_ID)).paused, false)
+})
+
+test("a failing post is retried, then skipped so later posts get through", async () => {
+  posts = [post("e", 5), post("d", 4)]
+  failing.add("d")
+
+  const retry = await runAndWait()
+  assert.equal(retry.status, "failed")
+  assert.equal(retry.failed, 1)
+  assert.ok(!ingested.includes("e"))
+  let watch = await findWatch(WATCH_ID)
+  assert.equal(watch.watermark_post_id, "c")
+  assert.equal(watch.failing_post_id, "d")
+  assert.equal(watch.failing_post_attempts, 1)
+
+  const skip = await runAndWait()
+  assert.equal(skip.status, "success")
+  assert.equal(skip.failed, 1)
+  assert.match(skip.error, /Skipped post d after 2 failed attempts/)
+  assert.ok(ingested.includes("e"))
+  watch = await findWatch(WATCH_ID)
+  assert.equal(watch.watermark_post_id, "e")
+  assert.equal(watch.failing_post_id, null)
+})
@@ -0,0 +1,34 @@
+// test/jobRoutes.test.js
+// Listing and cancelling jobs need the admin key
+
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+
+process.env.ADMIN_API_KEY = "test-admin-key"
+
+const jobRoutes = require("../src/routes/jobs")
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/jobs", jobRoutes)
+  server = app.listen(0)
+  await new Promise(resolve => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/jobs`
+})
+
+after(() => server.close())
+
+test("GET / needs the admin key", async () => {
+  const response = await fetch(baseUrl)
+  assert.equal(response.status, 401)
+})
+
+test("POST /:id/cancel needs the admin key", async () => {
+  const response = await fetch(`${baseUrl}/some-job/cancel`, { method: "POST" })
+  assert.equal(response.status, 401)
+})
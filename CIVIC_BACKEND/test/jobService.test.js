@@ -0,0 +1,97 @@
+// test/jobService.test.js
+// Batch job queue — processing, cancelling, resuming after a restart, and
+// jobs queued while the worker is finishing up
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+// The worker fetches from Reddit — hand it fixed posts instead
+const redditService = require("../src/services/redditService")
+const POSTS = [
+  { redditId: "job1", title: "Best momos near Rajouri Garden?", body: "", author: "foodie", permalink: "/r/delhi/1" },
+  { redditId: "job2", title: "Which cricket bat should I buy", body: "", author: "batsman", permalink: "/r/delhi/2" },
+]
+redditService.fetchRedditPosts = async () => POSTS
+
+const { enqueueBatchJob, cancelJob, resumeInterruptedJobs } = require("../src/services/jobService")
+const { insertJob, getJob, updateJob } = require("../src/services/databaseService")
+const { getStorage } = require("../src/storage")
+
+const PARAMS = { keyword: "test", subreddit: "delhi", limit: 2 }
+
+/**
+ * Polls until the job has left queued/running (the worker runs in the background).
+ */
+async function waitForJob(jobId) {
+  for (let i = 0; i < 200; i++) {
+    const job = await getJob(jobId)
+    if (!["queued", "running"].includes(job.status)) return job
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  throw new Error(`Job ${jobId} never finished`)
+}
+
+test("a queued job processes every post and completes", async () => {
+  const queued = await enqueueBatchJob(PARAMS)
+  const job = await waitForJob(queued.id)
+
+  assert.equal(job.status, "completed")
+  assert.deepEqual(job.items.map(item => item.redditId), ["job1", "job2"])
+  assert.ok(job.items.every(item => item.outcome === "rejected"))
+})
+
+test("cancelling a queued job cancels it straight away; a finished one is left alone", async () => {
+  // Inserted without waking the worker, so it stays queued
+  const queued = await insertJob({ id: "job-cancel-queued", type: "batch-process", params: PARAMS })
+
+  const cancelled = await cancelJob(queued.id)
+  assert.equal(cancelled.status, "cancelled")
+  assert.equal(cancelled.cancel_requested, true)
+
+  const finished = await updateJob((await insertJob({ id: "job-done", type: "batch-process", params: PARAMS })).id, { status: "completed" })
+  const untouched = await cancelJob(finished.id)
+  assert.equal(untouched.status, "completed")
+  assert.equal(untouched.cancel_requested, false)
+
+  assert.equal(await cancelJob("no-such-job"), null)
+})
+
+test("a job interrupted by a restart resumes from its first unfinished post", async () => {
+  const interrupted = await insertJob({ id: "job-interrupted", type: "batch-process", params: PARAMS })
+  const doneItem = { redditId: "job1", title: "Best momos near Rajouri Garden?", outcome: "rejected", reason: "kept" }
+  await updateJob(interrupted.id, { status: "running", posts: POSTS, items: [doneItem] })
+
+  await resumeInterruptedJobs()
+  const job = await waitForJob(interrupted.id)
+
+  assert.equal(job.status, "completed")
+  assert.equal(job.items.length, 2)
+  assert.deepEqual(job.items[0], doneItem)
+  assert.equal(job.items[1].redditId, "job2")
+})
+
+test("a job queued while the worker checks for more work is still picked up", async () => {
+  const storage = getStorage()
+  const originalGetJobs = storage.getJobs
+  let late = null
+
+  // Queue a job after the worker's "anything left?" query has read an empty
+  // queue but before it has answered — the slow-query race on Supabase
+  storage.getJobs = async function (options) {
+    const result = await originalGetJobs.call(this, options)
+    if (!late && options.statuses?.includes("queued") && result.length === 0) {
+      late = await enqueueBatchJob(PARAMS)
+    }
+    return result
+  }
+
+  try {
+    const first = await enqueueBatchJob(PARAMS)
+    await waitForJob(first.id)
+    while (!late) await new Promise(resolve => setTimeout(resolve, 10))
+
+    assert.equal((await waitForJob(late.id)).status, "completed")
+  } finally {
+    storage.getJobs = originalGetJobs
+  }
+})
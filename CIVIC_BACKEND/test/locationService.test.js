@@ -0,0 +1,63 @@
+// test/locationService.test.js
+// Submitted locations — redacted before they're matched, geocoded or stored;
+// coordinates only trusted inside Delhi
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+// Offline: the bundled gazetteer only
+process.env.GEOCODERS = "gazetteer"
+
+const { resolveSubmittedLocation, isInDelhi } = require("../src/services/locationService")
+
+test("a phone number in the submitted location is not stored", async () => {
+  const location = await resolveSubmittedLocation({
+    location: "Call 9876543210, near Sultanpuri",
+    lat: 28.69,
+    lng: 77.05,
+    fallbackText: "Pothole",
+  })
+
+  assert.ok(!location.localityName.includes("9876543210"), location.localityName)
+})
+
+test("a house number in an unknown location is not stored", async () => {
+  const location = await resolveSubmittedLocation({
+    location: "House No. 221, Gali 4",
+    fallbackText: "Pothole",
+  })
+
+  assert.ok(!location.localityName.includes("221"), location.localityName)
+  assert.ok(!location.displayName.includes("221"), location.displayName)
+})
+
+test("the locality is still found next to a redacted house number", async () => {
+  const location = await resolveSubmittedLocation({
+    location: "Flat 302, B-12/45, Janakpuri",
+    fallbackText: "Pothole",
+  })
+
+  assert.equal(location.localityName, "Janakpuri")
+  assert.equal(location.geocoded, true)
+})
+
+test("coordinates inside Delhi are used as given", async () => {
+  const location = await resolveSubmittedLocation({ location: "Janakpuri", lat: 28.6219, lng: 77.091, fallbackText: "Pothole" })
+
+  assert.equal(location.lat, 28.6219)
+  assert.equal(location.lng, 77.091)
+  assert.equal(location.geocoded, true)
+})
+
+test("coordinates outside Delhi are ignored", async () => {
+  assert.equal(isInDelhi(19.076, 72.8777), false)
+
+  // Mumbai, with a Delhi locality typed in — the locality is geocoded instead
+  const located = await resolveSubmittedLocation({ location: "Janakpuri", lat: 19.076, lng: 72.8777, fallbackText: "Pothole" })
+  assert.notEqual(located.lat, 19.076)
+  assert.equal(located.localityName, "Janakpuri")
+
+  // Nothing else to go on — not geocoded, so it can't be merged with anything nearby
+  const unlocated = await resolveSubmittedLocation({ lat: 0, lng: 0, fallbackText: "Pothole" })
+  assert.equal(unlocated.geocoded, false)
+})
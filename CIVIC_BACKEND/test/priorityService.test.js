@@ -0,0 +1,84 @@
+// test/priorityService.test.js
+// Priority score — components, caps and the urgency thresholds
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+const { computePriority, updatePriority } = require("../src/services/priorityService")
+const { analyzeUrgency } = require("../src/services/urgencyService")
+
+const rules = {
+  highUrgencyWords: ["danger", "accident", "urgent"],
+  mediumUrgencyWords: ["broken", "overflowing", "smell"],
+}
+
+const priorityOf = (text, signals) => computePriority(analyzeUrgency(text, rules), signals)
+
+test("a negated urgency word scores nothing", () => {
+  const priority = priorityOf("No danger here")
+  assert.equal(priority.components.text.points, 0)
+  assert.equal(priority.score, 0)
+  assert.equal(priority.urgency, "low")
+})
+
+test("\"for 3 weeks\" scores 25 duration points and makes the complaint medium", () => {
+  const priority = priorityOf("Streetlight out for 3 weeks")
+  assert.equal(priority.components.duration.points, 25)
+  assert.equal(priority.score, 25)
+  assert.equal(priority.urgency, "medium")
+})
+
+test("duration steps at 2, 7 and 30 days", () => {
+  assert.equal(priorityOf("for 1 day").components.duration.points, 0)
+  assert.equal(priorityOf("for 2 days").components.duration.points, 10)
+  assert.equal(priorityOf("for 7 days").components.duration.points, 25)
+  assert.equal(priorityOf("for 30 days").components.duration.points, 50)
+})
+
+test("a hazard near a school forces high", () => {
+  const priority = priorityOf("Open manhole outside the school")
+  assert.equal(priority.components.hazard.points, 50)
+  assert.equal(priority.urgency, "high")
+})
+
+test("a hazard on its own adds only a little", () => {
+  const priority = priorityOf("Open manhole on the main road")
+  assert.equal(priority.components.hazard.points, 10)
+  assert.equal(priority.urgency, "low")
+})
+
+test("medium words alone are capped below high", () => {
+  const priority = priorityOf("broken pipe, overflowing drain, bad smell")
+  assert.equal(priority.components.text.points, 20)
+  assert.equal(priority.urgency, "medium")
+})
+
+test("two high words reach the high threshold", () => {
+  const priority = priorityOf("urgent: accident waiting to happen")
+  assert.equal(priority.components.text.points, 50)
+  assert.equal(priority.score, 50)
+  assert.equal(priority.urgency, "high")
+})
+
+test("the total is capped at 100", () => {
+  const priority = priorityOf("urgent, danger: open manhole near the school for 2 months", {
+    engagement: { score: 10000, numComments: 500 },
+    reportCount: 5,
+  })
+  assert.equal(priority.score, 100)
+})
+
+test("engagement and reports are scored and capped", () => {
+  const priority = priorityOf("Pothole", { engagement: { score: 9, numComments: 0 }, reportCount: 10 })
+  assert.equal(priority.components.engagement.points, 5)
+  assert.equal(priority.components.reports.points, 30)
+})
+
+test("updatePriority only changes the signals it's given", () => {
+  const priority = priorityOf("Streetlight out for 3 weeks")
+  const updated = updatePriority(priority, { reportCount: 2 })
+  assert.equal(updated.components.duration.points, 25)
+  assert.equal(updated.components.reports.points, 10)
+  assert.equal(updated.score, 35)
+  assert.deepEqual(updated.components.engagement, priority.components.engagement)
+})
@@ -0,0 +1,121 @@
+// test/publicRecords.test.js
+// Public complaint endpoints never return the citizen's contact details or
+// unredacted text; the admin-only /raw route does
+
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+
+process.env.ADMIN_API_KEY = "test-admin-key"
+
+const complaintRoutes = require("../src/routes/complaint")
+const { RESTRICTED_FIELDS } = require("../src/services/redactionService")
+const { insertComplaint, insertComplaintReport } = require("../src/services/databaseService")
+const { formatComplaintId } = require("../src/services/complaintIdService")
+
+const COMPLAINT_ID = formatComplaintId(2026, 900101)
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/complaint", complaintRoutes)
+  server = app.listen(0)
+  await new Promise(resolve => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/complaint`
+
+  const citizen = {
+    sourceHandle: "Ravi Kumar",
+    citizenName: "Ravi Kumar",
+    citizenEmail: "ravi@example.com",
+    citizenPhone: "+919876543210",
+  }
+  await insertComplaint({
+    complaintId: COMPLAINT_ID,
+    title: "Pothole, call [phone]",
+    description: "Big pothole",
+    rawTitle: "Pothole, call 9876543210",
+    rawDescription: "Big pothole",
+    department: "PWD",
+    urgency: "high",
+    source: "web",
+    ...citizen,
+  })
+  await insertComplaintReport({ complaintId: COMPLAINT_ID, title: "Same pothole", description: "Still there", source: "web", ...citizen })
+})
+
+after(() => server.close())
+
+function assertNoRestrictedFields(record) {
+  for (const field of RESTRICTED_FIELDS) {
+    assert.ok(!(field in record), `${field} should not be public`)
+  }
+  assert.ok(!JSON.stringify(record).includes("ravi@example.com"))
+  assert.ok(!JSON.stringify(record).includes("9876543210"))
+}
+
+test("contact columns are restricted", () => {
+  for (const field of ["citizen_name", "citizen_email", "citizen_phone", "source_handle", "raw_title", "raw_description"]) {
+    assert.ok(RESTRICTED_FIELDS.includes(field), field)
+  }
+})
+
+test("GET /all leaves out contact details and raw text", async () => {
+  const body = await (await fetch(`${baseUrl}/all`)).json()
+
+  const complaint = body.complaints.find(c => c.complaint_id === COMPLAINT_ID)
+  assert.ok(complaint)
+  assert.equal(complaint.title, "Pothole, call [phone]")
+  assertNoRestrictedFields(complaint)
+})
+
+test("GET /:complaintId/reports leaves out contact details", async () => {
+  const body = await (await fetch(`${baseUrl}/${COMPLAINT_ID}/reports`)).json()
+
+  assert.equal(body.reports.length, 1)
+  assertNoRestrictedFields(body.reports[0])
+})
+
+test("GET /track/:complaintId leaves out contact details", async () => {
+  const body = await (await fetch(`${baseUrl}/track/${COMPLAINT_ID}`)).json()
+
+  assert.equal(body.complaint.complaintId, COMPLAINT_ID)
+  assertNoRestrictedFields(body.complaint)
+})
+
+test("GET /:complaintId/raw needs the admin key", async () => {
+  const response = await fetch(`${baseUrl}/${COMPLAINT_ID}/raw`)
+  assert.equal(response.status, 401)
+})
+
+test("GET /:complaintId/raw fails closed when no admin key is configured", async () => {
+  delete process.env.ADMIN_API_KEY
+  try {
+    const response = await fetch(`${baseUrl}/${COMPLAINT_ID}/raw`)
+    const text = await response.text()
+
+    assert.equal(response.status, 503)
+    assert.ok(!text.includes("ravi@example.com"))
+  } finally {
+    process.env.ADMIN_API_KEY = "test-admin-key"
+  }
+})
+
+test("GET /:complaintId/raw returns the original text and contact details to admins", async () => {
+  const response = await fetch(`${baseUrl}/${COMPLAINT_ID}/raw`, {
+    headers: { Authorization: "Bearer test-admin-key" },
+  })
+  const body = await response.json()
+
+  assert.equal(response.status, 200)
+  assert.equal(body.title, "Pothole, call 9876543210")
+  assert.deepEqual(body.contact, {
+    name: "Ravi Kumar",
+    email: "ravi@example.com",
+    phone: "+919876543210",
+    sourceHandle: "Ravi Kumar",
+  })
+  assert.equal(body.reports[0].contact.email, "ravi@example.com")
+})
@@ -0,0 +1,81 @@
+// test/redactionService.test.js
+// Personal details removed from complaint text, and restricted columns from public records
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+const { redactText, redactComplaintText, toPublicRecord } = require("../src/services/redactionService")
+
+test("emails, mobiles and landlines are replaced", () => {
+  const { text, redactions } = redactText("Mail me at ravi.k@gmail.com or call +91 98765 43210 / 011-2345 6789")
+  assert.equal(text, "Mail me at [email] or call [phone] / [phone]")
+  assert.deepEqual(redactions, { email: 1, phone: 2 })
+})
+
+test("Aadhaar-like numbers are replaced", () => {
+  assert.equal(redactText("My aadhaar is 2345 6789 0123").text, "My aadhaar is [aadhaar]")
+})
+
+test("vehicle plates are replaced", () => {
+  assert.equal(redactText("Car DL 3C AB 1234 parked on the footpath").text, "Car [vehicle number] parked on the footpath")
+  assert.equal(redactText("Bike MH12AB1234 and 22 BH 1234 AA").text, "Bike [vehicle number] and [vehicle number]")
+})
+
+test("house and flat numbers are replaced", () => {
+  assert.equal(redactText("Outside House No. 123").text, "Outside [house number]")
+  assert.equal(redactText("Leak near H.No 45/2").text, "Leak near [house number]")
+  assert.equal(redactText("Flat 302 has no water").text, "[house number] has no water")
+})
+
+test("localities, sectors and blocks are kept", () => {
+  const text = "Pothole in Rohini Sector 7, B block, pocket 4, Janakpuri"
+  assert.deepEqual(redactText(text), { text, redactions: {} })
+})
+
+test("block, road and terminal codes are kept", () => {
+  for (const text of ["Garbage in GK-1 M block", "Potholes on NH-48 near Mahipalpur", "Drain blocked in C-4 Janakpuri", "Taxi queue at T-3", "gk-2 market"]) {
+    assert.deepEqual(redactText(text), { text, redactions: {} }, text)
+  }
+})
+
+test("block/house numbers with a house part are replaced", () => {
+  assert.equal(redactText("Water leaking at B-12/45 Janakpuri").text, "Water leaking at [house number] Janakpuri")
+  assert.equal(redactText("Outside DA-7/102/3").text, "Outside [house number]")
+})
+
+test("non-strings pass through", () => {
+  assert.deepEqual(redactText(null), { text: "", redactions: {} })
+})
+
+test("the original text is kept only when something was redacted", () => {
+  const clean = redactComplaintText("Pothole", "Big pothole in Saket")
+  assert.equal(clean.rawTitle, null)
+  assert.equal(clean.rawDescription, null)
+
+  const redacted = redactComplaintText("Pothole", "Call 9876543210")
+  assert.equal(redacted.description, "Call [phone]")
+  assert.equal(redacted.rawDescription, "Call 9876543210")
+  assert.deepEqual(redacted.redactions, { phone: 1 })
+})
+
+test("public records drop the unredacted text and contact details", () => {
+  const record = {
+    complaint_id: "CMR-2026-000042-5",
+    title: "Call [phone]",
+    raw_title: "Call 9876543210",
+    raw_description: "x",
+    citizen_name: "Ravi",
+    citizen_email: "ravi@example.com",
+    citizen_phone: "9876543210",
+    source_handle: "Ravi",
+  }
+  const publicRecord = toPublicRecord(record)
+
+  assert.equal(publicRecord.title, "Call [phone]")
+  assert.ok(!("raw_title" in publicRecord))
+  assert.ok(!("raw_description" in publicRecord))
+  for (const field of ["citizen_name", "citizen_email", "citizen_phone", "source_handle"]) {
+    assert.ok(!(field in publicRecord), field)
+  }
+  assert.equal(record.raw_title, "Call 9876543210", "the original record is not modified")
+})
@@ -0,0 +1,68 @@
+// test/registrationService.test.js
+// Corroborating reports — merged into the existing complaint, recounted,
+// bumping its priority, and announced to the authority that has it
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+// Record who the corroboration emails go to instead of sending them
+const emailService = require("../src/services/emailService")
+const corroborationEmails = []
+emailService.sendCorroborationEmail = async (record, municipalContact) => {
+  corroborationEmails.push({ complaintId: record.complaint_id, municipalContact })
+  return { success: true }
+}
+
+const { registerComplaint } = require("../src/services/registrationService")
+const { classifyComplaint } = require("../src/services/classifierService")
+const { getComplaintById, getComplaintReports } = require("../src/services/databaseService")
+
+const TITLE = "Huge pothole outside the metro gate"
+const DESCRIPTION = "Deep pothole outside the metro gate, bikes keep skidding into it"
+
+// Either side of the Connaught Place (NDMC Zone) / Paharganj (City SP Zone)
+// ward boundary, ~180 m apart
+const CONNAUGHT_PLACE = { localityName: "Connaught Place", lat: 28.63663, lng: 77.21155, geocoded: true }
+const PAHARGANJ = { localityName: "Paharganj", lat: 28.63823, lng: 77.21155, geocoded: true }
+
+function report(locationData, redditId) {
+  return registerComplaint({
+    title: TITLE,
+    description: DESCRIPTION,
+    classification: classifyComplaint(TITLE, DESCRIPTION),
+    locationData,
+    source: "reddit",
+    sourceHandle: `u/${redditId}`,
+    redditId,
+  })
+}
+
+test("a nearby report of the same issue is merged, recounted and raises the priority", async () => {
+  const original = await report(CONNAUGHT_PLACE, "corr1")
+  assert.equal(original.merged, false)
+  const complaintId = original.complaint.complaintId
+  const before = await getComplaintById(complaintId)
+
+  const second = await report(PAHARGANJ, "corr2")
+  assert.equal(second.merged, true)
+  assert.equal(second.complaint.complaintId, complaintId)
+  assert.equal(second.complaint.reportCount, 2)
+
+  const third = await report(CONNAUGHT_PLACE, "corr3")
+  assert.equal(third.complaint.reportCount, 3)
+  assert.equal((await getComplaintReports(complaintId)).length, 2)
+
+  const after = await getComplaintById(complaintId)
+  assert.equal(after.report_count, 3)
+  assert.equal(after.priority_breakdown.reports.points, 20)
+  assert.equal(after.priority_score, Math.min(before.priority_score + 20, 100))
+})
+
+test("the corroboration email goes to the authority that has the complaint", () => {
+  assert.ok(corroborationEmails.length >= 1)
+  const [first] = corroborationEmails
+
+  // The report came from the Paharganj side, but the complaint is in Connaught Place
+  assert.equal(first.municipalContact.zone, "NDMC Zone")
+  assert.equal(first.municipalContact.ward, "Connaught Place")
+})
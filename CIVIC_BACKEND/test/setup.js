@@ -0,0 +1,9 @@
+// test/setup.js
+// Loaded into every test process by `npm test` (--require)
+//
+// node --test reads each test file's results from its stdout. On Node 20 a log
+// line starting with an emoji (most of ours do) that lands right after a result
+// can be misread as one, failing the file with "Unable to deserialize cloned
+// data". App logs go to stderr instead, which the runner still shows.
+
+console.log = console.error
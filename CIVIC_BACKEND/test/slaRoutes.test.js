@@ -0,0 +1,29 @@
+// test/slaRoutes.test.js
+// A manual SLA check sends escalation emails, so only admins may start one
+
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+
+process.env.ADMIN_API_KEY = "test-admin-key"
+
+const slaRoutes = require("../src/routes/sla")
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/sla", slaRoutes)
+  server = app.listen(0)
+  await new Promise(resolve => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/sla`
+})
+
+after(() => server.close())
+
+test("POST /check needs the admin key", async () => {
+  const response = await fetch(`${baseUrl}/check`, { method: "POST" })
+  assert.equal(response.status, 401)
+})
@@ -0,0 +1,65 @@
+// test/statusRoutes.test.js
+// Status changes are admin only and can't be lost to a concurrent update;
+// the public timeline leaves out who made each change
+
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+
+process.env.ADMIN_API_KEY = "test-admin-key"
+
+const complaintRoutes = require("../src/routes/complaint")
+const { insertComplaint } = require("../src/services/databaseService")
+const { recordInitialStatus } = require("../src/services/statusService")
+const { formatComplaintId } = require("../src/services/complaintIdService")
+
+const COMPLAINT_ID = formatComplaintId(2026, 900201)
+const ADMIN = { Authorization: "Bearer test-admin-key", "Content-Type": "application/json" }
+
+let server
+let baseUrl
+
+before(async () => {
+  const app = express()
+  app.use(express.json())
+  app.use("/api/complaint", complaintRoutes)
+  server = app.listen(0)
+  await new Promise(resolve => server.once("listening", resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/complaint`
+
+  await insertComplaint({ complaintId: COMPLAINT_ID, title: "Garbage dump", department: "MCD", urgency: "medium", source: "web" })
+  await recordInitialStatus(COMPLAINT_ID, "system (web)")
+})
+
+after(() => server.close())
+
+function patchStatus(body, headers = ADMIN) {
+  return fetch(`${baseUrl}/${COMPLAINT_ID}/status`, { method: "PATCH", headers, body: JSON.stringify(body) })
+}
+
+test("PATCH /:complaintId/status needs the admin key", async () => {
+  const response = await patchStatus(
+    { status: "acknowledged", actor: "anyone" },
+    { "Content-Type": "application/json" }
+  )
+  assert.equal(response.status, 401)
+})
+
+test("two concurrent status changes: one wins, the other gets 409", async () => {
+  const responses = await Promise.all([
+    patchStatus({ status: "acknowledged", actor: "mcd.west@mcdonline.gov.in" }),
+    patchStatus({ status: "acknowledged", actor: "mcd.south@mcdonline.gov.in" }),
+  ])
+
+  assert.deepEqual(responses.map(r => r.status).sort(), [200, 409])
+  const conflict = await responses.find(r => r.status === 409).json()
+  assert.equal(conflict.currentStatus, "acknowledged")
+})
+
+test("GET /:complaintId/history leaves out actors", async () => {
+  const body = await (await fetch(`${baseUrl}/${COMPLAINT_ID}/history`)).json()
+
+  assert.equal(body.history.length, 2)
+  for (const entry of body.history) assert.ok(!("actor" in entry))
+  assert.ok(!JSON.stringify(body).includes("mcdonline.gov.in"))
+})
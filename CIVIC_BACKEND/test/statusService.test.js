@@ -0,0 +1,86 @@
+// test/statusService.test.js
+// Status state machine — the transition table and what a transition writes
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+const {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  applyTransition,
+} = require("../src/services/statusService")
+const { insertComplaint, updateComplaint, getComplaintById, getStatusHistory } = require("../src/services/databaseService")
+const { formatComplaintId } = require("../src/services/complaintIdService")
+
+test("every status in the table only moves to known statuses", () => {
+  for (const [from, targets] of Object.entries(STATUS_TRANSITIONS)) {
+    for (const to of targets) assert.ok(isValidStatus(to), `${from} → ${to}`)
+  }
+})
+
+test("happy path open → acknowledged → in_progress → resolved → closed is allowed", () => {
+  const path = ["open", "acknowledged", "in_progress", "resolved", "closed"]
+  for (let i = 1; i < path.length; i++) {
+    assert.ok(canTransition(path[i - 1], path[i]), `${path[i - 1]} → ${path[i]}`)
+  }
+})
+
+test("skipping steps, staying put and moving out of closed are rejected", () => {
+  assert.equal(canTransition("open", "resolved"), false)
+  assert.equal(canTransition("open", "open"), false)
+  assert.equal(canTransition("in_progress", "rejected"), false)
+  assert.equal(canTransition("closed", "open"), false)
+  assert.deepEqual(getAllowedTransitions("closed"), ["reopened"])
+})
+
+test("unknown statuses have no transitions", () => {
+  assert.equal(isValidStatus("done"), false)
+  assert.deepEqual(getAllowedTransitions("done"), [])
+  assert.equal(canTransition("done", "open"), false)
+  assert.ok(STATUSES.includes("reopened"))
+})
+
+test("applyTransition updates the complaint and writes a history entry", async () => {
+  const complaintId = formatComplaintId(2026, 900001)
+  await insertComplaint({ complaintId, title: "Pothole", department: "PWD", urgency: "high" })
+  const complaint = await getComplaintById(complaintId)
+
+  const entry = await applyTransition(complaint, "acknowledged", { actor: "PWD West", note: "Seen" })
+
+  assert.equal(entry.from_status, "open")
+  assert.equal(entry.to_status, "acknowledged")
+  assert.equal((await getComplaintById(complaintId)).status, "acknowledged")
+  const history = await getStatusHistory(complaintId)
+  assert.deepEqual(history.map(h => h.to_status), ["acknowledged"])
+})
+
+test("reopening starts a fresh SLA clock", async () => {
+  const complaintId = formatComplaintId(2026, 900002)
+  await insertComplaint({ complaintId, title: "Leak", department: "Jal Board", urgency: "low" })
+  await updateComplaint(complaintId, { status: "resolved", resolve_breached_at: "2026-01-01T00:00:00.000Z" })
+  const complaint = await getComplaintById(complaintId)
+
+  await applyTransition(complaint, "reopened", { actor: "citizen" })
+
+  const reopened = await getComplaintById(complaintId)
+  assert.equal(reopened.resolve_breached_at, null)
+  assert.ok(new Date(reopened.resolve_due_at) > new Date())
+})
+
+test("applyTransition refuses a stale status and writes nothing", async () => {
+  const complaintId = formatComplaintId(2026, 900003)
+  await insertComplaint({ complaintId, title: "Streetlight out", department: "MCD", urgency: "low" })
+  const complaint = await getComplaintById(complaintId)
+  await applyTransition(complaint, "acknowledged", { actor: "MCD West" })
+
+  // Same snapshot (still "open") used by a second official
+  await assert.rejects(
+    applyTransition(complaint, "rejected", { actor: "MCD South" }),
+    err => err.code === "STATUS_CONFLICT"
+  )
+  assert.equal((await getComplaintById(complaintId)).status, "acknowledged")
+  assert.equal((await getStatusHistory(complaintId)).length, 1)
+})
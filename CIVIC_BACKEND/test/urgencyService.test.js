@@ -0,0 +1,58 @@
+// test/urgencyService.test.js
+// Urgency analysis — negation, duration parsing and hazards near vulnerable groups
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+
+const { analyzeUrgency, parseDuration } = require("../src/services/urgencyService")
+
+const rules = {
+  highUrgencyWords: ["danger", "accident", "urgent", "weeks"],
+  mediumUrgencyWords: ["broken", "overflowing"],
+}
+
+test("an urgency word right after a negation cue doesn't count", () => {
+  const analysis = analyzeUrgency("No danger here", rules)
+  assert.equal(analysis.high.score, 0)
+  assert.deepEqual(analysis.negated, [{ keyword: "danger", negatedBy: "no" }])
+})
+
+test("a negation only reaches the end of its clause", () => {
+  const analysis = analyzeUrgency("No accident yet, but it is urgent", rules)
+  assert.deepEqual(analysis.high.matches.map(m => m.keyword), ["urgent"])
+  assert.deepEqual(analysis.negated, [{ keyword: "accident", negatedBy: "no" }])
+})
+
+test("Hindi negation after the word cancels it", () => {
+  assert.equal(analyzeUrgency("danger nahi hai", rules).high.score, 0)
+})
+
+test("durations are parsed into days, taking the longest and the upper end of a range", () => {
+  assert.deepEqual(parseDuration("pipe broken for 3 weeks"), { days: 21, text: "3 weeks" })
+  assert.equal(parseDuration("2-3 days and then 2 mahine se").days, 60)
+  assert.equal(parseDuration("for months").days, 60)
+  assert.equal(parseDuration("since yesterday").days, 1)
+  assert.equal(parseDuration("nothing about time"), null)
+})
+
+test("a number of days about the future isn't a duration", () => {
+  assert.equal(parseDuration("they said it will be fixed in 3 days"), null)
+})
+
+test("a duration-only urgency keyword is replaced by the parsed duration", () => {
+  const analysis = analyzeUrgency("Garbage not picked up for weeks", rules)
+  assert.equal(analysis.high.score, 0)
+  assert.equal(analysis.daysOutstanding, 14)
+})
+
+test("a hazard near a vulnerable group is reported with the group", () => {
+  const analysis = analyzeUrgency("Open manhole right outside the primary school gate", rules)
+  assert.deepEqual(analysis.hazards, ["open manhole"])
+  assert.deepEqual(analysis.vulnerable, [{ hazard: "open manhole", group: "school" }])
+})
+
+test("a negated hazard is not reported", () => {
+  const analysis = analyzeUrgency("No live wire near the school anymore", rules)
+  assert.deepEqual(analysis.hazards, [])
+  assert.deepEqual(analysis.vulnerable, [])
+})